@@ -0,0 +1,470 @@
+/**
+ * Blocking Timeline
+ *
+ * Choreographs actors and props with position/rotation keyframes. Each
+ * object has its own track of keyframes on a shared timeline; keyframes
+ * placed near a stage marker (USL, C, DSR...) snap onto it. Every keyframe
+ * has an easing that shapes the move arriving at it.
+ *
+ * animate() calls blockingTimeline.update() each frame. While the timeline
+ * plays or is scrubbed, blocked objects are placed by interpolating their
+ * tracks at the playhead time rather than by per-frame momentum. Height is
+ * left to the stage physics so objects still ride platforms.
+ *
+ * Tracks refer to objects by ID and are saved in the scene file as
+ * stage.blocking.
+ */
+
+/**
+ * Easing curves a keyframe can use for the move arriving at it
+ */
+const BLOCKING_EASINGS = {
+    linear: t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => 1 - (1 - t) * (1 - t),
+    'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+};
+
+/**
+ * Keyframes within this distance of a stage marker snap onto it
+ */
+const BLOCKING_SNAP_DISTANCE = 1.5;
+
+class BlockingTimeline {
+    constructor() {
+        this.tracks = new Map(); // object ID -> keyframes sorted by time: { time, x, z, rotation, marker, easing }
+        this.time = 0;
+        this.playing = false;
+        this.loop = false;
+        this.lastFrame = null;
+        this.revision = 0;       // Bumped whenever keyframes change, so the UI can skip rebuilding during playback
+        this.listeners = [];
+    }
+
+    /**
+     * Length of the timeline: the time of the last keyframe on any track
+     */
+    get duration() {
+        let duration = 0;
+        this.tracks.forEach(keyframes => {
+            duration = Math.max(duration, keyframes[keyframes.length - 1].time);
+        });
+        return duration;
+    }
+
+    /**
+     * Add a keyframe, replacing any keyframe already at that time on the track
+     * @param {string} objectId - Actor or prop ID
+     * @param {Object} keyframe - { time, x, z, rotation, marker, easing }
+     */
+    setKeyframe(objectId, keyframe) {
+        const keyframes = (this.tracks.get(objectId) || []).filter(existing => existing.time !== keyframe.time);
+        keyframes.push({ easing: 'ease-in-out', ...keyframe });
+        keyframes.sort((a, b) => a.time - b.time);
+        this.tracks.set(objectId, keyframes);
+        this.revision++;
+        this.notifyChange();
+    }
+
+    removeKeyframe(objectId, time) {
+        const keyframes = (this.tracks.get(objectId) || []).filter(keyframe => keyframe.time !== time);
+        if (keyframes.length > 0) {
+            this.tracks.set(objectId, keyframes);
+        } else {
+            this.tracks.delete(objectId);
+        }
+        this.revision++;
+        this.notifyChange();
+    }
+
+    clearTrack(objectId) {
+        this.tracks.delete(objectId);
+        this.revision++;
+        this.notifyChange();
+    }
+
+    /**
+     * Whether the timeline is currently placing this object
+     */
+    isDriving(obj) {
+        return this.playing && this.tracks.has(obj.userData.id);
+    }
+
+    play() {
+        if (this.tracks.size === 0) {
+            return false;
+        }
+        if (this.time >= this.duration) {
+            this.time = 0;
+        }
+        this.playing = true;
+        this.lastFrame = null;
+        this.notifyChange();
+        return true;
+    }
+
+    pause() {
+        this.playing = false;
+        this.notifyChange();
+    }
+
+    /**
+     * Move the playhead and place every blocked object there
+     * @param {number} time - Seconds from the start of the timeline
+     */
+    seek(time) {
+        this.time = Math.max(0, Math.min(time, this.duration));
+        this.apply();
+        this.notifyChange();
+    }
+
+    /**
+     * Advance the playhead by the real time since the last frame; called every frame
+     * @param {number} now - Timestamp from performance.now()
+     */
+    update(now = performance.now()) {
+        if (!this.playing) {
+            return;
+        }
+
+        const elapsed = this.lastFrame === null ? 0 : (now - this.lastFrame) / 1000;
+        this.lastFrame = now;
+        this.time += elapsed;
+
+        const duration = this.duration;
+        if (this.time >= duration) {
+            if (this.loop && duration > 0) {
+                this.time %= duration;
+            } else {
+                this.time = duration;
+                this.playing = false;
+            }
+        }
+
+        this.apply();
+        this.notifyChange();
+    }
+
+    /**
+     * Place every blocked object at its interpolated pose for the playhead time
+     */
+    apply() {
+        this.tracks.forEach((keyframes, objectId) => {
+            const obj = findBlockingObject(objectId);
+            // Held, seated and thrown objects are placed by their interaction instead
+            if (!obj || obj.userData.heldBy || actorSittingOn.has(obj) || throwingProps.has(obj)) {
+                return;
+            }
+
+            const pose = interpolateKeyframes(keyframes, this.time);
+            obj.position.x = pose.x;
+            obj.position.z = pose.z;
+            obj.rotation.y = pose.rotation;
+            if (objectVelocities.has(obj)) {
+                objectVelocities.set(obj, { x: 0, z: 0 });
+            }
+        });
+    }
+
+    /**
+     * Replace the timeline, e.g. when a scene is loaded
+     * @param {Object} data - stage.blocking from a scene file
+     */
+    load(data = {}) {
+        this.tracks.clear();
+        (data.tracks || []).forEach(track => {
+            if (track.keyframes.length > 0) {
+                this.tracks.set(track.id, track.keyframes
+                    .map(keyframe => ({ ...keyframe }))
+                    .sort((a, b) => a.time - b.time));
+            }
+        });
+        this.loop = !!data.loop;
+        this.time = 0;
+        this.playing = false;
+        this.revision++;
+        this.notifyChange();
+    }
+
+    serialize() {
+        return {
+            loop: this.loop,
+            tracks: Array.from(this.tracks.entries()).map(([id, keyframes]) => ({
+                id,
+                keyframes: keyframes.map(keyframe => ({ ...keyframe }))
+            }))
+        };
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+/**
+ * Find the actor or prop with the given ID
+ */
+function findBlockingObject(objectId) {
+    return actors.find(actor => actor.userData.id === objectId) ||
+        props.find(prop => prop.userData.id === objectId);
+}
+
+/**
+ * Pose of a track at a time: held before the first and after the last
+ * keyframe, eased between the two keyframes around it otherwise
+ * @param {Object[]} keyframes - Sorted by time
+ * @param {number} time - Seconds
+ * @returns {{x: number, z: number, rotation: number}}
+ */
+function interpolateKeyframes(keyframes, time) {
+    const nextIndex = keyframes.findIndex(keyframe => keyframe.time > time);
+    if (nextIndex === 0) {
+        return keyframes[0];
+    }
+    if (nextIndex === -1) {
+        return keyframes[keyframes.length - 1];
+    }
+
+    const from = keyframes[nextIndex - 1];
+    const to = keyframes[nextIndex];
+    const ease = BLOCKING_EASINGS[to.easing] || BLOCKING_EASINGS.linear;
+    const t = ease((time - from.time) / (to.time - from.time));
+
+    // Turn the short way round
+    let turn = (to.rotation - from.rotation) % (Math.PI * 2);
+    if (turn > Math.PI) turn -= Math.PI * 2;
+    if (turn < -Math.PI) turn += Math.PI * 2;
+
+    return {
+        x: from.x + (to.x - from.x) * t,
+        z: from.z + (to.z - from.z) * t,
+        rotation: from.rotation + turn * t
+    };
+}
+
+/**
+ * Snap a stage position onto the nearest marker within BLOCKING_SNAP_DISTANCE
+ * @returns {{x: number, z: number, marker: string|null}}
+ */
+function snapToStageMarker(x, z) {
+    let nearest = null;
+    let nearestDistance = BLOCKING_SNAP_DISTANCE;
+    stageMarkers.forEach(marker => {
+        const distance = Math.hypot(marker.position.x - x, marker.position.z - z);
+        if (distance <= nearestDistance) {
+            nearest = marker;
+            nearestDistance = distance;
+        }
+    });
+
+    if (!nearest) {
+        return { x, z, marker: null };
+    }
+    return { x: nearest.position.x, z: nearest.position.z, marker: nearest.userData.label };
+}
+
+const blockingTimeline = new BlockingTimeline();
+
+/**
+ * Build the Blocking section of the control panel
+ * @returns {HTMLElement}
+ */
+function createBlockingUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Blocking</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const selectStyle = 'margin: 5px 5px 5px 0; padding: 5px; width: 150px;';
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+
+    // Object being blocked; the list is rebuilt whenever it is opened
+    const objectSelect = document.createElement('select');
+    objectSelect.style.cssText = selectStyle;
+    function refreshObjectOptions() {
+        const current = objectSelect.value || (window.selectedActor && window.selectedActor.userData.id);
+        objectSelect.innerHTML = '';
+        [...actors, ...props].forEach(obj => {
+            const option = document.createElement('option');
+            option.value = obj.userData.id;
+            option.textContent = `${blockingTimeline.tracks.has(obj.userData.id) ? '● ' : ''}${obj.userData.name}`;
+            objectSelect.appendChild(option);
+        });
+        if (current && findBlockingObject(current)) {
+            objectSelect.value = current;
+        }
+    }
+    objectSelect.addEventListener('mousedown', refreshObjectOptions);
+    objectSelect.addEventListener('focus', refreshObjectOptions);
+    objectSelect.addEventListener('change', refreshKeyframeList);
+    container.appendChild(objectSelect);
+
+    // Where the keyframe goes: a marker, or wherever the object stands now
+    const markerSelect = document.createElement('select');
+    markerSelect.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px; width: 110px;';
+    markerSelect.innerHTML = '<option value="">Current spot</option>' +
+        stageMarkers.map(marker => `<option value="${marker.userData.label}">${marker.userData.label}</option>`).join('');
+    container.appendChild(markerSelect);
+
+    const easingSelect = document.createElement('select');
+    easingSelect.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px; width: 110px;';
+    easingSelect.innerHTML = Object.keys(BLOCKING_EASINGS)
+        .map(name => `<option value="${name}">${name}</option>`).join('');
+    easingSelect.value = 'ease-in-out';
+    container.appendChild(easingSelect);
+    container.appendChild(document.createElement('br'));
+
+    const keyButton = document.createElement('button');
+    keyButton.textContent = 'Set Keyframe';
+    keyButton.title = 'Key the object at the playhead time';
+    keyButton.style.cssText = buttonStyle;
+    keyButton.addEventListener('click', () => {
+        refreshObjectOptions();
+        const obj = findBlockingObject(objectSelect.value);
+        if (!obj) {
+            alert('Place an actor or prop to block first');
+            return;
+        }
+
+        const input = prompt('Keyframe time in seconds:', blockingTimeline.time.toFixed(1));
+        if (input === null) return;
+        const time = parseFloat(input);
+        if (!Number.isFinite(time) || time < 0) {
+            alert('Enter a time of 0 seconds or more');
+            return;
+        }
+
+        let spot;
+        if (markerSelect.value) {
+            const marker = stageMarkers.find(m => m.userData.label === markerSelect.value);
+            spot = { x: marker.position.x, z: marker.position.z, marker: marker.userData.label };
+        } else {
+            spot = snapToStageMarker(obj.position.x, obj.position.z);
+        }
+
+        blockingTimeline.setKeyframe(obj.userData.id, {
+            time: Math.round(time * 100) / 100,
+            x: spot.x,
+            z: spot.z,
+            rotation: obj.rotation.y,
+            marker: spot.marker,
+            easing: easingSelect.value
+        });
+        blockingTimeline.seek(time);
+    });
+    container.appendChild(keyButton);
+
+    const clearButton = document.createElement('button');
+    clearButton.textContent = 'Clear Track';
+    clearButton.style.cssText = buttonStyle;
+    clearButton.addEventListener('click', () => {
+        const obj = findBlockingObject(objectSelect.value);
+        if (obj && blockingTimeline.tracks.has(obj.userData.id) &&
+            confirm(`Remove all keyframes for ${obj.userData.name}?`)) {
+            blockingTimeline.clearTrack(obj.userData.id);
+        }
+    });
+    container.appendChild(clearButton);
+    container.appendChild(document.createElement('br'));
+
+    // Transport
+    const playButton = document.createElement('button');
+    playButton.style.cssText = buttonStyle;
+    playButton.addEventListener('click', () => {
+        if (blockingTimeline.playing) {
+            blockingTimeline.pause();
+        } else if (!blockingTimeline.play()) {
+            alert('Set some keyframes first');
+        }
+    });
+    container.appendChild(playButton);
+
+    const loopLabel = document.createElement('label');
+    loopLabel.style.cssText = 'font-size: 12px; margin-right: 5px;';
+    const loopCheckbox = document.createElement('input');
+    loopCheckbox.type = 'checkbox';
+    loopCheckbox.addEventListener('change', () => {
+        blockingTimeline.loop = loopCheckbox.checked;
+    });
+    loopLabel.appendChild(loopCheckbox);
+    loopLabel.appendChild(document.createTextNode(' Loop'));
+    container.appendChild(loopLabel);
+
+    const timeReadout = document.createElement('span');
+    timeReadout.style.cssText = 'font-size: 12px; font-family: monospace;';
+    container.appendChild(timeReadout);
+
+    const scrubber = document.createElement('input');
+    scrubber.type = 'range';
+    scrubber.min = '0';
+    scrubber.step = '0.01';
+    scrubber.style.cssText = 'width: 100%; margin: 5px 0;';
+    scrubber.addEventListener('input', () => {
+        blockingTimeline.pause();
+        blockingTimeline.seek(parseFloat(scrubber.value));
+    });
+    container.appendChild(scrubber);
+
+    const keyframeList = document.createElement('div');
+    keyframeList.style.cssText = 'max-height: 120px; overflow-y: auto; width: 300px; font-size: 12px;';
+    container.appendChild(keyframeList);
+
+    function refreshKeyframeList() {
+        keyframeList.innerHTML = '';
+        const objectId = objectSelect.value;
+        const keyframes = blockingTimeline.tracks.get(objectId) || [];
+        keyframes.forEach(keyframe => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0; cursor: pointer;';
+            row.title = 'Click to move the playhead here';
+
+            const text = document.createElement('div');
+            text.style.cssText = 'flex: 1;';
+            const where = keyframe.marker || `${keyframe.x.toFixed(1)}, ${keyframe.z.toFixed(1)}`;
+            text.textContent = `${keyframe.time.toFixed(2)}s  ${where}  (${keyframe.easing})`;
+            row.appendChild(text);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = '✕';
+            deleteButton.title = 'Delete keyframe';
+            deleteButton.style.cssText = 'padding: 0 4px; cursor: pointer;';
+            deleteButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                blockingTimeline.removeKeyframe(objectId, keyframe.time);
+            });
+            row.appendChild(deleteButton);
+
+            row.addEventListener('click', () => {
+                blockingTimeline.pause();
+                blockingTimeline.seek(keyframe.time);
+            });
+            keyframeList.appendChild(row);
+        });
+    }
+
+    let listedRevision = null;
+    blockingTimeline.onChange(() => {
+        const duration = blockingTimeline.duration;
+        playButton.textContent = blockingTimeline.playing ? 'Pause' : 'Play';
+        loopCheckbox.checked = blockingTimeline.loop;
+        scrubber.max = String(duration);
+        scrubber.value = String(blockingTimeline.time);
+        timeReadout.textContent = `${blockingTimeline.time.toFixed(2)} / ${duration.toFixed(2)}s`;
+
+        // The keyframe list only changes when tracks do, not every frame of playback
+        if (blockingTimeline.revision !== listedRevision) {
+            listedRevision = blockingTimeline.revision;
+            refreshObjectOptions();
+            refreshKeyframeList();
+        }
+    });
+    blockingTimeline.notifyChange();
+
+    return container;
+}
@@ -5,6 +5,9 @@
 (function() {
     'use strict';
     
+    // Every stage runs OSC commands itself, so the changes they make are not sent on
+    let runningOscCommand = false;
+    
     // Wait for stage to initialize
     window.addEventListener('load', function() {
         initCollaborationUI();
@@ -112,6 +115,9 @@
         // Listen for state updates from other users
         collaborationManager.on('state_update', handleRemoteStateUpdate);
         
+        // Run OSC commands the server relays and report the resulting state
+        collaborationManager.on('osc_command', handleOscCommandMessage);
+        
         // Track mouse movement for cursor
         setupCursorTracking();
         
@@ -153,10 +159,12 @@
         } else if (update.type === 'lighting_changed') {
             // Change lighting
             applyLightingPreset(update.preset);
-        } else if (update.type === 'curtains_toggled') {
-            // Toggle curtains
-            if (curtainState !== update.state) {
-                toggleCurtains();
+        } else if (update.type === 'curtains_changed') {
+            // Set the curtain directly so the change is not sent back
+            try {
+                mainCurtain.set(update.state);
+            } catch (error) {
+                console.warn('Could not apply remote curtain change:', error.message);
             }
         } else if (update.type === 'platforms_moved') {
             // Move platforms
@@ -166,18 +174,37 @@
         console.log('Applied remote update:', update.type);
     }
     
+    function handleOscCommandMessage(message) {
+        // The server sends each command to every stage in the room, viewers
+        // included, and asks one editor to answer the sender
+        let args;
+        runningOscCommand = true;
+        try {
+            args = handleOscCommand(message.address, message.args || []);
+        } finally {
+            runningOscCommand = false;
+        }
+        
+        if (message.reply) {
+            collaborationManager.send({
+                type: 'osc_reply',
+                requestId: message.requestId,
+                args
+            });
+        }
+    }
+    
     function createPropFromData(data) {
-        const geometry = getPropGeometry(data.type);
-        const material = new THREE.MeshLambertMaterial({ color: 0x8b4513 });
-        const prop = new THREE.Mesh(geometry, material);
+        // Build from the shared prop registry so remote props match local ones
+        let prop = createPropObject(data.type, data.id);
+        if (!prop) {
+            console.warn(`Unknown remote prop type ${data.type}, showing a cube`);
+            prop = createPropObject('cube', data.id);
+        }
         
         prop.position.set(data.position.x, data.position.y, data.position.z);
         prop.rotation.set(data.rotation.x, data.rotation.y, data.rotation.z);
-        prop.userData.id = data.id;
         prop.userData.name = data.name;
-        prop.userData.propType = data.type;
-        prop.castShadow = true;
-        prop.receiveShadow = true;
         
         return prop;
     }
@@ -209,19 +236,6 @@
         return actorGroup;
     }
     
-    function getPropGeometry(type) {
-        switch(type) {
-            case 'cube': return new THREE.BoxGeometry(1, 1, 1);
-            case 'sphere': return new THREE.SphereGeometry(0.5, 16, 16);
-            case 'cylinder': return new THREE.CylinderGeometry(0.5, 0.5, 1, 16);
-            case 'chair': return new THREE.BoxGeometry(0.8, 1, 0.8);
-            case 'table': return new THREE.BoxGeometry(1.5, 0.1, 1);
-            case 'crate': return new THREE.BoxGeometry(1, 1, 1);
-            case 'barrel': return new THREE.CylinderGeometry(0.5, 0.5, 1, 16);
-            default: return new THREE.BoxGeometry(1, 1, 1);
-        }
-    }
-    
     function setupCursorTracking() {
         let lastCursorSend = 0;
         const cursorSendInterval = 100; // ms
@@ -243,7 +257,7 @@
             raycaster.setFromCamera(mouse, camera);
             
             // Intersect with stage
-            const intersects = raycaster.intersectObject(stage);
+            const intersects = raycaster.intersectObject(stage, true);
             if (intersects.length > 0) {
                 const point = intersects[0].point;
                 collaborationManager.sendCursorPosition(point.x, point.z);
@@ -327,8 +341,8 @@
         
         // Override lighting changes
         const originalApplyLightingPreset = window.applyLightingPreset;
-        window.applyLightingPreset = function(preset) {
-            if (collaborationManager && collaborationManager.connected && 
+        window.applyLightingPreset = function(preset, timing) {
+            if (collaborationManager && collaborationManager.connected && !runningOscCommand &&
                 collaborationManager.canEdit() && currentLightingPreset !== preset) {
                 
                 collaborationManager.sendStateUpdate({
@@ -338,12 +352,16 @@
             }
             
             // Call original function
-            originalApplyLightingPreset.call(this, preset);
+            originalApplyLightingPreset.call(this, preset, timing);
         };
         
-        // Override curtain toggle
-        const originalToggleCurtains = window.toggleCurtains;
-        window.toggleCurtains = function() {
+        // Override curtain changes (toggle, curtain controls and OSC)
+        const originalSetCurtains = window.setCurtains;
+        window.setCurtains = function(changes) {
+            if (runningOscCommand) {
+                return originalSetCurtains.call(this, changes);
+            }
+            
             if (!collaborationManager || !collaborationManager.canEdit()) {
                 if (collaborationManager) {
                     collaborationManager.showNotification('You do not have permission to edit', 'error');
@@ -352,18 +370,22 @@
             }
             
             // Call original function
-            originalToggleCurtains.call(this);
+            originalSetCurtains.call(this, changes);
             
             // Send update
             collaborationManager.sendStateUpdate({
-                type: 'curtains_toggled',
-                state: curtainState
+                type: 'curtains_changed',
+                state: mainCurtain.serialize()
             });
         };
         
         // Override platform movement
         const originalMovePlatforms = window.movePlatforms;
         window.movePlatforms = function() {
+            if (runningOscCommand) {
+                return originalMovePlatforms.call(this);
+            }
+            
             if (!collaborationManager || !collaborationManager.canEdit()) {
                 if (collaborationManager) {
                     collaborationManager.showNotification('You do not have permission to edit', 'error');
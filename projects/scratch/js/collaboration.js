@@ -274,6 +274,7 @@ class CollaborationManager {
         cursorGroup.add(sprite);
         
         cursorGroup.visible = false; // Hidden until cursor moves
+        cursorGroup.userData = { exportable: false };
         scene.add(cursorGroup);
         this.userCursors.set(userId, cursorGroup);
     }
@@ -0,0 +1,187 @@
+/**
+ * Core Prop Pack
+ *
+ * The built-in props, written in the same format as the JSON prop packs in
+ * props/ (see props/README.md). It is bundled as a script rather than fetched
+ * so the stage has props even when index.html is opened from disk.
+ */
+
+const CORE_PROP_PACK = {
+    id: 'core',
+    name: 'Core Props',
+    description: 'Basic shapes, furniture, stage props and decorations',
+    // Older scene files used these names for catalog types
+    aliases: {
+        crate: 'box'
+    },
+    props: {
+        // Basic shapes
+        cube: {
+            name: 'Cube',
+            category: 'basic',
+            geometry: { type: 'box', args: [1, 1, 1] },
+            color: '#808080',
+            y: 0.5,
+            bounds: { width: 1, depth: 1, height: 1 },
+            mass: 10,
+            friction: 0.7,
+            interactions: { grabbable: true, throwable: true }
+        },
+        sphere: {
+            name: 'Sphere',
+            category: 'basic',
+            geometry: { type: 'sphere', args: [0.5, 16, 16] },
+            color: '#808080',
+            y: 0.5,
+            bounds: { width: 1, depth: 1, height: 1 },
+            mass: 8,
+            friction: 0.4, // Low friction (rolls)
+            interactions: { grabbable: true, throwable: true }
+        },
+        cylinder: {
+            name: 'Cylinder',
+            category: 'basic',
+            geometry: { type: 'cylinder', args: [0.5, 0.5, 1, 16] },
+            color: '#808080',
+            y: 0.5,
+            bounds: { width: 1, depth: 1, height: 1 },
+            mass: 12,
+            friction: 0.6,
+            interactions: { grabbable: true, throwable: true }
+        },
+        // Furniture
+        chair: {
+            name: 'Chair',
+            category: 'furniture',
+            parts: [
+                // Seat
+                { geometry: { type: 'box', args: [1, 0.1, 1] }, material: { color: '#8B4513' }, position: [0, 0.5, 0] },
+                // Back
+                { geometry: { type: 'box', args: [1, 1, 0.1] }, material: { color: '#8B4513' }, position: [0, 1, -0.45] },
+                // Legs
+                {
+                    geometry: { type: 'cylinder', args: [0.05, 0.05, 0.5] },
+                    material: { color: '#654321' },
+                    positions: [[-0.4, 0.25, -0.4], [-0.4, 0.25, 0.4], [0.4, 0.25, -0.4], [0.4, 0.25, 0.4]]
+                }
+            ],
+            y: 0,
+            bounds: { width: 1, depth: 1, height: 1.5 },
+            mass: 8,
+            friction: 0.7, // Lighter, can slide
+            interactions: { sittable: true, seatHeight: 0.5 }
+        },
+        table: {
+            name: 'Table',
+            category: 'furniture',
+            parts: [
+                // Top
+                { geometry: { type: 'box', args: [2, 0.1, 1.5] }, material: { color: '#8B4513' }, position: [0, 1, 0] },
+                // Legs
+                {
+                    geometry: { type: 'cylinder', args: [0.05, 0.05, 1] },
+                    material: { color: '#654321' },
+                    positions: [[-0.9, 0.5, -0.65], [-0.9, 0.5, 0.65], [0.9, 0.5, -0.65], [0.9, 0.5, 0.65]]
+                }
+            ],
+            y: 0,
+            bounds: { width: 2, depth: 1.5, height: 1 },
+            mass: 30,
+            friction: 0.9, // Heavy, high friction
+            interactions: {}
+        },
+        // Stage props
+        box: {
+            name: 'Crate',
+            category: 'stage',
+            parts: [
+                { geometry: { type: 'box', args: [1.2, 1.2, 1.2] }, material: { color: '#D2691E' }, position: [0, 0.6, 0] },
+                // Detail lines
+                {
+                    geometry: { type: 'box', args: [1.21, 0.02, 1.21] },
+                    material: { color: '#654321', type: 'basic' },
+                    positions: [[0, 0.2, 0], [0, 0.6, 0], [0, 1, 0]]
+                }
+            ],
+            y: 0,
+            bounds: { width: 1.2, depth: 1.2, height: 1.2 },
+            mass: 20,
+            friction: 0.8,
+            interactions: { grabbable: true, throwable: false }
+        },
+        barrel: {
+            name: 'Barrel',
+            category: 'stage',
+            parts: [
+                { geometry: { type: 'cylinder', args: [0.5, 0.5, 1.2, 12] }, material: { color: '#8B4513' }, position: [0, 0.6, 0] },
+                // Metal bands
+                {
+                    geometry: { type: 'cylinder', args: [0.52, 0.52, 0.05, 12] },
+                    material: { color: '#444444' },
+                    positions: [[0, 0.2, 0], [0, 0.6, 0], [0, 1, 0]]
+                }
+            ],
+            y: 0,
+            bounds: { width: 1, depth: 1, height: 1.2 },
+            mass: 50,
+            friction: 0.6, // Heavy but can roll
+            interactions: { grabbable: true, throwable: false }
+        },
+        // Decorative
+        plant: {
+            name: 'Potted Plant',
+            category: 'decorative',
+            parts: [
+                // Pot
+                { geometry: { type: 'cylinder', args: [0.3, 0.25, 0.4, 8] }, material: { color: '#8B4513' }, position: [0, 0.2, 0] },
+                // Plant
+                { geometry: { type: 'cone', args: [0.4, 0.8, 6] }, material: { color: '#228B22' }, position: [0, 0.8, 0] }
+            ],
+            y: 0,
+            bounds: { width: 0.8, depth: 0.8, height: 1.2 },
+            mass: 5,
+            friction: 0.7,
+            interactions: { grabbable: true, throwable: false }
+        },
+        lamp: {
+            name: 'Stage Lamp',
+            category: 'decorative',
+            parts: [
+                // Base
+                { geometry: { type: 'cylinder', args: [0.3, 0.3, 0.1, 8] }, material: { color: '#444444' }, position: [0, 0.05, 0] },
+                // Pole
+                { geometry: { type: 'cylinder', args: [0.05, 0.05, 1.5] }, material: { color: '#666666' }, position: [0, 0.75, 0] },
+                // Shade (lights up when the lamp is on)
+                { geometry: { type: 'cylinder', args: [0.4, 0.2, 0.3, 8] }, material: { color: '#FFFFE0' }, position: [0, 1.4, 0] }
+            ],
+            y: 0,
+            bounds: { width: 0.8, depth: 0.8, height: 1.5 },
+            mass: 3,
+            friction: 0.9,
+            interactions: { toggleable: true },
+            states: ['off', 'on']
+        },
+        door: {
+            name: 'Door',
+            category: 'furniture',
+            parts: [
+                // Door frame
+                { geometry: { type: 'box', args: [0.1, 2.5, 0.1] }, material: { color: '#654321' }, positions: [[-1, 1.25, 0], [1, 1.25, 0]] },
+                { geometry: { type: 'box', args: [2.2, 0.1, 0.1] }, material: { color: '#654321' }, position: [0, 2.5, 0] },
+                // Door panel (rotates when opened)
+                {
+                    geometry: { type: 'box', args: [1.8, 2.3, 0.1] },
+                    material: { color: '#8B4513' },
+                    position: [0, 1.15, 0],
+                    userData: { isDoorPanel: true }
+                },
+                // Door knob
+                { geometry: { type: 'sphere', args: [0.08, 8, 8] }, material: { color: '#FFD700' }, position: [0.7, 1.15, 0.1] }
+            ],
+            y: 0,
+            bounds: { width: 1, depth: 1, height: 1 },
+            interactions: { openable: true },
+            states: ['closed', 'open']
+        }
+    }
+};
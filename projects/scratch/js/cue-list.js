@@ -0,0 +1,578 @@
+/**
+ * Cue List
+ *
+ * Show control for running a scene. A cue is numbered by department
+ * (e.g. LX 12, FLY 3) and bundles a set of stage-element changes that run
+ * together after an optional delay, moving over the cue's fade time. The
+ * cue list tracks state like a lighting desk: a cue only stores what it
+ * changes, and jumping to a cue applies everything the cues before it set.
+ *
+ * Cues are recorded from the live stage: set the stage by hand, then
+ * Record Cue stores whatever differs from the previous cue. The list is
+ * saved in the scene file as stage.cues.
+ *
+ * The running fades are advanced from animate() via cueList.update().
+ */
+
+/**
+ * Department prefixes offered when recording a cue
+ */
+const CUE_DEPARTMENTS = ['LX', 'FLY', 'AUTO', 'CAM', 'SM'];
+
+class CueList {
+    constructor() {
+        this.cues = [];
+        this.currentIndex = -1;  // Index of the last cue that was run, -1 before the first GO
+        this.baseState = null;   // Stage state captured before the first cue ran
+        this.scheduled = [];     // Cues waiting out their delay: { startAt, fade, actions }
+        this.fades = new Map();  // Action key -> running fade { start, duration, step, finish }
+        this.listeners = [];
+    }
+
+    /**
+     * Replace the list, e.g. when a scene is loaded
+     * @param {Object[]} cues - Cue data as saved in stage.cues
+     */
+    load(cues = []) {
+        this.stop();
+        this.fades.clear();
+        this.cues = cues.map(cue => ({
+            ...cue,
+            actions: cue.actions.map(action => ({ ...action }))
+        }));
+        this.currentIndex = -1;
+        this.baseState = null;
+        this.notifyChange();
+    }
+
+    serialize() {
+        return this.cues.map(cue => ({
+            ...cue,
+            actions: cue.actions.map(action => ({ ...action }))
+        }));
+    }
+
+    /**
+     * Run the next cue
+     * @returns {boolean} False at the end of the list
+     */
+    go() {
+        if (this.currentIndex >= this.cues.length - 1) {
+            return false;
+        }
+        if (this.currentIndex === -1) {
+            this.baseState = captureCueState();
+        }
+        this.currentIndex++;
+        this.run(this.cues[this.currentIndex], this.cues[this.currentIndex].actions);
+        return true;
+    }
+
+    /**
+     * Return to the previous cue's look, using the current cue's fade time
+     */
+    back() {
+        if (this.currentIndex < 0) {
+            return false;
+        }
+        const fade = this.cues[this.currentIndex].fade;
+        this.jumpTo(this.currentIndex - 1, { fade, delay: 0 });
+        return true;
+    }
+
+    /**
+     * Go straight to a cue, applying every change tracked up to it
+     * @param {number} index - Cue index, or -1 for the state before the first cue
+     * @param {Object} timing - Override { fade, delay }; defaults to the target cue's times
+     */
+    jumpTo(index, timing = null) {
+        if (index < -1 || index >= this.cues.length) {
+            return false;
+        }
+        if (!this.baseState) {
+            this.baseState = captureCueState();
+        }
+
+        this.stop();
+        this.currentIndex = index;
+        const cue = index >= 0 ? this.cues[index] : { fade: 0, delay: 0 };
+        this.run(timing || cue, Array.from(this.trackedStateAt(index).values()));
+        return true;
+    }
+
+    /**
+     * Find a cue by its label, e.g. "LX 12"
+     * @returns {number} Index, or -1 if there is no such cue
+     */
+    indexOf(label) {
+        const wanted = label.trim().toUpperCase().replace(/\s+/g, ' ');
+        return this.cues.findIndex(cue => cueLabel(cue).toUpperCase() === wanted);
+    }
+
+    /**
+     * The state every cued element should be in once cue `index` has run
+     * @returns {Map<string, Object>} Action key -> action
+     */
+    trackedStateAt(index) {
+        const state = new Map(this.baseState || []);
+        this.cues.slice(0, index + 1).forEach(cue => {
+            cue.actions.forEach(action => state.set(cueActionKey(action), action));
+        });
+        return state;
+    }
+
+    /**
+     * Record the live stage as a cue after the current one
+     * The first cue records the whole stage; later cues only what changed
+     * since the cue before them. Recording over an existing label replaces it.
+     * @param {Object} cueInfo - { department, number, label, fade, delay }
+     * @returns {Object|null} The recorded cue, or null if nothing changed
+     */
+    record(cueInfo) {
+        const live = captureCueState();
+        const existingIndex = this.indexOf(cueLabel(cueInfo));
+        const previousIndex = existingIndex >= 0 ? existingIndex - 1 : this.currentIndex;
+
+        let actions = Array.from(live.values());
+        if (this.cues.length > 0) {
+            const previous = this.trackedStateAt(previousIndex);
+            actions = actions.filter(action => {
+                const before = previous.get(cueActionKey(action));
+                return !before || JSON.stringify(before.value) !== JSON.stringify(action.value);
+            });
+        }
+        if (actions.length === 0) {
+            return null;
+        }
+
+        const cue = {
+            department: cueInfo.department,
+            number: cueInfo.number,
+            label: cueInfo.label || '',
+            delay: cueInfo.delay || 0,
+            fade: cueInfo.fade || 0,
+            actions
+        };
+
+        if (existingIndex >= 0) {
+            this.cues[existingIndex] = cue;
+            this.currentIndex = existingIndex;
+        } else {
+            this.cues.splice(this.currentIndex + 1, 0, cue);
+            this.currentIndex++;
+        }
+        this.notifyChange();
+        return cue;
+    }
+
+    remove(index) {
+        this.cues.splice(index, 1);
+        if (this.currentIndex >= index) {
+            this.currentIndex--;
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Schedule a cue's actions after its delay
+     */
+    run(timing, actions) {
+        this.scheduled.push({
+            startAt: performance.now() + (timing.delay || 0) * 1000,
+            fade: timing.fade || 0,
+            actions
+        });
+        this.notifyChange();
+        this.update();
+    }
+
+    /**
+     * Cancel cues still waiting out their delay
+     * Running fades carry on; a later cue on the same element takes over from them.
+     */
+    stop() {
+        this.scheduled = [];
+    }
+
+    /**
+     * Start due cues and advance running fades; called every frame
+     * @param {number} now - Timestamp from performance.now()
+     */
+    update(now = performance.now()) {
+        const due = this.scheduled.filter(entry => entry.startAt <= now);
+        if (due.length > 0) {
+            this.scheduled = this.scheduled.filter(entry => entry.startAt > now);
+            due.forEach(entry => {
+                entry.actions.forEach(action => this.startAction(action, entry.fade * 1000, now));
+            });
+        }
+
+        this.fades.forEach((fade, key) => {
+            const progress = fade.duration > 0 ? Math.min((now - fade.start) / fade.duration, 1) : 1;
+            fade.step(easeInOutCue(progress));
+            if (progress >= 1) {
+                this.fades.delete(key);
+                fade.finish();
+            }
+        });
+    }
+
+    /**
+     * Begin one action; a new fade on an element replaces the one running on it
+     */
+    startAction(action, duration, now) {
+        const key = cueActionKey(action);
+        this.fades.delete(key);
+
+        const fade = createCueFade(action, duration);
+        if (fade) {
+            this.fades.set(key, { start: now, duration, ...fade });
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+/**
+ * Display label for a cue, e.g. "LX 12"
+ */
+function cueLabel(cue) {
+    return `${cue.department} ${cue.number}`;
+}
+
+/**
+ * Key identifying the element an action controls, e.g. "platform:2"
+ */
+function cueActionKey(action) {
+    return action.id !== undefined ? `${action.target}:${action.id}` : action.target;
+}
+
+function easeInOutCue(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+/**
+ * Capture the live state of every cueable element as actions
+ * @returns {Map<string, Object>} Action key -> action
+ */
+function captureCueState() {
+    const actions = [
+        { target: 'curtains', value: { open: mainCurtain.serialize().open, mode: mainCurtain.mode, scrim: mainCurtain.scrim } },
+        // Unsaved lighting desk changes are recorded as the full lighting state
+        { target: 'lighting', value: currentLightingPreset === 'custom' ? captureLightingState() : currentLightingPreset }
+    ];
+    if (rotatingStage) {
+        const userData = rotatingStage.userData;
+        // A spinning revolve records how it spins, a still one the angle it stops at
+        const value = userData.rotating
+            ? { visible: rotatingStage.visible, rotating: true, speed: userData.speed, direction: userData.direction }
+            : { visible: rotatingStage.visible, rotating: false, angle: +revolveTargetAngle().toFixed(1) };
+        actions.push({ target: 'rotatingStage', value });
+    }
+    // Machinery renumbers when an element is struck, so it is cued by id
+    moveablePlatforms.forEach(platform => {
+        actions.push({ target: 'platform', id: platform.userData.id, value: platform.userData.targetY });
+    });
+    // Linesets renumber by depth, so they are cued by id
+    flySystem.linesets.forEach(lineset => {
+        actions.push({ target: 'lineset', id: lineset.id, value: lineset.targetTrim });
+    });
+    // Striking a panel renumbers the rest, so panels are cued by id
+    sceneryPanels.forEach(panel => {
+        actions.push({ target: 'scenery', id: panel.userData.id, value: panel.userData.targetPosition });
+    });
+    trapDoors.forEach(trapDoor => {
+        actions.push({ target: 'trapDoor', id: trapDoor.userData.id, value: { visible: trapDoor.visible, open: trapDoor.userData.open } });
+    });
+    if (currentCameraPreset) {
+        actions.push({ target: 'camera', value: currentCameraPreset });
+    }
+
+    return new Map(actions.map(action => [cueActionKey(action), action]));
+}
+
+/**
+ * Build the fade for one action: step(eased progress) moves the element,
+ * finish() leaves it exactly at the cued value
+ * @returns {Object|null} { step, finish }, or null if the action applied instantly or
+ *     fades itself (lighting and camera)
+ */
+function createCueFade(action, duration) {
+    switch (action.target) {
+        case 'curtains': {
+            const from = mainCurtain.amount;
+            const to = action.value.open / 100;
+            const mode = action.value.mode || mainCurtain.mode;
+            mainCurtain.moving = false;
+            mainCurtain.target = to;
+            if (action.value.scrim !== undefined) {
+                mainCurtain.scrim = action.value.scrim;
+            }
+            if (mode === mainCurtain.mode || from === 0) {
+                mainCurtain.mode = mode;
+                return {
+                    step: t => mainCurtain.place(from + (to - from) * t),
+                    finish: () => mainCurtain.place(to)
+                };
+            }
+            // Changing mode: close the first half of the fade, open in the new mode the second
+            return {
+                step: t => {
+                    if (t < 0.5) {
+                        mainCurtain.place(from * (1 - 2 * t));
+                    } else {
+                        mainCurtain.mode = mode;
+                        mainCurtain.place(to * (2 * t - 1));
+                    }
+                },
+                finish: () => {
+                    mainCurtain.mode = mode;
+                    mainCurtain.place(to);
+                }
+            };
+        }
+        case 'platform': {
+            const platform = stageMachinery.get(action.id);
+            if (!platform) {
+                console.warn(`Skipping cue for platform ${action.id}, which has been struck`);
+                return null;
+            }
+            const from = platform.position.y;
+            platform.userData.moving = false;
+            platform.userData.targetY = action.value;
+            return {
+                step: t => { platform.position.y = from + (action.value - from) * t; },
+                finish: () => { platform.position.y = action.value; }
+            };
+        }
+        case 'lineset': {
+            const lineset = flySystem.get(action.id);
+            if (!lineset) {
+                console.warn(`Skipping cue for lineset ${action.id}, which is no longer on the rail`);
+                return null;
+            }
+            const from = lineset.trim;
+            lineset.moving = false;
+            lineset.targetTrim = action.value;
+            // Flying in still stops above anything standing under the piece
+            return {
+                step: t => { flySystem.place(lineset, from + (action.value - from) * t); },
+                finish: () => { flySystem.place(lineset, action.value); }
+            };
+        }
+        case 'scenery': {
+            const panel = sceneryManager.get(action.id);
+            if (!panel) {
+                console.warn(`Skipping cue for scenery panel ${action.id}, which has been struck`);
+                return null;
+            }
+            if (action.value >= panel.userData.stops.length) return null;
+            const from = panel.userData.offset;
+            const to = sceneryManager.stopOffset(panel, action.value);
+            panel.userData.moving = false;
+            panel.userData.targetPosition = action.value;
+            return {
+                step: t => { sceneryManager.place(panel, from + (to - from) * t); },
+                finish: () => {
+                    sceneryManager.place(panel, to);
+                    panel.userData.currentPosition = action.value;
+                }
+            };
+        }
+        case 'rotatingStage': {
+            if (!rotatingStage) return null;
+            const userData = rotatingStage.userData;
+            rotatingStage.visible = action.value.visible;
+            userData.rotating = action.value.visible && action.value.rotating;
+            userData.move = null;
+            if (userData.rotating) {
+                userData.speed = action.value.speed || userData.speed;
+                userData.direction = action.value.direction || userData.direction;
+            } else if (action.value.visible && action.value.angle !== undefined) {
+                // Turn over the fade time, or at the revolve's speed if it cannot make it
+                const move = { angle: action.value.angle, direction: 'shortest' };
+                try {
+                    startRevolveMove({ ...move, duration: duration / 1000 || undefined });
+                } catch (error) {
+                    startRevolveMove(move);
+                }
+            }
+            return null;
+        }
+        case 'trapDoor': {
+            const trapDoor = stageMachinery.get(action.id);
+            if (!trapDoor) {
+                console.warn(`Skipping cue for trap door ${action.id}, which has been struck`);
+                return null;
+            }
+            trapDoor.visible = action.value.visible;
+            openTrapDoor(trapDoor, action.value.visible && action.value.open);
+            return null;
+        }
+        case 'lighting':
+            fadeLighting(action.value, duration / 1000);
+            return null;
+        case 'camera':
+            setCameraPreset(action.value, duration);
+            return null;
+        default:
+            console.warn(`Unknown cue target ${action.target}`);
+            return null;
+    }
+}
+
+/**
+ * Crossfade to a lighting preset, a saved look or a recorded lighting state
+ * The lighting desk runs the fade, with the cue's fade as both up and down time.
+ */
+function fadeLighting(lighting, seconds) {
+    const timing = { up: seconds, down: seconds };
+    if (typeof lighting === 'string') {
+        applyLightingPreset(lighting, timing);
+        return;
+    }
+
+    currentLightingPreset = 'custom';
+    if (seconds > 0) {
+        lightingDesk.crossfade(lighting, timing);
+    } else {
+        lightingDesk.cancelFade();
+        applyLightingState(lighting);
+    }
+}
+
+const cueList = new CueList();
+
+/**
+ * Ask for a cue number and timing, then record the live stage into it
+ */
+function recordCueFromStage() {
+    const input = prompt(`Cue to record (${CUE_DEPARTMENTS.join(', ')} followed by a number, e.g. "LX 12"):`, 'LX 1');
+    if (input === null) return;
+
+    const match = input.trim().toUpperCase().match(/^([A-Z]+)\s*(\d+(?:\.\d+)?)$/);
+    if (!match) {
+        alert('Cue numbers look like "LX 12" or "FLY 3.5"');
+        return;
+    }
+    const department = match[1];
+    const number = parseFloat(match[2]);
+
+    if (cueList.indexOf(`${department} ${number}`) >= 0 &&
+        !confirm(`${department} ${number} already exists. Re-record it from the stage?`)) {
+        return;
+    }
+
+    const times = (prompt('Fade and delay in seconds ("fade, delay"):', '3, 0') || '').split(',');
+    const fade = Math.max(parseFloat(times[0]) || 0, 0);
+    const delay = Math.max(parseFloat(times[1]) || 0, 0);
+    const label = prompt('Description (optional):', '') || '';
+
+    const cue = cueList.record({ department, number, label, fade, delay });
+    if (!cue) {
+        alert('Nothing has changed since the previous cue, so there is nothing to record.');
+    }
+}
+
+/**
+ * Build the Cue List section of the control panel
+ * @returns {HTMLElement}
+ */
+function createCueListUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Cue List</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+    const addButton = (text, title, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.style.cssText = buttonStyle;
+        button.addEventListener('click', onClick);
+        container.appendChild(button);
+        return button;
+    };
+
+    const goButton = addButton('GO', 'Run the next cue (Space)', () => cueList.go());
+    goButton.style.cssText = buttonStyle + ' font-weight: bold; background: #2e7d32; color: white;';
+    addButton('Back', 'Return to the previous cue', () => cueList.back());
+    addButton('Jump', 'Go straight to a cue', () => {
+        const target = prompt('Jump to cue (e.g. "LX 12"), or 0 for the top of the show:', '');
+        if (target === null) return;
+        const index = target.trim() === '0' ? -1 : cueList.indexOf(target);
+        if (index === -1 && target.trim() !== '0') {
+            alert(`No cue "${target}" in the list`);
+            return;
+        }
+        cueList.jumpTo(index);
+    });
+    addButton('Record Cue', 'Store the current stage as a cue after the current one', recordCueFromStage);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 180px; overflow-y: auto; width: 300px; font-size: 12px;';
+    container.appendChild(list);
+
+    function refreshList() {
+        list.innerHTML = '';
+        if (cueList.cues.length === 0) {
+            list.innerHTML = '<div style="font-size: 11px; color: #aaa;">No cues yet. Set the stage and click Record Cue.</div>';
+            return;
+        }
+
+        cueList.cues.forEach((cue, index) => {
+            const row = document.createElement('div');
+            const isCurrent = index === cueList.currentIndex;
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0; padding: 2px 4px; cursor: pointer;' +
+                (isCurrent ? ' background: rgba(46, 125, 50, 0.6);' : '');
+            row.title = 'Click to jump to this cue';
+
+            const name = document.createElement('div');
+            name.style.cssText = 'flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+            name.textContent = `${isCurrent ? '▶ ' : ''}${cueLabel(cue)}${cue.label ? ` – ${cue.label}` : ''}`;
+            row.appendChild(name);
+
+            const timing = document.createElement('div');
+            timing.style.cssText = 'color: #aaa; font-size: 10px;';
+            timing.textContent = `${cue.delay > 0 ? `d${cue.delay} ` : ''}${cue.fade}s · ${cue.actions.length}`;
+            row.appendChild(timing);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = '✕';
+            deleteButton.title = 'Delete cue';
+            deleteButton.style.cssText = 'padding: 0 4px; cursor: pointer;';
+            deleteButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (confirm(`Delete ${cueLabel(cue)}?`)) {
+                    cueList.remove(index);
+                }
+            });
+            row.appendChild(deleteButton);
+
+            row.addEventListener('click', () => cueList.jumpTo(index));
+            list.appendChild(row);
+        });
+    }
+
+    cueList.onChange(refreshList);
+    refreshList();
+
+    return container;
+}
+
+// Space bar is GO, as on a show control desk (ignored while typing or on a focused button)
+window.addEventListener('keydown', (event) => {
+    if (event.code === 'Space' && event.target === document.body) {
+        event.preventDefault();
+        cueList.go();
+    }
+});
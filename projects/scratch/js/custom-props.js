@@ -0,0 +1,324 @@
+/**
+ * Custom Prop Models
+ *
+ * Imports glTF/GLB and OBJ files as new prop registry entries at runtime.
+ * Each imported model has its own mass, friction, collision bounds and
+ * interaction flags. The model file is kept as a
+ * data URL so SceneSerializer can embed it in saved scenes, which then reload
+ * with the same props on another machine.
+ *
+ * Requires GLTFLoader and OBJLoader from the Three.js examples.
+ */
+
+/**
+ * Model file extensions that can be imported
+ */
+const CUSTOM_PROP_FORMATS = ['glb', 'gltf', 'obj'];
+
+/**
+ * Interaction flags a custom prop can be given
+ */
+const CUSTOM_PROP_INTERACTIONS = ['grabbable', 'throwable', 'sittable', 'toggleable'];
+
+class CustomPropLibrary {
+    constructor() {
+        this.models = new Map(); // prop type -> { definition, template, pending }
+    }
+
+    has(type) {
+        return this.models.has(type);
+    }
+
+    /**
+     * Definitions of every registered model, in the form stored in scene files
+     * @returns {Object[]}
+     */
+    serialize() {
+        return Array.from(this.models.values()).map(entry => ({ ...entry.definition }));
+    }
+
+    /**
+     * Register every definition from a scene file that is not already known
+     * @param {Object[]} definitions - Entries from stage.customProps
+     * @returns {string[]} Types that were newly registered
+     */
+    registerAll(definitions = []) {
+        return definitions
+            .filter(definition => {
+                if (this.has(definition.type)) {
+                    const known = this.models.get(definition.type).definition;
+                    if (known.data !== definition.data) {
+                        console.warn(`Custom prop ${definition.type} already exists; keeping the local model`);
+                    }
+                    return false;
+                }
+                return this.register(definition);
+            })
+            .map(definition => definition.type);
+    }
+
+    /**
+     * Add a model to the prop registry
+     * The catalog entry is usable straight away: instances created before the
+     * model has finished parsing are filled in once it is ready.
+     * @param {Object} definition - { type, name, format, data, scale, bounds, mass, friction, interactions }
+     * @returns {boolean} False if the type is already registered
+     */
+    register(definition) {
+        if (this.has(definition.type)) {
+            return false;
+        }
+
+        const entry = { definition, template: null, pending: [] };
+        this.models.set(definition.type, entry);
+
+        const interactions = {};
+        CUSTOM_PROP_INTERACTIONS.forEach(flag => {
+            if (definition.interactions && definition.interactions[flag]) {
+                interactions[flag] = true;
+            }
+        });
+        if (interactions.sittable) {
+            interactions.seatHeight = definition.bounds.height / 2;
+        }
+        if (interactions.toggleable) {
+            interactions.states = ['off', 'on'];
+        }
+
+        propRegistry.define(definition.type, {
+            name: definition.name,
+            category: 'custom',
+            create: () => this.createInstance(definition.type),
+            y: 0,
+            bounds: definition.bounds,
+            mass: definition.mass,
+            friction: definition.friction,
+            interactions,
+            custom: true
+        });
+
+        this.parse(definition)
+            .then(template => {
+                entry.template = template;
+                entry.pending.forEach(group => this.fillInstance(group, template));
+                entry.pending = [];
+            })
+            .catch(error => console.error(`Failed to load model for ${definition.name}:`, error));
+
+        if (window.refreshPropCatalogUI) {
+            window.refreshPropCatalogUI();
+        }
+
+        return true;
+    }
+
+    /**
+     * Build the group used as a prop object for a custom type
+     * @returns {THREE.Group}
+     */
+    createInstance(type) {
+        const entry = this.models.get(type);
+        const group = new THREE.Group();
+
+        if (entry.template) {
+            this.fillInstance(group, entry.template);
+        } else {
+            entry.pending.push(group);
+        }
+
+        return group;
+    }
+
+    fillInstance(group, template) {
+        const model = template.clone(true);
+        model.traverse(child => {
+            if (child.isMesh) {
+                // Own materials per instance so state changes (toggle glow) stay local
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(material => material.clone())
+                    : child.material.clone();
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        group.add(model);
+
+        // A state restored from a scene may have been applied before the model arrived
+        if (propStates.has(group)) {
+            applyPropStateVisuals(group);
+        }
+    }
+
+    /**
+     * Parse a definition's model into a template standing on y = 0, centered in X/Z
+     * @returns {Promise<THREE.Object3D>}
+     */
+    parse(definition) {
+        return new Promise((resolve, reject) => {
+            const { buffer, text } = decodeModelDataUrl(definition.data);
+            const finish = object => resolve(normalizeCustomPropModel(object, definition.scale || 1));
+
+            if (definition.format === 'obj') {
+                if (typeof THREE.OBJLoader === 'undefined') {
+                    reject(new Error('OBJLoader is not loaded'));
+                    return;
+                }
+                finish(new THREE.OBJLoader().parse(text));
+                return;
+            }
+
+            if (typeof THREE.GLTFLoader === 'undefined') {
+                reject(new Error('GLTFLoader is not loaded'));
+                return;
+            }
+            // Handles both binary .glb and self-contained .gltf JSON
+            new THREE.GLTFLoader().parse(buffer, '', gltf => finish(gltf.scene), reject);
+        });
+    }
+}
+
+/**
+ * Decode a base64 data URL into both an ArrayBuffer and its text
+ * @param {string} dataUrl
+ * @returns {{buffer: ArrayBuffer, text: string}}
+ */
+function decodeModelDataUrl(dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return { buffer: bytes.buffer, text: new TextDecoder().decode(bytes) };
+}
+
+/**
+ * Scale a model and wrap it so it stands on the floor at the prop's origin
+ * @param {THREE.Object3D} object - Parsed model
+ * @param {number} scale - Uniform scale factor
+ * @returns {THREE.Group}
+ */
+function normalizeCustomPropModel(object, scale) {
+    object.scale.multiplyScalar(scale);
+
+    const box = new THREE.Box3().setFromObject(object);
+    const center = box.getCenter(new THREE.Vector3());
+    object.position.x -= center.x;
+    object.position.z -= center.z;
+    object.position.y -= box.min.y;
+
+    const wrapper = new THREE.Group();
+    wrapper.add(object);
+    return wrapper;
+}
+
+/**
+ * Turn a model name into an unused PROP_CATALOG key
+ */
+function createCustomPropType(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'model';
+    let type = `custom_${slug}`;
+    let suffix = 2;
+    while (PROP_CATALOG[type]) {
+        type = `custom_${slug}_${suffix++}`;
+    }
+    return type;
+}
+
+/**
+ * Parse a comma separated list of numbers, falling back to defaults
+ */
+function parseNumberList(input, defaults) {
+    if (input === null || !input.trim()) {
+        return defaults;
+    }
+    const values = input.split(',').map(part => parseFloat(part.trim()));
+    return defaults.map((fallback, i) => (Number.isFinite(values[i]) && values[i] >= 0 ? values[i] : fallback));
+}
+
+const customPropLibrary = new CustomPropLibrary();
+
+/**
+ * Import a glTF/GLB/OBJ file as a new prop type
+ * Prompts for the name, scale, bounds, physics and interactions, then selects
+ * the new type for placement.
+ */
+function importCustomPropModel() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = CUSTOM_PROP_FORMATS.map(ext => `.${ext}`).join(',');
+
+    fileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const format = file.name.split('.').pop().toLowerCase();
+        if (!CUSTOM_PROP_FORMATS.includes(format)) {
+            alert('Please choose a .glb, .gltf or .obj file');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                const data = e.target.result;
+                const name = prompt('Name for this prop:', file.name.replace(/\.[^.]+$/, ''));
+                if (name === null || !name.trim()) return;
+
+                const scale = parseNumberList(prompt('Scale (1 = model units are meters):', '1'), [1])[0] || 1;
+
+                // Measure the model so the suggested bounds match what will be placed
+                const template = await customPropLibrary.parse({ format, data, scale });
+                const size = new THREE.Box3().setFromObject(template).getSize(new THREE.Vector3());
+                const measured = [size.x, size.z, size.y].map(value => Math.round(value * 100) / 100);
+
+                const [width, depth, height] = parseNumberList(
+                    prompt('Collision bounds "width, depth, height":', measured.join(', ')),
+                    measured
+                );
+                const [mass, friction] = parseNumberList(
+                    prompt('Physics "mass, friction" (friction 0-1):', '10, 0.7'),
+                    [10, 0.7]
+                );
+                const flagsInput = prompt(
+                    `Interactions (comma separated: ${CUSTOM_PROP_INTERACTIONS.join(', ')}):`,
+                    'grabbable'
+                ) || '';
+
+                const interactions = {};
+                flagsInput.split(',').map(flag => flag.trim().toLowerCase()).forEach(flag => {
+                    if (CUSTOM_PROP_INTERACTIONS.includes(flag)) {
+                        interactions[flag] = true;
+                    }
+                });
+
+                const type = createCustomPropType(name.trim());
+                customPropLibrary.register({
+                    type,
+                    name: name.trim(),
+                    format,
+                    data,
+                    scale,
+                    bounds: { width, depth, height },
+                    mass,
+                    friction: Math.min(friction, 1),
+                    interactions
+                });
+
+                selectedPropType = type;
+                if (window.refreshPropCatalogUI) {
+                    window.refreshPropCatalogUI();
+                }
+                console.log(`Imported custom prop ${type}`);
+                alert(`"${name.trim()}" added to the prop catalog. Click "Place Prop" to put it on stage.`);
+            } catch (error) {
+                console.error('Failed to import model:', error);
+                alert(`Failed to import model: ${error.message}`);
+            }
+        };
+        reader.onerror = () => alert('Failed to read file');
+        reader.readAsDataURL(file);
+    });
+
+    fileInput.click();
+}
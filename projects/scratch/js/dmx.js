@@ -0,0 +1,516 @@
+/**
+ * DMX Patch and Bridge Link
+ *
+ * The DMX patch gives rig fixtures a universe, a start address and a
+ * channel layout, the way a console patches real fixtures. The patch is
+ * saved in the scene file as stage.dmx.
+ *
+ * The link connects to server/dmx-bridge.js over WebSocket. In output mode
+ * the patched fixtures' current intensities and colors are sent as DMX
+ * levels, which the bridge puts on the network as Art-Net or sACN. In input
+ * mode the bridge passes DMX from a console back, and the levels drive the
+ * patched fixtures through the lighting desk, so the console runs the
+ * virtual stage. The link runs from animate() via dmxLink.update().
+ */
+
+/**
+ * Channel layouts: the fixture parameter on each channel from the start address
+ * On 'rgb' fixtures the level is mixed into the color channels.
+ */
+const DMX_LAYOUTS = {
+    dimmer: { name: 'Dimmer', channels: ['intensity'] },
+    rgb: { name: 'RGB', channels: ['red', 'green', 'blue'] },
+    'dimmer-rgb': { name: 'Dimmer + RGB', channels: ['intensity', 'red', 'green', 'blue'] }
+};
+
+/**
+ * Layout each fixture type is patched with unless changed
+ */
+const DMX_DEFAULT_LAYOUTS = {
+    spot: 'dimmer',
+    wash: 'dimmer-rgb',
+    par: 'dimmer-rgb',
+    footlight: 'rgb',
+    cyc: 'dimmer-rgb'
+};
+
+/**
+ * Fixture intensity sent as full (255); matches the top of the desk's intensity slider
+ */
+const DMX_FULL_INTENSITY = 3;
+
+/**
+ * Most frames per second sent to the bridge
+ */
+const DMX_OUTPUT_RATE = 30;
+
+class DmxPatch {
+    constructor() {
+        this.entries = new Map(); // fixtureId -> { universe, address, layout }
+        this.listeners = [];
+    }
+
+    /**
+     * Patch a fixture, replacing any earlier patch for it
+     * @param {string} fixtureId
+     * @param {Object} patch - { universe, address, layout }
+     */
+    patch(fixtureId, { universe, address, layout }) {
+        const size = DMX_LAYOUTS[layout].channels.length;
+        if (!Number.isInteger(universe) || universe < 1 || !Number.isInteger(address) || address < 1 || address + size - 1 > 512) {
+            throw new Error(`Address ${universe}/${address} does not fit a ${DMX_LAYOUTS[layout].name} fixture`);
+        }
+        this.entries.set(fixtureId, { universe, address, layout });
+        this.notifyChange();
+    }
+
+    unpatch(fixtureId) {
+        this.entries.delete(fixtureId);
+        this.notifyChange();
+    }
+
+    /**
+     * Fixtures whose channels overlap another patched fixture's
+     * @returns {Set<string>} Fixture IDs
+     */
+    conflicts() {
+        const owners = new Map(); // "universe/channel" -> fixtureId
+        const clashing = new Set();
+        this.entries.forEach((entry, fixtureId) => {
+            DMX_LAYOUTS[entry.layout].channels.forEach((_, offset) => {
+                const key = `${entry.universe}/${entry.address + offset}`;
+                if (owners.has(key)) {
+                    clashing.add(fixtureId);
+                    clashing.add(owners.get(key));
+                } else {
+                    owners.set(key, fixtureId);
+                }
+            });
+        });
+        return clashing;
+    }
+
+    /**
+     * Patch every unpatched rig fixture, in channel order, after the last used address
+     */
+    autoPatch() {
+        let universe = 1;
+        let next = 1;
+        this.entries.forEach(entry => {
+            const end = entry.address + DMX_LAYOUTS[entry.layout].channels.length;
+            if (entry.universe > universe || (entry.universe === universe && end > next)) {
+                universe = entry.universe;
+                next = end;
+            }
+        });
+
+        lightingRig.fixtures
+            .filter(fixture => !this.entries.has(fixture.id))
+            .sort((a, b) => a.channel - b.channel)
+            .forEach(fixture => {
+                const layout = DMX_DEFAULT_LAYOUTS[fixture.type];
+                const size = DMX_LAYOUTS[layout].channels.length;
+                if (next + size - 1 > 512) {
+                    universe++;
+                    next = 1;
+                }
+                this.entries.set(fixture.id, { universe, address: next, layout });
+                next += size;
+            });
+        this.notifyChange();
+    }
+
+    /**
+     * Forget patches of fixtures no longer in the rig
+     */
+    prune() {
+        const before = this.entries.size;
+        Array.from(this.entries.keys())
+            .filter(fixtureId => !lightingRig.get(fixtureId))
+            .forEach(fixtureId => this.entries.delete(fixtureId));
+        if (this.entries.size !== before) {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * DMX levels of every patched universe from the fixtures on stage
+     * @returns {Object} { universe: number[512] }
+     */
+    encode() {
+        const universes = {};
+        this.entries.forEach((entry, fixtureId) => {
+            const fixture = lightingRig.get(fixtureId);
+            if (!fixture) return;
+            if (!universes[entry.universe]) {
+                universes[entry.universe] = new Array(512).fill(0);
+            }
+
+            const light = fixture.light;
+            const level = Math.min(Math.max(light.intensity / DMX_FULL_INTENSITY, 0), 1);
+            const hasDimmer = DMX_LAYOUTS[entry.layout].channels.includes('intensity');
+            const colorScale = hasDimmer ? 1 : level;
+            const values = {
+                intensity: level,
+                red: light.color.r * colorScale,
+                green: light.color.g * colorScale,
+                blue: light.color.b * colorScale
+            };
+            DMX_LAYOUTS[entry.layout].channels.forEach((parameter, offset) => {
+                universes[entry.universe][entry.address - 1 + offset] = Math.round(Math.min(values[parameter], 1) * 255);
+            });
+        });
+        return universes;
+    }
+
+    /**
+     * Set the fixtures patched in a universe from incoming DMX levels
+     * @param {number} universe
+     * @param {number[]} data - 512 levels
+     */
+    decode(universe, data) {
+        this.entries.forEach((entry, fixtureId) => {
+            const fixture = lightingRig.get(fixtureId);
+            if (!fixture || entry.universe !== universe) return;
+
+            const values = {};
+            DMX_LAYOUTS[entry.layout].channels.forEach((parameter, offset) => {
+                values[parameter] = (data[entry.address - 1 + offset] || 0) / 255;
+            });
+
+            const changes = {};
+            if (values.red !== undefined) {
+                const brightest = Math.max(values.red, values.green, values.blue);
+                if (values.intensity === undefined) {
+                    // Level is carried in the color channels
+                    changes.intensity = brightest * DMX_FULL_INTENSITY;
+                    if (brightest > 0) {
+                        changes.color = `#${new THREE.Color(values.red / brightest, values.green / brightest, values.blue / brightest).getHexString()}`;
+                    }
+                } else {
+                    changes.color = `#${new THREE.Color(values.red, values.green, values.blue).getHexString()}`;
+                }
+                if (changes.color) {
+                    changes.gel = null;
+                }
+            }
+            if (values.intensity !== undefined) {
+                changes.intensity = values.intensity * DMX_FULL_INTENSITY;
+            }
+            lightingDesk.setFixture(fixture.light, changes);
+        });
+    }
+
+    /**
+     * Restore the patch from a scene file
+     * @param {Object} data - stage.dmx; without it the rig is auto-patched
+     */
+    load(data) {
+        this.entries.clear();
+        if (!data) {
+            this.autoPatch();
+            return;
+        }
+        (data.patch || []).forEach(entry => {
+            this.entries.set(entry.fixtureId, { universe: entry.universe, address: entry.address, layout: entry.layout });
+        });
+        this.prune();
+        this.notifyChange();
+    }
+
+    serialize() {
+        return {
+            patch: Array.from(this.entries.entries()).map(([fixtureId, entry]) => ({ fixtureId, ...entry }))
+        };
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+class DmxLink {
+    constructor() {
+        this.ws = null;
+        this.connected = false;
+        this.mode = 'off'; // 'off', 'output' or 'input'
+        this.bridgeInfo = null; // { protocol, input } from the bridge
+        this.lastSent = 0;
+        this.lastFrame = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Connect to the DMX bridge
+     * @param {string} serverUrl - e.g. ws://localhost:8081
+     */
+    connect(serverUrl) {
+        return new Promise((resolve, reject) => {
+            this.disconnect();
+            try {
+                this.ws = new WebSocket(serverUrl);
+
+                this.ws.onopen = () => {
+                    console.log('Connected to DMX bridge');
+                    this.connected = true;
+                    this.lastFrame = null;
+                    this.notifyChange();
+                    resolve();
+                };
+
+                this.ws.onmessage = (event) => {
+                    this.handleMessage(event.data);
+                };
+
+                this.ws.onerror = (error) => {
+                    console.error('DMX bridge error:', error);
+                    reject(error);
+                };
+
+                this.ws.onclose = () => {
+                    console.log('Disconnected from DMX bridge');
+                    this.connected = false;
+                    this.bridgeInfo = null;
+                    this.notifyChange();
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    disconnect() {
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+            this.ws = null;
+        }
+        this.connected = false;
+        this.bridgeInfo = null;
+        this.notifyChange();
+    }
+
+    handleMessage(message) {
+        try {
+            const data = JSON.parse(message);
+
+            switch (data.type) {
+                case 'dmx_bridge':
+                    this.bridgeInfo = { protocol: data.protocol, input: data.input };
+                    this.notifyChange();
+                    break;
+                case 'dmx_input':
+                    if (this.mode === 'input') {
+                        dmxPatch.decode(data.universe, data.data);
+                    }
+                    break;
+                default:
+                    console.warn('Unknown DMX bridge message:', data.type);
+            }
+        } catch (error) {
+            console.error('Error handling DMX bridge message:', error);
+        }
+    }
+
+    /**
+     * Switch between sending the stage's levels, taking levels from a console, or neither
+     */
+    setMode(mode) {
+        if (this.mode === 'output' && mode !== 'output') {
+            this.send({ type: 'dmx_release' });
+        }
+        this.mode = mode;
+        this.lastFrame = null;
+        this.notifyChange();
+    }
+
+    send(message) {
+        if (this.connected && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Send the current levels when they changed; called every frame
+     * @param {number} now - Timestamp from performance.now()
+     */
+    update(now = performance.now()) {
+        if (!this.connected || this.mode !== 'output' || now - this.lastSent < 1000 / DMX_OUTPUT_RATE) return;
+
+        const universes = dmxPatch.encode();
+        const frame = JSON.stringify(universes);
+        if (frame === this.lastFrame) return;
+
+        this.lastFrame = frame;
+        this.lastSent = now;
+        this.send({ type: 'dmx_frame', universes });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+const dmxPatch = new DmxPatch();
+const dmxLink = new DmxLink();
+
+// Struck fixtures lose their patch
+lightingRig.onChange(() => dmxPatch.prune());
+
+/**
+ * Build the DMX section of the control panel
+ * @returns {HTMLElement}
+ */
+function createDmxUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>DMX</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const status = document.createElement('div');
+    status.style.cssText = 'font-size: 11px; margin: 5px 0; color: #aaa;';
+    container.appendChild(status);
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+
+    const connectButton = document.createElement('button');
+    connectButton.style.cssText = buttonStyle;
+    connectButton.addEventListener('click', () => {
+        if (dmxLink.connected) {
+            dmxLink.disconnect();
+            return;
+        }
+        const url = prompt('DMX bridge address:', 'ws://localhost:8081');
+        if (!url) return;
+        dmxLink.connect(url).catch(() => {
+            alert('Could not connect to the DMX bridge. Start it with: npm run dmx');
+        });
+    });
+    container.appendChild(connectButton);
+
+    const modeSelect = document.createElement('select');
+    modeSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
+    modeSelect.innerHTML = `
+        <option value="off">Off</option>
+        <option value="output">Output to network</option>
+        <option value="input">Input from console</option>
+    `;
+    modeSelect.addEventListener('change', () => dmxLink.setMode(modeSelect.value));
+    container.appendChild(modeSelect);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 150px; overflow-y: auto; width: 300px; font-size: 12px;';
+    container.appendChild(list);
+
+    const layoutSelect = document.createElement('select');
+    layoutSelect.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px; width: 120px;';
+    Object.entries(DMX_LAYOUTS).forEach(([key, layout]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = `${layout.name} (${layout.channels.length}ch)`;
+        layoutSelect.appendChild(option);
+    });
+    container.appendChild(layoutSelect);
+
+    let selectedId = null;
+
+    const patchButton = document.createElement('button');
+    patchButton.textContent = 'Patch';
+    patchButton.title = 'Set the universe, address and layout of the selected fixture';
+    patchButton.style.cssText = buttonStyle;
+    patchButton.addEventListener('click', () => {
+        const fixture = lightingRig.get(selectedId);
+        if (!fixture) {
+            alert('Select a fixture in the list first');
+            return;
+        }
+        const current = dmxPatch.entries.get(fixture.id);
+        const input = prompt(`Universe/address for ${fixture.label}:`, current ? `${current.universe}/${current.address}` : '1/1');
+        if (input === null) return;
+        const [universe, address] = input.split('/').map(value => parseInt(value, 10));
+        try {
+            dmxPatch.patch(fixture.id, { universe, address, layout: layoutSelect.value });
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+    container.appendChild(patchButton);
+
+    const autoButton = document.createElement('button');
+    autoButton.textContent = 'Auto Patch';
+    autoButton.title = 'Patch every unpatched fixture after the last used address';
+    autoButton.style.cssText = buttonStyle;
+    autoButton.addEventListener('click', () => dmxPatch.autoPatch());
+    container.appendChild(autoButton);
+
+    function refresh() {
+        if (dmxLink.connected) {
+            const protocol = dmxLink.bridgeInfo ? dmxLink.bridgeInfo.protocol === 'sacn' ? 'sACN' : 'Art-Net' : 'bridge';
+            status.textContent = `Connected (${protocol})` +
+                (dmxLink.mode === 'input' && dmxLink.bridgeInfo && !dmxLink.bridgeInfo.input ? ' - start the bridge with --input' : '');
+        } else {
+            status.textContent = 'Not connected';
+        }
+        connectButton.textContent = dmxLink.connected ? 'Disconnect' : 'Connect Bridge';
+        modeSelect.value = dmxLink.mode;
+
+        list.innerHTML = '';
+        const conflicts = dmxPatch.conflicts();
+        lightingRig.fixtures
+            .slice()
+            .sort((a, b) => a.channel - b.channel)
+            .forEach(fixture => {
+                const entry = dmxPatch.entries.get(fixture.id);
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0; padding: 2px 4px; cursor: pointer;' +
+                    (fixture.id === selectedId ? ' background: rgba(255, 255, 255, 0.2);' : '') +
+                    (conflicts.has(fixture.id) ? ' color: #ff6666;' : '');
+
+                const text = document.createElement('div');
+                text.style.cssText = 'flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+                text.textContent = entry
+                    ? `${fixture.channel}  ${fixture.label} → ${entry.universe}/${entry.address} ${DMX_LAYOUTS[entry.layout].name}`
+                    : `${fixture.channel}  ${fixture.label} (unpatched)`;
+                if (conflicts.has(fixture.id)) {
+                    text.title = 'Overlaps another fixture';
+                }
+                row.appendChild(text);
+
+                if (entry) {
+                    const unpatchButton = document.createElement('button');
+                    unpatchButton.textContent = '✕';
+                    unpatchButton.title = 'Unpatch';
+                    unpatchButton.style.cssText = 'padding: 0 4px; cursor: pointer;';
+                    unpatchButton.addEventListener('click', (event) => {
+                        event.stopPropagation();
+                        dmxPatch.unpatch(fixture.id);
+                    });
+                    row.appendChild(unpatchButton);
+                }
+
+                row.addEventListener('click', () => {
+                    selectedId = fixture.id;
+                    layoutSelect.value = entry ? entry.layout : DMX_DEFAULT_LAYOUTS[fixture.type];
+                    refresh();
+                });
+                list.appendChild(row);
+            });
+    }
+
+    dmxPatch.onChange(refresh);
+    dmxLink.onChange(refresh);
+    lightingRig.onChange(refresh);
+    refresh();
+
+    return container;
+}
@@ -0,0 +1,566 @@
+/**
+ * Fly System
+ *
+ * The fly rail: linesets hung across the stage at depths upstage of the
+ * plaster line (the downstage edge of the deck), each flying one piece of
+ * scenery - a drop, a border, a pair of legs or a hung prop - up and down
+ * between its in trim and out trim. A trim is the height of the piece's
+ * bottom edge above the stage floor.
+ *
+ * Linesets are numbered from downstage, like a real fly rail, so numbers
+ * change as linesets are hung; cues keep to a lineset by its id. Flying runs
+ * at each lineset's speed in units per second; a piece flying in stops
+ * above any actor, prop, platform or wagon standing under it rather than
+ * passing through.
+ *
+ * Flying from the control panel goes through the command manager as
+ * StageElementCommand('lineset', { lineset }, ...) so it can be undone. The
+ * rail is saved in the scene file as stage.fly.
+ */
+
+/**
+ * Pieces a lineset can fly, with their default size and trims
+ * Legs hang in a pair, each `width` wide, centred `x` either side of centre.
+ */
+const FLY_PIECE_KINDS = {
+    drop: { name: 'Drop', width: 22, height: 12, x: 0, inTrim: 0, color: '#34495e' },
+    border: { name: 'Border', width: 24, height: 3, x: 0, inTrim: 9, color: '#111111' },
+    leg: { name: 'Legs', width: 3, height: 12, x: 10.5, inTrim: 0, color: '#111111' },
+    prop: { name: 'Hung Prop', width: 2, height: 3, x: 0, inTrim: 6, color: '#d4af37' }
+};
+
+/**
+ * Height of the grid the linesets hang from; a piece's top can go no higher
+ */
+const FLY_GRID_HEIGHT = 30;
+
+/**
+ * Trim a new lineset is flown out to
+ */
+const FLY_DEFAULT_OUT_TRIM = 16;
+
+/**
+ * Flying speed of a lineset unless set otherwise, in units per second
+ */
+const FLY_DEFAULT_SPEED = 2;
+
+/**
+ * Allowed lineset values; trims are limited by the piece's height instead
+ */
+const FLY_LIMITS = {
+    depth: { min: 0.5, max: 15 },
+    x: { min: -12, max: 12 },
+    width: { min: 0.5, max: 30 },
+    height: { min: 0.5, max: 15 },
+    speed: { min: 0.1, max: 10 }
+};
+
+/**
+ * The fly rail every stage starts with, and that scenes saved before the
+ * fly system existed load with
+ */
+const DEFAULT_FLY_RAIL = [];
+
+// How close to its footprint something has to be to stop a piece flying in
+const FLY_PIECE_THICKNESS = 0.2;
+
+class FlySystem {
+    constructor() {
+        this.linesets = []; // { id, number, label, kind, depth, x, width, height, inTrim, outTrim, speed, color, trim, targetTrim, moving, group }
+        this.nextLinesetId = 1;
+        this.scene = null;
+        this.listeners = [];
+    }
+
+    attach(targetScene) {
+        this.scene = targetScene;
+    }
+
+    get(id) {
+        return this.linesets.find(lineset => lineset.id === id);
+    }
+
+    /**
+     * Hang a lineset
+     * @param {Object} def - { kind, depth } plus any of { id, label, x, width, height, inTrim, outTrim, speed, color, trim }
+     * @returns {Object} The lineset
+     * @throws {Error} If a value is out of range
+     */
+    add(def) {
+        const kind = FLY_PIECE_KINDS[def.kind];
+        if (!kind) {
+            throw new Error(`Unknown fly piece ${def.kind}`);
+        }
+        const id = def.id || `lineset_${this.nextLinesetId}`;
+        const number = parseInt(id.replace('lineset_', ''), 10);
+        if (Number.isFinite(number)) {
+            this.nextLinesetId = Math.max(this.nextLinesetId, number + 1);
+        }
+        const lineset = {
+            id,
+            label: def.label || kind.name,
+            kind: def.kind,
+            depth: def.depth,
+            x: def.x !== undefined ? def.x : kind.x,
+            width: def.width || kind.width,
+            height: def.height || kind.height,
+            inTrim: def.inTrim !== undefined ? def.inTrim : kind.inTrim,
+            outTrim: def.outTrim !== undefined ? def.outTrim : FLY_DEFAULT_OUT_TRIM,
+            speed: def.speed || FLY_DEFAULT_SPEED,
+            color: def.color || kind.color,
+            moving: false,
+            group: null
+        };
+        this.check(lineset);
+        lineset.trim = def.trim !== undefined ? this.clampTrim(lineset, def.trim) : lineset.outTrim;
+        lineset.targetTrim = lineset.trim;
+
+        this.linesets.push(lineset);
+        this.build(lineset);
+        this.renumber();
+        this.notifyChange();
+        return lineset;
+    }
+
+    /**
+     * Take a lineset off the rail
+     */
+    remove(lineset) {
+        if (lineset.group) {
+            this.scene.remove(lineset.group);
+        }
+        this.linesets = this.linesets.filter(other => other !== lineset);
+        this.renumber();
+        this.notifyChange();
+    }
+
+    /**
+     * Re-hang, resize or re-trim a lineset
+     * @param {Object} lineset
+     * @param {Object} changes - Any of { label, kind, depth, x, width, height, inTrim, outTrim, speed, color }
+     * @throws {Error} If a value is out of range; the lineset is left as it was
+     */
+    update(lineset, changes) {
+        const updated = { ...lineset, ...changes };
+        this.check(updated);
+        Object.assign(lineset, changes);
+        lineset.trim = this.clampTrim(lineset, lineset.trim);
+        lineset.targetTrim = this.clampTrim(lineset, lineset.targetTrim);
+        this.build(lineset);
+        this.renumber();
+        this.notifyChange();
+    }
+
+    /**
+     * Check a lineset's values against FLY_LIMITS and its trims against the grid
+     */
+    check(lineset) {
+        if (!FLY_PIECE_KINDS[lineset.kind]) {
+            throw new Error(`Unknown fly piece ${lineset.kind}`);
+        }
+        Object.entries(FLY_LIMITS).forEach(([key, limits]) => {
+            const value = lineset[key];
+            if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+                throw new Error(`Lineset ${key} must be ${limits.min} to ${limits.max}`);
+            }
+        });
+        const highest = FLY_GRID_HEIGHT - lineset.height;
+        ['inTrim', 'outTrim'].forEach(key => {
+            const value = lineset[key];
+            if (!Number.isFinite(value) || value < 0 || value > highest) {
+                throw new Error(`A ${lineset.height} high piece trims from 0 to ${highest}`);
+            }
+        });
+        if (lineset.inTrim > lineset.outTrim) {
+            throw new Error('The in trim must be below the out trim');
+        }
+    }
+
+    clampTrim(lineset, trim) {
+        return Math.min(Math.max(trim, 0), FLY_GRID_HEIGHT - lineset.height);
+    }
+
+    /**
+     * (Re)build the piece a lineset flies and hang it at its trim
+     */
+    build(lineset) {
+        if (lineset.group) {
+            this.scene.remove(lineset.group);
+        }
+        lineset.group = createFlyPiece(lineset);
+        this.scene.add(lineset.group);
+        this.place(lineset, lineset.trim);
+    }
+
+    // Keep numbers and names in step with depth, downstage first
+    renumber() {
+        this.linesets.sort((a, b) => a.depth - b.depth);
+        this.linesets.forEach((lineset, index) => {
+            lineset.number = index + 1;
+            lineset.group.name = `Lineset ${lineset.number} ${lineset.label}`;
+        });
+    }
+
+    /**
+     * Start flying a lineset to a trim
+     */
+    fly(lineset, trim) {
+        lineset.targetTrim = this.clampTrim(lineset, trim);
+        lineset.moving = lineset.targetTrim !== lineset.trim;
+    }
+
+    /**
+     * Lowest the piece can come in without landing on something standing under it
+     */
+    lowestTrim(lineset) {
+        const z = flyLinesetZ(lineset);
+        const spans = flyPieceSpans(lineset);
+        const box = new THREE.Box3();
+        let lowest = 0;
+        [...actors, ...props, ...moveablePlatforms, ...wagons].forEach(obj => {
+            if (!obj.visible || obj.userData.hidden) return;
+            box.setFromObject(obj);
+            if (box.isEmpty() || box.max.z < z - FLY_PIECE_THICKNESS || box.min.z > z + FLY_PIECE_THICKNESS) return;
+            if (spans.some(([left, right]) => box.max.x > left && box.min.x < right)) {
+                lowest = Math.max(lowest, box.max.y);
+            }
+        });
+        return lowest;
+    }
+
+    /**
+     * Hang a lineset's piece at a trim, stopping short of anything under it
+     * @returns {boolean} False if something under the piece stopped it
+     */
+    place(lineset, trim) {
+        let clear = true;
+        if (trim < lineset.trim) {
+            const lowest = this.lowestTrim(lineset);
+            if (trim < lowest) {
+                trim = Math.min(lineset.trim, lowest);
+                clear = false;
+            }
+        }
+        lineset.trim = trim;
+        lineset.group.position.y = trim;
+        return clear;
+    }
+
+    /**
+     * Fly every moving lineset on towards its trim; called every frame
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateFlying(delta) {
+        this.linesets.forEach(lineset => {
+            if (!lineset.moving) return;
+            const diff = lineset.targetTrim - lineset.trim;
+            const step = lineset.speed * delta;
+            const trim = Math.abs(diff) <= step ? lineset.targetTrim : lineset.trim + Math.sign(diff) * step;
+            if (!this.place(lineset, trim)) {
+                lineset.moving = false;
+                lineset.targetTrim = lineset.trim;
+                console.log(`Lineset ${lineset.number} stopped above something in its way`);
+            } else if (trim === lineset.targetTrim) {
+                lineset.moving = false;
+            }
+        });
+    }
+
+    /**
+     * Replace the whole rail, e.g. when a scene is loaded
+     * @param {Object[]} rail - Entries from stage.fly
+     */
+    load(rail) {
+        this.linesets.forEach(lineset => this.scene.remove(lineset.group));
+        this.linesets = [];
+        this.nextLinesetId = 1;
+        rail.forEach(def => {
+            try {
+                this.add(def);
+            } catch (error) {
+                console.warn(`Skipping lineset "${def.label}":`, error.message);
+            }
+        });
+        this.notifyChange();
+    }
+
+    serialize() {
+        return this.linesets.map(lineset => ({
+            id: lineset.id,
+            label: lineset.label,
+            kind: lineset.kind,
+            depth: lineset.depth,
+            x: lineset.x,
+            width: lineset.width,
+            height: lineset.height,
+            inTrim: lineset.inTrim,
+            outTrim: lineset.outTrim,
+            speed: lineset.speed,
+            color: lineset.color,
+            trim: lineset.trim
+        }));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+/**
+ * z of a lineset on the stage; depths are measured upstage from the venue's plaster line
+ */
+function flyLinesetZ(lineset) {
+    return venue.plasterLineZ() - lineset.depth;
+}
+
+/**
+ * Left and right edges of each part of a lineset's piece
+ * @returns {Array<[number, number]>}
+ */
+function flyPieceSpans(lineset) {
+    const half = lineset.width / 2;
+    if (lineset.kind === 'leg') {
+        return [[-lineset.x - half, -lineset.x + half], [lineset.x - half, lineset.x + half]];
+    }
+    return [[lineset.x - half, lineset.x + half]];
+}
+
+/**
+ * The piece a lineset flies, with its batten; the group's origin is the
+ * bottom edge of the piece, so its y is the trim
+ */
+function createFlyPiece(lineset) {
+    const group = new THREE.Group();
+    const material = new THREE.MeshPhongMaterial({ color: lineset.color, side: THREE.DoubleSide, shininess: 10 });
+    const spans = flyPieceSpans(lineset);
+
+    if (lineset.kind === 'prop') {
+        // A chandelier: a chain down to a bowl of lights
+        const chain = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, lineset.height, 6), material);
+        chain.position.set(lineset.x, lineset.height / 2, 0);
+        group.add(chain);
+        const bowl = new THREE.Mesh(new THREE.ConeGeometry(lineset.width / 2, Math.min(lineset.height, lineset.width) / 2, 16), material);
+        bowl.rotation.x = Math.PI;
+        bowl.position.set(lineset.x, Math.min(lineset.height, lineset.width) / 4, 0);
+        bowl.castShadow = true;
+        group.add(bowl);
+    } else {
+        spans.forEach(([left, right]) => {
+            const cloth = new THREE.Mesh(new THREE.PlaneGeometry(right - left, lineset.height), material);
+            cloth.position.set((left + right) / 2, lineset.height / 2, 0);
+            cloth.castShadow = true;
+            cloth.receiveShadow = true;
+            group.add(cloth);
+        });
+    }
+
+    // The batten runs the width of the piece and a little past it
+    const reach = Math.max(...spans.map(([left, right]) => Math.max(Math.abs(left), Math.abs(right)))) + 0.5;
+    const batten = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.05, 0.05, reach * 2, 8),
+        new THREE.MeshPhongMaterial({ color: 0x333333 })
+    );
+    batten.rotation.z = Math.PI / 2;
+    batten.position.y = lineset.height + 0.05;
+    group.add(batten);
+
+    group.position.z = flyLinesetZ(lineset);
+    group.userData = { type: 'lineset' };
+    return group;
+}
+
+const flySystem = new FlySystem();
+
+/**
+ * Fly a lineset in, out or to a trim, as an undoable command
+ * @param {number} index - Lineset index in flySystem.linesets
+ * @param {string|number} trim - 'in', 'out' or a trim height
+ * @throws {Error} If there is no such lineset or the trim is out of range
+ */
+function flyLineset(index, trim) {
+    const lineset = flySystem.linesets[index];
+    if (!lineset) {
+        throw new Error(`There is no lineset ${index + 1}`);
+    }
+    const target = trim === 'in' ? lineset.inTrim : trim === 'out' ? lineset.outTrim : trim;
+    const highest = FLY_GRID_HEIGHT - lineset.height;
+    if (!Number.isFinite(target) || target < 0 || target > highest) {
+        throw new Error(`Lineset ${lineset.number} trims from 0 to ${highest}`);
+    }
+
+    commandManager.executeCommand(new StageElementCommand('lineset', { lineset }, { trim: target }, { trim: lineset.trim }));
+    if (window.updateUndoRedoButtons) {
+        window.updateUndoRedoButtons();
+    }
+}
+
+/**
+ * Build the Fly Rail section of the control panel
+ * @returns {HTMLElement}
+ */
+function createFlySystemUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Fly Rail</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 150px; overflow-y: auto; width: 300px; font-size: 12px;';
+    container.appendChild(list);
+
+    let selected = null;
+
+    const kindSelect = document.createElement('select');
+    kindSelect.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px; width: 120px;';
+    kindSelect.innerHTML = Object.entries(FLY_PIECE_KINDS)
+        .map(([key, kind]) => `<option value="${key}">${kind.name}</option>`).join('');
+    container.appendChild(kindSelect);
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+    const addButton = (text, title, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.style.cssText = buttonStyle;
+        button.addEventListener('click', onClick);
+        container.appendChild(button);
+    };
+
+    addButton('Hang', 'Hang the chosen piece on a new lineset upstage of the others', () => {
+        const last = flySystem.linesets[flySystem.linesets.length - 1];
+        const depth = last ? Math.min(last.depth + 1, FLY_LIMITS.depth.max) : 1;
+        try {
+            selected = flySystem.add({ kind: kindSelect.value, depth });
+        } catch (error) {
+            alert(error.message);
+        }
+        refresh();
+    });
+    container.appendChild(document.createElement('br'));
+
+    const flyTo = (trim) => {
+        if (!selected) {
+            alert('Select a lineset in the list first');
+            return;
+        }
+        try {
+            flyLineset(flySystem.linesets.indexOf(selected), trim);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+    addButton('Fly In', 'Fly the selected lineset in to its in trim (undoable)', () => flyTo('in'));
+    addButton('Fly Out', 'Fly the selected lineset out to its out trim (undoable)', () => flyTo('out'));
+
+    // Values of the selected lineset
+    const fieldCaptions = {
+        label: 'Label', depth: 'Depth', x: 'X', width: 'Width', height: 'Height',
+        inTrim: 'In trim', outTrim: 'Out trim', speed: 'Speed (/s)', color: 'Color'
+    };
+    const fields = {};
+    Object.entries(fieldCaptions).forEach(([key, caption]) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+        const text = document.createElement('span');
+        text.style.cssText = 'width: 70px;';
+        text.textContent = caption;
+        row.appendChild(text);
+        const input = document.createElement('input');
+        input.type = key === 'label' ? 'text' : key === 'color' ? 'color' : 'number';
+        input.step = '0.25';
+        input.style.cssText = key === 'label' ? 'width: 120px;' : 'width: 60px;';
+        input.addEventListener('change', () => {
+            if (!selected) return;
+            let value = input.value;
+            if (input.type === 'number') {
+                value = parseFloat(value);
+            } else if (key === 'label') {
+                value = value.trim() || selected.label;
+            }
+            try {
+                flySystem.update(selected, { [key]: value });
+            } catch (error) {
+                alert(error.message);
+                refresh();
+            }
+        });
+        row.appendChild(input);
+        container.appendChild(row);
+        fields[key] = { row, input };
+    });
+
+    // Where every lineset is
+    const readout = document.createElement('div');
+    readout.style.cssText = 'font-size: 11px; margin: 5px 0; color: #aaa; font-family: monospace; white-space: pre;';
+    container.appendChild(readout);
+
+    function refresh() {
+        if (selected && !flySystem.linesets.includes(selected)) {
+            selected = null;
+        }
+        Object.entries(fields).forEach(([key, field]) => {
+            field.row.style.display = selected ? 'flex' : 'none';
+            if (selected) {
+                field.input.value = typeof selected[key] === 'number' ? String(+selected[key].toFixed(2)) : selected[key];
+            }
+        });
+
+        list.innerHTML = '';
+        flySystem.linesets.forEach(lineset => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0; padding: 2px 4px; cursor: pointer;' +
+                (lineset === selected ? ' background: rgba(255, 255, 255, 0.2);' : '');
+
+            const text = document.createElement('div');
+            text.style.cssText = 'flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+            text.textContent = `${lineset.number}  ${lineset.label} · ${FLY_PIECE_KINDS[lineset.kind].name} @ ${lineset.depth}`;
+            row.appendChild(text);
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '✕';
+            removeButton.title = 'Take the lineset off the rail';
+            removeButton.style.cssText = 'padding: 0 4px; cursor: pointer;';
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (confirm(`Take lineset ${lineset.number} (${lineset.label}) off the rail?`)) {
+                    flySystem.remove(lineset);
+                }
+            });
+            row.appendChild(removeButton);
+
+            row.addEventListener('click', () => {
+                selected = lineset;
+                kindSelect.value = lineset.kind;
+                refresh();
+            });
+            list.appendChild(row);
+        });
+    }
+
+    let lastReadout = '';
+    window.refreshFlyReadout = () => {
+        const text = flySystem.linesets.map(lineset => {
+            const state = lineset.moving ? `→ ${lineset.targetTrim.toFixed(2)}`
+                : lineset.trim === lineset.inTrim ? '(in)'
+                : lineset.trim === lineset.outTrim ? '(out)' : '';
+            return `${lineset.number} ${lineset.label}: ${lineset.trim.toFixed(2)} ${state}`.trimEnd();
+        }).join('\n');
+        // Only touch the DOM when something changed; this runs every frame
+        if (text !== lastReadout) {
+            readout.textContent = text;
+            lastReadout = text;
+        }
+    };
+
+    flySystem.onChange(refresh);
+    refresh();
+    window.refreshFlyReadout();
+
+    return container;
+}
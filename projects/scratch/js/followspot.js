@@ -0,0 +1,247 @@
+/**
+ * Followspot
+ *
+ * A front-of-house spotlight whose focus follows an actor. The actor is the
+ * selected one, or the next one clicked in the 'followspot-actor' placement
+ * mode, which ends with that click like select-actor. The
+ * operator controls mirror a real followspot:
+ * - lag: how far the beam trails a moving actor (seconds to close most of the gap)
+ * - iris: beam size in degrees
+ * - level and fade time: pick up fades the beam in to the level, fade out takes it to black
+ *
+ * The followspot is not one of the lightingFixtures, so presets, looks and
+ * cues leave it alone. Its assignment and settings are saved in the scene as
+ * stage.lighting.followspot. The beam is advanced from animate() via
+ * followspot.update().
+ */
+
+/**
+ * Default followspot settings
+ */
+const FOLLOWSPOT_DEFAULTS = {
+    actorId: null,
+    on: false,
+    lag: 0.3,      // Seconds
+    iris: 8,       // Beam angle in degrees
+    level: 2,      // Intensity when picked up
+    fadeTime: 1    // Seconds for pickup and fade out
+};
+
+/**
+ * Height above an actor's feet the beam is aimed at
+ */
+const FOLLOWSPOT_AIM_HEIGHT = 1.2;
+
+class Followspot {
+    constructor() {
+        this.settings = { ...FOLLOWSPOT_DEFAULTS };
+        this.light = null;
+        this.lastFrame = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Create the light at the back of the house and add it to the scene
+     */
+    attach(targetScene) {
+        this.light = new THREE.SpotLight(0xfff4e0, 0);
+        this.light.name = 'Followspot';
+        this.light.position.set(0, 14, 22);
+        this.light.angle = THREE.MathUtils.degToRad(this.settings.iris);
+        this.light.penumbra = 0.15;
+        this.light.target.position.set(0, 0, 0);
+        targetScene.add(this.light);
+        targetScene.add(this.light.target);
+    }
+
+    get actor() {
+        return this.settings.actorId
+            ? actors.find(actor => actor.userData.id === this.settings.actorId) || null
+            : null;
+    }
+
+    /**
+     * Follow an actor; the beam swings to them at the lag speed
+     * @param {THREE.Group|null} actor
+     */
+    assign(actor) {
+        this.settings.actorId = actor ? actor.userData.id : null;
+        this.notifyChange();
+    }
+
+    pickUp() {
+        this.settings.on = true;
+        this.notifyChange();
+    }
+
+    fadeOut() {
+        this.settings.on = false;
+        this.notifyChange();
+    }
+
+    /**
+     * Change lag, iris, level or fade time
+     */
+    configure(changes) {
+        Object.assign(this.settings, changes);
+        this.light.angle = THREE.MathUtils.degToRad(this.settings.iris);
+        this.notifyChange();
+    }
+
+    /**
+     * Move the beam toward its actor and the intensity toward its level; called every frame
+     * @param {number} now - Timestamp from performance.now()
+     */
+    update(now = performance.now()) {
+        const elapsed = this.lastFrame === null ? 0 : Math.min((now - this.lastFrame) / 1000, 0.1);
+        this.lastFrame = now;
+        const { lag, level, fadeTime, on } = this.settings;
+
+        const actor = this.actor;
+        if (actor) {
+            const aim = this.light.target.position;
+            const goalY = actor.position.y + FOLLOWSPOT_AIM_HEIGHT;
+            // Exponential approach, so the trail is the same at any frame rate
+            const follow = lag > 0 ? 1 - Math.exp(-elapsed / lag) : 1;
+            aim.x += (actor.position.x - aim.x) * follow;
+            aim.y += (goalY - aim.y) * follow;
+            aim.z += (actor.position.z - aim.z) * follow;
+        }
+
+        // Nobody to follow means nothing to light
+        const goal = on && actor ? level : 0;
+        const step = fadeTime > 0 ? (level / fadeTime) * elapsed : Infinity;
+        const diff = goal - this.light.intensity;
+        this.light.intensity = Math.abs(diff) <= step ? goal : this.light.intensity + Math.sign(diff) * step;
+    }
+
+    /**
+     * Restore the followspot from a scene file, snapping the beam onto its actor
+     * @param {Object} data - stage.lighting.followspot
+     */
+    load(data = {}) {
+        this.settings = { ...FOLLOWSPOT_DEFAULTS, ...data };
+        this.light.angle = THREE.MathUtils.degToRad(this.settings.iris);
+
+        const actor = this.actor;
+        if (actor) {
+            this.light.target.position.set(actor.position.x, actor.position.y + FOLLOWSPOT_AIM_HEIGHT, actor.position.z);
+        }
+        this.light.intensity = this.settings.on && actor ? this.settings.level : 0;
+        this.notifyChange();
+    }
+
+    serialize() {
+        return { ...this.settings };
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+const followspot = new Followspot();
+
+/**
+ * Build the Followspot section of the control panel
+ * Must run after setupUI has defined window.setSelectedActor.
+ * @returns {HTMLElement}
+ */
+function createFollowspotUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Followspot</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const status = document.createElement('div');
+    status.style.cssText = 'font-size: 11px; margin: 5px 0; color: #aaa;';
+    container.appendChild(status);
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+
+    const assignButton = document.createElement('button');
+    assignButton.textContent = 'Assign Actor';
+    assignButton.title = 'Follow the selected actor, or click an actor to pick one';
+    assignButton.style.cssText = buttonStyle;
+    assignButton.addEventListener('click', (event) => {
+        if (window.selectedActor && actors.includes(window.selectedActor)) {
+            followspot.assign(window.selectedActor);
+            return;
+        }
+        // Keep this click from reaching the stage click handler, which would end the selection
+        event.stopPropagation();
+        placementMode = 'followspot-actor';
+        placementMarker.visible = false;
+        alert('Click on an actor for the followspot to follow');
+    });
+    container.appendChild(assignButton);
+
+    const pickUpButton = document.createElement('button');
+    pickUpButton.style.cssText = buttonStyle;
+    pickUpButton.addEventListener('click', () => {
+        if (followspot.settings.on) {
+            followspot.fadeOut();
+        } else if (!followspot.actor) {
+            alert('Assign an actor first');
+        } else {
+            followspot.pickUp();
+        }
+    });
+    container.appendChild(pickUpButton);
+
+    const releaseButton = document.createElement('button');
+    releaseButton.textContent = 'Release';
+    releaseButton.title = 'Stop following; the beam fades out';
+    releaseButton.style.cssText = buttonStyle;
+    releaseButton.addEventListener('click', () => followspot.assign(null));
+    container.appendChild(releaseButton);
+
+    // Operator settings
+    const sliders = {};
+    [
+        { key: 'lag', text: 'Lag (s)', min: 0, max: 2, step: 0.05 },
+        { key: 'iris', text: 'Iris °', min: 2, max: 30, step: 1 },
+        { key: 'level', text: 'Level', min: 0.5, max: 5, step: 0.1 },
+        { key: 'fadeTime', text: 'Fade (s)', min: 0, max: 5, step: 0.1 }
+    ].forEach(({ key, text, min, max, step }) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+        const caption = document.createElement('span');
+        caption.style.cssText = 'width: 70px;';
+        caption.textContent = text;
+        row.appendChild(caption);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.style.cssText = 'width: 150px;';
+        slider.addEventListener('input', () => followspot.configure({ [key]: parseFloat(slider.value) }));
+        row.appendChild(slider);
+
+        sliders[key] = slider;
+        container.appendChild(row);
+    });
+
+    function refresh() {
+        const actor = followspot.actor;
+        status.textContent = actor
+            ? `Following ${actor.userData.name}${followspot.settings.on ? '' : ' (faded out)'}`
+            : 'No actor assigned';
+        pickUpButton.textContent = followspot.settings.on ? 'Fade Out' : 'Pick Up';
+        Object.entries(sliders).forEach(([key, slider]) => {
+            slider.value = String(followspot.settings[key]);
+        });
+    }
+    followspot.onChange(refresh);
+    refresh();
+
+    return container;
+}
@@ -0,0 +1,116 @@
+/**
+ * Gel Library
+ *
+ * Theatrical color filters referenced by swatch number (e.g. "L179" for
+ * Chrome Orange) and color temperature presets referenced by kelvin
+ * (e.g. "3200K"). Both kinds of reference can be put in a fixture, which
+ * sets its color; the reference is kept in the fixture's lighting state as
+ * `gel` so the desk, looks and cues show which filter is in.
+ */
+
+/**
+ * Swatch book: number, name and the color the filter gives a white source
+ */
+const GEL_LIBRARY = [
+    { number: 'L002', name: 'Rose Pink', color: '#ff6fb0' },
+    { number: 'L024', name: 'Scarlet', color: '#f0304a' },
+    { number: 'L026', name: 'Bright Red', color: '#e0002a' },
+    { number: 'L036', name: 'Medium Pink', color: '#ff9ec0' },
+    { number: 'L058', name: 'Lavender', color: '#b28cff' },
+    { number: 'L079', name: 'Just Blue', color: '#3060ff' },
+    { number: 'L101', name: 'Yellow', color: '#ffe800' },
+    { number: 'L105', name: 'Orange', color: '#ff9a00' },
+    { number: 'L106', name: 'Primary Red', color: '#e8001a' },
+    { number: 'L119', name: 'Dark Blue', color: '#1a2cff' },
+    { number: 'L124', name: 'Dark Green', color: '#00a050' },
+    { number: 'L126', name: 'Mauve', color: '#c000a0' },
+    { number: 'L132', name: 'Medium Blue', color: '#0070ff' },
+    { number: 'L139', name: 'Primary Green', color: '#00a020' },
+    { number: 'L147', name: 'Apricot', color: '#ffb080' },
+    { number: 'L151', name: 'Gold Tint', color: '#ffd0b0' },
+    { number: 'L161', name: 'Slate Blue', color: '#60a0ff' },
+    { number: 'L162', name: 'Bastard Amber', color: '#ffd8b0' },
+    { number: 'L179', name: 'Chrome Orange', color: '#ffb700' },
+    { number: 'L201', name: 'Full CT Blue', color: '#9ec4ff' },
+    { number: 'L203', name: 'Quarter CT Blue', color: '#e0ecff' },
+    { number: 'L204', name: 'Full CT Orange', color: '#ffb470' }
+];
+
+/**
+ * Color temperature presets in kelvin
+ */
+const COLOR_TEMPERATURES = [
+    { kelvin: 1900, name: 'Candlelight' },
+    { kelvin: 2700, name: 'Household Tungsten' },
+    { kelvin: 3200, name: 'Stage Tungsten' },
+    { kelvin: 4100, name: 'Moonlight' },
+    { kelvin: 5600, name: 'Daylight' },
+    { kelvin: 6500, name: 'Overcast Sky' },
+    { kelvin: 8000, name: 'Blue Sky' }
+];
+
+/**
+ * Approximate color of a black body at a temperature
+ * @param {number} kelvin - 1000 to 40000
+ * @returns {string} "#rrggbb"
+ */
+function kelvinToColor(kelvin) {
+    const t = kelvin / 100;
+    const clamp = value => Math.round(Math.min(Math.max(value, 0), 255));
+    const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const g = t <= 66
+        ? 99.4708025861 * Math.log(t) - 161.1195681661
+        : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    return `#${new THREE.Color(clamp(r) / 255, clamp(g) / 255, clamp(b) / 255).getHexString()}`;
+}
+
+/**
+ * Color of a gel number or color temperature ("3200K")
+ * @returns {string|null} "#rrggbb", or null for an unknown reference
+ */
+function gelColor(ref) {
+    if (!ref) return null;
+    const temperature = /^(\d{4,5})K$/.exec(ref);
+    if (temperature) {
+        return kelvinToColor(parseInt(temperature[1], 10));
+    }
+    const gel = GEL_LIBRARY.find(entry => entry.number === ref);
+    return gel ? gel.color : null;
+}
+
+/**
+ * Select listing a no-gel option, the swatch book and the color temperatures
+ * @returns {HTMLSelectElement} Values are "" for no gel, or a gel reference
+ */
+function createGelSelect() {
+    const select = document.createElement('select');
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No gel';
+    select.appendChild(none);
+
+    const gelGroup = document.createElement('optgroup');
+    gelGroup.label = 'Gels';
+    GEL_LIBRARY.forEach(gel => {
+        const option = document.createElement('option');
+        option.value = gel.number;
+        option.textContent = `${gel.number} ${gel.name}`;
+        option.style.cssText = `background: ${gel.color}; color: #000;`;
+        gelGroup.appendChild(option);
+    });
+    select.appendChild(gelGroup);
+
+    const temperatureGroup = document.createElement('optgroup');
+    temperatureGroup.label = 'Color Temperature';
+    COLOR_TEMPERATURES.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = `${preset.kelvin}K`;
+        option.textContent = `${preset.kelvin}K ${preset.name}`;
+        temperatureGroup.appendChild(option);
+    });
+    select.appendChild(temperatureGroup);
+
+    return select;
+}
@@ -0,0 +1,166 @@
+/**
+ * Gobos
+ *
+ * Patterns a spotlight can project: leaves, a window breakup and stars.
+ * three.js r128 spotlights cannot project a texture, so the pattern is
+ * drawn as a decal where the beam lands: a plane with the gobo texture,
+ * tinted with the fixture's color and brightened with its intensity, laid
+ * on the stage floor or the scenery panel the beam hits first. Oblique
+ * beams stretch the decal the way the real projection would.
+ *
+ * The gobo slotted into a fixture is part of the lighting rig
+ * (js/lighting-rig.js), which updates the decals every frame.
+ */
+
+/**
+ * Gobo patterns; draw() paints light (white) and shadow (black) on a square canvas
+ */
+const GOBO_PATTERNS = {
+    leaves: {
+        name: 'Leaves',
+        draw(ctx, size, random) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, size, size);
+            ctx.fillStyle = '#000000';
+            for (let i = 0; i < 60; i++) {
+                ctx.save();
+                ctx.translate(random() * size, random() * size);
+                ctx.rotate(random() * Math.PI);
+                ctx.beginPath();
+                ctx.ellipse(0, 0, size * (0.04 + random() * 0.05), size * (0.015 + random() * 0.02), 0, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+            }
+        }
+    },
+    window: {
+        name: 'Window Breakup',
+        draw(ctx, size) {
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, size, size);
+            ctx.fillStyle = '#ffffff';
+            // Four panes with a cross-shaped mullion between them
+            const pane = size * 0.28;
+            const gap = size * 0.04;
+            const start = size / 2 - pane - gap / 2;
+            [0, 1].forEach(col => {
+                [0, 1].forEach(row => {
+                    ctx.fillRect(start + col * (pane + gap), start + row * (pane + gap), pane, pane);
+                });
+            });
+        }
+    },
+    stars: {
+        name: 'Stars',
+        draw(ctx, size, random) {
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, size, size);
+            ctx.fillStyle = '#ffffff';
+            for (let i = 0; i < 30; i++) {
+                const x = random() * size;
+                const y = random() * size;
+                const outer = size * (0.01 + random() * 0.025);
+                ctx.beginPath();
+                for (let point = 0; point < 10; point++) {
+                    const radius = point % 2 === 0 ? outer : outer * 0.4;
+                    const angle = (point * Math.PI) / 5 - Math.PI / 2;
+                    ctx.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+                }
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+    }
+};
+
+const goboTextures = {};
+
+/**
+ * Texture for a gobo, drawn once and shared by every fixture using it
+ * The pattern is cut to a soft-edged circle like the beam.
+ */
+function getGoboTexture(gobo) {
+    if (!goboTextures[gobo]) {
+        const size = 256;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        // Seeded so a pattern looks the same every time it is drawn
+        let seed = 7;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+        GOBO_PATTERNS[gobo].draw(ctx, size, random);
+
+        ctx.globalCompositeOperation = 'destination-in';
+        const edge = ctx.createRadialGradient(size / 2, size / 2, size * 0.4, size / 2, size / 2, size / 2);
+        edge.addColorStop(0, 'rgba(0, 0, 0, 1)');
+        edge.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.fillStyle = edge;
+        ctx.fillRect(0, 0, size, size);
+
+        goboTextures[gobo] = new THREE.CanvasTexture(canvas);
+    }
+    return goboTextures[gobo];
+}
+
+/**
+ * Decal mesh projecting a gobo; positioned by updateGoboProjection()
+ */
+function createGoboProjection(gobo) {
+    const material = new THREE.MeshBasicMaterial({
+        map: getGoboTexture(gobo),
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -4
+    });
+    const projection = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+    projection.name = `Gobo ${GOBO_PATTERNS[gobo].name}`;
+    projection.userData = { type: 'gobo' };
+    projection.visible = false;
+    return projection;
+}
+
+const goboRaycaster = new THREE.Raycaster();
+
+/**
+ * Lay a fixture's gobo where its beam lands on the stage floor or a scenery panel
+ * @param {THREE.SpotLight} light
+ * @param {THREE.Mesh} projection - From createGoboProjection()
+ */
+function updateGoboProjection(light, projection) {
+    const origin = light.position;
+    const direction = light.target.position.clone().sub(origin).normalize();
+    goboRaycaster.set(origin, direction);
+    const hit = goboRaycaster.intersectObjects([stage, ...sceneryPanels], true).find(result => result.face);
+
+    if (!hit || light.intensity <= 0 || !light.visible) {
+        projection.visible = false;
+        return;
+    }
+
+    const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+    if (normal.dot(direction) > 0) {
+        normal.negate();
+    }
+    projection.position.copy(hit.point).addScaledVector(normal, 0.02);
+    projection.lookAt(hit.point.clone().add(normal));
+
+    // Stretch along the beam's path across the surface for oblique beams
+    const along = direction.clone().addScaledVector(normal, -direction.dot(normal));
+    const facing = Math.max(Math.abs(direction.dot(normal)), 0.2);
+    if (along.lengthSq() > 1e-6) {
+        along.applyQuaternion(projection.quaternion.clone().invert());
+        projection.rotateZ(Math.atan2(along.y, along.x));
+    }
+    const diameter = 2 * hit.distance * Math.tan(light.angle);
+    projection.scale.set(diameter / facing, diameter, 1);
+
+    projection.material.color.copy(light.color).multiplyScalar(Math.min(light.intensity, 2) * 0.5);
+    projection.visible = true;
+}
@@ -0,0 +1,550 @@
+/**
+ * Lighting Desk
+ *
+ * Per-fixture control of the stage lights: intensity and color for every
+ * fixture, plus beam angle, penumbra and focus target for the spotlights.
+ * A lighting state (background, fog and every fixture) can be stored as a
+ * named look. Looks are saved in the scene file and appear in the Lighting
+ * dropdown next to the built-in presets as "look:<name>", so
+ * applyLightingPreset, cues and collaboration handle them like any preset.
+ *
+ * Lighting states are plain JSON: colors are "#rrggbb" strings, angles are
+ * radians and fixtures are keyed by fixture ID (e.g. "fixture_1", or
+ * "ambient" for the ambient light). A fixture's `gel` names the gel or color
+ * temperature from js/gels.js its color came from, or is null for a color
+ * picked by hand.
+ *
+ * The desk also runs timed crossfades between states and the optional
+ * breathing effect on the spotlights. Both are advanced from animate() via
+ * lightingDesk.update(). The effect scales intensities on top of the state,
+ * so captured and saved states always hold the designed intensity.
+ */
+
+/**
+ * Prefix marking a custom look in currentLightingPreset
+ */
+const LIGHTING_LOOK_PREFIX = 'look:';
+
+/**
+ * Default settings of the breathing effect: a slow swell of the spotlights
+ * depth is the fraction intensity swings either way, rate is in radians/second
+ */
+const BREATHING_DEFAULTS = { enabled: false, depth: 0.2, rate: 1 };
+
+class LightingDesk {
+    constructor() {
+        this.looks = new Map(); // look name -> lighting state
+        this.fadeTimes = { up: 2, down: 2 }; // Seconds, used for presets and looks chosen in the UI
+        this.fade = null;                    // Running crossfade { from, to, start, up, down }
+        this.effects = { breathing: { ...BREATHING_DEFAULTS } };
+        this.listeners = [];
+    }
+
+    /**
+     * Change one fixture; the stage is then in an unsaved custom state
+     * @param {THREE.Light} fixture - One of lightingFixtures
+     * @param {Object} changes - Any of { intensity, color, angle, penumbra, target }
+     */
+    setFixture(fixture, changes) {
+        this.cancelFade();
+        applyFixtureState(fixture, changes);
+        currentLightingPreset = 'custom';
+    }
+
+    /**
+     * Fade from the current lighting to a state
+     * @param {Object} to - Lighting state
+     * @param {Object} timing - { up, down } in seconds
+     */
+    crossfade(to, timing) {
+        this.fade = {
+            from: captureLightingState(),
+            to,
+            start: performance.now(),
+            up: Math.max(timing.up || 0, 0) * 1000,
+            down: Math.max(timing.down || 0, 0) * 1000
+        };
+    }
+
+    /**
+     * Stop a running crossfade where it is
+     */
+    cancelFade() {
+        this.fade = null;
+    }
+
+    /**
+     * Advance the crossfade and the breathing effect; called every frame
+     * @param {number} now - Timestamp from performance.now()
+     */
+    update(now = performance.now()) {
+        if (this.fade) {
+            const { from, to, start, up, down } = this.fade;
+            const progressOver = duration => (duration > 0 ? Math.min((now - start) / duration, 1) : 1);
+            const progress = {
+                up: progressOver(up),
+                down: progressOver(down),
+                other: progressOver(Math.max(up, down))
+            };
+            applyLightingState(blendLightingStates(from, to, progress));
+            if (progress.other >= 1) {
+                this.fade = null;
+            }
+        }
+
+        const breathing = this.effects.breathing;
+        lights.forEach((light, index) => {
+            const factor = breathing.enabled
+                ? 1 + Math.sin(now * 0.001 * breathing.rate + index) * breathing.depth
+                : 1;
+            // Anything else that set the intensity since the last frame sets the level to breathe around
+            if (light.intensity !== light.userData.breathingIntensity) {
+                light.userData.baseIntensity = light.intensity;
+            }
+            light.intensity = light.userData.baseIntensity * factor;
+            light.userData.breathingIntensity = light.intensity;
+        });
+    }
+
+    /**
+     * Change the breathing effect
+     * @param {Object} settings - Any of { enabled, depth, rate }
+     */
+    setBreathing(settings) {
+        Object.assign(this.effects.breathing, settings);
+        this.notifyChange();
+    }
+
+    /**
+     * Store the current lighting as a look, replacing one with the same name
+     */
+    saveLook(name) {
+        this.looks.set(name, captureLightingState());
+        currentLightingPreset = LIGHTING_LOOK_PREFIX + name;
+        this.notifyChange();
+    }
+
+    deleteLook(name) {
+        this.looks.delete(name);
+        if (currentLightingPreset === LIGHTING_LOOK_PREFIX + name) {
+            currentLightingPreset = 'custom';
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Replace the saved looks and effects, e.g. when a scene is loaded
+     * @param {Object[]} looks - Entries from stage.lighting.looks
+     * @param {Object} effects - stage.lighting.effects
+     */
+    load(looks = [], effects = {}) {
+        this.cancelFade();
+        this.looks.clear();
+        looks.forEach(({ name, ...state }) => this.looks.set(name, state));
+        this.effects.breathing = { ...BREATHING_DEFAULTS, ...effects.breathing };
+        this.notifyChange();
+    }
+
+    serialize() {
+        return Array.from(this.looks.entries()).map(([name, state]) => ({ name, ...state }));
+    }
+
+    serializeEffects() {
+        return { breathing: { ...this.effects.breathing } };
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+/**
+ * Snapshot of the background, fog and every fixture
+ * @returns {Object} { background, fog: { color, near, far }, fixtures: { fixtureId: state } }
+ */
+function captureLightingState() {
+    const fixtures = {};
+    lightingFixtures.forEach(fixture => {
+        fixtures[fixture.userData.fixtureId] = captureFixtureState(fixture);
+    });
+
+    return {
+        background: `#${scene.background.getHexString()}`,
+        fog: { color: `#${scene.fog.color.getHexString()}`, near: scene.fog.near, far: scene.fog.far },
+        fixtures
+    };
+}
+
+function captureFixtureState(fixture) {
+    const state = {
+        intensity: fixture.intensity / (fixture.userData.effectFactor || 1),
+        color: `#${fixture.color.getHexString()}`,
+        gel: fixture.userData.gel || null
+    };
+    if (fixture.isSpotLight) {
+        state.angle = fixture.angle;
+        state.penumbra = fixture.penumbra;
+        state.target = {
+            x: fixture.target.position.x,
+            y: fixture.target.position.y,
+            z: fixture.target.position.z
+        };
+    }
+    return state;
+}
+
+/**
+ * Put a lighting state on stage; fixtures it does not mention are left alone
+ */
+function applyLightingState(state) {
+    if (state.background) {
+        scene.background.set(state.background);
+    }
+    if (state.fog) {
+        scene.fog.color.set(state.fog.color);
+        scene.fog.near = state.fog.near;
+        scene.fog.far = state.fog.far;
+    }
+    Object.entries(state.fixtures || {}).forEach(([id, fixtureState]) => {
+        const fixture = lightingFixtures.find(light => light.userData.fixtureId === id);
+        if (fixture) {
+            applyFixtureState(fixture, fixtureState);
+        }
+    });
+}
+
+function applyFixtureState(fixture, state) {
+    if (state.intensity !== undefined) {
+        fixture.intensity = state.intensity * (fixture.userData.effectFactor || 1);
+    }
+    if (state.gel !== undefined) {
+        fixture.userData.gel = state.gel;
+    }
+    if (state.color !== undefined) {
+        fixture.color.set(state.color);
+    } else if (state.gel) {
+        fixture.color.set(gelColor(state.gel));
+    }
+    if (!fixture.isSpotLight) {
+        return;
+    }
+    if (state.angle !== undefined) {
+        fixture.angle = state.angle;
+    }
+    if (state.penumbra !== undefined) {
+        fixture.penumbra = state.penumbra;
+    }
+    if (state.target) {
+        fixture.target.position.set(state.target.x, state.target.y, state.target.z);
+    }
+}
+
+/**
+ * Blend two lighting states, e.g. for a crossfade
+ * Progress can differ per parameter: `up` for intensities that rise, `down`
+ * for those that fall, and `other` for colors, beams, focus, fog and background.
+ * Each is eased in and out.
+ * @param {number|Object} progress - 0..1, or { up, down, other }; 0 gives `from`, 1 gives `to`
+ * @returns {Object} A lighting state
+ */
+function blendLightingStates(from, to, progress) {
+    const ease = t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+    const times = typeof progress === 'number' ? { up: progress, down: progress, other: progress } : progress;
+    const t = ease(times.other);
+    const mix = (a, b, amount = t) => (a === undefined ? b : a + (b - a) * amount);
+    const mixColor = (a, b) => `#${new THREE.Color(a || b).lerp(new THREE.Color(b), t).getHexString()}`;
+    const mixIntensity = (a, b) => mix(a, b, ease(b >= (a || 0) ? times.up : times.down));
+
+    const fixtures = {};
+    Object.entries(to.fixtures).forEach(([name, target]) => {
+        const start = from.fixtures[name] || target;
+        const blended = {
+            intensity: mixIntensity(start.intensity, target.intensity),
+            color: mixColor(start.color, target.color)
+        };
+        if (target.gel !== undefined) {
+            blended.gel = target.gel;
+        }
+        if (target.angle !== undefined) {
+            blended.angle = mix(start.angle, target.angle);
+            blended.penumbra = mix(start.penumbra, target.penumbra);
+            const startTarget = start.target || target.target;
+            blended.target = {
+                x: mix(startTarget.x, target.target.x),
+                y: mix(startTarget.y, target.target.y),
+                z: mix(startTarget.z, target.target.z)
+            };
+        }
+        fixtures[name] = blended;
+    });
+
+    return {
+        background: mixColor(from.background, to.background),
+        fog: {
+            color: mixColor(from.fog.color, to.fog.color),
+            near: mix(from.fog.near, to.fog.near),
+            far: mix(from.fog.far, to.fog.far)
+        },
+        fixtures
+    };
+}
+
+const lightingDesk = new LightingDesk();
+
+/**
+ * Build the Lighting Desk section of the control panel
+ * @returns {HTMLElement}
+ */
+function createLightingDeskUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Lighting Desk</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const fixtureSelect = document.createElement('select');
+    fixtureSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
+    container.appendChild(fixtureSelect);
+
+    // Listed by channel, rebuilt whenever fixtures are hung, struck or renumbered
+    function buildFixtureOptions() {
+        const selected = fixtureSelect.value;
+        fixtureSelect.innerHTML = '';
+        lightingFixtures.forEach(fixture => {
+            const rigFixture = lightingRig.get(fixture.userData.fixtureId);
+            const option = document.createElement('option');
+            option.value = fixture.userData.fixtureId;
+            option.textContent = rigFixture ? `${rigFixture.channel}: ${fixture.name}` : fixture.name;
+            fixtureSelect.appendChild(option);
+        });
+        if (lightingFixtures.some(fixture => fixture.userData.fixtureId === selected)) {
+            fixtureSelect.value = selected;
+        }
+    }
+    buildFixtureOptions();
+
+    const selectedFixture = () => lightingFixtures.find(fixture => fixture.userData.fixtureId === fixtureSelect.value);
+
+    // One labelled control per fixture parameter
+    const rowStyle = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+    function addRow(text, input) {
+        const row = document.createElement('div');
+        row.style.cssText = rowStyle;
+        const caption = document.createElement('span');
+        caption.style.cssText = 'width: 70px;';
+        caption.textContent = text;
+        row.appendChild(caption);
+        row.appendChild(input);
+        container.appendChild(row);
+        return row;
+    }
+    function createSlider(min, max, step) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.style.cssText = 'width: 150px;';
+        return slider;
+    }
+
+    const intensitySlider = createSlider(0, 3, 0.05);
+    addRow('Intensity', intensitySlider);
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    addRow('Color', colorInput);
+
+    const gelSelect = createGelSelect();
+    gelSelect.style.cssText = 'padding: 3px; width: 150px;';
+    addRow('Gel', gelSelect);
+
+    // Spotlight-only controls
+    const angleSlider = createSlider(5, 60, 1);
+    const angleRow = addRow('Beam °', angleSlider);
+
+    const penumbraSlider = createSlider(0, 1, 0.05);
+    const penumbraRow = addRow('Penumbra', penumbraSlider);
+
+    const targetSelect = document.createElement('select');
+    targetSelect.style.cssText = 'padding: 3px; width: 150px;';
+    const targetRow = addRow('Target', targetSelect);
+
+    intensitySlider.addEventListener('input', () => {
+        lightingDesk.setFixture(selectedFixture(), { intensity: parseFloat(intensitySlider.value) });
+    });
+    colorInput.addEventListener('input', () => {
+        lightingDesk.setFixture(selectedFixture(), { color: colorInput.value, gel: null });
+        gelSelect.value = '';
+    });
+    gelSelect.addEventListener('change', () => {
+        const gel = gelSelect.value || null;
+        lightingDesk.setFixture(selectedFixture(), { gel, color: gel ? gelColor(gel) : '#ffffff' });
+        colorInput.value = `#${selectedFixture().color.getHexString()}`;
+    });
+    angleSlider.addEventListener('input', () => {
+        lightingDesk.setFixture(selectedFixture(), { angle: THREE.MathUtils.degToRad(parseFloat(angleSlider.value)) });
+    });
+    penumbraSlider.addEventListener('input', () => {
+        lightingDesk.setFixture(selectedFixture(), { penumbra: parseFloat(penumbraSlider.value) });
+    });
+    targetSelect.addEventListener('change', () => {
+        const fixture = selectedFixture();
+        let target;
+        if (targetSelect.value === 'custom') {
+            const current = fixture.target.position;
+            const input = prompt('Focus point "x, z" on the stage floor:', `${current.x}, ${current.z}`);
+            const values = (input || '').split(',').map(value => parseFloat(value));
+            if (values.length !== 2 || !values.every(Number.isFinite)) {
+                refreshControls();
+                return;
+            }
+            target = { x: values[0], y: 0, z: values[1] };
+        } else {
+            const marker = stageMarkers.find(m => m.userData.label === targetSelect.value);
+            target = { x: marker.position.x, y: 0, z: marker.position.z };
+        }
+        lightingDesk.setFixture(fixture, { target });
+        refreshControls();
+    });
+
+    // Show the selected fixture's current settings
+    function refreshControls() {
+        const fixture = selectedFixture();
+        if (!fixture) return;
+
+        intensitySlider.value = String(fixture.intensity);
+        colorInput.value = `#${fixture.color.getHexString()}`;
+        gelSelect.value = fixture.userData.gel || '';
+
+        [angleRow, penumbraRow, targetRow].forEach(row => {
+            row.style.display = fixture.isSpotLight ? 'flex' : 'none';
+        });
+        if (!fixture.isSpotLight) return;
+
+        angleSlider.value = String(Math.round(THREE.MathUtils.radToDeg(fixture.angle)));
+        penumbraSlider.value = String(fixture.penumbra);
+
+        // Focus is shown as a marker when it sits on one
+        const focus = fixture.target.position;
+        const onMarker = stageMarkers.find(m => m.position.x === focus.x && m.position.z === focus.z && focus.y === 0);
+        targetSelect.innerHTML = stageMarkers
+            .map(m => `<option value="${m.userData.label}">${m.userData.label}</option>`).join('') +
+            `<option value="custom">${onMarker ? 'Custom…' : `Custom (${focus.x.toFixed(1)}, ${focus.z.toFixed(1)})`}</option>`;
+        targetSelect.value = onMarker ? onMarker.userData.label : 'custom';
+    }
+    fixtureSelect.addEventListener('change', refreshControls);
+    lightingRig.onChange(() => {
+        buildFixtureOptions();
+        refreshControls();
+    });
+    container.addEventListener('mouseenter', refreshControls);
+
+    // Crossfade times for presets and looks chosen here or in the Lighting dropdown
+    const fadeRow = document.createElement('div');
+    fadeRow.style.cssText = rowStyle;
+    fadeRow.appendChild(document.createTextNode('Fade up/down (s)'));
+    ['up', 'down'].forEach(direction => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.5';
+        input.value = String(lightingDesk.fadeTimes[direction]);
+        input.title = direction === 'up' ? 'Time for rising intensities' : 'Time for falling intensities';
+        input.style.cssText = 'width: 50px;';
+        input.addEventListener('change', () => {
+            lightingDesk.fadeTimes[direction] = Math.max(parseFloat(input.value) || 0, 0);
+        });
+        fadeRow.appendChild(input);
+    });
+    container.appendChild(fadeRow);
+
+    // Breathing effect on the spotlights
+    const breathingCheckbox = document.createElement('input');
+    breathingCheckbox.type = 'checkbox';
+    breathingCheckbox.addEventListener('change', () => {
+        lightingDesk.setBreathing({ enabled: breathingCheckbox.checked });
+    });
+    const breathingRow = addRow('Breathing', breathingCheckbox);
+    const depthSlider = createSlider(0.05, 0.5, 0.05);
+    depthSlider.style.cssText = 'width: 120px;';
+    depthSlider.title = 'How far the spotlights swell and dim';
+    depthSlider.addEventListener('input', () => {
+        lightingDesk.setBreathing({ depth: parseFloat(depthSlider.value) });
+    });
+    breathingRow.appendChild(depthSlider);
+
+    // Saved looks
+    const looksSelect = document.createElement('select');
+    looksSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
+    container.appendChild(looksSelect);
+    container.appendChild(document.createElement('br'));
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save Look';
+    saveButton.title = 'Store the current lighting as a named look';
+    saveButton.style.cssText = buttonStyle;
+    saveButton.addEventListener('click', () => {
+        const name = prompt('Name for this look:', looksSelect.value || '');
+        if (name === null || !name.trim()) return;
+        if (lightingDesk.looks.has(name.trim()) && !confirm(`Replace the look "${name.trim()}"?`)) return;
+        lightingDesk.saveLook(name.trim());
+        looksSelect.value = name.trim();
+    });
+    container.appendChild(saveButton);
+
+    const applyButton = document.createElement('button');
+    applyButton.textContent = 'Apply';
+    applyButton.style.cssText = buttonStyle;
+    applyButton.addEventListener('click', () => {
+        if (looksSelect.value) {
+            applyLightingPreset(LIGHTING_LOOK_PREFIX + looksSelect.value, lightingDesk.fadeTimes);
+        }
+    });
+    container.appendChild(applyButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.style.cssText = buttonStyle;
+    deleteButton.addEventListener('click', () => {
+        if (looksSelect.value && confirm(`Delete the look "${looksSelect.value}"?`)) {
+            lightingDesk.deleteLook(looksSelect.value);
+        }
+    });
+    container.appendChild(deleteButton);
+
+    function refreshLooks() {
+        const current = looksSelect.value;
+        looksSelect.innerHTML = lightingDesk.looks.size === 0 ? '<option value="">No saved looks</option>' : '';
+        lightingDesk.looks.forEach((look, name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            looksSelect.appendChild(option);
+        });
+        if (lightingDesk.looks.has(current)) {
+            looksSelect.value = current;
+        }
+        breathingCheckbox.checked = lightingDesk.effects.breathing.enabled;
+        depthSlider.value = String(lightingDesk.effects.breathing.depth);
+        if (window.refreshLightingPresetUI) {
+            window.refreshLightingPresetUI();
+        }
+    }
+    lightingDesk.onChange(refreshLooks);
+
+    // Keep the controls in step when a preset or look is applied elsewhere
+    window.refreshLightingDesk = refreshControls;
+
+    refreshControls();
+    refreshLooks();
+
+    return container;
+}
@@ -0,0 +1,534 @@
+/**
+ * Lighting Rig
+ *
+ * The hung fixtures: spots, washes, PARs, footlight strips and cyc lights on
+ * battens, booms and floor positions. Each fixture has a unique ID
+ * (fixture_1, fixture_2, ... like actor and prop IDs), a channel number for
+ * the desk, a mounting position with an offset along it, a focus target
+ * and, for beam fixtures, an optional gobo (js/gobos.js).
+ *
+ * The rig owns the `lights` and `lightingFixtures` lists in stage.js and
+ * rebuilds them whenever fixtures are hung or struck: `lights` holds the
+ * beam fixtures (spot, wash, PAR) that the lighting presets adjust, and
+ * `lightingFixtures` every rig fixture plus the ambient light for the
+ * lighting desk.
+ *
+ * The rig is saved in the scene file as stage.rig. Intensity, color, beam
+ * and focus changes made on the desk are part of the lighting state, keyed
+ * by fixture ID.
+ */
+
+/**
+ * Fixture types and the light and defaults each one uses
+ * Beam fixtures (preset: true) are the ones the lighting presets adjust.
+ */
+const FIXTURE_TYPES = {
+    spot: { name: 'Spot', light: 'spot', preset: true, angle: 15, penumbra: 0.3, intensity: 1, color: '#ffffff', castShadow: true },
+    wash: { name: 'Wash', light: 'spot', preset: true, angle: 45, penumbra: 0.9, intensity: 0.8, color: '#ffffff' },
+    par: { name: 'PAR', light: 'spot', preset: true, angle: 25, penumbra: 0.5, intensity: 1, color: '#ffffff' },
+    footlight: { name: 'Footlight Strip', light: 'point', intensity: 0.5, color: '#4169e1', distance: 10 },
+    cyc: { name: 'Cyc Light', light: 'spot', angle: 60, penumbra: 1, intensity: 1, color: '#6688ff' }
+};
+
+/**
+ * Places fixtures can hang
+ * The offset is the position along the mount: x for battens and floor
+ * positions, height for booms.
+ */
+const RIG_MOUNTS = {
+    foh: { name: 'FOH Truss', kind: 'batten', y: 15, z: 10 },
+    lx1: { name: 'LX 1', kind: 'batten', y: 12, z: 3 },
+    lx2: { name: 'LX 2', kind: 'batten', y: 12, z: -3 },
+    'sl-boom': { name: 'SL Boom', kind: 'boom', x: -12, z: 2 },
+    'sr-boom': { name: 'SR Boom', kind: 'boom', x: 12, z: 2 },
+    apron: { name: 'Apron', kind: 'floor', y: 0.5, z: 7 },
+    groundrow: { name: 'Ground Row', kind: 'floor', y: 0.3, z: -6.8 }
+};
+
+/**
+ * Range of offsets for each kind of mount
+ */
+const RIG_MOUNT_RANGES = {
+    batten: { min: -12, max: 12 },
+    boom: { min: 0.5, max: 10 },
+    floor: { min: -12, max: 12 }
+};
+
+/**
+ * The rig every stage starts with, and that scenes saved before the rig
+ * existed load with. `settings` sets the light itself on creation.
+ */
+const DEFAULT_RIG = [
+    { id: 'fixture_1', channel: 1, type: 'spot', label: 'Spot Left', mount: 'foh', offset: -10, target: { x: -5, y: 0, z: 0 },
+        settings: { angle: 30, penumbra: 0.3, intensity: 1, color: '#ffffff' } },
+    { id: 'fixture_2', channel: 2, type: 'spot', label: 'Spot Right', mount: 'foh', offset: 10, target: { x: 5, y: 0, z: 0 },
+        settings: { angle: 30, penumbra: 0.3, intensity: 1, color: '#ffffff' } },
+    { id: 'fixture_3', channel: 3, type: 'spot', label: 'Center Spot', mount: 'foh', offset: 0, target: { x: 0, y: 0, z: 0 },
+        settings: { angle: 45, penumbra: 0.5, intensity: 0.8, color: '#ffd700' } },
+    { id: 'fixture_4', channel: 4, type: 'footlight', label: 'Footlight 1', mount: 'apron', offset: -8 },
+    { id: 'fixture_5', channel: 5, type: 'footlight', label: 'Footlight 2', mount: 'apron', offset: 0 },
+    { id: 'fixture_6', channel: 6, type: 'footlight', label: 'Footlight 3', mount: 'apron', offset: 8 }
+];
+
+class LightingRig {
+    constructor() {
+        this.fixtures = []; // { id, channel, type, label, mount, offset, gobo, light, housing, projection }
+        this.nextFixtureId = 1;
+        this.scene = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Add the mount pipes to the scene; fixtures are added to the same scene
+     */
+    attach(targetScene) {
+        this.scene = targetScene;
+
+        const pipeMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
+        Object.values(RIG_MOUNTS).forEach(mount => {
+            let pipe;
+            if (mount.kind === 'batten') {
+                pipe = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 26, 8), pipeMaterial);
+                pipe.rotation.z = Math.PI / 2;
+                pipe.position.set(0, mount.y + 0.3, mount.z);
+            } else if (mount.kind === 'boom') {
+                pipe = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 10.5, 8), pipeMaterial);
+                pipe.position.set(mount.x, 5.25 - 0.5, mount.z);
+            } else {
+                return;
+            }
+            pipe.name = `${mount.name} Pipe`;
+            pipe.userData = { type: 'rig' };
+            targetScene.add(pipe);
+        });
+    }
+
+    get(id) {
+        return this.fixtures.find(fixture => fixture.id === id);
+    }
+
+    nextChannel() {
+        return this.fixtures.reduce((max, fixture) => Math.max(max, fixture.channel), 0) + 1;
+    }
+
+    /**
+     * Hang a fixture
+     * @param {Object} def - { type, mount, offset, id?, channel?, label?, target?, gobo?, settings? }
+     * @returns {Object} The fixture
+     */
+    add(def) {
+        const type = FIXTURE_TYPES[def.type];
+        const mount = RIG_MOUNTS[def.mount];
+        if (!type || !mount) {
+            throw new Error(`Unknown fixture type ${def.type} or mount ${def.mount}`);
+        }
+
+        const id = def.id || `fixture_${this.nextFixtureId}`;
+        const number = parseInt(id.replace('fixture_', ''), 10);
+        if (Number.isFinite(number)) {
+            this.nextFixtureId = Math.max(this.nextFixtureId, number + 1);
+        }
+        const channel = def.channel || this.nextChannel();
+
+        const settings = { ...type, ...def.settings };
+        let light;
+        if (type.light === 'spot') {
+            light = new THREE.SpotLight(settings.color, settings.intensity);
+            light.angle = THREE.MathUtils.degToRad(settings.angle);
+            light.penumbra = settings.penumbra;
+            if (type.castShadow) {
+                light.castShadow = true;
+                light.shadow.mapSize.width = 1024;
+                light.shadow.mapSize.height = 1024;
+            }
+        } else {
+            light = new THREE.PointLight(settings.color, settings.intensity, settings.distance);
+        }
+        light.name = def.label || `${type.name} ${channel}`;
+        light.userData.fixtureId = id;
+
+        const housing = createFixtureHousing(type);
+        housing.name = `${light.name} Housing`;
+
+        const fixture = {
+            id, channel, type: def.type, label: light.name, mount: def.mount, offset: def.offset,
+            gobo: null, light, housing, projection: null
+        };
+        this.fixtures.push(fixture);
+        this.scene.add(light);
+        this.scene.add(housing);
+        if (light.isSpotLight) {
+            this.scene.add(light.target);
+        }
+
+        this.position(fixture, def.target || defaultFixtureTarget(fixture));
+        if (def.gobo) {
+            this.setGobo(id, def.gobo);
+        }
+        this.rebuildLightLists();
+        return fixture;
+    }
+
+    /**
+     * Take a fixture out of the rig
+     */
+    remove(id) {
+        const fixture = this.get(id);
+        if (!fixture) return;
+
+        this.scene.remove(fixture.light);
+        this.scene.remove(fixture.housing);
+        if (fixture.light.isSpotLight) {
+            this.scene.remove(fixture.light.target);
+        }
+        if (fixture.projection) {
+            this.scene.remove(fixture.projection);
+        }
+        this.fixtures = this.fixtures.filter(other => other !== fixture);
+        this.rebuildLightLists();
+    }
+
+    /**
+     * Re-hang, refocus, renumber or relabel a fixture
+     * @param {string} id
+     * @param {Object} changes - Any of { mount, offset, target, channel, label }
+     * @throws {Error} If another fixture already has the channel
+     */
+    update(id, changes) {
+        const fixture = this.get(id);
+        if (!fixture) return;
+
+        if (changes.channel !== undefined) {
+            const other = this.fixtures.find(other => other !== fixture && other.channel === changes.channel);
+            if (other) {
+                throw new Error(`Channel ${changes.channel} is already ${other.label}`);
+            }
+        }
+        if (changes.mount) fixture.mount = changes.mount;
+        if (changes.offset !== undefined) fixture.offset = changes.offset;
+        if (changes.channel !== undefined) fixture.channel = changes.channel;
+        if (changes.label) {
+            fixture.label = changes.label;
+            fixture.light.name = changes.label;
+            fixture.housing.name = `${changes.label} Housing`;
+        }
+        // Point lights have no target; position() only aims beams
+        const target = changes.target || (fixture.light.isSpotLight ? fixture.light.target.position : null);
+        this.position(fixture, target);
+        this.notifyChange();
+    }
+
+    /**
+     * Slot a gobo into a beam fixture, or take it out
+     * @param {string} id
+     * @param {string|null} gobo - A key of GOBO_PATTERNS, or null for an open beam
+     */
+    setGobo(id, gobo) {
+        const fixture = this.get(id);
+        if (!fixture || !fixture.light.isSpotLight) return;
+
+        if (fixture.projection) {
+            this.scene.remove(fixture.projection);
+            fixture.projection = null;
+        }
+        fixture.gobo = GOBO_PATTERNS[gobo] ? gobo : null;
+        if (fixture.gobo) {
+            fixture.projection = createGoboProjection(fixture.gobo);
+            this.scene.add(fixture.projection);
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Follow beams with their gobo projections; called every frame
+     */
+    updateProjections() {
+        this.fixtures.forEach(fixture => {
+            if (fixture.projection) {
+                updateGoboProjection(fixture.light, fixture.projection);
+            }
+        });
+    }
+
+    /**
+     * Place a fixture's light and housing on its mount and aim it at a target;
+     * point lights have no aim, so their target may be null
+     */
+    position(fixture, target) {
+        const mount = RIG_MOUNTS[fixture.mount];
+        const offset = fixture.offset;
+        const position = mount.kind === 'boom'
+            ? new THREE.Vector3(mount.x, offset, mount.z)
+            : new THREE.Vector3(offset, mount.y, mount.z);
+
+        fixture.light.position.copy(position);
+        fixture.housing.position.copy(position);
+        if (fixture.light.isSpotLight) {
+            fixture.light.target.position.set(target.x, target.y, target.z);
+            fixture.housing.lookAt(target.x, target.y, target.z);
+        }
+    }
+
+    /**
+     * Refill `lights` and `lightingFixtures` from the rig, keeping the ambient light
+     */
+    rebuildLightLists() {
+        const houseLights = lightingFixtures.filter(light => light.isAmbientLight);
+        lights.length = 0;
+        lights.push(...this.fixtures
+            .filter(fixture => FIXTURE_TYPES[fixture.type].preset)
+            .map(fixture => fixture.light));
+        lightingFixtures.length = 0;
+        lightingFixtures.push(...this.fixtures.map(fixture => fixture.light), ...houseLights);
+        this.notifyChange();
+    }
+
+    /**
+     * Replace the whole rig, e.g. when a scene is loaded
+     * @param {Object[]} rig - Entries from stage.rig
+     */
+    load(rig) {
+        this.fixtures.slice().forEach(fixture => this.remove(fixture.id));
+        this.nextFixtureId = 1;
+        rig.forEach(def => this.add(def));
+    }
+
+    serialize() {
+        return this.fixtures.map(fixture => {
+            const data = {
+                id: fixture.id,
+                channel: fixture.channel,
+                type: fixture.type,
+                label: fixture.label,
+                mount: fixture.mount,
+                offset: fixture.offset
+            };
+            if (fixture.light.isSpotLight) {
+                const target = fixture.light.target.position;
+                data.target = { x: target.x, y: target.y, z: target.z };
+            }
+            if (fixture.gobo) {
+                data.gobo = fixture.gobo;
+            }
+            return data;
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+/**
+ * Small body drawn where a fixture hangs, pointing along its beam
+ */
+function createFixtureHousing(type) {
+    const material = new THREE.MeshPhongMaterial({ color: 0x222222 });
+    let geometry;
+    if (type.light === 'point') {
+        // Footlight strips are a long low trough
+        geometry = new THREE.BoxGeometry(1.5, 0.2, 0.3);
+    } else {
+        geometry = new THREE.CylinderGeometry(0.2, 0.3, 0.6, 12);
+        geometry.rotateX(Math.PI / 2); // Barrel along +Z so lookAt points it at the target
+    }
+    const housing = new THREE.Mesh(geometry, material);
+    housing.userData = { type: 'fixture' };
+    return housing;
+}
+
+/**
+ * Where a newly hung fixture is focused: cyc lights wash the back wall, the
+ * others point at the stage floor in front of them
+ */
+function defaultFixtureTarget(fixture) {
+    const mount = RIG_MOUNTS[fixture.mount];
+    const x = mount.kind === 'boom' ? 0 : fixture.offset;
+    if (fixture.type === 'cyc') {
+        return { x, y: 6, z: -7.5 };
+    }
+    return { x: x / 2, y: 0, z: 0 };
+}
+
+const lightingRig = new LightingRig();
+
+/**
+ * Build the Lighting Rig section of the control panel
+ * @returns {HTMLElement}
+ */
+function createLightingRigUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Lighting Rig</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 150px; overflow-y: auto; width: 300px; font-size: 12px;';
+    container.appendChild(list);
+
+    let selectedId = null;
+
+    const typeSelect = document.createElement('select');
+    typeSelect.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px; width: 120px;';
+    Object.entries(FIXTURE_TYPES).forEach(([key, type]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = type.name;
+        typeSelect.appendChild(option);
+    });
+    container.appendChild(typeSelect);
+
+    const mountSelect = document.createElement('select');
+    mountSelect.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px; width: 120px;';
+    Object.entries(RIG_MOUNTS).forEach(([key, mount]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = mount.name;
+        mountSelect.appendChild(option);
+    });
+    container.appendChild(mountSelect);
+    container.appendChild(document.createElement('br'));
+
+    // Ask for a position along the chosen mount
+    function promptOffset(mountKey, current) {
+        const mount = RIG_MOUNTS[mountKey];
+        const range = RIG_MOUNT_RANGES[mount.kind];
+        const what = mount.kind === 'boom' ? 'Height on' : 'Position along';
+        const input = prompt(`${what} ${mount.name} (${range.min} to ${range.max}):`, String(current));
+        if (input === null) return null;
+        const offset = parseFloat(input);
+        if (!Number.isFinite(offset) || offset < range.min || offset > range.max) {
+            alert(`Enter a number from ${range.min} to ${range.max}`);
+            return null;
+        }
+        return offset;
+    }
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+    const addButton = (text, title, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.style.cssText = buttonStyle;
+        button.addEventListener('click', onClick);
+        container.appendChild(button);
+    };
+
+    addButton('Hang Fixture', 'Hang a fixture of the chosen type on the chosen mount', () => {
+        const mount = RIG_MOUNTS[mountSelect.value];
+        const offset = promptOffset(mountSelect.value, mount.kind === 'boom' ? 6 : 0);
+        if (offset === null) return;
+
+        const fixture = lightingRig.add({ type: typeSelect.value, mount: mountSelect.value, offset });
+        selectedId = fixture.id;
+        currentLightingPreset = 'custom';
+        refreshList();
+    });
+
+    addButton('Move', 'Re-hang the selected fixture on the chosen mount', () => {
+        const fixture = lightingRig.get(selectedId);
+        if (!fixture) {
+            alert('Select a fixture in the list first');
+            return;
+        }
+        const offset = promptOffset(mountSelect.value, mountSelect.value === fixture.mount ? fixture.offset : 0);
+        if (offset === null) return;
+        try {
+            lightingRig.update(fixture.id, { mount: mountSelect.value, offset });
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    addButton('Channel', 'Set the channel number and label of the selected fixture', () => {
+        const fixture = lightingRig.get(selectedId);
+        if (!fixture) {
+            alert('Select a fixture in the list first');
+            return;
+        }
+        const channel = parseInt(prompt('Channel number:', String(fixture.channel)), 10);
+        if (!Number.isInteger(channel) || channel < 1) return;
+        const name = prompt('Label:', fixture.label);
+        try {
+            lightingRig.update(fixture.id, { channel, label: name && name.trim() ? name.trim() : fixture.label });
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    // Gobo in the selected fixture; only beam fixtures take one
+    const goboRow = document.createElement('div');
+    goboRow.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+    const goboCaption = document.createElement('span');
+    goboCaption.style.cssText = 'width: 70px;';
+    goboCaption.textContent = 'Gobo';
+    goboRow.appendChild(goboCaption);
+    const goboSelect = document.createElement('select');
+    goboSelect.style.cssText = 'padding: 3px; width: 150px;';
+    goboSelect.innerHTML = '<option value="">Open beam</option>' + Object.entries(GOBO_PATTERNS)
+        .map(([key, pattern]) => `<option value="${key}">${pattern.name}</option>`).join('');
+    goboSelect.addEventListener('change', () => {
+        const fixture = lightingRig.get(selectedId);
+        if (!fixture || !fixture.light.isSpotLight) {
+            alert('Select a spot, wash, PAR or cyc light in the list first');
+            goboSelect.value = '';
+            return;
+        }
+        lightingRig.setGobo(fixture.id, goboSelect.value || null);
+    });
+    goboRow.appendChild(goboSelect);
+    container.appendChild(goboRow);
+
+    function refreshList() {
+        const selected = lightingRig.get(selectedId);
+        goboSelect.value = selected && selected.gobo ? selected.gobo : '';
+        list.innerHTML = '';
+        lightingRig.fixtures
+            .slice()
+            .sort((a, b) => a.channel - b.channel)
+            .forEach(fixture => {
+                const row = document.createElement('div');
+                const isSelected = fixture.id === selectedId;
+                row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0; padding: 2px 4px; cursor: pointer;' +
+                    (isSelected ? ' background: rgba(255, 255, 255, 0.2);' : '');
+
+                const text = document.createElement('div');
+                text.style.cssText = 'flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+                const mount = RIG_MOUNTS[fixture.mount];
+                const gobo = fixture.gobo ? ` · ${GOBO_PATTERNS[fixture.gobo].name}` : '';
+                text.textContent = `${fixture.channel}  ${fixture.label} · ${FIXTURE_TYPES[fixture.type].name}${gobo} @ ${mount.name} ${fixture.offset}`;
+                row.appendChild(text);
+
+                const removeButton = document.createElement('button');
+                removeButton.textContent = '✕';
+                removeButton.title = 'Strike fixture';
+                removeButton.style.cssText = 'padding: 0 4px; cursor: pointer;';
+                removeButton.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    if (confirm(`Strike ${fixture.label} (channel ${fixture.channel})?`)) {
+                        lightingRig.remove(fixture.id);
+                    }
+                });
+                row.appendChild(removeButton);
+
+                row.addEventListener('click', () => {
+                    selectedId = fixture.id;
+                    mountSelect.value = fixture.mount;
+                    typeSelect.value = fixture.type;
+                    refreshList();
+                });
+                list.appendChild(row);
+            });
+    }
+
+    lightingRig.onChange(refreshList);
+    refreshList();
+
+    return container;
+}
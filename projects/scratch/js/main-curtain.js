@@ -0,0 +1,335 @@
+/**
+ * Main Curtain
+ *
+ * The house curtain in the proscenium (built by createStage as curtainLeft
+ * and curtainRight) and an optional scrim just upstage of it. The curtain
+ * works in one of two modes:
+ *
+ *   traveler   - the two halves part to the sides
+ *   guillotine - the whole curtain flies out upwards
+ *
+ * It can stop at any opening from 0 (closed) to 100 percent and travels at
+ * its speed in percent per second, so a full open at 40 %/s takes 2.5
+ * seconds. The scrim is a gauze: opaque when lit from the front, and
+ * see-through when what is behind it is lit more brightly.
+ *
+ * The curtain hangs at the plaster line and spans the width of the stage;
+ * venues other than a proscenium house have no main curtain, and it and the
+ * scrim are not shown there (see venue.js).
+ *
+ * Changes go through setCurtains(), which collaboration-integration.js
+ * shares with the rest of the room. The curtain is saved in
+ * stage.stageElements.curtains as { open, mode, speed, scrim }.
+ */
+
+/**
+ * Ways the curtain opens
+ */
+const CURTAIN_MODES = {
+    traveler: 'Traveler (side part)',
+    guillotine: 'Guillotine (fly out)'
+};
+
+/**
+ * Travel speed of the curtain unless set otherwise, in percent per second
+ */
+const CURTAIN_DEFAULT_SPEED = 40;
+
+/**
+ * How far each half travels to the side when fully open, and how high the
+ * curtain flies when fully out
+ */
+const CURTAIN_TRAVEL = 18;
+const CURTAIN_FLY_HEIGHT = 25;
+
+// Where the halves hang when closed, matching createStage
+const CURTAIN_CLOSED_X = 2;
+const CURTAIN_CLOSED_Y = 12;
+
+// Stage width and plaster line createStage builds the curtain for
+const CURTAIN_BUILT_WIDTH = 20;
+const CURTAIN_BUILT_Z = 7.5;
+
+/**
+ * How far upstage of the curtain line the scrim hangs
+ */
+const CURTAIN_SCRIM_GAP = 0.1;
+
+class MainCurtain {
+    constructor() {
+        this.mode = 'traveler';
+        this.amount = 0;   // Current opening, 0 to 1
+        this.target = 0;   // Opening it is travelling to, 0 to 1
+        this.moving = false;
+        this.speed = CURTAIN_DEFAULT_SPEED;
+        this.scrim = false;
+        this.scrimMesh = null;
+        this.hung = true;  // False in venues without a proscenium
+        this.width = CURTAIN_BUILT_WIDTH;
+        this.plasterZ = CURTAIN_BUILT_Z;
+    }
+
+    /**
+     * Hang the scrim; the curtain halves themselves are built by createStage
+     */
+    attach(targetScene) {
+        this.scrimMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(20, 14),
+            new THREE.MeshPhongMaterial({ color: 0xd8d8d0, side: THREE.DoubleSide, transparent: true, opacity: 0.85, depthWrite: false })
+        );
+        this.scrimMesh.name = 'Scrim';
+        this.scrimMesh.visible = false;
+        targetScene.add(this.scrimMesh);
+        this.fit({ hung: this.hung, width: this.width, z: this.plasterZ });
+        this.place(this.amount);
+    }
+
+    /**
+     * Hang the curtain and scrim across a stage
+     * @param {Object} frame - { hung, width, z }: whether the venue has a
+     *   main curtain, the width of its opening and the z of its plaster line
+     */
+    fit(frame) {
+        this.hung = frame.hung;
+        this.width = frame.width;
+        this.plasterZ = frame.z;
+
+        // The halves, their travel and the valance all stretch with the opening
+        const curtainGroup = curtainLeft.parent;
+        curtainGroup.scale.x = this.width / CURTAIN_BUILT_WIDTH;
+        curtainGroup.position.z = this.plasterZ - CURTAIN_BUILT_Z;
+        curtainGroup.visible = this.hung;
+        if (this.scrimMesh) {
+            this.scrimMesh.scale.x = this.width / CURTAIN_BUILT_WIDTH;
+            this.scrimMesh.position.set(0, 7, this.plasterZ - CURTAIN_SCRIM_GAP);
+        }
+    }
+
+    isOpen() {
+        return this.target > 0;
+    }
+
+    /**
+     * Change the curtain
+     * @param {Object} changes - Any of { open (percent), mode, speed, scrim }
+     * @throws {Error} If a value is out of range, or the mode changes while the curtain is open
+     */
+    set(changes) {
+        if (changes.open !== undefined && (!Number.isFinite(changes.open) || changes.open < 0 || changes.open > 100)) {
+            throw new Error('Curtain opening must be 0 to 100 percent');
+        }
+        if (changes.mode !== undefined && !CURTAIN_MODES[changes.mode]) {
+            throw new Error(`Unknown curtain mode ${changes.mode}`);
+        }
+        if (changes.speed !== undefined && (!Number.isFinite(changes.speed) || changes.speed <= 0)) {
+            throw new Error('Curtain speed must be more than 0');
+        }
+        // The halves cannot go from parted to flown without closing in between
+        if (changes.mode !== undefined && changes.mode !== this.mode && this.amount > 0) {
+            throw new Error('Close the curtain before changing its mode');
+        }
+
+        if (changes.mode !== undefined) {
+            this.mode = changes.mode;
+            this.place(this.amount);
+        }
+        if (changes.speed !== undefined) {
+            this.speed = changes.speed;
+        }
+        if (changes.scrim !== undefined) {
+            this.scrim = Boolean(changes.scrim);
+        }
+        if (changes.open !== undefined) {
+            this.target = changes.open / 100;
+            this.moving = this.target !== this.amount;
+        }
+    }
+
+    /**
+     * Put the curtain at an opening straight away
+     * @param {number} amount - 0 (closed) to 1 (fully open)
+     */
+    place(amount) {
+        this.amount = amount;
+        const side = this.mode === 'traveler' ? CURTAIN_TRAVEL * amount : 0;
+        const lift = this.mode === 'guillotine' ? CURTAIN_FLY_HEIGHT * amount : 0;
+        curtainLeft.position.x = -CURTAIN_CLOSED_X - side;
+        curtainRight.position.x = CURTAIN_CLOSED_X + side;
+        curtainLeft.position.y = CURTAIN_CLOSED_Y + lift;
+        curtainRight.position.y = CURTAIN_CLOSED_Y + lift;
+    }
+
+    /**
+     * Move the curtain on towards its opening and light the scrim; called every frame
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (this.moving) {
+            const step = this.speed / 100 * delta;
+            const diff = this.target - this.amount;
+            if (Math.abs(diff) <= step) {
+                this.place(this.target);
+                this.moving = false;
+            } else {
+                this.place(this.amount + Math.sign(diff) * step);
+            }
+        }
+
+        this.scrimMesh.visible = this.scrim && this.hung;
+        if (this.scrimMesh.visible) {
+            this.scrimMesh.material.opacity = scrimOpacity();
+        }
+    }
+
+    /**
+     * Replace the curtain's state, e.g. when a scene is loaded; it is put
+     * straight at its opening
+     * @param {Object} [data] - { open, mode, speed, scrim } as saved; omitted values are reset
+     */
+    load(data = {}) {
+        this.mode = CURTAIN_MODES[data.mode] ? data.mode : 'traveler';
+        this.speed = data.speed || CURTAIN_DEFAULT_SPEED;
+        this.scrim = Boolean(data.scrim);
+        this.target = (data.open || 0) / 100;
+        this.moving = false;
+        this.place(this.target);
+    }
+
+    /**
+     * The curtain as saved; one caught mid-move is saved where it is heading
+     */
+    serialize() {
+        return {
+            open: Math.round(this.target * 1000) / 10,
+            mode: this.mode,
+            speed: this.speed,
+            scrim: this.scrim
+        };
+    }
+}
+
+/**
+ * How opaque the scrim looks: the share of the light on it that comes from
+ * the front, so lighting the scene behind it more brightly makes it vanish
+ */
+function scrimOpacity() {
+    let front = 0;
+    let behind = 0;
+    lightingFixtures.forEach(light => {
+        if (light.isAmbientLight || !light.visible) return;
+        if (light.position.z > mainCurtain.scrimMesh.position.z) {
+            front += light.intensity;
+        } else {
+            behind += light.intensity;
+        }
+    });
+    if (front + behind === 0) return 0.85;
+    return 0.1 + 0.8 * front / (front + behind);
+}
+
+const mainCurtain = new MainCurtain();
+
+/**
+ * Change the main curtain; the control panel, cues and OSC all come here
+ * @param {Object} changes - Any of { open (percent), mode, speed, scrim }
+ * @throws {Error} See MainCurtain.set()
+ */
+function setCurtains(changes) {
+    mainCurtain.set(changes);
+}
+
+/**
+ * Build the Main Curtain section of the control panel
+ * @returns {HTMLElement}
+ */
+function createCurtainControlsUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Main Curtain</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const rowStyle = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+    function addRow(text, control) {
+        const row = document.createElement('div');
+        row.style.cssText = rowStyle;
+        const caption = document.createElement('span');
+        caption.style.cssText = 'width: 70px;';
+        caption.textContent = text;
+        row.appendChild(caption);
+        row.appendChild(control);
+        container.appendChild(row);
+        return control;
+    }
+
+    // Every control applies its change straight away
+    function apply(changes) {
+        try {
+            setCurtains(changes);
+        } catch (error) {
+            alert(error.message);
+        }
+        showState();
+    }
+
+    const modeSelect = document.createElement('select');
+    modeSelect.style.cssText = 'padding: 3px; width: 150px;';
+    modeSelect.innerHTML = Object.entries(CURTAIN_MODES)
+        .map(([key, name]) => `<option value="${key}">${name}</option>`).join('');
+    modeSelect.addEventListener('change', () => apply({ mode: modeSelect.value }));
+    addRow('Mode', modeSelect);
+
+    const openInput = document.createElement('input');
+    openInput.type = 'range';
+    openInput.min = '0';
+    openInput.max = '100';
+    openInput.step = '5';
+    openInput.style.cssText = 'width: 110px;';
+    openInput.addEventListener('change', () => apply({ open: parseFloat(openInput.value) }));
+    addRow('Open %', openInput);
+
+    const speedInput = document.createElement('input');
+    speedInput.type = 'number';
+    speedInput.min = '1';
+    speedInput.max = '200';
+    speedInput.step = '5';
+    speedInput.style.cssText = 'width: 60px;';
+    speedInput.addEventListener('change', () => apply({ speed: parseFloat(speedInput.value) }));
+    addRow('Speed (%/s)', speedInput);
+
+    const scrimInput = document.createElement('input');
+    scrimInput.type = 'checkbox';
+    scrimInput.title = 'Hang a scrim behind the curtain; light the scene behind it to see through';
+    scrimInput.addEventListener('change', () => apply({ scrim: scrimInput.checked }));
+    addRow('Scrim', scrimInput);
+
+    const readout = document.createElement('div');
+    readout.style.cssText = 'font-size: 11px; margin: 5px 0; color: #aaa; font-family: monospace;';
+    container.appendChild(readout);
+
+    function showState() {
+        modeSelect.value = mainCurtain.mode;
+        openInput.value = String(Math.round(mainCurtain.target * 100));
+        speedInput.value = String(mainCurtain.speed);
+        scrimInput.checked = mainCurtain.scrim;
+    }
+
+    let lastReadout = '';
+    window.refreshCurtainReadout = () => {
+        const open = Math.round(mainCurtain.amount * 100);
+        const text = mainCurtain.moving ? `Open ${open}% → ${Math.round(mainCurtain.target * 100)}%` : `Open ${open}%`;
+        // Only touch the DOM when something changed; this runs every frame
+        if (text !== lastReadout) {
+            readout.textContent = text;
+            lastReadout = text;
+            // A toggle, cue or remote change may have moved the curtain
+            showState();
+        }
+    };
+
+    showState();
+    window.refreshCurtainReadout();
+
+    return container;
+}
@@ -0,0 +1,317 @@
+/**
+ * OSC Remote Control
+ *
+ * The collaboration server listens for OSC over UDP and relays each message
+ * to the stages in its room as an `osc_command`. handleOscCommand() runs the
+ * command on this stage and returns the reply arguments, which the server
+ * sends back to the OSC sender as /reply<address>: "ok" followed by the
+ * element's state, or "error" and a message.
+ *
+ * Platforms, trap doors and scenery panels are numbered from 1. A command
+ * without arguments only reports the state.
+ *
+ *   /stage/curtains [open|close|toggle|percent]  replies open/closed and the percent open
+ *   /stage/curtains/mode [traveler|guillotine]
+ *   /stage/curtains/speed [percent/second]
+ *   /stage/scrim [1|0]
+ *   /stage/platforms                        toggle every platform up or down
+ *   /stage/platform/{n}/height [height] [speed]  height above the stage floor, units/second
+ *   /stage/revolve [1|0]                    start or stop the revolve
+ *   /stage/revolve/speed [degrees/second]   counterclockwise, negative clockwise, 0 stops
+ *   /stage/revolve/angle [degrees] [cw|ccw|shortest] [seconds]  turn to an angle (undoable)
+ *   /stage/traps                            toggle every visible trap door
+ *   /stage/trap/{n} [1|0|toggle]            open a drop trap, or lower a lift (undoable)
+ *   /stage/trap/{n}/mode [drop|lift] [lift units/second]
+ *   /stage/scenery/{n}/position [stop]      stop number, 0 being the stop furthest off
+ *   /stage/fly/{n} [in|out|trim]            fly a lineset, numbered from downstage (undoable)
+ *   /lighting/preset [name] [fade seconds]  a built-in preset or a saved look's name
+ *   /camera/preset [name]
+ *   /cue/go, /cue/back, /cue/jump [label]   e.g. /cue/jump "LX 12"
+ */
+
+/**
+ * Read an on/off argument: 1/0, true/false, "open"/"close", "on"/"off" or "toggle"
+ * @returns {boolean|null} The wanted state, or null to toggle
+ */
+function oscSwitchArgument(arg, current) {
+    if (arg === 'toggle') return !current;
+    if (arg === true || arg === 'open' || arg === 'on') return true;
+    if (arg === false || arg === 'close' || arg === 'closed' || arg === 'off') return false;
+    if (typeof arg === 'number') return arg !== 0;
+    throw new Error(`Expected 1, 0 or toggle, got ${JSON.stringify(arg)}`);
+}
+
+/**
+ * Look up a numbered element, e.g. the 2 in /stage/trap/2
+ */
+function oscElement(list, number, what) {
+    const element = list[parseInt(number, 10) - 1];
+    if (!element) {
+        throw new Error(`There is no ${what} ${number}; the stage has ${list.length}`);
+    }
+    return element;
+}
+
+function oscCurtainsOpen() {
+    return mainCurtain.isOpen();
+}
+
+// A production may have struck the revolve
+function checkOscRevolve() {
+    if (!rotatingStage) {
+        throw new Error('The stage has no revolve');
+    }
+}
+
+function oscRevolveSpeed() {
+    const userData = rotatingStage.userData;
+    if (!userData.rotating) return 0;
+    return userData.direction === 'cw' ? -userData.speed : userData.speed;
+}
+
+function oscCurrentCue() {
+    return cueList.currentIndex >= 0 ? cueLabel(cueList.cues[cueList.currentIndex]) : '';
+}
+
+/**
+ * OSC addresses and what they do; run() returns the state to report
+ */
+const OSC_ROUTES = [
+    {
+        pattern: /^\/stage\/curtains$/,
+        run(args) {
+            if (args.length > 0) {
+                const open = typeof args[0] === 'number' ? args[0] : oscSwitchArgument(args[0], oscCurtainsOpen()) ? 100 : 0;
+                setCurtains({ open });
+            }
+            return [oscCurtainsOpen() ? 'open' : 'closed', mainCurtain.serialize().open];
+        }
+    },
+    {
+        pattern: /^\/stage\/curtains\/mode$/,
+        run(args) {
+            if (args.length > 0) {
+                setCurtains({ mode: String(args[0]) });
+            }
+            return [mainCurtain.mode];
+        }
+    },
+    {
+        pattern: /^\/stage\/curtains\/speed$/,
+        run(args) {
+            if (args.length > 0) {
+                setCurtains({ speed: Number(args[0]) });
+            }
+            return [mainCurtain.speed];
+        }
+    },
+    {
+        pattern: /^\/stage\/scrim$/,
+        run(args) {
+            if (args.length > 0) {
+                setCurtains({ scrim: oscSwitchArgument(args[0], mainCurtain.scrim) });
+            }
+            return [mainCurtain.scrim ? 1 : 0];
+        }
+    },
+    {
+        pattern: /^\/stage\/platforms$/,
+        run() {
+            movePlatforms();
+            return moveablePlatforms.map(platform => platform.userData.targetY - platform.userData.baseY);
+        }
+    },
+    {
+        pattern: /^\/stage\/platform\/(\d+)\/height$/,
+        run(args, [number]) {
+            const platform = oscElement(moveablePlatforms, number, 'platform');
+            const userData = platform.userData;
+            if (args.length > 0) {
+                movePlatformTo(moveablePlatforms.indexOf(platform), Number(args[0]),
+                    args.length > 1 ? Number(args[1]) : undefined);
+            }
+            return [userData.targetY - userData.baseY, platform.position.y - userData.baseY];
+        }
+    },
+    {
+        pattern: /^\/stage\/revolve$/,
+        run(args) {
+            checkOscRevolve();
+            if (args.length > 0 && oscSwitchArgument(args[0], rotatingStage.userData.rotating) !== rotatingStage.userData.rotating) {
+                if (!rotatingStage.visible) {
+                    throw new Error('The revolve is hidden');
+                }
+                rotateCenter();
+            }
+            return [rotatingStage.userData.rotating ? 1 : 0];
+        }
+    },
+    {
+        pattern: /^\/stage\/revolve\/speed$/,
+        run(args) {
+            checkOscRevolve();
+            if (args.length > 0) {
+                const speed = Number(args[0]);
+                if (!Number.isFinite(speed)) {
+                    throw new Error('Revolve speed must be a number of degrees per second');
+                }
+                if (!rotatingStage.visible) {
+                    throw new Error('The revolve is hidden');
+                }
+                if (speed !== 0) {
+                    rotatingStage.userData.speed = Math.abs(speed);
+                    rotatingStage.userData.direction = speed > 0 ? 'ccw' : 'cw';
+                }
+                rotatingStage.userData.rotating = speed !== 0;
+                rotatingStage.userData.move = null;
+            }
+            return [oscRevolveSpeed()];
+        }
+    },
+    {
+        pattern: /^\/stage\/revolve\/angle$/,
+        run(args) {
+            checkOscRevolve();
+            if (args.length > 0) {
+                turnRevolve({
+                    angle: Number(args[0]),
+                    direction: args.length > 1 ? String(args[1]) : 'shortest',
+                    duration: args.length > 2 ? Number(args[2]) : undefined
+                });
+            }
+            return [Math.round(revolveTargetAngle() * 10) / 10, Math.round(revolveAngle() * 10) / 10];
+        }
+    },
+    {
+        pattern: /^\/stage\/traps$/,
+        run() {
+            toggleTrapDoors();
+            return trapDoors.map(trapDoor => (trapDoor.userData.open ? 1 : 0));
+        }
+    },
+    {
+        pattern: /^\/stage\/trap\/(\d+)$/,
+        run(args, [number]) {
+            const trapDoor = oscElement(trapDoors, number, 'trap door');
+            if (args.length > 0) {
+                if (!trapDoor.visible) {
+                    throw new Error(`Trap door ${number} is hidden`);
+                }
+                switchTrapDoor(trapDoors.indexOf(trapDoor), oscSwitchArgument(args[0], trapDoor.userData.open));
+            }
+            return [trapDoor.userData.open ? 1 : 0];
+        }
+    },
+    {
+        pattern: /^\/stage\/trap\/(\d+)\/mode$/,
+        run(args, [number]) {
+            const trapDoor = oscElement(trapDoors, number, 'trap door');
+            if (args.length > 0) {
+                setTrapDoorMode(trapDoors.indexOf(trapDoor), String(args[0]),
+                    args.length > 1 ? Number(args[1]) : undefined);
+            }
+            return [trapDoor.userData.mode, trapDoor.userData.liftSpeed];
+        }
+    },
+    {
+        pattern: /^\/stage\/scenery\/(\d+)\/position$/,
+        run(args, [number]) {
+            const panel = oscElement(sceneryPanels, number, 'scenery panel');
+            if (args.length > 0) {
+                moveSceneryPanel(sceneryPanels.indexOf(panel), Number(args[0]));
+            }
+            return [panel.userData.targetPosition, panel.userData.stops.length - 1];
+        }
+    },
+    {
+        pattern: /^\/stage\/fly\/(\d+)$/,
+        run(args, [number]) {
+            const lineset = oscElement(flySystem.linesets, number, 'lineset');
+            if (args.length > 0) {
+                const trim = args[0] === 'in' || args[0] === 'out' ? args[0] : Number(args[0]);
+                flyLineset(flySystem.linesets.indexOf(lineset), trim);
+            }
+            return [lineset.targetTrim, lineset.trim];
+        }
+    },
+    {
+        pattern: /^\/lighting\/preset$/,
+        run(args) {
+            if (args.length > 0) {
+                const name = String(args[0]);
+                const preset = LIGHTING_PRESETS[name] ? name : lightingDesk.looks.has(name) ? LIGHTING_LOOK_PREFIX + name : null;
+                if (!preset) {
+                    throw new Error(`Unknown lighting preset or look "${name}"`);
+                }
+                const fade = args.length > 1 ? Math.max(Number(args[1]) || 0, 0) : 0;
+                applyLightingPreset(preset, fade > 0 ? { up: fade, down: fade } : null);
+                if (window.refreshLightingPresetUI) {
+                    window.refreshLightingPresetUI();
+                }
+            }
+            return [currentLightingPreset];
+        }
+    },
+    {
+        pattern: /^\/camera\/preset$/,
+        run(args) {
+            if (args.length > 0) {
+                const name = String(args[0]);
+                if (!CAMERA_PRESETS[name]) {
+                    throw new Error(`Unknown camera preset "${name}"`);
+                }
+                setCameraPreset(name);
+            }
+            return [currentCameraPreset || ''];
+        }
+    },
+    {
+        pattern: /^\/cue\/go$/,
+        run() {
+            if (!cueList.go()) {
+                throw new Error('No more cues');
+            }
+            return [oscCurrentCue()];
+        }
+    },
+    {
+        pattern: /^\/cue\/back$/,
+        run() {
+            cueList.back();
+            return [oscCurrentCue()];
+        }
+    },
+    {
+        pattern: /^\/cue\/jump$/,
+        run(args) {
+            if (args.length > 0) {
+                const index = cueList.indexOf(String(args[0]));
+                if (index === -1) {
+                    throw new Error(`There is no cue "${args[0]}"`);
+                }
+                cueList.jumpTo(index);
+            }
+            return [oscCurrentCue()];
+        }
+    }
+];
+
+/**
+ * Run an OSC command on this stage
+ * @param {string} address - e.g. /stage/platform/2/height
+ * @param {Array} args - OSC arguments
+ * @returns {Array} Reply arguments: "ok" and the state, or "error" and a message
+ */
+function handleOscCommand(address, args = []) {
+    for (const route of OSC_ROUTES) {
+        const match = route.pattern.exec(address);
+        if (!match) continue;
+        try {
+            return ['ok', ...route.run(args, match.slice(1))];
+        } catch (error) {
+            console.warn(`OSC ${address} failed:`, error.message);
+            return ['error', error.message];
+        }
+    }
+    return ['error', `Unknown address ${address}`];
+}
@@ -0,0 +1,149 @@
+/**
+ * Platform Controls
+ *
+ * Moves each platform on its own: a target height above the stage floor and
+ * a travel speed, with a live readout of where every platform is. Moves go
+ * through the command manager as StageElementCommand('platform', { platform }, ...)
+ * so they can be undone; undo sends the platform back to the height it was
+ * at when the move was given.
+ *
+ * Heights here are above the platform's base (0 = flush with the stage);
+ * the scene file and StageElementCommand states hold the platform's y position.
+ */
+
+/**
+ * Travel speed of a platform unless set otherwise, in units per second
+ */
+const PLATFORM_DEFAULT_SPEED = 2;
+
+/**
+ * Highest a platform can be sent above its base
+ */
+const PLATFORM_MAX_HEIGHT = 10;
+
+/**
+ * Send one platform to a height at a speed, as an undoable command
+ * @param {number} index - Platform index in moveablePlatforms
+ * @param {number} height - Height above the platform's base, 0 to PLATFORM_MAX_HEIGHT
+ * @param {number} [speed] - Units per second; keeps the platform's current speed if omitted
+ */
+function movePlatformTo(index, height, speed) {
+    const platform = moveablePlatforms[index];
+    if (!platform) {
+        throw new Error(`There is no platform ${index + 1}`);
+    }
+    if (!Number.isFinite(height) || height < 0 || height > PLATFORM_MAX_HEIGHT) {
+        throw new Error(`Platform height must be 0 to ${PLATFORM_MAX_HEIGHT}`);
+    }
+    if (speed !== undefined && (!Number.isFinite(speed) || speed <= 0)) {
+        throw new Error('Platform speed must be more than 0');
+    }
+
+    const userData = platform.userData;
+    const oldState = { height: platform.position.y, speed: userData.speed };
+    const newState = { height: userData.baseY + height, speed: speed || userData.speed };
+    commandManager.executeCommand(new StageElementCommand('platform', { platform }, newState, oldState));
+    if (window.updateUndoRedoButtons) {
+        window.updateUndoRedoButtons();
+    }
+}
+
+/**
+ * Build the Platforms section of the control panel
+ * @returns {HTMLElement}
+ */
+function createPlatformControlsUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Platforms</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const platformSelect = document.createElement('select');
+    platformSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
+    container.appendChild(platformSelect);
+
+    const rowStyle = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+    function addNumberRow(text, min, max, step) {
+        const row = document.createElement('div');
+        row.style.cssText = rowStyle;
+        const caption = document.createElement('span');
+        caption.style.cssText = 'width: 70px;';
+        caption.textContent = text;
+        row.appendChild(caption);
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = String(min);
+        input.max = String(max);
+        input.step = String(step);
+        input.style.cssText = 'width: 60px;';
+        row.appendChild(input);
+        container.appendChild(row);
+        return input;
+    }
+    const heightInput = addNumberRow('Height', 0, PLATFORM_MAX_HEIGHT, 0.25);
+    const speedInput = addNumberRow('Speed (/s)', 0.1, 10, 0.1);
+
+    const moveButton = document.createElement('button');
+    moveButton.textContent = 'Move Platform';
+    moveButton.title = 'Send the platform to the height at the speed (undoable)';
+    moveButton.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+    moveButton.addEventListener('click', () => {
+        try {
+            movePlatformTo(parseInt(platformSelect.value, 10), parseFloat(heightInput.value), parseFloat(speedInput.value));
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+    container.appendChild(moveButton);
+
+    // Current and target height of every platform
+    const readout = document.createElement('div');
+    readout.style.cssText = 'font-size: 11px; margin: 5px 0; color: #aaa; font-family: monospace; white-space: pre;';
+    container.appendChild(readout);
+
+    function buildOptions() {
+        const selected = platformSelect.value;
+        platformSelect.innerHTML = moveablePlatforms
+            .map((platform, index) => `<option value="${index}">${platform.name}</option>`).join('');
+        if (selected && moveablePlatforms[parseInt(selected, 10)]) {
+            platformSelect.value = selected;
+        }
+    }
+
+    // Show the selected platform's target and speed in the inputs
+    function showSelected() {
+        const platform = moveablePlatforms[parseInt(platformSelect.value, 10)];
+        if (!platform) return;
+        heightInput.value = String(+(platform.userData.targetY - platform.userData.baseY).toFixed(2));
+        speedInput.value = String(platform.userData.speed);
+    }
+    platformSelect.addEventListener('change', showSelected);
+
+    let lastReadout = '';
+    window.refreshPlatformReadout = () => {
+        if (platformSelect.options.length !== moveablePlatforms.length) {
+            buildOptions();
+            showSelected();
+        }
+        const text = moveablePlatforms.map(platform => {
+            const userData = platform.userData;
+            const height = (platform.position.y - userData.baseY).toFixed(2);
+            return userData.moving
+                ? `${platform.name}: ${height} → ${(userData.targetY - userData.baseY).toFixed(2)}`
+                : `${platform.name}: ${height}`;
+        }).join('\n');
+        // Only touch the DOM when something changed; this runs every frame
+        if (text !== lastReadout) {
+            readout.textContent = text;
+            lastReadout = text;
+        }
+    };
+
+    buildOptions();
+    showSelected();
+    window.refreshPlatformReadout();
+
+    return container;
+}
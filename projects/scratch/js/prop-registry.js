@@ -0,0 +1,336 @@
+/**
+ * Prop Registry
+ *
+ * The single source of prop types. Props are described in prop packs: JSON
+ * documents that give each type a geometry recipe, material colors, a y
+ * offset, collision bounds, mass, friction, interactions and states. The
+ * registry compiles them into the PROP_CATALOG entries read by placement,
+ * physics (getObjectMass / getObjectFriction), collision (getObjectBounds)
+ * and the collaboration remote renderer.
+ *
+ * The core pack (core-props.js) is registered as soon as this file loads.
+ * Packs listed in props/manifest.json are fetched at startup, and packs can
+ * be loaded from a file at any time. See props/README.md for the format.
+ */
+
+/**
+ * Geometry recipe types and the Three.js geometry each one builds.
+ * A recipe's args are passed to the constructor in order.
+ */
+const PROP_GEOMETRY_TYPES = {
+    box: THREE.BoxGeometry,
+    sphere: THREE.SphereGeometry,
+    cylinder: THREE.CylinderGeometry,
+    cone: THREE.ConeGeometry,
+    torus: THREE.TorusGeometry
+};
+
+/**
+ * Material types a prop part can use (phong when not given)
+ */
+const PROP_MATERIAL_TYPES = {
+    phong: THREE.MeshPhongMaterial,
+    basic: THREE.MeshBasicMaterial,
+    standard: THREE.MeshStandardMaterial
+};
+
+/**
+ * Values used when a prop definition leaves them out
+ */
+const PROP_DEFAULTS = {
+    bounds: { width: 1, depth: 1, height: 1 },
+    mass: 10,
+    friction: 0.7
+};
+
+/**
+ * JSON Schema (draft-07) for prop pack files, checked with validateScene
+ */
+const PROP_PACK_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Theater Stage Prop Pack',
+    type: 'object',
+    required: ['id', 'props'],
+    properties: {
+        id: { type: 'string', pattern: '^[a-z0-9_-]+$' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        aliases: { type: 'object', additionalProperties: { type: 'string' } },
+        props: { type: 'object', additionalProperties: { $ref: '#/definitions/prop' } }
+    },
+    definitions: {
+        point: { type: 'array', items: { type: 'number' } },
+        color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+        geometry: {
+            type: 'object',
+            required: ['type', 'args'],
+            properties: {
+                type: { type: 'string', enum: Object.keys(PROP_GEOMETRY_TYPES) },
+                args: { type: 'array', items: { type: 'number' } }
+            }
+        },
+        part: {
+            type: 'object',
+            required: ['geometry'],
+            properties: {
+                geometry: { $ref: '#/definitions/geometry' },
+                material: {
+                    type: 'object',
+                    properties: {
+                        color: { $ref: '#/definitions/color' },
+                        type: { type: 'string', enum: Object.keys(PROP_MATERIAL_TYPES) }
+                    }
+                },
+                position: { $ref: '#/definitions/point' },
+                positions: { type: 'array', items: { $ref: '#/definitions/point' } },
+                rotation: { $ref: '#/definitions/point' },
+                userData: { type: 'object' }
+            }
+        },
+        prop: {
+            type: 'object',
+            required: ['name', 'category'],
+            properties: {
+                name: { type: 'string' },
+                category: { type: 'string' },
+                geometry: { $ref: '#/definitions/geometry' },
+                color: { $ref: '#/definitions/color' },
+                parts: { type: 'array', items: { $ref: '#/definitions/part' } },
+                y: { type: 'number' },
+                bounds: {
+                    type: 'object',
+                    required: ['width', 'depth', 'height'],
+                    properties: {
+                        width: { type: 'number', minimum: 0 },
+                        depth: { type: 'number', minimum: 0 },
+                        height: { type: 'number', minimum: 0 }
+                    }
+                },
+                mass: { type: 'number', minimum: 0 },
+                friction: { type: 'number', minimum: 0, maximum: 1 },
+                interactions: {
+                    type: 'object',
+                    properties: {
+                        grabbable: { type: 'boolean' },
+                        throwable: { type: 'boolean' },
+                        sittable: { type: 'boolean' },
+                        seatHeight: { type: 'number' },
+                        toggleable: { type: 'boolean' },
+                        openable: { type: 'boolean' }
+                    }
+                },
+                states: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+class PropRegistry {
+    constructor() {
+        this.catalog = {};  // prop type -> compiled definition (exposed as PROP_CATALOG)
+        this.aliases = {};  // old type name -> prop type
+        this.packs = [];    // { id, name, description, types }
+    }
+
+    /**
+     * Validate a prop pack and add its props, replacing any types it redefines
+     * @param {Object} pack - Parsed prop pack
+     * @returns {string[]} The types the pack defined
+     * @throws {Error} If the pack does not match PROP_PACK_SCHEMA
+     */
+    registerPack(pack) {
+        const validation = validateScene(pack, PROP_PACK_SCHEMA);
+        const errors = validation.errors.slice();
+        if (isPlainObject(pack.props)) {
+            Object.entries(pack.props).forEach(([type, recipe]) => {
+                if (isPlainObject(recipe) && !recipe.geometry && !recipe.parts) {
+                    errors.push({ path: `props.${type}`, message: 'needs either geometry or parts' });
+                }
+            });
+        }
+        if (errors.length > 0) {
+            const details = errors.map(e => `  ${e.path}: ${e.message}`).join('\n');
+            throw new Error(`Prop pack ${pack.id || '(unnamed)'} failed validation:\n${details}`);
+        }
+
+        const types = Object.keys(pack.props);
+        types.forEach(type => {
+            if (this.catalog[type]) {
+                console.warn(`Prop pack ${pack.id} replaces prop type ${type}`);
+            }
+            this.define(type, compilePropRecipe(pack.props[type], pack.id));
+        });
+        Object.assign(this.aliases, pack.aliases || {});
+
+        this.packs = this.packs.filter(loaded => loaded.id !== pack.id);
+        this.packs.push({ id: pack.id, name: pack.name || pack.id, description: pack.description || '', types });
+
+        if (window.refreshPropCatalogUI) {
+            window.refreshPropCatalogUI();
+        }
+
+        return types;
+    }
+
+    /**
+     * Add or replace a single compiled definition
+     * @param {string} type - Catalog key
+     * @param {Object} definition - { name, category, create, y, bounds, mass, friction, interactions, ... }
+     */
+    define(type, definition) {
+        this.catalog[type] = {
+            y: 0,
+            interactions: {},
+            ...definition,
+            bounds: { ...PROP_DEFAULTS.bounds, ...definition.bounds },
+            mass: definition.mass !== undefined ? definition.mass : PROP_DEFAULTS.mass,
+            friction: definition.friction !== undefined ? definition.friction : PROP_DEFAULTS.friction
+        };
+    }
+
+    /**
+     * Map an old type name through the aliases; unknown names are returned as-is
+     */
+    resolveType(type) {
+        if (this.catalog[type] || !this.aliases[type]) {
+            return type;
+        }
+        return this.aliases[type];
+    }
+
+    /**
+     * Look up a definition by type or alias
+     * @returns {Object|undefined}
+     */
+    get(type) {
+        return this.catalog[this.resolveType(type)];
+    }
+}
+
+/**
+ * Turn a pack's prop recipe into a catalog definition with a create() builder
+ * create() returns a geometry for single-shape props (createPropObject wraps
+ * it in a mesh with the prop color) or a group for multi-part props.
+ */
+function compilePropRecipe(recipe, packId) {
+    const interactions = { ...(recipe.interactions || {}) };
+    if (recipe.states) {
+        interactions.states = recipe.states.slice();
+    }
+
+    return {
+        name: recipe.name,
+        category: recipe.category,
+        color: recipe.color,
+        y: recipe.y || 0,
+        bounds: recipe.bounds,
+        mass: recipe.mass,
+        friction: recipe.friction,
+        interactions,
+        pack: packId,
+        create: recipe.parts
+            ? () => buildPropParts(recipe.parts)
+            : () => createPropGeometry(recipe.geometry)
+    };
+}
+
+function createPropGeometry(geometry) {
+    return new PROP_GEOMETRY_TYPES[geometry.type](...geometry.args);
+}
+
+function buildPropParts(parts) {
+    const group = new THREE.Group();
+
+    parts.forEach(part => {
+        const geometry = createPropGeometry(part.geometry);
+        const materialDef = part.material || {};
+        const MaterialType = PROP_MATERIAL_TYPES[materialDef.type || 'phong'];
+        const material = new MaterialType({ color: materialDef.color || '#808080' });
+
+        // One mesh per position; copies share geometry and material
+        const positions = part.positions || [part.position || [0, 0, 0]];
+        positions.forEach(position => {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(...position);
+            if (part.rotation) {
+                mesh.rotation.set(...part.rotation);
+            }
+            Object.assign(mesh.userData, part.userData || {});
+            group.add(mesh);
+        });
+    });
+
+    return group;
+}
+
+const propRegistry = new PropRegistry();
+propRegistry.registerPack(CORE_PROP_PACK);
+
+/**
+ * Fetch and register the packs listed in props/manifest.json
+ * A missing manifest (e.g. when opened from disk) leaves just the core pack.
+ * @returns {Promise<string[]>} Ids of the packs that loaded
+ */
+async function loadPropPackManifest() {
+    let manifest;
+    try {
+        const response = await fetch('props/manifest.json');
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+        manifest = await response.json();
+    } catch (error) {
+        console.warn('No prop pack manifest loaded:', error.message);
+        return [];
+    }
+
+    const loaded = [];
+    for (const file of manifest.packs || []) {
+        try {
+            const response = await fetch(`props/${file}`);
+            if (!response.ok) {
+                throw new Error(response.statusText);
+            }
+            const pack = await response.json();
+            propRegistry.registerPack(pack);
+            loaded.push(pack.id);
+        } catch (error) {
+            console.error(`Failed to load prop pack ${file}:`, error);
+        }
+    }
+    return loaded;
+}
+
+// Scenes restored at startup wait for this so pack props are available
+const startupPropPacks = loadPropPackManifest();
+
+/**
+ * Load a prop pack from a JSON file chosen by the user
+ */
+function loadPropPackFromFile() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+
+    fileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const pack = JSON.parse(e.target.result);
+                const types = propRegistry.registerPack(pack);
+                console.log(`Loaded prop pack ${pack.id}:`, types);
+                alert(`Loaded prop pack "${pack.name || pack.id}" with ${types.length} prop${types.length === 1 ? '' : 's'}.`);
+            } catch (error) {
+                console.error('Failed to load prop pack:', error);
+                alert(`Failed to load prop pack: ${error.message}`);
+            }
+        };
+        reader.onerror = () => alert('Failed to read file');
+        reader.readAsText(file);
+    });
+
+    fileInput.click();
+}
@@ -0,0 +1,324 @@
+/**
+ * Revolve Controls
+ *
+ * Turns the revolve to an angle the way a revolve drive does: it speeds up
+ * at its acceleration, runs at its speed and slows down to stop on the
+ * angle, e.g. "turn 120° clockwise in 8 seconds". The revolve can also spin
+ * on at its speed until stopped. Speeds are in degrees per second and moves
+ * are advanced with the frame time, so they take as long at any frame rate.
+ *
+ * Angles are measured clockwise as seen from above, 0 to 360. A move is
+ * either to an angle ({ angle }, turning clockwise, counterclockwise or the
+ * shortest way) or by a number of degrees ({ by }, clockwise when positive),
+ * and runs at a speed or, given a duration, at the speed that takes that long.
+ *
+ * Moves from the control panel go through the command manager as
+ * StageElementCommand('rotatingStage', ...), so they can be undone; undo
+ * turns the revolve back. Cues turn it over the cue's fade time.
+ */
+
+/**
+ * Speed of the revolve unless set otherwise, in degrees per second
+ */
+const REVOLVE_DEFAULT_SPEED = 30;
+
+/**
+ * Acceleration and braking of the revolve unless set otherwise, in degrees
+ * per second per second; 0 starts and stops at full speed
+ */
+const REVOLVE_DEFAULT_ACCELERATION = 15;
+
+/**
+ * Directions a move to an angle can take
+ */
+const REVOLVE_DIRECTIONS = {
+    cw: 'Clockwise',
+    ccw: 'Counterclockwise',
+    shortest: 'Shortest way'
+};
+
+/**
+ * Current angle of the revolve, clockwise from above, 0 to 360
+ */
+function revolveAngle() {
+    // rotation.y turns counterclockwise seen from above
+    const degrees = -THREE.MathUtils.radToDeg(rotatingStage.rotation.y);
+    return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Angle the revolve is heading for, or its current angle if it is not on a move
+ */
+function revolveTargetAngle() {
+    const move = rotatingStage.userData.move;
+    if (!move) return revolveAngle();
+    return (((revolveAngle() + move.sign * move.remaining) % 360) + 360) % 360;
+}
+
+/**
+ * Work out a move from where the revolve is now
+ * @param {Object} spec - { angle } or { by }, plus { direction, speed, acceleration, duration }
+ * @returns {Object} { remaining, sign, maxSpeed, acceleration }, with remaining 0 if there is nothing to turn
+ * @throws {Error} If a value is out of range or the duration is too short
+ */
+function planRevolveMove(spec) {
+    const userData = rotatingStage.userData;
+    let distance; // Degrees, clockwise positive
+    if (spec.by !== undefined) {
+        if (!Number.isFinite(spec.by)) {
+            throw new Error('Enter the number of degrees to turn');
+        }
+        distance = spec.by;
+    } else {
+        if (!Number.isFinite(spec.angle)) {
+            throw new Error('Enter the angle to turn to');
+        }
+        const clockwise = (((spec.angle - revolveAngle()) % 360) + 360) % 360;
+        const direction = spec.direction || 'shortest';
+        if (!REVOLVE_DIRECTIONS[direction]) {
+            throw new Error(`Unknown revolve direction ${direction}`);
+        }
+        if (direction === 'cw' || (direction === 'shortest' && clockwise <= 180)) {
+            distance = clockwise;
+        } else {
+            distance = clockwise === 0 ? 0 : clockwise - 360;
+        }
+    }
+
+    const acceleration = spec.acceleration !== undefined ? spec.acceleration : userData.acceleration;
+    if (!Number.isFinite(acceleration) || acceleration < 0) {
+        throw new Error('Revolve acceleration must be 0 or more');
+    }
+
+    let maxSpeed = spec.speed !== undefined ? spec.speed : userData.speed;
+    const remaining = Math.abs(distance);
+    if (spec.duration) {
+        if (!Number.isFinite(spec.duration) || spec.duration <= 0) {
+            throw new Error('Revolve move time must be more than 0');
+        }
+        // Speed up, run and slow down within the duration:
+        // remaining = maxSpeed * (duration - maxSpeed / acceleration)
+        if (acceleration === 0) {
+            maxSpeed = remaining / spec.duration;
+        } else {
+            const discriminant = spec.duration * spec.duration - 4 * remaining / acceleration;
+            if (discriminant < 0) {
+                const shortest = 2 * Math.sqrt(remaining / acceleration);
+                throw new Error(`Turning ${+remaining.toFixed(1)}° takes at least ${shortest.toFixed(1)}s at this acceleration`);
+            }
+            maxSpeed = (spec.duration - Math.sqrt(discriminant)) * acceleration / 2;
+        }
+    } else if (!Number.isFinite(maxSpeed) || maxSpeed <= 0) {
+        throw new Error('Revolve speed must be more than 0');
+    }
+
+    return { remaining, sign: Math.sign(distance), maxSpeed, acceleration };
+}
+
+/**
+ * Start a move straight away, stopping any spin; used by commands and cues
+ * @param {Object} spec - See planRevolveMove()
+ */
+function startRevolveMove(spec) {
+    const userData = rotatingStage.userData;
+    const plan = planRevolveMove(spec);
+    userData.rotating = false;
+    userData.move = plan.remaining > 0 ? { ...plan, velocity: 0 } : null;
+}
+
+/**
+ * Turn the revolve as an undoable command
+ * @param {Object} spec - { angle } or { by }, plus optional { direction, speed, acceleration, duration }
+ * @throws {Error} If there is no revolve, it is hidden, or the move is not possible
+ */
+function turnRevolve(spec) {
+    if (!rotatingStage) {
+        throw new Error('The stage has no revolve');
+    }
+    if (!rotatingStage.visible) {
+        throw new Error('Show the revolve first');
+    }
+    const plan = planRevolveMove(spec);
+    if (plan.remaining === 0) return;
+
+    // Undo turns back the same way it came
+    const timing = { speed: spec.speed, acceleration: spec.acceleration, duration: spec.duration };
+    const by = plan.sign * plan.remaining;
+    const newState = { visible: true, rotating: false, ...timing, ...(spec.by !== undefined ? { by } : { angle: spec.angle, direction: by > 0 ? 'cw' : 'ccw' }) };
+    const oldState = { visible: true, rotating: false, ...timing, ...(spec.by !== undefined ? { by: -by } : { angle: revolveAngle(), direction: by > 0 ? 'ccw' : 'cw' }) };
+    commandManager.executeCommand(new StageElementCommand('rotatingStage', {}, newState, oldState));
+    if (window.updateUndoRedoButtons) {
+        window.updateUndoRedoButtons();
+    }
+}
+
+/**
+ * Advance the revolve's spin or move; called every frame
+ * @param {number} delta - Seconds since the last frame
+ * @returns {number} How far the revolve turned, in radians of rotation.y
+ */
+function updateRevolve(delta) {
+    if (!rotatingStage || !rotatingStage.visible) return 0;
+
+    const userData = rotatingStage.userData;
+    let degrees = 0; // Clockwise
+    if (userData.move) {
+        const move = userData.move;
+        // Speed up to full speed, and brake in time to stop on the angle;
+        // without an acceleration the revolve runs at full speed throughout
+        move.velocity = move.acceleration > 0
+            ? Math.min(move.maxSpeed, move.velocity + move.acceleration * delta,
+                Math.sqrt(2 * move.acceleration * move.remaining))
+            : move.maxSpeed;
+        const step = Math.min(move.velocity * delta, move.remaining);
+        move.remaining -= step;
+        degrees = move.sign * step;
+        if (move.remaining <= 1e-6) {
+            userData.move = null;
+        }
+    } else if (userData.rotating) {
+        degrees = userData.speed * delta * (userData.direction === 'cw' ? 1 : -1);
+    }
+
+    const radians = -THREE.MathUtils.degToRad(degrees);
+    rotatingStage.rotation.y += radians;
+    return radians;
+}
+
+/**
+ * Build the Revolve section of the control panel
+ * @returns {HTMLElement}
+ */
+function createRevolveControlsUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Revolve</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const rowStyle = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+    function addRow(text, control) {
+        const row = document.createElement('div');
+        row.style.cssText = rowStyle;
+        const caption = document.createElement('span');
+        caption.style.cssText = 'width: 70px;';
+        caption.textContent = text;
+        row.appendChild(caption);
+        row.appendChild(control);
+        container.appendChild(row);
+        return control;
+    }
+    function numberInput(value, step, placeholder = '') {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = String(step);
+        input.value = value;
+        input.placeholder = placeholder;
+        input.style.cssText = 'width: 60px;';
+        return input;
+    }
+
+    // Turn to an angle, or by a number of degrees
+    const modeSelect = document.createElement('select');
+    modeSelect.style.cssText = 'padding: 3px; width: 150px;';
+    modeSelect.innerHTML = '<option value="angle">To angle</option><option value="by">By degrees (+ clockwise)</option>';
+    addRow('Move', modeSelect);
+    const angleInput = addRow('Degrees', numberInput('90', 15));
+
+    const directionSelect = document.createElement('select');
+    directionSelect.style.cssText = 'padding: 3px; width: 150px;';
+    directionSelect.innerHTML = Object.entries(REVOLVE_DIRECTIONS)
+        .map(([key, name]) => `<option value="${key}">${name}</option>`).join('');
+    directionSelect.value = 'cw';
+    const directionRow = addRow('Direction', directionSelect).parentElement;
+    // Clockwise or counterclockwise is also the way the revolve spins
+    directionSelect.addEventListener('change', () => {
+        if (rotatingStage && directionSelect.value !== 'shortest') {
+            rotatingStage.userData.direction = directionSelect.value;
+        }
+    });
+    modeSelect.addEventListener('change', () => {
+        directionRow.style.display = modeSelect.value === 'angle' ? 'flex' : 'none';
+    });
+
+    const speedInput = addRow('Speed (°/s)', numberInput(String(REVOLVE_DEFAULT_SPEED), 5));
+    const accelerationInput = addRow('Accel (°/s²)', numberInput(String(REVOLVE_DEFAULT_ACCELERATION), 5));
+    // Speed and acceleration are the revolve's own settings, which spins use too
+    speedInput.addEventListener('change', () => {
+        const speed = parseFloat(speedInput.value);
+        if (rotatingStage && Number.isFinite(speed) && speed > 0) {
+            rotatingStage.userData.speed = speed;
+        }
+    });
+    accelerationInput.addEventListener('change', () => {
+        const acceleration = parseFloat(accelerationInput.value);
+        if (rotatingStage && Number.isFinite(acceleration) && acceleration >= 0) {
+            rotatingStage.userData.acceleration = acceleration;
+        }
+    });
+    const durationInput = addRow('Time (s)', numberInput('', 1, 'speed'));
+    durationInput.title = 'Take this long instead of running at the speed';
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+    const turnButton = document.createElement('button');
+    turnButton.textContent = 'Turn Revolve';
+    turnButton.title = 'Turn the revolve and stop (undoable)';
+    turnButton.style.cssText = buttonStyle;
+    turnButton.addEventListener('click', () => {
+        const degrees = parseFloat(angleInput.value);
+        const spec = modeSelect.value === 'by' ? { by: degrees } : { angle: degrees, direction: directionSelect.value };
+        spec.speed = parseFloat(speedInput.value);
+        spec.acceleration = parseFloat(accelerationInput.value);
+        if (durationInput.value !== '') {
+            spec.duration = parseFloat(durationInput.value);
+        }
+        try {
+            turnRevolve(spec);
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+    container.appendChild(turnButton);
+
+    const stopButton = document.createElement('button');
+    stopButton.textContent = 'Stop';
+    stopButton.title = 'Stop the revolve where it is';
+    stopButton.style.cssText = buttonStyle;
+    stopButton.addEventListener('click', () => {
+        if (rotatingStage) {
+            rotatingStage.userData.move = null;
+            rotatingStage.userData.rotating = false;
+        }
+    });
+    container.appendChild(stopButton);
+
+    const readout = document.createElement('div');
+    readout.style.cssText = 'font-size: 11px; margin: 5px 0; color: #aaa; font-family: monospace;';
+    container.appendChild(readout);
+
+    let lastReadout = '';
+    window.refreshRevolveReadout = () => {
+        let text = 'No revolve';
+        if (rotatingStage) {
+            const userData = rotatingStage.userData;
+            text = `Angle ${revolveAngle().toFixed(1)}°`;
+            if (userData.move) {
+                text += ` → ${revolveTargetAngle().toFixed(1)}° at ${userData.move.velocity.toFixed(1)}°/s`;
+            } else if (userData.rotating) {
+                text += `, spinning ${userData.direction === 'cw' ? 'clockwise' : 'counterclockwise'} at ${userData.speed}°/s`;
+            }
+            if (!rotatingStage.visible) {
+                text += ' (hidden)';
+            }
+        }
+        // Only touch the DOM when something changed; this runs every frame
+        if (text !== lastReadout) {
+            readout.textContent = text;
+            lastReadout = text;
+        }
+    };
+    window.refreshRevolveReadout();
+
+    return container;
+}
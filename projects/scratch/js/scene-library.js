@@ -0,0 +1,410 @@
+/**
+ * Scene Library
+ *
+ * Browser-side storage for scenes, backed by IndexedDB. Scenes are stored by
+ * name together with a thumbnail rendered from the current camera. The
+ * library also keeps a rolling autosave of the stage and offers to recover
+ * it when the page is opened again, so a crashed tab does not lose work.
+ *
+ * All scene data goes through SceneSerializer.exportScene / importScene.
+ */
+
+const SCENE_LIBRARY_DB = 'theater-stage';
+const SCENE_LIBRARY_STORE = 'scenes';
+const AUTOSAVE_SLOT = '__autosave__';
+const AUTOSAVE_INTERVAL_MS = 30000;
+
+class SceneLibrary {
+    constructor() {
+        this.dbPromise = null;
+        this.autosaveTimer = null;
+        this.lastAutosavedContent = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Check whether the browser provides IndexedDB
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the scene database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isAvailable()) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(SCENE_LIBRARY_DB, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SCENE_LIBRARY_STORE)) {
+                        db.createObjectStore(SCENE_LIBRARY_STORE, { keyPath: 'name' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the scene store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    async withStore(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(SCENE_LIBRARY_STORE, mode);
+            const request = makeRequest(transaction.objectStore(SCENE_LIBRARY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Save the current stage under a name, replacing any scene with that name
+     * @param {string} name - Library slot name
+     * @param {string} description - Optional description stored in the scene file
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveCurrentScene(name, description = '') {
+        const record = {
+            name,
+            json: sceneSerializer.exportScene(name, description),
+            thumbnail: captureSceneThumbnail(),
+            updatedAt: new Date().toISOString()
+        };
+        await this.withStore('readwrite', store => store.put(record));
+        this.notifyChange();
+        return record;
+    }
+
+    /**
+     * List the named scenes, newest first (the autosave slot is excluded)
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        const records = await this.withStore('readonly', store => store.getAll());
+        return records
+            .filter(record => record.name !== AUTOSAVE_SLOT)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Fetch a stored scene record by name
+     * @returns {Promise<Object|undefined>}
+     */
+    get(name) {
+        return this.withStore('readonly', store => store.get(name));
+    }
+
+    /**
+     * Delete a stored scene by name
+     */
+    async remove(name) {
+        await this.withStore('readwrite', store => store.delete(name));
+        this.notifyChange();
+    }
+
+    /**
+     * Register a callback that runs whenever the named scene list changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Write the stage to the autosave slot if it changed since the last autosave
+     * @returns {Promise<boolean>} Whether anything was written
+     */
+    async autosave() {
+        const json = sceneSerializer.exportScene('Autosave', 'Recovered from an automatic save');
+        const content = stripSceneTimestamp(json);
+        if (content === this.lastAutosavedContent) {
+            return false;
+        }
+
+        await this.withStore('readwrite', store => store.put({
+            name: AUTOSAVE_SLOT,
+            json,
+            thumbnail: null,
+            updatedAt: new Date().toISOString()
+        }));
+        this.lastAutosavedContent = content;
+        return true;
+    }
+
+    /**
+     * Start periodic autosaving
+     * @param {number} intervalMs - Time between autosaves
+     */
+    startAutosave(intervalMs = AUTOSAVE_INTERVAL_MS) {
+        this.stopAutosave();
+        this.autosaveTimer = setInterval(() => {
+            this.autosave().catch(error => console.error('Autosave failed:', error));
+        }, intervalMs);
+    }
+
+    stopAutosave() {
+        if (this.autosaveTimer) {
+            clearInterval(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+    }
+
+    /**
+     * Offer to restore the autosave left by a previous session
+     * Autosaves of an untouched stage are ignored. Declining discards the autosave.
+     * @returns {Promise<boolean>} Whether a session was recovered
+     */
+    async offerRecovery() {
+        const record = await this.get(AUTOSAVE_SLOT);
+        if (!record) {
+            return false;
+        }
+
+        if (!autosaveHasContent(record.json)) {
+            return false;
+        }
+
+        const recover = confirm(
+            `An autosaved session from ${new Date(record.updatedAt).toLocaleString()} was found.\n\n` +
+            `Do you want to recover it?`
+        );
+
+        if (!recover) {
+            await this.withStore('readwrite', store => store.delete(AUTOSAVE_SLOT));
+            console.log('Discarded autosaved session');
+            return false;
+        }
+
+        const result = sceneSerializer.importScene(record.json);
+        if (!result.success) {
+            alert(`Failed to recover the last session: ${result.error}`);
+            return false;
+        }
+
+        this.lastAutosavedContent = stripSceneTimestamp(record.json);
+        console.log('Recovered autosaved session');
+        return true;
+    }
+}
+
+/**
+ * Render the stage from the current camera and return a small JPEG data URL
+ * @param {number} width - Thumbnail width in pixels
+ * @param {number} height - Thumbnail height in pixels
+ * @returns {string|null} Data URL, or null if the canvas could not be read
+ */
+function captureSceneThumbnail(width = 160, height = 90) {
+    try {
+        // The drawing buffer is cleared after compositing, so render right before reading it
+        renderer.render(scene, camera);
+
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = width;
+        thumbnail.height = height;
+        thumbnail.getContext('2d').drawImage(renderer.domElement, 0, 0, width, height);
+        return thumbnail.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        console.warn('Could not capture scene thumbnail:', error);
+        return null;
+    }
+}
+
+/**
+ * Whether an autosave holds any work: a section other than the camera that
+ * differs from the stage as it starts, which is what is on stage at startup.
+ * Sections older files lack load as defaults, so they are not compared.
+ */
+function autosaveHasContent(json) {
+    let saved;
+    try {
+        saved = migrateScene(JSON.parse(json)).sceneData.stage || {};
+    } catch (error) {
+        return true; // Let the import report what is wrong with it
+    }
+    const fresh = JSON.parse(sceneSerializer.exportScene()).stage;
+    return Object.keys(saved).some(section =>
+        section !== 'camera' && JSON.stringify(saved[section]) !== JSON.stringify(fresh[section]));
+}
+
+function stripSceneTimestamp(json) {
+    const data = JSON.parse(json);
+    delete data.timestamp;
+    return JSON.stringify(data);
+}
+
+const sceneLibrary = new SceneLibrary();
+
+/**
+ * Build the Scene Library section of the control panel
+ * @returns {HTMLElement}
+ */
+function createSceneLibraryUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Scene Library</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    if (!sceneLibrary.isAvailable()) {
+        const unavailable = document.createElement('div');
+        unavailable.style.cssText = 'font-size: 11px; color: #aaa;';
+        unavailable.textContent = 'Browser storage is not available';
+        container.appendChild(unavailable);
+        return container;
+    }
+
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save to Library';
+    saveButton.style.cssText = 'margin: 5px 0; padding: 5px 10px; cursor: pointer;';
+    saveButton.addEventListener('click', async () => {
+        const name = prompt('Enter a name for this scene:', 'My Theater Scene');
+        if (name === null || !name.trim()) {
+            return;
+        }
+
+        try {
+            const existing = await sceneLibrary.get(name.trim());
+            if (existing && !confirm(`A scene named "${name.trim()}" already exists. Replace it?`)) {
+                return;
+            }
+            await sceneLibrary.saveCurrentScene(name.trim());
+            console.log(`Scene "${name.trim()}" saved to library`);
+        } catch (error) {
+            console.error('Failed to save scene to library:', error);
+            alert(`Failed to save scene to library: ${error.message}`);
+        }
+    });
+    container.appendChild(saveButton);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 220px; overflow-y: auto; width: 300px;';
+    container.appendChild(list);
+
+    async function refreshList() {
+        let records;
+        try {
+            records = await sceneLibrary.list();
+        } catch (error) {
+            console.error('Failed to read scene library:', error);
+            list.textContent = 'Scene library unavailable';
+            return;
+        }
+
+        list.innerHTML = '';
+        if (records.length === 0) {
+            list.innerHTML = '<div style="font-size: 11px; color: #aaa;">No saved scenes yet</div>';
+            return;
+        }
+
+        records.forEach(record => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 4px 0; font-size: 12px;';
+
+            const image = document.createElement('img');
+            image.style.cssText = 'width: 64px; height: 36px; object-fit: cover; background: #222;';
+            if (record.thumbnail) {
+                image.src = record.thumbnail;
+            }
+            image.alt = '';
+            row.appendChild(image);
+
+            const info = document.createElement('div');
+            info.style.cssText = 'flex: 1; overflow: hidden;';
+            const title = document.createElement('div');
+            title.textContent = record.name;
+            const date = document.createElement('div');
+            date.style.cssText = 'color: #aaa; font-size: 10px;';
+            date.textContent = new Date(record.updatedAt).toLocaleString();
+            info.appendChild(title);
+            info.appendChild(date);
+            row.appendChild(info);
+
+            const loadButton = document.createElement('button');
+            loadButton.textContent = 'Load';
+            loadButton.style.cssText = 'padding: 2px 6px; cursor: pointer;';
+            loadButton.addEventListener('click', () => {
+                if (!confirm(`This will clear the current scene and load "${record.name}".\n\nDo you want to continue?`)) {
+                    return;
+                }
+                const result = sceneSerializer.importScene(record.json);
+                if (result.success) {
+                    console.log('Scene loaded from library:', record.name);
+                    const notes = describeSceneMigration(result.migration);
+                    if (notes) {
+                        alert(`Loaded "${record.name}".${notes}`);
+                    }
+                } else {
+                    alert(`Failed to load scene: ${result.error}`);
+                }
+            });
+            row.appendChild(loadButton);
+
+            const layerButton = document.createElement('button');
+            layerButton.textContent = 'Layer';
+            layerButton.title = 'Add this scene on top of the current stage';
+            layerButton.style.cssText = 'padding: 2px 6px; cursor: pointer;';
+            layerButton.addEventListener('click', () => applySceneMerge(record.json));
+            row.appendChild(layerButton);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = '✕';
+            deleteButton.title = 'Delete from library';
+            deleteButton.style.cssText = 'padding: 2px 6px; cursor: pointer;';
+            deleteButton.addEventListener('click', async () => {
+                if (!confirm(`Delete "${record.name}" from the library?`)) {
+                    return;
+                }
+                try {
+                    await sceneLibrary.remove(record.name);
+                } catch (error) {
+                    console.error('Failed to delete scene from library:', error);
+                    alert(`Failed to delete scene from library: ${error.message}`);
+                }
+            });
+            row.appendChild(deleteButton);
+
+            list.appendChild(row);
+        });
+    }
+
+    sceneLibrary.onChange(refreshList);
+    refreshList();
+
+    return container;
+}
+
+// Offer recovery once the stage is built, then keep autosaving
+window.addEventListener('load', async () => {
+    if (!sceneLibrary.isAvailable()) {
+        console.warn('Scene library disabled: IndexedDB is not available');
+        return;
+    }
+
+    try {
+        // The autosave may use props from packs that are still loading
+        await startupPropPacks;
+        await sceneLibrary.offerRecovery();
+    } catch (error) {
+        console.error('Failed to check for an autosaved session:', error);
+    }
+    sceneLibrary.startAutosave();
+});
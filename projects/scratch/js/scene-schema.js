@@ -0,0 +1,973 @@
+/**
+ * Scene Format Schema and Migrations
+ *
+ * Defines the JSON Schema for saved scene files, a small validator that
+ * reports the exact field path of every problem, and the chain of migration
+ * functions that upgrade older scene files to the current format version.
+ *
+ * Loaded before stage.js so the SceneSerializer can use it on import.
+ */
+
+/**
+ * Current scene file format version written by SceneSerializer.exportScene
+ */
+const SCENE_FORMAT_VERSION = '1.20';
+
+/**
+ * Stop positions of the two sliding scenery panels in scenes saved before
+ * 1.18, from off to full; scenery positions are stop numbers since
+ */
+const SCENERY_STOPS = [0, 0.25, 0.5, 0.75, 1];
+
+/**
+ * JSON Schema (draft-07) describing the current scene format
+ */
+const SCENE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Theater Stage Scene',
+    type: 'object',
+    required: ['version', 'stage'],
+    properties: {
+        version: { type: 'string', pattern: '^\\d+\\.\\d+$' },
+        timestamp: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        stage: {
+            type: 'object',
+            required: ['actors', 'props'],
+            properties: {
+                actors: { type: 'array', items: { $ref: '#/definitions/actor' } },
+                props: { type: 'array', items: { $ref: '#/definitions/prop' } },
+                rig: { type: 'array', items: { $ref: '#/definitions/fixture' } },
+                dmx: { $ref: '#/definitions/dmx' },
+                lighting: { $ref: '#/definitions/lighting' },
+                camera: { $ref: '#/definitions/camera' },
+                venue: { $ref: '#/definitions/venue' },
+                stageElements: { $ref: '#/definitions/stageElements' },
+                fly: { type: 'array', items: { $ref: '#/definitions/lineset' } },
+                customProps: { type: 'array', items: { $ref: '#/definitions/customProp' } },
+                cues: { type: 'array', items: { $ref: '#/definitions/cue' } },
+                blocking: { $ref: '#/definitions/blocking' }
+            }
+        }
+    },
+    definitions: {
+        vector3: {
+            type: 'object',
+            required: ['x', 'y', 'z'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                z: { type: 'number' }
+            }
+        },
+        velocity2: {
+            type: 'object',
+            required: ['x', 'z'],
+            properties: {
+                x: { type: 'number' },
+                z: { type: 'number' }
+            }
+        },
+        actor: {
+            type: 'object',
+            required: ['id', 'position', 'rotation', 'visible', 'hidden'],
+            properties: {
+                id: { type: 'string', pattern: '^actor_\\d+$' },
+                name: { type: 'string' },
+                position: { $ref: '#/definitions/vector3' },
+                rotation: { $ref: '#/definitions/vector3' },
+                visible: { type: 'boolean' },
+                hidden: { type: 'boolean' },
+                holding: { type: 'string', pattern: '^prop_\\d+$' },
+                sittingOn: { type: 'string', pattern: '^prop_\\d+$' },
+                velocity: { $ref: '#/definitions/velocity2' }
+            }
+        },
+        prop: {
+            type: 'object',
+            required: ['id', 'type', 'position', 'rotation', 'visible', 'hidden'],
+            properties: {
+                id: { type: 'string', pattern: '^prop_\\d+$' },
+                name: { type: 'string' },
+                type: { type: 'string' },
+                position: { $ref: '#/definitions/vector3' },
+                rotation: { $ref: '#/definitions/vector3' },
+                visible: { type: 'boolean' },
+                hidden: { type: 'boolean' },
+                state: { type: 'string' },
+                velocity: { $ref: '#/definitions/velocity2' },
+                thrown: {
+                    type: 'object',
+                    required: ['velocity', 'gravity'],
+                    properties: {
+                        velocity: { $ref: '#/definitions/vector3' },
+                        thrownBy: { type: ['string', 'null'] },
+                        gravity: { type: 'number' }
+                    }
+                }
+            }
+        },
+        customProp: {
+            type: 'object',
+            required: ['type', 'name', 'format', 'data', 'bounds', 'mass', 'friction'],
+            properties: {
+                type: { type: 'string', pattern: '^custom_[a-z0-9_]+$' },
+                name: { type: 'string' },
+                format: { type: 'string', enum: ['glb', 'gltf', 'obj'] },
+                data: { type: 'string', pattern: '^data:[^,]*;base64,' },
+                scale: { type: 'number', minimum: 0 },
+                bounds: {
+                    type: 'object',
+                    required: ['width', 'depth', 'height'],
+                    properties: {
+                        width: { type: 'number', minimum: 0 },
+                        depth: { type: 'number', minimum: 0 },
+                        height: { type: 'number', minimum: 0 }
+                    }
+                },
+                mass: { type: 'number', minimum: 0 },
+                friction: { type: 'number', minimum: 0, maximum: 1 },
+                interactions: {
+                    type: 'object',
+                    properties: {
+                        grabbable: { type: 'boolean' },
+                        throwable: { type: 'boolean' },
+                        sittable: { type: 'boolean' },
+                        toggleable: { type: 'boolean' }
+                    }
+                }
+            }
+        },
+        cue: {
+            type: 'object',
+            required: ['department', 'number', 'fade', 'actions'],
+            properties: {
+                department: { type: 'string', pattern: '^[A-Z]+$' },
+                number: { type: 'number', minimum: 0 },
+                label: { type: 'string' },
+                delay: { type: 'number', minimum: 0 },
+                fade: { type: 'number', minimum: 0 },
+                actions: { type: 'array', items: { $ref: '#/definitions/cueAction' } }
+            }
+        },
+        cueAction: {
+            type: 'object',
+            required: ['target', 'value'],
+            properties: {
+                target: {
+                    type: 'string',
+                    enum: ['curtains', 'platform', 'scenery', 'rotatingStage', 'trapDoor', 'lineset', 'lighting', 'camera']
+                },
+                // Platform, trap door, scenery panel or lineset id
+                id: { type: 'string' },
+                // Depends on the target: a height, stop, preset name or state object
+                value: {}
+            }
+        },
+        blocking: {
+            type: 'object',
+            properties: {
+                loop: { type: 'boolean' },
+                tracks: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'keyframes'],
+                        properties: {
+                            // Actor or prop ID
+                            id: { type: 'string' },
+                            keyframes: { type: 'array', items: { $ref: '#/definitions/keyframe' } }
+                        }
+                    }
+                }
+            }
+        },
+        keyframe: {
+            type: 'object',
+            required: ['time', 'x', 'z', 'rotation'],
+            properties: {
+                time: { type: 'number', minimum: 0 },
+                x: { type: 'number' },
+                z: { type: 'number' },
+                rotation: { type: 'number' },
+                marker: { type: ['string', 'null'] },
+                easing: { type: 'string', enum: ['linear', 'ease-in', 'ease-out', 'ease-in-out'] }
+            }
+        },
+        fixture: {
+            type: 'object',
+            required: ['id', 'channel', 'type', 'mount', 'offset'],
+            properties: {
+                id: { type: 'string', pattern: '^fixture_\\d+$' },
+                channel: { type: 'integer', minimum: 1 },
+                type: { type: 'string', enum: ['spot', 'wash', 'par', 'footlight', 'cyc'] },
+                label: { type: 'string' },
+                mount: { type: 'string', enum: ['foh', 'lx1', 'lx2', 'sl-boom', 'sr-boom', 'apron', 'groundrow'] },
+                // Position along a batten or floor position, height on a boom
+                offset: { type: 'number' },
+                // Focus point; footlight strips have none
+                target: { $ref: '#/definitions/vector3' },
+                gobo: { type: 'string', enum: ['leaves', 'window', 'stars'] }
+            }
+        },
+        venue: {
+            type: 'object',
+            required: ['type', 'width', 'depth'],
+            properties: {
+                type: { type: 'string', enum: ['proscenium', 'thrust', 'traverse', 'in-the-round', 'black-box'] },
+                width: { type: 'number', minimum: 0 },
+                depth: { type: 'number', minimum: 0 },
+                // A thrust's depth and width past the plaster line
+                apron: { type: 'number', minimum: 0 },
+                apronWidth: { type: 'number', minimum: 0 },
+                wings: { type: 'number', minimum: 0 },
+                // Gaps between the deck and the walls
+                backWall: { type: 'number', minimum: 0 },
+                sideWalls: { type: 'number', minimum: 0 }
+            }
+        },
+        lineset: {
+            type: 'object',
+            required: ['kind', 'depth', 'width', 'height', 'inTrim', 'outTrim'],
+            properties: {
+                // Stays with the lineset as the rail renumbers; cues use it
+                id: { type: 'string' },
+                label: { type: 'string' },
+                kind: { type: 'string', enum: ['drop', 'border', 'leg', 'prop'] },
+                // Distance upstage of the plaster line
+                depth: { type: 'number', minimum: 0 },
+                x: { type: 'number' },
+                width: { type: 'number', minimum: 0 },
+                height: { type: 'number', minimum: 0 },
+                // Heights of the piece's bottom edge
+                inTrim: { type: 'number', minimum: 0 },
+                outTrim: { type: 'number', minimum: 0 },
+                trim: { type: 'number', minimum: 0 },
+                speed: { type: 'number', minimum: 0 },
+                color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+            }
+        },
+        dmx: {
+            type: 'object',
+            properties: {
+                patch: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['fixtureId', 'universe', 'address', 'layout'],
+                        properties: {
+                            fixtureId: { type: 'string', pattern: '^fixture_\\d+$' },
+                            universe: { type: 'integer', minimum: 1, maximum: 63999 },
+                            address: { type: 'integer', minimum: 1, maximum: 512 },
+                            layout: { type: 'string', enum: ['dimmer', 'rgb', 'dimmer-rgb'] }
+                        }
+                    }
+                }
+            }
+        },
+        lighting: {
+            type: 'object',
+            required: ['preset'],
+            properties: {
+                // A built-in preset, "look:<name>" for a saved look, or "custom"
+                preset: { type: 'string' },
+                customSettings: { $ref: '#/definitions/lightingState' },
+                looks: { type: 'array', items: { $ref: '#/definitions/lightingLook' } },
+                followspot: {
+                    type: 'object',
+                    properties: {
+                        actorId: { type: ['string', 'null'] },
+                        on: { type: 'boolean' },
+                        lag: { type: 'number', minimum: 0 },
+                        iris: { type: 'number', minimum: 0, maximum: 90 },
+                        level: { type: 'number', minimum: 0 },
+                        fadeTime: { type: 'number', minimum: 0 }
+                    }
+                },
+                effects: {
+                    type: 'object',
+                    properties: {
+                        breathing: {
+                            type: 'object',
+                            properties: {
+                                enabled: { type: 'boolean' },
+                                depth: { type: 'number', minimum: 0, maximum: 1 },
+                                rate: { type: 'number', minimum: 0 }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        lightingState: {
+            type: 'object',
+            properties: {
+                background: { $ref: '#/definitions/color' },
+                fog: { $ref: '#/definitions/fog' },
+                // Keyed by fixture ID, e.g. "fixture_1", or "ambient"
+                fixtures: { type: 'object', additionalProperties: { $ref: '#/definitions/fixtureState' } }
+            }
+        },
+        lightingLook: {
+            type: 'object',
+            required: ['name', 'fixtures'],
+            properties: {
+                name: { type: 'string' },
+                background: { $ref: '#/definitions/color' },
+                fog: { $ref: '#/definitions/fog' },
+                fixtures: { type: 'object', additionalProperties: { $ref: '#/definitions/fixtureState' } }
+            }
+        },
+        fog: {
+            type: 'object',
+            required: ['color', 'near', 'far'],
+            properties: {
+                color: { $ref: '#/definitions/color' },
+                near: { type: 'number', minimum: 0 },
+                far: { type: 'number', minimum: 0 }
+            }
+        },
+        fixtureState: {
+            type: 'object',
+            properties: {
+                intensity: { type: 'number', minimum: 0 },
+                color: { $ref: '#/definitions/color' },
+                // Gel number ("L179") or color temperature ("3200K") the color came from
+                gel: { type: ['string', 'null'], pattern: '^(L\\d{3}|\\d{4,5}K)$' },
+                angle: { type: 'number', minimum: 0, maximum: Math.PI / 2 },
+                penumbra: { type: 'number', minimum: 0, maximum: 1 },
+                target: { $ref: '#/definitions/vector3' }
+            }
+        },
+        color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+        camera: {
+            type: 'object',
+            required: ['position', 'target'],
+            properties: {
+                position: { $ref: '#/definitions/vector3' },
+                target: { $ref: '#/definitions/vector3' }
+            }
+        },
+        stageElements: {
+            type: 'object',
+            properties: {
+                platforms: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['index', 'height'],
+                        properties: {
+                            index: { type: 'integer', minimum: 0 },
+                            id: { type: 'string' },
+                            x: { type: 'number' },
+                            z: { type: 'number' },
+                            width: { type: 'number', minimum: 0 },
+                            depth: { type: 'number', minimum: 0 },
+                            height: { type: 'number' },
+                            speed: { type: 'number', minimum: 0 },
+                            visible: { type: 'boolean' }
+                        }
+                    }
+                },
+                curtains: {
+                    type: 'object',
+                    required: ['open', 'mode'],
+                    properties: {
+                        // Percent open
+                        open: { type: 'number', minimum: 0, maximum: 100 },
+                        mode: { type: 'string', enum: ['traveler', 'guillotine'] },
+                        // Percent per second
+                        speed: { type: 'number', minimum: 0 },
+                        scrim: { type: 'boolean' }
+                    }
+                },
+                // null when the production has no revolve
+                rotatingStage: {
+                    type: ['object', 'null'],
+                    properties: {
+                        id: { type: 'string' },
+                        x: { type: 'number' },
+                        z: { type: 'number' },
+                        radius: { type: 'number', minimum: 0 },
+                        visible: { type: 'boolean' },
+                        rotating: { type: 'boolean' },
+                        rotation: { type: 'number' },
+                        // Degrees per second, the way it spins and degrees per second per second
+                        speed: { type: 'number', minimum: 0 },
+                        direction: { type: 'string', enum: ['cw', 'ccw'] },
+                        acceleration: { type: 'number', minimum: 0 }
+                    }
+                },
+                trapDoors: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['index'],
+                        properties: {
+                            index: { type: 'integer', minimum: 0 },
+                            id: { type: 'string' },
+                            x: { type: 'number' },
+                            z: { type: 'number' },
+                            width: { type: 'number', minimum: 0 },
+                            depth: { type: 'number', minimum: 0 },
+                            visible: { type: 'boolean' },
+                            // Door open, or lift down
+                            open: { type: 'boolean' },
+                            mode: { type: 'string', enum: ['drop', 'lift'] },
+                            liftSpeed: { type: 'number', minimum: 0 }
+                        }
+                    }
+                },
+                wagons: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['index', 'x', 'z', 'width', 'depth', 'height', 'track', 'angle'],
+                        properties: {
+                            index: { type: 'integer', minimum: 0 },
+                            id: { type: 'string' },
+                            x: { type: 'number' },
+                            z: { type: 'number' },
+                            width: { type: 'number', minimum: 0 },
+                            depth: { type: 'number', minimum: 0 },
+                            height: { type: 'number', minimum: 0 },
+                            track: { type: 'number', minimum: 0 },
+                            angle: { type: 'number' },
+                            travel: { type: 'number', minimum: 0 },
+                            speed: { type: 'number', minimum: 0 },
+                            visible: { type: 'boolean' }
+                        }
+                    }
+                },
+                scenery: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['index', 'position'],
+                        properties: {
+                            index: { type: 'integer', minimum: 0 },
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            width: { type: 'number', minimum: 0 },
+                            height: { type: 'number', minimum: 0 },
+                            x: { type: 'number' },
+                            z: { type: 'number' },
+                            direction: { type: 'string', enum: ['left', 'right', 'above'] },
+                            // Offsets from the panel's home position, furthest off first
+                            stops: { type: 'array', items: { type: 'number', minimum: 0 } },
+                            cutouts: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['x', 'y', 'width', 'height'],
+                                    properties: {
+                                        x: { type: 'number' },
+                                        y: { type: 'number', minimum: 0 },
+                                        width: { type: 'number', minimum: 0 },
+                                        height: { type: 'number', minimum: 0 }
+                                    }
+                                }
+                            },
+                            color: { type: 'string' },
+                            // Stop number
+                            position: { type: 'integer', minimum: 0 },
+                            hasTexture: { type: 'boolean' },
+                            defaultTexture: { type: 'string', enum: ['brick', 'wood', 'sky'] }
+                        }
+                    }
+                },
+                markers: {
+                    type: 'object',
+                    properties: {
+                        visible: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validates scene data against SCENE_SCHEMA
+ *
+ * Supports the subset of JSON Schema used by the scene format: type,
+ * required, properties, additionalProperties (as a schema), items, enum,
+ * pattern, minimum, maximum and local $ref pointers into definitions.
+ *
+ * @param {Object} sceneData - Parsed scene data
+ * @param {Object} schema - Schema to validate against (defaults to SCENE_SCHEMA)
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+function validateScene(sceneData, schema = SCENE_SCHEMA) {
+    const errors = [];
+    validateNode(sceneData, schema, '', schema, errors);
+    return { valid: errors.length === 0, errors };
+}
+
+function validateNode(value, schema, path, rootSchema, errors) {
+    if (schema.$ref) {
+        schema = resolveSchemaRef(schema.$ref, rootSchema);
+    }
+
+    const where = path || '(root)';
+
+    if (schema.type && !matchesSchemaType(value, schema.type)) {
+        errors.push({ path: where, message: `expected ${[].concat(schema.type).join(' or ')}, got ${describeJsonType(value)}` });
+        return; // Nested checks are meaningless once the type is wrong
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: where, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+    }
+
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path: where, message: `"${value}" does not match pattern ${schema.pattern}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: where, message: `must be >= ${schema.minimum}, got ${value}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: where, message: `must be <= ${schema.maximum}, got ${value}` });
+        }
+    }
+
+    if (isPlainObject(value)) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path: joinSchemaPath(path, key), message: 'is required' });
+            }
+        });
+
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (key in value) {
+                validateNode(value[key], propertySchema, joinSchemaPath(path, key), rootSchema, errors);
+            }
+        });
+
+        if (isPlainObject(schema.additionalProperties)) {
+            Object.keys(value)
+                .filter(key => !(schema.properties && key in schema.properties))
+                .forEach(key => {
+                    validateNode(value[key], schema.additionalProperties, joinSchemaPath(path, key), rootSchema, errors);
+                });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            validateNode(item, schema.items, `${path}[${index}]`, rootSchema, errors);
+        });
+    }
+}
+
+function resolveSchemaRef(ref, rootSchema) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => {
+        if (!node || !(key in node)) {
+            throw new Error(`Unresolvable schema reference: ${ref}`);
+        }
+        return node[key];
+    }, rootSchema);
+}
+
+function matchesSchemaType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(t => {
+        switch (t) {
+            case 'object': return isPlainObject(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === t;
+        }
+    });
+}
+
+function describeJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+    return typeof value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinSchemaPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Ordered chain of format migrations. Each step upgrades scene data from
+ * one version to the next and records a human readable line for every
+ * change it makes, so the user can be told what was altered on import.
+ */
+const SCENE_MIGRATIONS = [
+    {
+        from: '1.0',
+        to: '1.1',
+        description: 'Normalize transient curtain states, visibility flags and scenery stops',
+        migrate(sceneData, changes) {
+            const stage = sceneData.stage || {};
+            const elements = stage.stageElements;
+
+            // 1.0 could save a curtain mid-animation
+            if (elements && (elements.curtains === 'opening' || elements.curtains === 'closing')) {
+                const settled = elements.curtains === 'opening' ? 'open' : 'closed';
+                changes.push(`stage.stageElements.curtains: "${elements.curtains}" settled to "${settled}"`);
+                elements.curtains = settled;
+            }
+
+            ['actors', 'props'].forEach(listName => {
+                (stage[listName] || []).forEach((item, index) => {
+                    if (typeof item.visible !== 'boolean') {
+                        changes.push(`stage.${listName}[${index}].visible: defaulted to true`);
+                        item.visible = true;
+                    }
+                    if (typeof item.hidden !== 'boolean') {
+                        changes.push(`stage.${listName}[${index}].hidden: defaulted to false`);
+                        item.hidden = false;
+                    }
+                });
+            });
+
+            if (elements && Array.isArray(elements.scenery)) {
+                elements.scenery.forEach((panel, index) => {
+                    if (typeof panel.position === 'number' && !SCENERY_STOPS.includes(panel.position)) {
+                        const snapped = SCENERY_STOPS.reduce((best, stop) =>
+                            Math.abs(stop - panel.position) < Math.abs(best - panel.position) ? stop : best
+                        );
+                        changes.push(`stage.stageElements.scenery[${index}].position: ${panel.position} snapped to ${snapped}`);
+                        panel.position = snapped;
+                    }
+                });
+            }
+
+            if (stage.lighting && !isPlainObject(stage.lighting.customSettings)) {
+                stage.lighting.customSettings = {};
+            }
+        }
+    },
+    {
+        from: '1.1',
+        to: '1.2',
+        description: 'Add prop states, held/sitting relationships and velocities',
+        migrate() {
+            // All new fields are optional: older scenes load with props in
+            // their default state and nothing held, seated or moving
+        }
+    },
+    {
+        from: '1.2',
+        to: '1.3',
+        description: 'Embed imported custom prop models',
+        migrate() {
+            // stage.customProps is optional: older scenes only use built-in props
+        }
+    },
+    {
+        from: '1.3',
+        to: '1.4',
+        description: 'Add the cue list',
+        migrate() {
+            // stage.cues is optional: older scenes load with an empty cue list
+        }
+    },
+    {
+        from: '1.4',
+        to: '1.5',
+        description: 'Add blocking keyframes',
+        migrate() {
+            // stage.blocking is optional: older scenes have no choreography
+        }
+    },
+    {
+        from: '1.5',
+        to: '1.6',
+        description: 'Add per-fixture lighting state and saved lighting looks',
+        migrate() {
+            // customSettings was always an empty object and looks are optional;
+            // older scenes keep just their preset
+        }
+    },
+    {
+        from: '1.6',
+        to: '1.7',
+        description: 'Make the spotlight breathing effect explicit',
+        migrate(sceneData, changes) {
+            // Default and dramatic lighting always breathed before; keep those scenes looking the same
+            const lighting = (sceneData.stage || {}).lighting;
+            if (lighting && (lighting.preset === 'default' || lighting.preset === 'dramatic')) {
+                lighting.effects = { breathing: { enabled: true, depth: 0.2, rate: 1 } };
+                changes.push(`stage.lighting.effects.breathing: enabled to match the old "${lighting.preset}" flicker`);
+            }
+        }
+    },
+    {
+        from: '1.7',
+        to: '1.8',
+        description: 'Add the followspot',
+        migrate() {
+            // stage.lighting.followspot is optional: older scenes start with it unassigned
+        }
+    },
+    {
+        from: '1.8',
+        to: '1.9',
+        description: 'Add the lighting rig and key lighting states by fixture ID',
+        migrate(sceneData, changes) {
+            // Older scenes have no stage.rig and load with the default rig, whose
+            // fixtures carry these IDs
+            const fixtureIds = {
+                'Spot Left': 'fixture_1',
+                'Spot Right': 'fixture_2',
+                'Center Spot': 'fixture_3',
+                'Footlight 1': 'fixture_4',
+                'Footlight 2': 'fixture_5',
+                'Footlight 3': 'fixture_6',
+                'Ambient': 'ambient'
+            };
+            const rekey = (state, path) => {
+                if (!isPlainObject(state) || !isPlainObject(state.fixtures)) return;
+                const fixtures = {};
+                Object.entries(state.fixtures).forEach(([name, fixtureState]) => {
+                    fixtures[fixtureIds[name] || name] = fixtureState;
+                });
+                state.fixtures = fixtures;
+                changes.push(`${path}.fixtures: keyed by fixture ID`);
+            };
+
+            const stage = sceneData.stage || {};
+            if (stage.lighting) {
+                rekey(stage.lighting.customSettings, 'stage.lighting.customSettings');
+                (stage.lighting.looks || []).forEach((look, index) => rekey(look, `stage.lighting.looks[${index}]`));
+            }
+            (stage.cues || []).forEach((cue, cueIndex) => {
+                (cue.actions || []).forEach((action, actionIndex) => {
+                    if (action.target === 'lighting') {
+                        rekey(action.value, `stage.cues[${cueIndex}].actions[${actionIndex}].value`);
+                    }
+                });
+            });
+        }
+    },
+    {
+        from: '1.9',
+        to: '1.10',
+        description: 'Add gels and gobos',
+        migrate() {
+            // Fixture gels and gobos are optional: older scenes have open white beams
+        }
+    },
+    {
+        from: '1.10',
+        to: '1.11',
+        description: 'Add the DMX patch',
+        migrate() {
+            // stage.dmx is optional: older scenes auto-patch their rig on load
+        }
+    },
+    {
+        from: '1.11',
+        to: '1.12',
+        description: 'Add platform travel speeds',
+        migrate() {
+            // Platforms without a speed travel at PLATFORM_DEFAULT_SPEED
+        }
+    },
+    {
+        from: '1.12',
+        to: '1.13',
+        description: 'Add editable stage machinery and wagons',
+        migrate() {
+            // Platforms, trap doors and revolves without a layout keep the
+            // default one (DEFAULT_MACHINERY); older scenes have no wagons
+        }
+    },
+    {
+        from: '1.13',
+        to: '1.14',
+        description: 'Add revolve speed, direction and acceleration',
+        migrate() {
+            // Revolves without them spin counterclockwise at REVOLVE_DEFAULT_SPEED
+        }
+    },
+    {
+        from: '1.14',
+        to: '1.15',
+        description: 'Add trap door modes and lifts',
+        migrate() {
+            // Trap doors without a mode are hinged drop traps
+        }
+    },
+    {
+        from: '1.15',
+        to: '1.16',
+        description: 'Add the fly system',
+        migrate() {
+            // stage.fly is optional: older scenes load with DEFAULT_FLY_RAIL
+        }
+    },
+    {
+        from: '1.16',
+        to: '1.17',
+        description: 'Save the curtain as an opening with a mode',
+        migrate(sceneData, changes) {
+            const stage = sceneData.stage || {};
+            const elements = stage.stageElements;
+
+            if (elements && typeof elements.curtains === 'string') {
+                const open = elements.curtains === 'open' ? 100 : 0;
+                changes.push(`stage.stageElements.curtains: "${elements.curtains}" became ${open}% open, traveler`);
+                elements.curtains = { open, mode: 'traveler' };
+            }
+
+            // Curtain cues keep the curtain's mode
+            (stage.cues || []).forEach((cue, cueIndex) => {
+                (cue.actions || []).forEach((action, actionIndex) => {
+                    if (action.target === 'curtains' && typeof action.value === 'string') {
+                        const open = action.value === 'open' ? 100 : 0;
+                        changes.push(`stage.cues[${cueIndex}].actions[${actionIndex}]: curtains "${action.value}" became ${open}% open`);
+                        action.value = { open };
+                    }
+                });
+            });
+        }
+    },
+    {
+        from: '1.17',
+        to: '1.18',
+        description: 'Add editable scenery panels positioned by stop number',
+        migrate(sceneData, changes) {
+            const stage = sceneData.stage || {};
+            const elements = stage.stageElements;
+
+            // Panels without a layout keep the default one (DEFAULT_SCENERY),
+            // whose stops are the old positions in order
+            const stopNumber = position => Math.max(SCENERY_STOPS.indexOf(position), 0);
+            if (elements && Array.isArray(elements.scenery)) {
+                elements.scenery.forEach((panel, index) => {
+                    const position = stopNumber(panel.position);
+                    if (position !== panel.position) {
+                        changes.push(`stage.stageElements.scenery[${index}].position: ${panel.position} became stop ${position}`);
+                        panel.position = position;
+                    }
+                });
+            }
+
+            (stage.cues || []).forEach((cue, cueIndex) => {
+                (cue.actions || []).forEach((action, actionIndex) => {
+                    if (action.target === 'scenery' && stopNumber(action.value) !== action.value) {
+                        const position = stopNumber(action.value);
+                        changes.push(`stage.cues[${cueIndex}].actions[${actionIndex}]: scenery ${action.value} became stop ${position}`);
+                        action.value = position;
+                    }
+                });
+            });
+        }
+    },
+    {
+        from: '1.18',
+        to: '1.19',
+        description: 'Add the venue',
+        migrate() {
+            // stage.venue is optional: older scenes load in DEFAULT_VENUE
+        }
+    },
+    {
+        from: '1.19',
+        to: '1.20',
+        description: 'Cue linesets, platforms, trap doors and scenery panels by id rather than position',
+        migrate(sceneData, changes) {
+            const stage = sceneData.stage || {};
+            const elements = stage.stageElements || {};
+
+            // Machinery and scenery panels are numbered in the order they are saved
+            const kinds = { platforms: 'platform', trapDoors: 'trapDoor', wagons: 'wagon', scenery: 'scenery' };
+            Object.entries(kinds).forEach(([list, kind]) => {
+                (elements[list] || []).forEach(entry => {
+                    if (!entry.id) {
+                        entry.id = `${kind}_${entry.index + 1}`;
+                    }
+                });
+            });
+            if (elements.rotatingStage && !elements.rotatingStage.id) {
+                elements.rotatingStage.id = 'revolve_1';
+            }
+            // A list that was not saved loads its defaults, numbered the same way
+            const savedId = (list, kind, index) => {
+                const entry = (elements[list] || []).find(other => other.index === index);
+                return entry ? entry.id : `${kind}_${index + 1}`;
+            };
+
+            // The rail is saved downstage first, the order cue indices count in
+            (stage.fly || []).forEach((lineset, index) => {
+                if (!lineset.id) {
+                    lineset.id = `lineset_${index + 1}`;
+                }
+            });
+            (stage.cues || []).forEach((cue, cueIndex) => {
+                (cue.actions || []).forEach((action, actionIndex) => {
+                    if (action.index === undefined) return;
+                    if (action.target === 'lineset') {
+                        const lineset = (stage.fly || [])[action.index];
+                        action.id = lineset ? lineset.id : `lineset_${action.index + 1}`;
+                    } else if (action.target === 'platform') {
+                        action.id = savedId('platforms', 'platform', action.index);
+                    } else if (action.target === 'trapDoor') {
+                        action.id = savedId('trapDoors', 'trapDoor', action.index);
+                    } else if (action.target === 'scenery') {
+                        action.id = savedId('scenery', 'scenery', action.index);
+                    } else {
+                        return;
+                    }
+                    changes.push(`stage.cues[${cueIndex}].actions[${actionIndex}]: ${action.target} ${action.index + 1} became ${action.id}`);
+                    delete action.index;
+                });
+            });
+        }
+    }
+];
+
+/**
+ * Upgrades scene data to SCENE_FORMAT_VERSION by running every applicable
+ * migration in order. Files without a version are treated as 1.0.
+ *
+ * @param {Object} sceneData - Parsed scene data (modified in place)
+ * @returns {{sceneData: Object, fromVersion: string, toVersion: string, changes: string[]}}
+ * @throws {Error} If the file is newer than this build or no migration path exists
+ */
+function migrateScene(sceneData) {
+    const fromVersion = sceneData.version || '1.0';
+    const changes = [];
+
+    if (compareSceneVersions(fromVersion, SCENE_FORMAT_VERSION) > 0) {
+        throw new Error(`Scene version ${fromVersion} is newer than the supported version ${SCENE_FORMAT_VERSION}. Please update the application.`);
+    }
+
+    let version = fromVersion;
+    while (version !== SCENE_FORMAT_VERSION) {
+        const step = SCENE_MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            throw new Error(`No migration path from scene version ${version} to ${SCENE_FORMAT_VERSION}`);
+        }
+        step.migrate(sceneData, changes);
+        version = step.to;
+        sceneData.version = version;
+    }
+
+    return { sceneData, fromVersion, toVersion: version, changes };
+}
+
+function compareSceneVersions(a, b) {
+    const [aMajor, aMinor] = String(a).split('.').map(Number);
+    const [bMajor, bMinor] = String(b).split('.').map(Number);
+    return aMajor !== bMajor ? aMajor - bMajor : (aMinor || 0) - (bMinor || 0);
+}
@@ -0,0 +1,663 @@
+/**
+ * Scenery Panels
+ *
+ * The flats and drops that travel on and off the stage: any number of them,
+ * each with its own size, depth and the side it comes in from. A flat slides
+ * in from the left or right, a drop comes down from above. Doors and windows
+ * are cut out of a panel, and actors and props can pass through them.
+ *
+ * A panel stops at a list of stops, each an offset in units from its home
+ * position (fully in, at its x on the stage). Stops are kept furthest off
+ * first, so stop 0 is normally off stage and the last stop is in; the
+ * position saved, cued and sent over OSC is a stop number.
+ *
+ * The panels are the THREE.Group objects in sceneryPanels (stage.js), which
+ * is changed in place. The first child of each is the panel mesh textures are
+ * applied to. Each panel's layout is saved next to its state in
+ * stage.stageElements.scenery. Striking a panel renumbers the rest, so each
+ * also has an id (userData.id, e.g. "scenery_2") that cues refer to.
+ */
+
+/**
+ * Sides a panel can travel in from
+ */
+const SCENERY_DIRECTIONS = {
+    left: 'From the left',
+    right: 'From the right',
+    above: 'From above (drop)'
+};
+
+/**
+ * Starting layouts for a new flat or drop
+ */
+const SCENERY_PRESETS = {
+    flat: { name: 'Flat', width: 8, height: 12, x: 0, z: 0, direction: 'right', stops: [20, 0], cutouts: [], color: '#8b7355' },
+    drop: { name: 'Drop', width: 22, height: 12, x: 0, z: 0, direction: 'above', stops: [16, 0], cutouts: [], color: '#2e4057' }
+};
+
+/**
+ * Allowed panel values; z follows the depth of the venue's deck
+ */
+const SCENERY_LIMITS = {
+    width: { min: 0.5, max: 40 },
+    height: { min: 0.5, max: 25 },
+    x: { min: -15, max: 15 },
+    z: { min: -7.45, max: 7.45 }
+};
+
+/**
+ * Furthest a stop can be from a panel's home position, and most stops a panel can have
+ */
+const SCENERY_MAX_OFFSET = 40;
+const SCENERY_MAX_STOPS = 10;
+
+/**
+ * Values that make up a panel's layout, as saved with its state
+ */
+const SCENERY_LAYOUT_KEYS = ['name', 'width', 'height', 'x', 'z', 'direction', 'stops', 'cutouts', 'color'];
+
+/**
+ * The panels every stage starts with, and that scenes saved before panels
+ * could be edited load with: a backdrop sliding in from the left in front of
+ * the back wall and a midstage flat from the right with a doorway
+ */
+const DEFAULT_SCENERY = [
+    {
+        name: 'Backdrop', width: 24, height: 15, x: 0, z: -7.3, direction: 'left',
+        stops: [30, 18, 10, 5, 0], cutouts: [], color: '#4169e1'
+    },
+    {
+        name: 'Midstage', width: 20, height: 15, x: 0, z: 0, direction: 'right',
+        stops: [30, 18, 10, 5, 0], cutouts: [{ x: 0, y: 0, width: 6, height: 6 }], color: '#228b22'
+    }
+];
+
+// Width of the frame drawn around a cutout
+const SCENERY_FRAME_THICKNESS = 0.2;
+
+class SceneryManager {
+    constructor() {
+        this.scene = null;
+        this.nextPanelId = 1;
+        this.listeners = [];
+    }
+
+    attach(targetScene) {
+        this.scene = targetScene;
+    }
+
+    get(id) {
+        return sceneryPanels.find(panel => panel.userData.id === id);
+    }
+
+    /**
+     * Add a panel
+     * @param {Object} def - A layout (see SCENERY_LAYOUT_KEYS), plus optionally the stop it starts at as `position` and an id
+     * @returns {THREE.Group} The panel
+     * @throws {Error} If a value is out of range
+     */
+    add(def) {
+        const layout = this.layoutFrom(def);
+        this.check(layout);
+
+        const panel = new THREE.Group();
+        const mesh = new THREE.Mesh(
+            new THREE.BufferGeometry(),
+            new THREE.MeshPhongMaterial({ color: layout.color, side: THREE.DoubleSide, transparent: true, opacity: 0.9 })
+        );
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        panel.add(mesh);
+
+        const id = def.id || `scenery_${this.nextPanelId}`;
+        const number = parseInt(id.replace('scenery_', ''), 10);
+        if (Number.isFinite(number)) {
+            this.nextPanelId = Math.max(this.nextPanelId, number + 1);
+        }
+        const position = Number.isInteger(def.position)
+            ? Math.min(Math.max(def.position, 0), layout.stops.length - 1) : 0;
+        panel.userData = {
+            type: 'scenery',
+            id,
+            ...layout,
+            currentPosition: position,
+            targetPosition: position,
+            offset: layout.stops[position],
+            moving: false
+        };
+
+        this.build(panel);
+        this.scene.add(panel);
+        sceneryPanels.push(panel);
+        this.notifyChange();
+        return panel;
+    }
+
+    /**
+     * Strike a panel
+     */
+    remove(panel) {
+        this.scene.remove(panel);
+        const index = sceneryPanels.indexOf(panel);
+        if (index !== -1) sceneryPanels.splice(index, 1);
+        this.notifyChange();
+    }
+
+    /**
+     * Resize, re-hang or recut a panel; it keeps its texture
+     * @param {THREE.Group} panel
+     * @param {Object} changes - Any of the layout values
+     * @throws {Error} If a value is out of range; the panel is left as it was
+     */
+    update(panel, changes) {
+        const layout = this.layoutFrom({ ...this.layoutOf(panel), ...changes });
+        this.check(layout);
+        Object.assign(panel.userData, layout);
+
+        // Stay at the same stop number where the panel still has it
+        const userData = panel.userData;
+        const last = layout.stops.length - 1;
+        userData.currentPosition = Math.min(userData.currentPosition, last);
+        userData.targetPosition = Math.min(userData.targetPosition, last);
+        userData.offset = layout.stops[userData.currentPosition];
+        userData.moving = userData.targetPosition !== userData.currentPosition;
+
+        panel.children[0].material.color.set(layout.color);
+        this.build(panel);
+        this.notifyChange();
+    }
+
+    /**
+     * A full layout from a definition, with the values it leaves out filled in
+     * and its stops in order, furthest off first
+     */
+    layoutFrom(def) {
+        const base = SCENERY_PRESETS[def.direction === 'above' ? 'drop' : 'flat'];
+        const layout = {};
+        SCENERY_LAYOUT_KEYS.forEach(key => {
+            layout[key] = def[key] !== undefined ? def[key] : base[key];
+        });
+        layout.stops = Array.isArray(layout.stops) ? [...layout.stops].sort((a, b) => b - a) : layout.stops;
+        layout.cutouts = Array.isArray(layout.cutouts) ? layout.cutouts.map(cutout => ({ ...cutout })) : layout.cutouts;
+        return layout;
+    }
+
+    layoutOf(panel) {
+        const layout = {};
+        SCENERY_LAYOUT_KEYS.forEach(key => {
+            layout[key] = panel.userData[key];
+        });
+        layout.stops = [...layout.stops];
+        layout.cutouts = layout.cutouts.map(cutout => ({ ...cutout }));
+        return layout;
+    }
+
+    /**
+     * Check a layout against SCENERY_LIMITS, its stops and that its cutouts
+     * fit in the panel without overlapping
+     */
+    check(layout) {
+        if (typeof layout.name !== 'string' || !layout.name.trim()) {
+            throw new Error('A scenery panel needs a name');
+        }
+        if (!SCENERY_DIRECTIONS[layout.direction]) {
+            throw new Error(`Unknown scenery direction ${layout.direction}`);
+        }
+        Object.entries(SCENERY_LIMITS).forEach(([key, limits]) => {
+            const value = layout[key];
+            if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+                throw new Error(`Scenery panel ${key} must be ${limits.min} to ${limits.max}`);
+            }
+        });
+
+        if (!Array.isArray(layout.stops) || layout.stops.length === 0 || layout.stops.length > SCENERY_MAX_STOPS) {
+            throw new Error(`A scenery panel needs 1 to ${SCENERY_MAX_STOPS} stops`);
+        }
+        layout.stops.forEach(stop => {
+            if (!Number.isFinite(stop) || stop < 0 || stop > SCENERY_MAX_OFFSET) {
+                throw new Error(`Scenery stops must be 0 to ${SCENERY_MAX_OFFSET} units from home`);
+            }
+        });
+        if (new Set(layout.stops).size !== layout.stops.length) {
+            throw new Error('A scenery panel cannot have the same stop twice');
+        }
+
+        if (!Array.isArray(layout.cutouts)) {
+            throw new Error('Scenery cutouts must be a list');
+        }
+        layout.cutouts.forEach((cutout, index) => {
+            const number = index + 1;
+            if (![cutout.x, cutout.y, cutout.width, cutout.height].every(Number.isFinite) ||
+                cutout.width <= 0 || cutout.height <= 0) {
+                throw new Error(`Cutout ${number} needs an x, y, width and height`);
+            }
+            if (cutout.x - cutout.width / 2 <= -layout.width / 2 || cutout.x + cutout.width / 2 >= layout.width / 2 ||
+                cutout.y < 0 || cutout.y + cutout.height >= layout.height) {
+                throw new Error(`Cutout ${number} must fit inside the ${layout.width} × ${layout.height} panel`);
+            }
+            layout.cutouts.slice(0, index).forEach((other, otherIndex) => {
+                if (Math.abs(cutout.x - other.x) < (cutout.width + other.width) / 2 + SCENERY_FRAME_THICKNESS &&
+                    cutout.y < other.y + other.height + SCENERY_FRAME_THICKNESS &&
+                    other.y < cutout.y + cutout.height + SCENERY_FRAME_THICKNESS) {
+                    throw new Error(`Cutouts ${otherIndex + 1} and ${number} overlap`);
+                }
+            });
+        });
+    }
+
+    /**
+     * (Re)build a panel's mesh with its cutouts, and their frames, and put it at its offset
+     */
+    build(panel) {
+        const userData = panel.userData;
+        const mesh = panel.children[0];
+        panel.children.slice(1).forEach(child => panel.remove(child));
+
+        // The panel's origin is the middle of its bottom edge
+        const halfWidth = userData.width / 2;
+        const shape = new THREE.Shape();
+        shape.moveTo(-halfWidth, 0);
+        shape.lineTo(halfWidth, 0);
+        shape.lineTo(halfWidth, userData.height);
+        shape.lineTo(-halfWidth, userData.height);
+        shape.lineTo(-halfWidth, 0);
+        userData.cutouts.forEach(cutout => {
+            const hole = new THREE.Path();
+            hole.moveTo(cutout.x - cutout.width / 2, cutout.y);
+            hole.lineTo(cutout.x - cutout.width / 2, cutout.y + cutout.height);
+            hole.lineTo(cutout.x + cutout.width / 2, cutout.y + cutout.height);
+            hole.lineTo(cutout.x + cutout.width / 2, cutout.y);
+            hole.lineTo(cutout.x - cutout.width / 2, cutout.y);
+            shape.holes.push(hole);
+        });
+
+        const geometry = new THREE.ShapeGeometry(shape);
+        // Stretch a texture over the whole panel, as on a plane, rather than tiling it per unit
+        const positions = geometry.attributes.position;
+        const uvs = geometry.attributes.uv;
+        for (let i = 0; i < positions.count; i++) {
+            uvs.setXY(i, (positions.getX(i) + halfWidth) / userData.width, positions.getY(i) / userData.height);
+        }
+        mesh.geometry.dispose();
+        mesh.geometry = geometry;
+
+        // A frame around each door and window
+        const frameMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
+        userData.cutouts.forEach(cutout => {
+            const frameWidth = cutout.width + SCENERY_FRAME_THICKNESS * 2;
+            const pieces = [
+                [frameWidth, SCENERY_FRAME_THICKNESS, cutout.x, cutout.y + cutout.height],
+                [frameWidth, SCENERY_FRAME_THICKNESS, cutout.x, cutout.y],
+                [SCENERY_FRAME_THICKNESS, cutout.height, cutout.x - cutout.width / 2, cutout.y + cutout.height / 2],
+                [SCENERY_FRAME_THICKNESS, cutout.height, cutout.x + cutout.width / 2, cutout.y + cutout.height / 2]
+            ];
+            pieces.forEach(([width, height, x, y]) => {
+                const piece = new THREE.Mesh(new THREE.BoxGeometry(width, height, 0.1), frameMaterial);
+                piece.position.set(x, y, 0);
+                panel.add(piece);
+            });
+        });
+
+        panel.name = `Scenery ${userData.name}`;
+        panel.position.z = userData.z;
+        this.place(panel, userData.offset);
+    }
+
+    /**
+     * Put a panel an offset from its home position, along its direction of travel
+     */
+    place(panel, offset) {
+        const userData = panel.userData;
+        userData.offset = offset;
+        panel.position.x = userData.direction === 'left' ? userData.x - offset
+            : userData.direction === 'right' ? userData.x + offset : userData.x;
+        panel.position.y = userData.direction === 'above' ? offset : 0;
+    }
+
+    /**
+     * Offset of one of a panel's stops
+     */
+    stopOffset(panel, position) {
+        return panel.userData.stops[position];
+    }
+
+    /**
+     * Start a panel travelling to a stop
+     * @throws {Error} If the panel has no such stop
+     */
+    move(panel, position) {
+        const last = panel.userData.stops.length - 1;
+        if (!Number.isInteger(position) || position < 0 || position > last) {
+            throw new Error(`${panel.userData.name} stops are numbered 0 to ${last}`);
+        }
+        panel.userData.targetPosition = position;
+        panel.userData.moving = true;
+    }
+
+    /**
+     * Ease every travelling panel on towards its stop; called every frame
+     */
+    updateSliding() {
+        sceneryPanels.forEach(panel => {
+            const userData = panel.userData;
+            if (!userData.moving) return;
+            const target = this.stopOffset(panel, userData.targetPosition);
+            const diff = target - userData.offset;
+            if (Math.abs(diff) > 0.1) {
+                this.place(panel, userData.offset + diff * 0.05);
+            } else {
+                this.place(panel, target);
+                userData.currentPosition = userData.targetPosition;
+                userData.moving = false;
+            }
+        });
+    }
+
+    /**
+     * Replace every panel, e.g. when a scene is loaded
+     * @param {Object[]} defs - Layouts, each with the stop it is at as `position`
+     */
+    load(defs) {
+        const listeners = this.listeners;
+        this.listeners = []; // One change notification for the whole rebuild
+        try {
+            [...sceneryPanels].forEach(panel => this.remove(panel));
+            this.nextPanelId = 1;
+            defs.forEach(def => {
+                try {
+                    this.add(def);
+                } catch (error) {
+                    console.warn(`Skipping scenery panel "${def.name}":`, error.message);
+                }
+            });
+        } finally {
+            this.listeners = listeners;
+        }
+        this.notifyChange();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+const sceneryManager = new SceneryManager();
+
+/**
+ * Send a panel to one of its stops; the control panel, cues and OSC all come here
+ * @param {number} index - Panel index in sceneryPanels
+ * @param {number} position - Stop number, 0 being the stop furthest off
+ * @throws {Error} If there is no such panel or stop
+ */
+function moveSceneryPanel(index, position) {
+    const panel = sceneryPanels[index];
+    if (!panel) {
+        throw new Error(`There is no scenery panel ${index + 1}`);
+    }
+    sceneryManager.move(panel, position);
+}
+
+/**
+ * Panel layouts from saved stage elements. Entries saved before panels could
+ * be edited have no layout and take the default panel at their index.
+ * @param {Object} elementsData - stage.stageElements
+ * @returns {Object[]} Definitions for sceneryManager.load()
+ */
+function sceneryLayoutFrom(elementsData) {
+    if (!elementsData.scenery) {
+        return DEFAULT_SCENERY;
+    }
+    return elementsData.scenery.map(entry => {
+        const def = { ...(DEFAULT_SCENERY[entry.index] || SCENERY_PRESETS.flat) };
+        SCENERY_LAYOUT_KEYS.forEach(key => {
+            if (entry[key] !== undefined) def[key] = entry[key];
+        });
+        def.position = entry.position;
+        if (entry.id) def.id = entry.id;
+        return def;
+    });
+}
+
+/**
+ * Label for one of a panel's stops
+ */
+function sceneryStopName(panel, position) {
+    const offset = panel.userData.stops[position];
+    return offset === 0 ? `${position}: In` : `${position}: ${offset} off`;
+}
+
+/**
+ * Build the Scenery Panels section of the control panel
+ * @returns {HTMLElement}
+ */
+function createSceneryUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Scenery Panels</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 150px; overflow-y: auto; width: 300px; font-size: 12px;';
+    container.appendChild(list);
+
+    let selected = null;
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+    const addButton = (parent, text, title, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.style.cssText = buttonStyle;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+    };
+
+    const addPanel = (preset) => {
+        try {
+            selected = sceneryManager.add({ ...SCENERY_PRESETS[preset] });
+        } catch (error) {
+            alert(error.message);
+        }
+        refresh();
+    };
+    addButton(container, 'Add Flat', 'Add a flat that slides in from the side, at centre stage', () => addPanel('flat'));
+    addButton(container, 'Add Drop', 'Add a drop that comes down from above, at centre stage', () => addPanel('drop'));
+
+    const rowStyle = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+    function addRow(text, control) {
+        const row = document.createElement('div');
+        row.style.cssText = rowStyle;
+        const caption = document.createElement('span');
+        caption.style.cssText = 'width: 70px;';
+        caption.textContent = text;
+        row.appendChild(caption);
+        row.appendChild(control);
+        container.appendChild(row);
+        return row;
+    }
+
+    function apply(changes) {
+        if (!selected) return;
+        try {
+            sceneryManager.update(selected, changes);
+        } catch (error) {
+            alert(error.message);
+            refresh();
+        }
+    }
+
+    // Where the selected panel is going
+    const stopSelect = document.createElement('select');
+    stopSelect.style.cssText = 'padding: 3px; width: 150px;';
+    stopSelect.addEventListener('change', () => {
+        try {
+            moveSceneryPanel(sceneryPanels.indexOf(selected), parseInt(stopSelect.value));
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+    const rows = [addRow('Stop', stopSelect)];
+
+    // Values of the selected panel
+    const fieldCaptions = { name: 'Name', width: 'Width', height: 'Height', x: 'X (in)', z: 'Depth (z)', color: 'Color' };
+    const fields = {};
+    Object.entries(fieldCaptions).forEach(([key, caption]) => {
+        const input = document.createElement('input');
+        input.type = key === 'name' ? 'text' : key === 'color' ? 'color' : 'number';
+        input.step = '0.25';
+        input.style.cssText = key === 'name' ? 'width: 120px;' : 'width: 60px;';
+        input.addEventListener('change', () => {
+            apply({ [key]: input.type === 'number' ? parseFloat(input.value) : input.value.trim() });
+        });
+        rows.push(addRow(caption, input));
+        fields[key] = input;
+    });
+
+    const directionSelect = document.createElement('select');
+    directionSelect.style.cssText = 'padding: 3px; width: 150px;';
+    directionSelect.innerHTML = Object.entries(SCENERY_DIRECTIONS)
+        .map(([key, name]) => `<option value="${key}">${name}</option>`).join('');
+    directionSelect.addEventListener('change', () => apply({ direction: directionSelect.value }));
+    rows.push(addRow('Travel', directionSelect));
+
+    const stopsInput = document.createElement('input');
+    stopsInput.type = 'text';
+    stopsInput.title = 'Distances from home the panel stops at, e.g. 30, 18, 10, 5, 0 (0 is fully in)';
+    stopsInput.style.cssText = 'width: 120px;';
+    stopsInput.addEventListener('change', () => {
+        apply({ stops: stopsInput.value.split(',').map(text => text.trim()).filter(Boolean).map(Number) });
+    });
+    rows.push(addRow('Stops', stopsInput));
+
+    // Doors and windows cut out of the selected panel
+    const cutoutLabel = document.createElement('div');
+    cutoutLabel.style.cssText = 'font-size: 12px; margin: 5px 0 2px;';
+    cutoutLabel.textContent = 'Cutouts (x, y, width, height):';
+    container.appendChild(cutoutLabel);
+    rows.push(cutoutLabel);
+
+    const cutoutList = document.createElement('div');
+    container.appendChild(cutoutList);
+    rows.push(cutoutList);
+
+    const cutoutButtons = document.createElement('div');
+    container.appendChild(cutoutButtons);
+    rows.push(cutoutButtons);
+    const addCutout = (cutout) => {
+        if (!selected) return;
+        apply({ cutouts: [...selected.userData.cutouts, cutout] });
+    };
+    addButton(cutoutButtons, 'Add Door', 'Cut a doorway in the middle of the panel', () => addCutout({ x: 0, y: 0, width: 3, height: 7 }));
+    addButton(cutoutButtons, 'Add Window', 'Cut a window in the middle of the panel', () => addCutout({ x: 0, y: 4, width: 3, height: 3 }));
+
+    function refreshCutouts() {
+        cutoutList.innerHTML = '';
+        if (!selected) return;
+        selected.userData.cutouts.forEach((cutout, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = rowStyle;
+            ['x', 'y', 'width', 'height'].forEach(key => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = '0.25';
+                input.value = String(cutout[key]);
+                input.style.cssText = 'width: 50px;';
+                input.addEventListener('change', () => {
+                    const cutouts = selected.userData.cutouts.map(other => ({ ...other }));
+                    cutouts[index][key] = parseFloat(input.value);
+                    apply({ cutouts });
+                });
+                row.appendChild(input);
+            });
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '✕';
+            removeButton.title = 'Fill in the cutout';
+            removeButton.style.cssText = 'padding: 0 4px; cursor: pointer;';
+            removeButton.addEventListener('click', () => {
+                apply({ cutouts: selected.userData.cutouts.filter((other, otherIndex) => otherIndex !== index) });
+            });
+            row.appendChild(removeButton);
+            cutoutList.appendChild(row);
+        });
+    }
+
+    function showStop() {
+        if (!selected) return;
+        const userData = selected.userData;
+        stopSelect.innerHTML = userData.stops
+            .map((offset, position) => `<option value="${position}">${sceneryStopName(selected, position)}</option>`).join('');
+        stopSelect.value = String(userData.targetPosition);
+    }
+
+    function refresh() {
+        if (selected && !sceneryPanels.includes(selected)) {
+            selected = null;
+        }
+        rows.forEach(row => {
+            row.style.display = selected ? (row === cutoutList || row === cutoutLabel || row === cutoutButtons ? 'block' : 'flex') : 'none';
+        });
+        if (selected) {
+            const userData = selected.userData;
+            Object.entries(fields).forEach(([key, input]) => {
+                input.value = typeof userData[key] === 'number' ? String(+userData[key].toFixed(2)) : userData[key];
+            });
+            directionSelect.value = userData.direction;
+            stopsInput.value = userData.stops.join(', ');
+            showStop();
+        }
+        refreshCutouts();
+
+        list.innerHTML = '';
+        sceneryPanels.forEach((panel, index) => {
+            const userData = panel.userData;
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0; padding: 2px 4px; cursor: pointer;' +
+                (panel === selected ? ' background: rgba(255, 255, 255, 0.2);' : '');
+
+            const text = document.createElement('div');
+            text.style.cssText = 'flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+            text.textContent = `${index + 1}  ${userData.name} · ${userData.width} × ${userData.height} @ z ${userData.z}`;
+            row.appendChild(text);
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '✕';
+            removeButton.title = 'Strike the panel';
+            removeButton.style.cssText = 'padding: 0 4px; cursor: pointer;';
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (confirm(`Strike scenery panel ${index + 1} (${userData.name})?`)) {
+                    sceneryManager.remove(panel);
+                }
+            });
+            row.appendChild(removeButton);
+
+            row.addEventListener('click', () => {
+                selected = panel;
+                refresh();
+            });
+            list.appendChild(row);
+        });
+    }
+
+    // A cue or remote command may send the selected panel to another stop
+    let lastStop = null;
+    window.refreshSceneryStop = () => {
+        const stop = selected ? selected.userData.targetPosition : null;
+        // Only touch the DOM when something changed; this runs every frame
+        if (stop !== lastStop) {
+            lastStop = stop;
+            showStop();
+        }
+    };
+
+    sceneryManager.onChange(refresh);
+    refresh();
+
+    return container;
+}
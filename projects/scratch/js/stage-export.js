@@ -0,0 +1,193 @@
+/**
+ * 3D Model Export
+ *
+ * Writes the staged scene as glTF 2.0 (a .glb binary or a .gltf JSON file) so
+ * blocking can be opened in Blender or a game engine. Uses the GLTFExporter
+ * from the Three.js examples.
+ *
+ * The export contains the stage, platforms, scenery panels (with their applied
+ * textures), actors and props named after userData.name, and the stage lights.
+ * Camera presets can optionally be baked in as named cameras. Editor helpers
+ * such as the stage markers and the placement marker are left out.
+ */
+
+/**
+ * Collect the objects to export as top-level glTF nodes
+ * @param {Object} options - { includeCameras }
+ * @returns {THREE.Object3D[]}
+ */
+function collectExportObjects(options = {}) {
+    // Give actors and props readable node names in the exported file
+    [...actors, ...props].forEach(obj => {
+        obj.name = obj.userData.name || obj.userData.id;
+    });
+
+    const objects = scene.children.filter(child =>
+        (child.isMesh || child.isGroup) &&
+        child.userData.type !== 'marker' &&
+        child.userData.exportable !== false
+    );
+
+    objects.push(...createExportLights());
+
+    if (options.includeCameras) {
+        objects.push(...createPresetCameras());
+    }
+
+    return objects;
+}
+
+/**
+ * Build export copies of the stage lights
+ * glTF spotlights point down their local -Z axis, so each spotlight is copied
+ * and aimed at its target instead of exporting the live light whose target
+ * sits elsewhere in the scene. Ambient light has no glTF equivalent.
+ * @returns {THREE.Light[]}
+ */
+function createExportLights() {
+    const exported = [];
+    const targetPosition = new THREE.Vector3();
+
+    scene.children.forEach(child => {
+        if (!child.visible) return;
+
+        if (child.isSpotLight) {
+            const light = new THREE.SpotLight(
+                child.color, child.intensity, child.distance,
+                child.angle, child.penumbra, child.decay
+            );
+            light.name = child.name;
+            light.position.copy(child.position);
+            light.lookAt(child.target.getWorldPosition(targetPosition));
+            light.add(light.target);
+            light.target.position.set(0, 0, -1);
+            exported.push(light);
+        } else if (child.isPointLight) {
+            const light = new THREE.PointLight(child.color, child.intensity, child.distance, child.decay);
+            light.name = child.name;
+            light.position.copy(child.position);
+            exported.push(light);
+        }
+    });
+
+    return exported;
+}
+
+/**
+ * Build one camera per camera preset, using the current camera's lens
+ * @returns {THREE.PerspectiveCamera[]}
+ */
+function createPresetCameras() {
+    return Object.values(CAMERA_PRESETS).map(preset => {
+        const presetCamera = new THREE.PerspectiveCamera(camera.fov, camera.aspect, camera.near, camera.far);
+        presetCamera.name = `Camera ${preset.name}`;
+        presetCamera.position.set(preset.position.x, preset.position.y, preset.position.z);
+        presetCamera.lookAt(preset.target.x, preset.target.y, preset.target.z);
+        return presetCamera;
+    });
+}
+
+/**
+ * Export the stage as glTF
+ * @param {Object} options - { binary: true for GLB, includeCameras: bake camera presets }
+ * @returns {Promise<ArrayBuffer|Object>} GLB bytes, or the glTF JSON object
+ */
+function exportStageModel(options = {}) {
+    const { binary = true, includeCameras = false } = options;
+
+    return new Promise((resolve, reject) => {
+        if (typeof THREE.GLTFExporter === 'undefined') {
+            reject(new Error('GLTFExporter is not loaded'));
+            return;
+        }
+
+        try {
+            const exporter = new THREE.GLTFExporter();
+            exporter.parse(collectExportObjects({ includeCameras }), resolve, {
+                binary,
+                onlyVisible: true,
+                maxTextureSize: 2048
+            });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Export the stage and download it as a .glb or .gltf file
+ * @param {Object} options - Passed to exportStageModel
+ */
+async function downloadStageModel(options = {}) {
+    try {
+        const binary = options.binary !== false;
+        const result = await exportStageModel(options);
+
+        const blob = binary
+            ? new Blob([result], { type: 'model/gltf-binary' })
+            : new Blob([JSON.stringify(result, null, 2)], { type: 'model/gltf+json' });
+
+        const downloadLink = document.createElement('a');
+        downloadLink.href = URL.createObjectURL(blob);
+        downloadLink.download = binary ? 'theater-stage.glb' : 'theater-stage.gltf';
+
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+
+        URL.revokeObjectURL(downloadLink.href);
+
+        console.log('Stage exported:', downloadLink.download);
+    } catch (error) {
+        console.error('Failed to export stage model:', error);
+        alert(`Failed to export 3D model: ${error.message}`);
+    }
+}
+
+/**
+ * Build the 3D export section of the control panel
+ * @returns {HTMLElement}
+ */
+function createStageExportUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Export 3D Model</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const formatSelect = document.createElement('select');
+    formatSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
+    [
+        { value: 'glb', label: 'GLB (binary)' },
+        { value: 'gltf', label: 'glTF (JSON)' }
+    ].forEach(format => {
+        const option = document.createElement('option');
+        option.value = format.value;
+        option.textContent = format.label;
+        formatSelect.appendChild(option);
+    });
+    container.appendChild(formatSelect);
+
+    const camerasLabel = document.createElement('label');
+    camerasLabel.style.cssText = 'display: block; margin: 5px 0; font-size: 12px; cursor: pointer;';
+    const camerasCheckbox = document.createElement('input');
+    camerasCheckbox.type = 'checkbox';
+    camerasCheckbox.style.cssText = 'margin-right: 5px;';
+    camerasLabel.appendChild(camerasCheckbox);
+    camerasLabel.appendChild(document.createTextNode('Include camera presets'));
+    container.appendChild(camerasLabel);
+
+    const exportButton = document.createElement('button');
+    exportButton.textContent = 'Export Model';
+    exportButton.style.cssText = 'margin: 5px 0; padding: 5px 10px; cursor: pointer;';
+    exportButton.addEventListener('click', () => {
+        downloadStageModel({
+            binary: formatSelect.value === 'glb',
+            includeCameras: camerasCheckbox.checked
+        });
+    });
+    container.appendChild(exportButton);
+
+    return container;
+}
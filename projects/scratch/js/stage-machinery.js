@@ -0,0 +1,895 @@
+/**
+ * Stage Machinery
+ *
+ * The platforms, trap doors, revolve and wagons built into the stage. Every
+ * production needs its own set, so they are laid out here rather than fixed:
+ * the machinery editor adds, sizes, positions and strikes them, and each
+ * element's layout is saved next to its state in stage.stageElements.
+ *
+ * The elements are the same objects the rest of the stage works with: the
+ * moveablePlatforms, trapDoors and wagons lists and rotatingStage in
+ * stage.js. The lists are changed in place, so code holding on to them keeps
+ * seeing the current machinery. There is at most one revolve. Striking an
+ * element renumbers the rest, so each also has an id (userData.id, e.g.
+ * "platform_3") that stays with it, is saved, and is what cues refer to.
+ *
+ * A wagon is a rolling platform on a straight floor track. Its x/z is the
+ * start of the track, which runs `track` units at `angle` degrees in plan
+ * (0 towards +x, 90 upstage); `travel` is how far along the track it is.
+ * Whatever stands on a wagon rolls with it.
+ */
+
+/**
+ * Thickness of a platform deck; a platform at rest sits on the stage floor
+ */
+const PLATFORM_THICKNESS = 0.5;
+
+/**
+ * Travel speed of a wagon unless set otherwise, in units per second
+ */
+const WAGON_DEFAULT_SPEED = 1.5;
+
+/**
+ * Height of the casters under a wagon's deck
+ */
+const WAGON_CASTER_HEIGHT = 0.15;
+
+/**
+ * Kinds of machinery and the size a new one starts with
+ */
+const MACHINERY_KINDS = {
+    platform: { name: 'Platform', size: { width: 2, depth: 2 } },
+    trapDoor: { name: 'Trap Door', size: { width: 2, depth: 2 } },
+    revolve: { name: 'Revolve', size: { radius: 5 } },
+    wagon: { name: 'Wagon', size: { width: 3, depth: 2, height: 0.6, track: 8, angle: 0 } }
+};
+
+/**
+ * Allowed range of each layout value; x, z, width, depth and radius follow
+ * the venue's deck
+ */
+const MACHINERY_LIMITS = {
+    x: { min: -10, max: 10 },
+    z: { min: -7.5, max: 7.5 },
+    width: { min: 0.5, max: 20 },
+    depth: { min: 0.5, max: 15 },
+    radius: { min: 1, max: 7.5 },
+    height: { min: 0.3, max: 3 },
+    track: { min: 1, max: 30 },
+    angle: { min: -180, max: 180 }
+};
+
+/**
+ * The machinery every stage starts with, and that scenes saved before the
+ * layout could be edited load with
+ */
+const DEFAULT_MACHINERY = {
+    platforms: [
+        { x: -9, z: -6.5, width: 2, depth: 1.5 },  // Far back left
+        { x: 9, z: -6.5, width: 2, depth: 1.5 },   // Far back right
+        { x: -8, z: 5, width: 3, depth: 2 },       // Front left
+        { x: 8, z: 5, width: 3, depth: 2 }         // Front right
+    ],
+    trapDoors: [
+        { x: -7, z: 0, width: 2, depth: 2 },       // Left side middle
+        { x: 7, z: 0, width: 2, depth: 2 },        // Right side middle
+        { x: 0, z: 6, width: 2, depth: 2 },        // Front center
+        { x: 0, z: -6, width: 2, depth: 2 }        // Back center
+    ],
+    revolve: { x: 0, z: 0, radius: 5 },
+    wagons: []
+};
+
+/**
+ * Layout values each kind keeps
+ */
+const MACHINERY_LAYOUT_KEYS = {
+    platform: ['x', 'z', 'width', 'depth'],
+    trapDoor: ['x', 'z', 'width', 'depth'],
+    revolve: ['x', 'z', 'radius'],
+    wagon: ['x', 'z', 'width', 'depth', 'height', 'track', 'angle']
+};
+
+// Swap a mesh's geometry, freeing the old one
+function replaceGeometry(mesh, geometry) {
+    mesh.geometry.dispose();
+    mesh.geometry = geometry;
+}
+
+function buildPlatform() {
+    const platformGroup = new THREE.Group();
+    const platform = new THREE.Mesh(
+        new THREE.BoxGeometry(1, PLATFORM_THICKNESS, 1),
+        new THREE.MeshPhongMaterial({ color: 0x654321, shininess: 30 })
+    );
+    platform.castShadow = true;
+    platform.receiveShadow = true;
+    platformGroup.add(platform);
+
+    const baseY = PLATFORM_THICKNESS / 2;
+    platformGroup.position.y = baseY;
+    platformGroup.userData = {
+        type: 'platform',
+        baseY: baseY,
+        moving: false,
+        targetY: baseY,
+        speed: PLATFORM_DEFAULT_SPEED // Units per second
+    };
+    return platformGroup;
+}
+
+function shapePlatform(platformGroup) {
+    const { width, depth } = platformGroup.userData;
+    replaceGeometry(platformGroup.children[0], new THREE.BoxGeometry(width, PLATFORM_THICKNESS, depth));
+}
+
+function buildTrapDoor() {
+    const trapDoorGroup = new THREE.Group();
+    const door = new THREE.Mesh(
+        new THREE.BoxGeometry(1, 0.1, 1),
+        new THREE.MeshPhongMaterial({ color: 0x654321, shininess: 30 })
+    );
+    door.castShadow = true;
+    door.receiveShadow = true;
+    trapDoorGroup.add(door);
+
+    const frame = new THREE.Mesh(new THREE.BoxGeometry(1, 0.05, 1), new THREE.MeshPhongMaterial({ color: 0x000000 }));
+    frame.position.y = -0.025;
+    trapDoorGroup.add(frame);
+
+    trapDoorGroup.position.y = 0.05;
+    trapDoorGroup.userData = {
+        type: 'trapDoor',
+        open: false,
+        targetRotation: 0,
+        mode: 'drop',               // 'drop' (hinged door) or 'lift' (elevator)
+        liftDepth: 0,               // How far the lift is below the stage
+        liftSpeed: TRAP_LIFT_SPEED  // Units per second
+    };
+    trapDoorGroup.visible = false; // Hidden by default
+    return trapDoorGroup;
+}
+
+function shapeTrapDoor(trapDoorGroup) {
+    const { width, depth } = trapDoorGroup.userData;
+    replaceGeometry(trapDoorGroup.children[0], new THREE.BoxGeometry(width, 0.1, depth));
+    replaceGeometry(trapDoorGroup.children[1], new THREE.BoxGeometry(width + 0.2, 0.05, depth + 0.2));
+}
+
+function buildRevolve() {
+    const rotatingGroup = new THREE.Group();
+    const centerStage = new THREE.Mesh(
+        new THREE.CylinderGeometry(1, 1, 1, 32),
+        new THREE.MeshPhongMaterial({ color: 0x8B4513, shininess: 30 })
+    );
+    centerStage.position.y = -0.5;
+    centerStage.castShadow = true;
+    centerStage.receiveShadow = true;
+    rotatingGroup.add(centerStage);
+
+    const line = new THREE.Mesh(
+        new THREE.RingGeometry(0.8, 1, 32),
+        new THREE.MeshBasicMaterial({ color: 0x000000, side: THREE.DoubleSide })
+    );
+    line.rotation.x = -Math.PI / 2;
+    line.position.y = 0.01;
+    rotatingGroup.add(line);
+
+    rotatingGroup.name = 'Rotating Stage';
+    rotatingGroup.userData = {
+        type: 'rotatingStage',
+        rotating: false,
+        speed: REVOLVE_DEFAULT_SPEED,               // Degrees per second
+        direction: 'ccw',                           // Way it spins: 'cw' or 'ccw'
+        acceleration: REVOLVE_DEFAULT_ACCELERATION, // Degrees per second per second
+        move: null                                  // Move to an angle in progress
+    };
+    rotatingGroup.visible = false; // Hidden by default
+    return rotatingGroup;
+}
+
+function shapeRevolve(rotatingGroup) {
+    const { radius } = rotatingGroup.userData;
+    replaceGeometry(rotatingGroup.children[0], new THREE.CylinderGeometry(radius, radius, 1, 32));
+    replaceGeometry(rotatingGroup.children[1], new THREE.RingGeometry(radius - 0.2, radius, 32));
+}
+
+function buildWagon() {
+    const wagonGroup = new THREE.Group();
+    const deck = new THREE.Mesh(
+        new THREE.BoxGeometry(1, 1, 1),
+        new THREE.MeshPhongMaterial({ color: 0x7a5230, shininess: 30 })
+    );
+    deck.castShadow = true;
+    deck.receiveShadow = true;
+    wagonGroup.add(deck);
+
+    const casterMaterial = new THREE.MeshPhongMaterial({ color: 0x222222 });
+    for (let i = 0; i < 4; i++) {
+        const caster = new THREE.Mesh(new THREE.CylinderGeometry(WAGON_CASTER_HEIGHT / 2, WAGON_CASTER_HEIGHT / 2, 0.1, 12), casterMaterial);
+        caster.rotation.x = Math.PI / 2;
+        caster.position.y = WAGON_CASTER_HEIGHT / 2;
+        wagonGroup.add(caster);
+    }
+
+    wagonGroup.userData = {
+        type: 'wagon',
+        travel: 0,
+        targetTravel: 0,
+        moving: false,
+        speed: WAGON_DEFAULT_SPEED // Units per second
+    };
+    return wagonGroup;
+}
+
+// The track's rails are a separate object on the floor; the wagon rolls along them
+function buildWagonRails() {
+    const rails = new THREE.Group();
+    const railMaterial = new THREE.MeshPhongMaterial({ color: 0x444444 });
+    for (let i = 0; i < 2; i++) {
+        rails.add(new THREE.Mesh(new THREE.BoxGeometry(1, 0.02, 0.08), railMaterial));
+    }
+    rails.position.y = 0.01;
+    rails.userData = { type: 'wagonTrack' };
+    return rails;
+}
+
+function shapeWagon(wagonGroup, rails) {
+    const userData = wagonGroup.userData;
+    const { width, depth, height } = userData;
+    const [deck, ...casters] = wagonGroup.children;
+    replaceGeometry(deck, new THREE.BoxGeometry(width, height - WAGON_CASTER_HEIGHT, depth));
+    deck.position.y = WAGON_CASTER_HEIGHT + (height - WAGON_CASTER_HEIGHT) / 2;
+
+    const insetX = Math.max(width / 2 - 0.2, 0);
+    const insetZ = Math.max(depth / 2 - 0.2, 0);
+    casters.forEach((caster, i) => {
+        caster.position.x = i % 2 === 0 ? -insetX : insetX;
+        caster.position.z = i < 2 ? -insetZ : insetZ;
+    });
+
+    // Rails run from under the wagon at the start of the track to under it at the end
+    rails.position.x = userData.x;
+    rails.position.z = userData.z;
+    rails.rotation.y = THREE.MathUtils.degToRad(userData.angle);
+    rails.children.forEach((rail, i) => {
+        replaceGeometry(rail, new THREE.BoxGeometry(userData.track + width, 0.02, 0.08));
+        rail.position.x = userData.track / 2;
+        rail.position.z = i === 0 ? -insetZ : insetZ;
+    });
+
+    wagonGroup.rotation.y = rails.rotation.y;
+    placeWagon(wagonGroup);
+}
+
+/**
+ * Where a wagon is at a distance along its track
+ * @returns {{x: number, z: number}}
+ */
+function wagonPositionAt(wagon, travel) {
+    const userData = wagon.userData;
+    const angle = THREE.MathUtils.degToRad(userData.angle);
+    return {
+        x: userData.x + Math.cos(angle) * travel,
+        z: userData.z - Math.sin(angle) * travel
+    };
+}
+
+// Put a wagon where its travel says it is
+function placeWagon(wagon) {
+    const position = wagonPositionAt(wagon, wagon.userData.travel);
+    wagon.position.set(position.x, 0, position.z);
+}
+
+/**
+ * Whether a point is over a rectangular element (platform, trap door or wagon),
+ * allowing for the element's turn on the stage
+ * @param {number} [margin] - Widen the footprint by this much on every side
+ * @param {{x: number, z: number}} [at] - Test with the element here instead of where it is
+ */
+function isOverMachinery(element, x, z, margin = 0, at = element.position) {
+    const dx = x - at.x;
+    const dz = z - at.z;
+    const angle = element.rotation.y;
+    const localX = dx * Math.cos(angle) - dz * Math.sin(angle);
+    const localZ = dx * Math.sin(angle) + dz * Math.cos(angle);
+    return Math.abs(localX) < element.userData.width / 2 + margin &&
+        Math.abs(localZ) < element.userData.depth / 2 + margin;
+}
+
+// Whether a wagon moving to a point, or something riding it, would run into
+// something that is not on it
+function isWagonBlocked(wagon, to, dx, dz, riders) {
+    const obstacles = [...props, ...actors].filter(obj => !riders.includes(obj) && !obj.userData.hidden);
+    const hitsWagon = obstacles.some(obj => {
+        const bounds = getObjectBounds(obj);
+        return !isOverMachinery(wagon, obj.position.x, obj.position.z) &&
+            isOverMachinery(wagon, obj.position.x, obj.position.z, Math.max(bounds.width, bounds.depth) / 2, to);
+    });
+    return hitsWagon || riders.some(rider => {
+        const newX = rider.position.x + dx;
+        const newZ = rider.position.z + dz;
+        const testPos = { x: newX, y: rider.position.y, z: newZ };
+        return obstacles.some(obj => checkObjectCollision(rider, testPos, obj)) ||
+            checkPropSceneryCollision(rider, newX, newZ) ||
+            !venue.contains(newX, newZ);
+    });
+}
+
+class StageMachinery {
+    constructor() {
+        this.scene = null;
+        this.rails = new Map(); // wagon -> its track's rails
+        this.nextIds = {}; // kind -> next id number
+        this.listeners = [];
+    }
+
+    /**
+     * Scene the machinery is built in
+     */
+    attach(targetScene) {
+        this.scene = targetScene;
+    }
+
+    /**
+     * Every element: platforms, trap doors, the revolve, then wagons
+     */
+    elements() {
+        return [...moveablePlatforms, ...trapDoors, ...(rotatingStage ? [rotatingStage] : []), ...wagons];
+    }
+
+    get(id) {
+        return this.elements().find(element => element.userData.id === id);
+    }
+
+    /**
+     * Kind of an element: 'platform', 'trapDoor', 'revolve' or 'wagon'
+     */
+    kindOf(element) {
+        return element.userData.type === 'rotatingStage' ? 'revolve' : element.userData.type;
+    }
+
+    /**
+     * Build a new element
+     * @param {string} kind - A key of MACHINERY_KINDS
+     * @param {Object} layout - { x, z } plus any size values and an id; missing sizes use the kind's defaults
+     * @returns {THREE.Group} The element
+     */
+    add(kind, layout) {
+        if (!MACHINERY_KINDS[kind]) {
+            throw new Error(`Unknown stage machinery ${kind}`);
+        }
+        if (kind === 'revolve' && rotatingStage) {
+            throw new Error('The stage already has a revolve');
+        }
+
+        let element;
+        switch (kind) {
+            case 'platform':
+                element = buildPlatform();
+                moveablePlatforms.push(element);
+                break;
+            case 'trapDoor':
+                element = buildTrapDoor();
+                trapDoors.push(element);
+                break;
+            case 'revolve':
+                element = buildRevolve();
+                rotatingStage = element;
+                break;
+            case 'wagon':
+                element = buildWagon();
+                wagons.push(element);
+                this.rails.set(element, buildWagonRails());
+                this.scene.add(this.rails.get(element));
+                break;
+        }
+        const id = layout.id || `${kind}_${this.nextIds[kind] || 1}`;
+        const number = parseInt(id.replace(`${kind}_`, ''), 10);
+        if (Number.isFinite(number)) {
+            this.nextIds[kind] = Math.max(this.nextIds[kind] || 1, number + 1);
+        }
+        element.userData.id = id;
+        this.scene.add(element);
+        this.applyLayout(element, { ...MACHINERY_KINDS[kind].size, x: 0, z: 0, ...layout });
+        this.renumber();
+        this.notifyChange();
+        return element;
+    }
+
+    /**
+     * Strike an element; whatever was standing on it stays where it is
+     */
+    remove(element) {
+        const kind = this.kindOf(element);
+        this.scene.remove(element);
+        if (kind === 'wagon') {
+            this.scene.remove(this.rails.get(element));
+            this.rails.delete(element);
+        }
+
+        const removeFrom = (list) => {
+            const index = list.indexOf(element);
+            if (index !== -1) list.splice(index, 1);
+        };
+        removeFrom(moveablePlatforms);
+        removeFrom(trapDoors);
+        removeFrom(wagons);
+        if (element === rotatingStage) {
+            rotatingStage = null;
+            propRotatingStageRelations.clear();
+        }
+        [propPlatformRelations, propTrapDoorRelations, propWagonRelations].forEach(relations => {
+            relations.forEach((other, obj) => {
+                if (other === element) relations.delete(obj);
+            });
+        });
+
+        this.renumber();
+        this.notifyChange();
+    }
+
+    /**
+     * Move or resize an element
+     * @param {THREE.Group} element
+     * @param {Object} changes - Any of the kind's layout values (see MACHINERY_LAYOUT_KEYS)
+     */
+    update(element, changes) {
+        this.applyLayout(element, { ...this.layoutOf(element), ...changes });
+        updateAllPropRelationships();
+        this.notifyChange();
+    }
+
+    /**
+     * Check layout values against MACHINERY_LIMITS, then shape and place the element
+     */
+    applyLayout(element, layout) {
+        const kind = this.kindOf(element);
+        MACHINERY_LAYOUT_KEYS[kind].forEach(key => {
+            const value = layout[key];
+            const limits = MACHINERY_LIMITS[key];
+            if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+                throw new Error(`${MACHINERY_KINDS[kind].name} ${key} must be ${limits.min} to ${limits.max}`);
+            }
+        });
+
+        const userData = element.userData;
+        switch (kind) {
+            case 'platform':
+                userData.width = layout.width;
+                userData.depth = layout.depth;
+                element.position.x = layout.x;
+                element.position.z = layout.z;
+                shapePlatform(element);
+                break;
+            case 'trapDoor':
+                userData.width = layout.width;
+                userData.depth = layout.depth;
+                element.position.x = layout.x;
+                element.position.z = layout.z;
+                shapeTrapDoor(element);
+                break;
+            case 'revolve':
+                userData.radius = layout.radius;
+                element.position.x = layout.x;
+                element.position.z = layout.z;
+                shapeRevolve(element);
+                break;
+            case 'wagon':
+                Object.assign(userData, {
+                    x: layout.x, z: layout.z, width: layout.width, depth: layout.depth,
+                    height: layout.height, angle: layout.angle, track: layout.track
+                });
+                // A shorter track pulls the wagon back onto it
+                userData.travel = Math.min(userData.travel, layout.track);
+                userData.targetTravel = Math.min(userData.targetTravel, layout.track);
+                shapeWagon(element, this.rails.get(element));
+                break;
+        }
+    }
+
+    /**
+     * Layout values of an element, as saved in stageElements
+     */
+    layoutOf(element) {
+        const kind = this.kindOf(element);
+        const userData = element.userData;
+        switch (kind) {
+            case 'revolve':
+                return { x: element.position.x, z: element.position.z, radius: userData.radius };
+            case 'wagon':
+                return {
+                    x: userData.x, z: userData.z, width: userData.width, depth: userData.depth,
+                    height: userData.height, track: userData.track, angle: userData.angle
+                };
+            default:
+                return { x: element.position.x, z: element.position.z, width: userData.width, depth: userData.depth };
+        }
+    }
+
+    // Keep indices and names in step with list positions
+    renumber() {
+        moveablePlatforms.forEach((platform, index) => {
+            platform.userData.index = index;
+            platform.name = `Platform ${index + 1}`;
+        });
+        trapDoors.forEach((trapDoor, index) => {
+            trapDoor.userData.index = index;
+            trapDoor.name = `Trap Door ${index + 1}`;
+        });
+        wagons.forEach((wagon, index) => {
+            wagon.userData.index = index;
+            wagon.name = `Wagon ${index + 1}`;
+            this.rails.get(wagon).name = `Wagon ${index + 1} Track`;
+        });
+    }
+
+    /**
+     * Move and shrink every element to fit a resized stage
+     * @param {number} scaleX - New stage width over the old
+     * @param {number} scaleZ - New stage depth over the old
+     */
+    refit(scaleX, scaleZ) {
+        const clamp = (key, value) => {
+            const limits = MACHINERY_LIMITS[key];
+            return Math.min(Math.max(Math.round(value * 100) / 100, limits.min), limits.max);
+        };
+        this.elements().forEach(element => {
+            const layout = this.layoutOf(element);
+            layout.x *= scaleX;
+            layout.z *= scaleZ;
+            Object.keys(layout).forEach(key => {
+                layout[key] = clamp(key, layout[key]);
+            });
+            const spot = venue.clampPoint(layout.x, layout.z);
+            layout.x = clamp('x', spot.x);
+            layout.z = clamp('z', spot.z);
+            this.applyLayout(element, layout);
+        });
+        updateAllPropRelationships();
+        this.notifyChange();
+    }
+
+    /**
+     * Replace all of the machinery, e.g. when a scene is loaded
+     * @param {Object} layout - { platforms: [], trapDoors: [], revolve: {}|null, wagons: [] }
+     */
+    load(layout) {
+        const listeners = this.listeners;
+        this.listeners = []; // One change notification for the whole rebuild
+        try {
+            this.elements().forEach(element => this.remove(element));
+            this.nextIds = {};
+            (layout.platforms || []).forEach(def => this.add('platform', def));
+            (layout.trapDoors || []).forEach(def => this.add('trapDoor', def));
+            if (layout.revolve) {
+                this.add('revolve', layout.revolve);
+            }
+            (layout.wagons || []).forEach(def => this.add('wagon', def));
+        } finally {
+            this.listeners = listeners;
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Roll a wagon to a distance along its track
+     * @param {THREE.Group} wagon
+     * @param {number} travel - 0 (start of the track) to its length
+     * @param {number} [speed] - Units per second
+     */
+    rollWagon(wagon, travel, speed) {
+        const userData = wagon.userData;
+        if (!Number.isFinite(travel) || travel < 0 || travel > userData.track) {
+            throw new Error(`Wagon travel must be 0 to ${userData.track}`);
+        }
+        if (speed !== undefined) {
+            if (!Number.isFinite(speed) || speed <= 0) {
+                throw new Error('Wagon speed must be more than 0');
+            }
+            userData.speed = speed;
+        }
+        userData.targetTravel = travel;
+        userData.moving = true;
+    }
+
+    /**
+     * Move wagons along their tracks; called every frame with the seconds
+     * since the last one. A wagon stops if it would run into a prop or actor,
+     * or carry something on it into one or into a scenery panel.
+     */
+    updateWagons(delta) {
+        wagons.forEach(wagon => {
+            const userData = wagon.userData;
+            if (!userData.moving) return;
+
+            const diff = userData.targetTravel - userData.travel;
+            const step = Math.sign(diff) * Math.min(Math.abs(diff), userData.speed * delta);
+            const from = wagonPositionAt(wagon, userData.travel);
+            const to = wagonPositionAt(wagon, userData.travel + step);
+            const dx = to.x - from.x;
+            const dz = to.z - from.z;
+
+            const riders = [];
+            propWagonRelations.forEach((other, obj) => {
+                if (other === wagon && !obj.userData.hidden && !obj.userData.heldBy &&
+                    !throwingProps.has(obj) && !blockingTimeline.isDriving(obj)) {
+                    riders.push(obj);
+                }
+            });
+            if (isWagonBlocked(wagon, to, dx, dz, riders)) {
+                userData.targetTravel = userData.travel;
+                userData.moving = false;
+                console.log(`${wagon.name} stopped due to collision`);
+                return;
+            }
+
+            userData.travel += step;
+            if (userData.travel === userData.targetTravel) {
+                userData.moving = false;
+            }
+            placeWagon(wagon);
+            riders.forEach(rider => {
+                rider.position.x += dx;
+                rider.position.z += dz;
+            });
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+const stageMachinery = new StageMachinery();
+
+/**
+ * Machinery layout from saved stage elements. Entries saved before the
+ * layout could be edited have no x/z and take the default layout at their
+ * index; a missing list keeps the default machinery of that kind.
+ * @param {Object} elementsData - stage.stageElements
+ * @returns {Object} A layout for stageMachinery.load()
+ */
+function machineryLayoutFrom(elementsData) {
+    const withDefaults = (entries, defaults, kind) => entries.map(entry => {
+        const fallback = defaults[entry.index] || { ...MACHINERY_KINDS[kind].size, x: 0, z: 0 };
+        const layout = { ...fallback };
+        MACHINERY_LAYOUT_KEYS[kind].forEach(key => {
+            if (entry[key] !== undefined) layout[key] = entry[key];
+        });
+        if (entry.id) layout.id = entry.id;
+        return layout;
+    });
+
+    let revolve = DEFAULT_MACHINERY.revolve;
+    if (elementsData.rotatingStage === null) {
+        revolve = null;
+    } else if (elementsData.rotatingStage) {
+        revolve = withDefaults([{ ...elementsData.rotatingStage, index: 0 }], [DEFAULT_MACHINERY.revolve], 'revolve')[0];
+    }
+
+    return {
+        platforms: elementsData.platforms
+            ? withDefaults(elementsData.platforms, DEFAULT_MACHINERY.platforms, 'platform')
+            : DEFAULT_MACHINERY.platforms,
+        trapDoors: elementsData.trapDoors
+            ? withDefaults(elementsData.trapDoors, DEFAULT_MACHINERY.trapDoors, 'trapDoor')
+            : DEFAULT_MACHINERY.trapDoors,
+        revolve: revolve,
+        wagons: elementsData.wagons ? withDefaults(elementsData.wagons, [], 'wagon') : []
+    };
+}
+
+/**
+ * Finish a machinery placement at the clicked point; called by onStageClick
+ * @param {Object} placement - { kind } to add a new element, or { element } to move one,
+ *     plus an optional onPlaced(element) callback
+ * @param {THREE.Vector3} point - Where the stage was clicked
+ */
+function placeMachinery(placement, point) {
+    const x = Math.round(point.x * 100) / 100;
+    const z = Math.round(point.z * 100) / 100;
+    try {
+        let element = placement.element;
+        if (element) {
+            stageMachinery.update(element, { x, z });
+        } else {
+            element = stageMachinery.add(placement.kind, { x, z });
+            element.visible = true; // Trap doors and the revolve are built hidden
+        }
+        if (placement.onPlaced) {
+            placement.onPlaced(element);
+        }
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+/**
+ * Build the Stage Machinery section of the control panel
+ * @returns {HTMLElement}
+ */
+function createStageMachineryUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Stage Machinery</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const buttonStyle = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+    const addButton = (parent, text, title, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.style.cssText = buttonStyle;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    };
+
+    addButton(container, 'Roll Wagons', 'Roll every wagon to the other end of its track', () => {
+        if (wagons.length === 0) {
+            alert('There are no wagons; add one with Edit Machinery');
+            return;
+        }
+        wagons.forEach(wagon => {
+            const userData = wagon.userData;
+            stageMachinery.rollWagon(wagon, userData.targetTravel > 0 ? 0 : userData.track);
+        });
+    });
+
+    // The editor is only shown in edit mode
+    const editor = document.createElement('div');
+    editor.style.display = 'none';
+    const editButton = addButton(container, 'Edit Machinery', 'Add, size, position and strike platforms, trap doors, the revolve and wagons', () => {
+        const editing = editor.style.display === 'none';
+        editor.style.display = editing ? 'block' : 'none';
+        editButton.textContent = editing ? 'Done Editing' : 'Edit Machinery';
+    });
+    container.appendChild(editor);
+
+    const list = document.createElement('div');
+    list.style.cssText = 'max-height: 150px; overflow-y: auto; width: 300px; font-size: 12px;';
+    editor.appendChild(list);
+
+    let selected = null;
+
+    const kindSelect = document.createElement('select');
+    kindSelect.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px; width: 120px;';
+    kindSelect.innerHTML = Object.entries(MACHINERY_KINDS)
+        .map(([key, kind]) => `<option value="${key}">${kind.name}</option>`).join('');
+    editor.appendChild(kindSelect);
+
+    // Adding and moving finish with a click on the stage
+    const startPlacement = (placement, message) => {
+        pendingMachineryPlacement = {
+            ...placement,
+            onPlaced: element => {
+                selected = element;
+                refresh();
+            }
+        };
+        placementMode = 'machinery';
+        placementMarker.visible = true;
+        alert(message);
+    };
+
+    addButton(editor, 'Add', 'Add the chosen kind of machinery where you click on the stage', () => {
+        if (kindSelect.value === 'revolve' && rotatingStage) {
+            alert('The stage already has a revolve; strike it first to build a new one');
+            return;
+        }
+        startPlacement({ kind: kindSelect.value }, `Click on the stage where the new ${MACHINERY_KINDS[kindSelect.value].name.toLowerCase()} should go.`);
+    });
+
+    addButton(editor, 'Move', 'Move the selected element to where you click on the stage', () => {
+        if (!selected) {
+            alert('Select an element in the list first');
+            return;
+        }
+        startPlacement({ element: selected }, `Click on the stage where ${selected.name} should go.`);
+    });
+
+    // Layout values of the selected element; only the ones its kind has are shown
+    const fieldCaptions = {
+        x: 'X', z: 'Z', width: 'Width', depth: 'Depth', radius: 'Radius',
+        height: 'Height', track: 'Track', angle: 'Angle (°)', speed: 'Speed (/s)'
+    };
+    const fields = {};
+    Object.entries(fieldCaptions).forEach(([key, caption]) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+        const text = document.createElement('span');
+        text.style.cssText = 'width: 70px;';
+        text.textContent = caption;
+        row.appendChild(text);
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = key === 'angle' ? '15' : '0.25';
+        input.style.cssText = 'width: 60px;';
+        input.addEventListener('change', () => {
+            if (!selected) return;
+            const value = parseFloat(input.value);
+            try {
+                if (key === 'speed') {
+                    if (!Number.isFinite(value) || value <= 0) {
+                        throw new Error('Wagon speed must be more than 0');
+                    }
+                    selected.userData.speed = value;
+                } else {
+                    stageMachinery.update(selected, { [key]: value });
+                }
+            } catch (error) {
+                alert(error.message);
+                refresh();
+            }
+        });
+        row.appendChild(input);
+        editor.appendChild(row);
+        fields[key] = { row, input };
+    });
+
+    function describe(element) {
+        const layout = stageMachinery.layoutOf(element);
+        const size = layout.radius !== undefined ? `r ${layout.radius}` : `${layout.width}×${layout.depth}`;
+        return `${element.name} · ${size} at ${+layout.x.toFixed(2)}, ${+layout.z.toFixed(2)}`;
+    }
+
+    function refresh() {
+        if (selected && !stageMachinery.elements().includes(selected)) {
+            selected = null;
+        }
+
+        const keys = selected
+            ? [...MACHINERY_LAYOUT_KEYS[stageMachinery.kindOf(selected)], ...(selected.userData.type === 'wagon' ? ['speed'] : [])]
+            : [];
+        const layout = selected ? { ...stageMachinery.layoutOf(selected), speed: selected.userData.speed } : {};
+        Object.entries(fields).forEach(([key, field]) => {
+            field.row.style.display = keys.includes(key) ? 'flex' : 'none';
+            if (keys.includes(key)) {
+                field.input.value = String(+layout[key].toFixed(2));
+            }
+        });
+
+        list.innerHTML = '';
+        stageMachinery.elements().forEach(element => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0; padding: 2px 4px; cursor: pointer;' +
+                (element === selected ? ' background: rgba(255, 255, 255, 0.2);' : '');
+
+            const text = document.createElement('div');
+            text.style.cssText = 'flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+            text.textContent = describe(element);
+            row.appendChild(text);
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '✕';
+            removeButton.title = 'Strike from the stage';
+            removeButton.style.cssText = 'padding: 0 4px; cursor: pointer;';
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (confirm(`Strike ${element.name}?`)) {
+                    stageMachinery.remove(element);
+                }
+            });
+            row.appendChild(removeButton);
+
+            row.addEventListener('click', () => {
+                selected = element;
+                kindSelect.value = stageMachinery.kindOf(element);
+                refresh();
+            });
+            list.appendChild(row);
+        });
+    }
+
+    stageMachinery.onChange(refresh);
+    refresh();
+
+    return container;
+}
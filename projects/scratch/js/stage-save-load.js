@@ -124,7 +124,8 @@ function loadScene() {
                                 `Scene loaded successfully!\n\n` +
                                 `Name: ${result.name}\n` +
                                 `Description: ${result.description || 'No description'}\n\n` +
-                                `The scene has been restored to your stage.`
+                                `The scene has been restored to your stage.` +
+                                describeSceneMigration(result.migration)
                             );
                         } else {
                             throw new Error(result.error || 'Unknown error during scene import');
@@ -177,11 +178,116 @@ function loadScene() {
     }
 }
 
+/**
+ * Merge a scene file into the current stage as a layer
+ * Opens a file picker, asks where to put the imported group, and adds its
+ * actors and props without clearing anything. The merge is a single undo step.
+ */
+function mergeScene() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    
+    fileInput.onchange = (event) => {
+        const file = event.target.files[0];
+        if (!file) {
+            console.log('No file selected');
+            return;
+        }
+        
+        const fileReader = new FileReader();
+        
+        fileReader.onload = (e) => {
+            const jsonData = e.target.result;
+            
+            try {
+                JSON.parse(jsonData);
+            } catch (parseError) {
+                alert('Invalid JSON file. Please select a valid scene file.');
+                return;
+            }
+            
+            const placement = prompt(
+                `Where should the contents of "${file.name}" go?\n\n` +
+                `• Leave blank to keep their saved positions\n` +
+                `• Enter an offset as "x, z" (e.g. "5, 0")\n` +
+                `• Type "click" to click a spot on the stage`,
+                ''
+            );
+            
+            if (placement === null) {
+                console.log('Scene merge cancelled by user');
+                return;
+            }
+            
+            const choice = placement.trim().toLowerCase();
+            if (choice === 'click') {
+                // Finished by onStageClick, which calls applySceneMerge with the clicked point
+                pendingMergeData = jsonData;
+                placementMode = 'merge';
+                placementMarker.visible = true;
+                alert('Click on the stage where the imported group should be centered.');
+                return;
+            }
+            
+            let offset = { x: 0, z: 0 };
+            if (choice) {
+                const parts = choice.split(',').map(part => parseFloat(part));
+                if (parts.length !== 2 || parts.some(isNaN)) {
+                    alert(`Could not read "${placement}" as an offset. Please use the form "x, z".`);
+                    return;
+                }
+                offset = { x: parts[0], z: parts[1] };
+            }
+            
+            applySceneMerge(jsonData, { offset });
+        };
+        
+        fileReader.onerror = (error) => {
+            console.error('File read error:', error);
+            alert(`Failed to read file: ${error.message}`);
+        };
+        
+        fileReader.readAsText(file);
+    };
+    
+    fileInput.click();
+}
+
+/**
+ * Merge scene JSON into the current stage and report the result
+ * @param {string} jsonData - Scene file contents
+ * @param {Object} options - Merge options passed to importScene (offset or placeAt)
+ */
+function applySceneMerge(jsonData, options = {}) {
+    const result = sceneSerializer.importScene(jsonData, { ...options, mode: 'merge' });
+    
+    if (!result.success) {
+        console.error('Failed to merge scene:', result.error);
+        alert(`Failed to merge scene: ${result.error}`);
+        return result;
+    }
+    
+    const renamed = Object.entries(result.merged.remappedIds);
+    console.log('Scene merged:', result.name, result.merged);
+    alert(
+        `Merged "${result.name}" into the current stage.\n\n` +
+        `Added ${result.merged.actors} actor(s) and ${result.merged.props} prop(s).` +
+        (renamed.length > 0
+            ? `\nRenamed to avoid conflicts: ${renamed.map(([from, to]) => `${from} → ${to}`).join(', ')}`
+            : '') +
+        `\n\nUse Undo to remove the whole layer.` +
+        describeSceneMigration(result.migration)
+    );
+    return result;
+}
+
 /**
  * Load a preset template from the presets directory
  * @param {string} presetName - The preset filename (without .json extension)
+ * @param {string} mode - 'replace' clears the stage first, 'merge' adds the preset as a layer
  */
-async function loadPreset(presetName) {
+async function loadPreset(presetName, mode = 'replace') {
     try {
         console.log('Loading preset:', presetName);
         
@@ -201,6 +307,11 @@ async function loadPreset(presetName) {
             throw new Error('Invalid preset file format');
         }
         
+        if (mode === 'merge') {
+            applySceneMerge(jsonData);
+            return;
+        }
+        
         // Import the scene using the SceneSerializer
         const result = sceneSerializer.importScene(jsonData);
         
@@ -209,7 +320,8 @@ async function loadPreset(presetName) {
             alert(
                 `Preset loaded successfully!\n\n` +
                 `Template: ${result.name}\n` +
-                `Description: ${result.description || 'No description'}`
+                `Description: ${result.description || 'No description'}` +
+                describeSceneMigration(result.migration)
             );
         } else {
             throw new Error(result.error || 'Unknown error during preset import');
@@ -223,3 +335,159 @@ async function loadPreset(presetName) {
         );
     }
 }
+
+/**
+ * Describe the format upgrades applied while importing a scene
+ * @param {Object} migration - The migration report returned by importScene
+ * @returns {string} Text to append to a user message, empty if nothing changed
+ */
+function describeSceneMigration(migration) {
+    if (!migration || migration.fromVersion === migration.toVersion) {
+        return '';
+    }
+    
+    const maxListed = 10;
+    const listed = migration.changes.slice(0, maxListed).map(change => `  • ${change}`);
+    if (migration.changes.length > maxListed) {
+        listed.push(`  …and ${migration.changes.length - maxListed} more (see console)`);
+    }
+    
+    return `\n\nThis file was upgraded from format ${migration.fromVersion} to ${migration.toVersion}.` +
+        (listed.length > 0 ? `\nChanges made:\n${listed.join('\n')}` : '\nNo data needed to change.');
+}
+
+/**
+ * Build the preset gallery for the control panel
+ * Lists the entries in presets/manifest.json with their name, description and
+ * a thumbnail. Entries without a thumbnail image get a top-down plan drawn
+ * from the preset's own actors and props.
+ * @returns {HTMLElement}
+ */
+function createPresetGalleryUI() {
+    const container = document.createElement('div');
+    
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Preset Templates</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+    
+    const gallery = document.createElement('div');
+    gallery.style.cssText = 'max-height: 260px; overflow-y: auto; width: 300px; font-size: 12px;';
+    gallery.textContent = 'Loading presets...';
+    container.appendChild(gallery);
+    
+    fetch('presets/manifest.json')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(response.statusText);
+            }
+            return response.json();
+        })
+        .then(manifest => {
+            gallery.innerHTML = '';
+            manifest.presets.forEach(entry => gallery.appendChild(createPresetCard(entry)));
+        })
+        .catch(error => {
+            console.error('Failed to load preset manifest:', error);
+            gallery.textContent = 'Presets unavailable (serve the app over HTTP to use them)';
+        });
+    
+    return container;
+}
+
+/**
+ * Build a single gallery entry with Load and Layer buttons
+ * @param {Object} entry - Manifest entry: { id, name, description, thumbnail? }
+ * @returns {HTMLElement}
+ */
+function createPresetCard(entry) {
+    const card = document.createElement('div');
+    card.style.cssText = 'display: flex; gap: 6px; margin: 6px 0; align-items: flex-start;';
+    
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = 80;
+    thumbnail.height = 60;
+    thumbnail.style.cssText = 'flex-shrink: 0; background: #222;';
+    card.appendChild(thumbnail);
+    
+    if (entry.thumbnail) {
+        const image = new Image();
+        image.onload = () => thumbnail.getContext('2d').drawImage(image, 0, 0, thumbnail.width, thumbnail.height);
+        image.src = `presets/${entry.thumbnail}`;
+    } else {
+        fetch(`presets/${entry.id}.json`)
+            .then(response => response.json())
+            .then(sceneData => drawPresetPlan(thumbnail, sceneData))
+            .catch(error => console.warn(`No thumbnail for preset ${entry.id}:`, error));
+    }
+    
+    const info = document.createElement('div');
+    info.style.cssText = 'flex: 1;';
+    const title = document.createElement('strong');
+    title.style.cssText = 'display: block;';
+    title.textContent = entry.name;
+    const description = document.createElement('div');
+    description.style.cssText = 'color: #aaa; font-size: 11px;';
+    description.textContent = entry.description || '';
+    info.appendChild(title);
+    info.appendChild(description);
+    
+    const loadButton = document.createElement('button');
+    loadButton.textContent = 'Load';
+    loadButton.title = 'Replace the current scene with this preset';
+    loadButton.style.cssText = 'margin: 3px 3px 0 0; padding: 2px 6px; cursor: pointer;';
+    loadButton.addEventListener('click', () => {
+        if (confirm(`This will clear the current scene and load "${entry.name}".\n\nDo you want to continue?`)) {
+            loadPreset(entry.id, 'replace');
+        }
+    });
+    
+    const mergeButton = document.createElement('button');
+    mergeButton.textContent = 'Layer';
+    mergeButton.title = 'Add this preset on top of the current scene';
+    mergeButton.style.cssText = 'margin: 3px 0 0 0; padding: 2px 6px; cursor: pointer;';
+    mergeButton.addEventListener('click', () => loadPreset(entry.id, 'merge'));
+    
+    info.appendChild(loadButton);
+    info.appendChild(mergeButton);
+    card.appendChild(info);
+    
+    return card;
+}
+
+/**
+ * Draw a top-down plan of a scene: the stage deck, props as boxes and actors as dots
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} sceneData - Parsed scene file
+ */
+function drawPresetPlan(canvas, sceneData) {
+    const ctx = canvas.getContext('2d');
+    const stageWidth = 20;
+    const stageDepth = 15;
+    const scale = Math.min(canvas.width / stageWidth, canvas.height / stageDepth);
+    const toX = x => canvas.width / 2 + x * scale;
+    const toY = z => canvas.height / 2 + z * scale;
+    
+    ctx.fillStyle = '#8B4513';
+    ctx.fillRect(toX(-stageWidth / 2), toY(-stageDepth / 2), stageWidth * scale, stageDepth * scale);
+    
+    const stageData = sceneData.stage || {};
+    
+    ctx.fillStyle = '#d8c8a8';
+    (stageData.props || []).forEach(prop => {
+        const bounds = getObjectBounds({ userData: { type: 'prop', propType: prop.type } });
+        ctx.fillRect(
+            toX(prop.position.x - bounds.width / 2),
+            toY(prop.position.z - bounds.depth / 2),
+            Math.max(bounds.width * scale, 1),
+            Math.max(bounds.depth * scale, 1)
+        );
+    });
+    
+    ctx.fillStyle = '#4169e1';
+    (stageData.actors || []).forEach(actor => {
+        ctx.beginPath();
+        ctx.arc(toX(actor.position.x), toY(actor.position.z), Math.max(scale * 0.5, 2), 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
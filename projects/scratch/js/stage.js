@@ -1,5 +1,6 @@
 let scene, camera, renderer, controls;
 let stage, lights = [];
+let lightingFixtures = []; // Every rig fixture plus the ambient light, for the lighting desk
 let stageMarkers = [];
 let props = [];
 let actors = [];
@@ -7,19 +8,24 @@ let currentLightingPreset = 'default';
 let moveablePlatforms = [];
 let rotatingStage = null;
 let trapDoors = [];
+let wagons = [];
 let curtainLeft, curtainRight, curtainTop;
-let curtainState = 'closed';
 let sceneryPanels = [];
 let placementMode = null; // 'prop' or 'actor'
 let placementMarker = null;
 let selectedPropType = 'cube'; // default prop type
 let nextActorId = 1;
 let nextPropId = 1;
+let pendingMergeData = null; // Scene JSON waiting for a click to place it (placementMode 'merge')
+let pendingMachineryPlacement = null; // Machinery to add or move at the next click (placementMode 'machinery')
+let currentCameraPreset = 'audience'; // null once the user orbits away from a preset
+let lastAnimateTime = null; // performance.now() of the previous frame, for frame-rate independent motion
 
 // Physics tracking
 let propPlatformRelations = new Map(); // prop -> platform
 let propRotatingStageRelations = new Set(); // props on rotating stage
 let propTrapDoorRelations = new Map(); // prop -> trapdoor
+let propWagonRelations = new Map(); // prop -> wagon
 
 // Prop interaction tracking
 let actorHeldProps = new Map(); // actor -> prop being held
@@ -30,7 +36,7 @@ let throwingProps = new Map(); // prop -> {velocity, thrownBy}
 // Scene serializer for save/load functionality
 class SceneSerializer {
     constructor() {
-        this.version = '1.0';
+        this.version = SCENE_FORMAT_VERSION;
     }
 
     // Export current scene to JSON
@@ -43,9 +49,16 @@ class SceneSerializer {
             stage: {
                 actors: this.serializeActors(),
                 props: this.serializeProps(),
+                rig: lightingRig.serialize(),
+                dmx: dmxPatch.serialize(),
                 lighting: this.serializeLighting(),
                 camera: this.serializeCamera(),
-                stageElements: this.serializeStageElements()
+                venue: venue.serialize(),
+                stageElements: this.serializeStageElements(),
+                fly: flySystem.serialize(),
+                customProps: customPropLibrary.serialize(),
+                cues: cueList.serialize(),
+                blocking: blockingTimeline.serialize()
             }
         };
         
@@ -53,26 +66,76 @@ class SceneSerializer {
     }
 
     // Import scene from JSON
-    importScene(jsonData) {
+    // options.mode: 'replace' (default) clears the stage first, 'merge' adds the
+    // scene's actors and props as an undoable layer on top of the current stage.
+    // options.offset {x, z} shifts a merged layer; options.placeAt {x, z} centers it on a point.
+    importScene(jsonData, options = {}) {
         try {
-            const sceneData = JSON.parse(jsonData);
+            // Upgrade older files, then check the result against the schema
+            const { sceneData, fromVersion, toVersion, changes } = migrateScene(JSON.parse(jsonData));
             
-            // Validate version
-            if (sceneData.version !== this.version) {
-                console.warn(`Scene version ${sceneData.version} may not be fully compatible with current version ${this.version}`);
+            const validation = validateScene(sceneData);
+            if (!validation.valid) {
+                const details = validation.errors.map(e => `  ${e.path}: ${e.message}`).join('\n');
+                return {
+                    success: false,
+                    error: `Scene file failed validation:\n${details}`,
+                    validationErrors: validation.errors
+                };
+            }
+            
+            if (changes.length > 0) {
+                console.log(`Scene upgraded from ${fromVersion} to ${toVersion}:`, changes);
+            }
+            
+            // Imported models must be in the catalog before props of their type are built
+            customPropLibrary.registerAll(sceneData.stage.customProps);
+            
+            if (options.mode === 'merge') {
+                const layer = this.prepareMergeLayer(sceneData.stage, options);
+                commandManager.executeCommand(new MergeSceneCommand(layer));
+                if (window.updateUndoRedoButtons) {
+                    window.updateUndoRedoButtons();
+                }
+                
+                return {
+                    success: true,
+                    name: sceneData.name,
+                    description: sceneData.description,
+                    migration: { fromVersion, toVersion, changes },
+                    merged: {
+                        actors: layer.actors.length,
+                        props: layer.props.length,
+                        remappedIds: layer.remappedIds
+                    }
+                };
             }
             
             // Clear current scene
             this.clearScene();
             
+            // Build the venue first; machinery, scenery and objects are placed on its deck
+            venue.load(sceneData.stage.venue || DEFAULT_VENUE);
+            
             // Import all elements
             this.deserializeActors(sceneData.stage.actors);
             this.deserializeProps(sceneData.stage.props);
+            this.deserializeInteractions(sceneData.stage.actors, sceneData.stage.props);
+            lightingRig.load(sceneData.stage.rig || DEFAULT_RIG);
+            dmxPatch.load(sceneData.stage.dmx);
             this.deserializeLighting(sceneData.stage.lighting);
             this.deserializeCamera(sceneData.stage.camera);
             this.deserializeStageElements(sceneData.stage.stageElements);
+            flySystem.load(sceneData.stage.fly || DEFAULT_FLY_RAIL);
+            cueList.load(sceneData.stage.cues || []);
+            blockingTimeline.load(sceneData.stage.blocking);
             
-            return { success: true, name: sceneData.name, description: sceneData.description };
+            return {
+                success: true,
+                name: sceneData.name,
+                description: sceneData.description,
+                migration: { fromVersion, toVersion, changes }
+            };
         } catch (error) {
             console.error('Failed to import scene:', error);
             return { success: false, error: error.message };
@@ -81,34 +144,76 @@ class SceneSerializer {
 
     // Serialize actors
     serializeActors() {
-        return actors.map(actor => ({
-            id: actor.userData.id,
-            name: actor.userData.name,
-            position: { x: actor.position.x, y: actor.position.y, z: actor.position.z },
-            rotation: { x: actor.rotation.x, y: actor.rotation.y, z: actor.rotation.z },
-            visible: actor.visible,
-            hidden: actor.userData.hidden
-        }));
+        return actors.map(actor => {
+            const data = {
+                id: actor.userData.id,
+                name: actor.userData.name,
+                position: { x: actor.position.x, y: actor.position.y, z: actor.position.z },
+                rotation: { x: actor.rotation.x, y: actor.rotation.y, z: actor.rotation.z },
+                visible: actor.visible,
+                hidden: actor.userData.hidden
+            };
+            
+            // Interaction relationships are stored by prop ID
+            if (actorHeldProps.has(actor)) {
+                data.holding = actorHeldProps.get(actor).userData.id;
+            }
+            if (actorSittingOn.has(actor)) {
+                data.sittingOn = actorSittingOn.get(actor).userData.id;
+            }
+            this.serializeMomentum(actor, data);
+            
+            return data;
+        });
     }
 
     // Serialize props
     serializeProps() {
-        return props.map(prop => ({
-            id: prop.userData.id,
-            name: prop.userData.name,
-            type: prop.userData.propType,
-            position: { x: prop.position.x, y: prop.position.y, z: prop.position.z },
-            rotation: { x: prop.rotation.x, y: prop.rotation.y, z: prop.rotation.z },
-            visible: prop.visible,
-            hidden: prop.userData.hidden
-        }));
+        return props.map(prop => {
+            const data = {
+                id: prop.userData.id,
+                name: prop.userData.name,
+                type: prop.userData.propType,
+                position: { x: prop.position.x, y: prop.position.y, z: prop.position.z },
+                rotation: { x: prop.rotation.x, y: prop.rotation.y, z: prop.rotation.z },
+                visible: prop.visible,
+                hidden: prop.userData.hidden
+            };
+            
+            if (propStates.has(prop)) {
+                data.state = propStates.get(prop).currentState;
+            }
+            if (throwingProps.has(prop)) {
+                const throwData = throwingProps.get(prop);
+                data.thrown = {
+                    velocity: { ...throwData.velocity },
+                    thrownBy: throwData.thrownBy ? throwData.thrownBy.userData.id : null,
+                    gravity: throwData.gravity
+                };
+            }
+            this.serializeMomentum(prop, data);
+            
+            return data;
+        });
+    }
+
+    // Add sliding momentum to serialized object data if the object is moving
+    serializeMomentum(obj, data) {
+        const vel = objectVelocities.get(obj);
+        if (vel && (vel.x !== 0 || vel.z !== 0)) {
+            data.velocity = { x: vel.x, z: vel.z };
+        }
     }
 
     // Serialize lighting
     serializeLighting() {
         return {
             preset: currentLightingPreset,
-            customSettings: {} // For future custom lighting settings
+            // Exact state of every fixture, so desk changes on top of a preset survive
+            customSettings: captureLightingState(),
+            looks: lightingDesk.serialize(),
+            effects: lightingDesk.serializeEffects(),
+            followspot: followspot.serialize()
         };
     }
 
@@ -125,25 +230,48 @@ class SceneSerializer {
         return {
             platforms: moveablePlatforms.map((platform, index) => ({
                 index: index,
+                id: platform.userData.id,
+                ...stageMachinery.layoutOf(platform),
                 height: platform.position.y,
+                speed: platform.userData.speed,
                 visible: platform.visible
             })),
-            curtains: curtainState,
-            rotatingStage: {
+            curtains: mainCurtain.serialize(),
+            // null when the revolve has been struck
+            rotatingStage: rotatingStage ? {
+                id: rotatingStage.userData.id,
+                ...stageMachinery.layoutOf(rotatingStage),
                 visible: rotatingStage.visible,
                 rotating: rotatingStage.userData.rotating,
-                rotation: rotatingStage.rotation.y
-            },
+                rotation: rotatingStage.rotation.y,
+                speed: rotatingStage.userData.speed,
+                direction: rotatingStage.userData.direction,
+                acceleration: rotatingStage.userData.acceleration
+            } : null,
             trapDoors: trapDoors.map((trapDoor, index) => ({
                 index: index,
+                id: trapDoor.userData.id,
+                ...stageMachinery.layoutOf(trapDoor),
                 visible: trapDoor.visible,
-                open: trapDoor.userData.open
+                open: trapDoor.userData.open,
+                mode: trapDoor.userData.mode,
+                liftSpeed: trapDoor.userData.liftSpeed
+            })),
+            wagons: wagons.map((wagon, index) => ({
+                index: index,
+                id: wagon.userData.id,
+                ...stageMachinery.layoutOf(wagon),
+                travel: wagon.userData.travel,
+                speed: wagon.userData.speed,
+                visible: wagon.visible
             })),
             scenery: sceneryPanels.map((panel, index) => {
                 const mesh = panel.children[0];
                 const textureInfo = {
                     index: index,
-                    position: panel.userData.currentPosition,
+                    id: panel.userData.id,
+                    ...sceneryManager.layoutOf(panel),
+                    position: panel.userData.targetPosition,
                     hasTexture: !!mesh.material.map,
                     textureScale: mesh.material.map ? {
                         x: mesh.material.map.repeat.x,
@@ -183,91 +311,227 @@ class SceneSerializer {
         props = [];
         nextPropId = 1;
         
-        // Reset stage elements to defaults
-        curtainState = 'closed';
-        updateCurtainPositions();
-        
-        // Reset platforms
-        moveablePlatforms.forEach(platform => {
-            platform.position.y = 0.25;
-            platform.userData.targetY = 0.25;
+        // Forget relationships and motion that referred to removed objects
+        propPlatformRelations.clear();
+        propRotatingStageRelations.clear();
+        propTrapDoorRelations.clear();
+        propWagonRelations.clear();
+        actorHeldProps.clear();
+        actorSittingOn.clear();
+        propStates.clear();
+        throwingProps.clear();
+        objectVelocities.clear();
+        
+        // Reset stage elements to defaults, in the default venue
+        venue.load(DEFAULT_VENUE);
+        mainCurtain.load();
+        
+        // Rebuild the default platforms, revolve and trap doors, all at rest
+        stageMachinery.load(DEFAULT_MACHINERY);
+        flySystem.load(DEFAULT_FLY_RAIL);
+        
+        // Rehang the default scenery, off stage
+        sceneryManager.load(DEFAULT_SCENERY);
+    }
+
+    // Copy a scene's actors and props so they can be added without clashing
+    // with what is already on stage. Conflicting IDs get fresh numbers and
+    // every held/sitting/thrown reference inside the layer follows the rename.
+    prepareMergeLayer(stageData, options) {
+        const layerActors = JSON.parse(JSON.stringify(stageData.actors || []));
+        const layerProps = JSON.parse(JSON.stringify(stageData.props || []));
+        const idMap = new Map();
+        const remappedIds = {};
+        
+        const remapIds = (items, prefix, existingObjects, nextId) => {
+            const taken = new Set(existingObjects.map(obj => obj.userData.id));
+            const layerMax = items.reduce((max, data) => Math.max(max, parseInt(data.id.split('_')[1]) || 0), 0);
+            let next = Math.max(nextId, layerMax + 1);
+            
+            items.forEach(data => {
+                let newId = data.id;
+                if (taken.has(newId)) {
+                    newId = `${prefix}_${next++}`;
+                    remappedIds[data.id] = newId;
+                    if (data.name) {
+                        data.name = data.name.split(data.id).join(newId);
+                    }
+                }
+                taken.add(newId);
+                idMap.set(data.id, newId);
+                data.id = newId;
+            });
+        };
+        remapIds(layerActors, 'actor', actors, nextActorId);
+        remapIds(layerProps, 'prop', props, nextPropId);
+        
+        // References may only point inside the layer
+        const remapReference = (data, key) => {
+            if (!data[key]) return;
+            if (idMap.has(data[key])) {
+                data[key] = idMap.get(data[key]);
+            } else {
+                console.warn(`Dropping ${key} reference to ${data[key]}: not part of the merged scene`);
+                delete data[key];
+            }
+        };
+        layerActors.forEach(data => {
+            remapReference(data, 'holding');
+            remapReference(data, 'sittingOn');
         });
-        
-        // Reset rotating stage
-        rotatingStage.visible = false;
-        rotatingStage.userData.rotating = false;
-        rotatingStage.rotation.y = 0;
-        
-        // Reset trap doors
-        trapDoors.forEach(trapDoor => {
-            trapDoor.visible = false;
-            trapDoor.userData.open = false;
-            trapDoor.userData.targetRotation = 0;
+        layerProps.forEach(data => {
+            if (data.thrown) {
+                remapReference(data.thrown, 'thrownBy');
+            }
         });
         
-        // Reset scenery
-        sceneryPanels.forEach(panel => {
-            panel.userData.currentPosition = 0;
-            panel.userData.targetPosition = 0;
-            panel.position.x = panel.userData.isBackdrop ? -30 : 30;
+        // Offset the whole group, or center it on the requested point
+        const allItems = [...layerActors, ...layerProps];
+        let offset = options.offset || { x: 0, z: 0 };
+        if (options.placeAt && allItems.length > 0) {
+            const centerX = allItems.reduce((sum, data) => sum + data.position.x, 0) / allItems.length;
+            const centerZ = allItems.reduce((sum, data) => sum + data.position.z, 0) / allItems.length;
+            offset = { x: options.placeAt.x - centerX, z: options.placeAt.z - centerZ };
+        }
+        allItems.forEach(data => {
+            data.position.x += offset.x;
+            data.position.z += offset.z;
         });
+        
+        return { actors: layerActors, props: layerProps, remappedIds };
     }
 
     // Deserialize actors
     deserializeActors(actorData) {
-        if (!actorData) return;
+        const created = [];
+        if (!actorData) return created;
         
         actorData.forEach(data => {
             // Extract ID number for proper ordering
             const idNum = parseInt(data.id.split('_')[1]);
             if (idNum >= nextActorId) nextActorId = idNum + 1;
             
-            // Create actor at position
-            addActorAt(data.position.x, data.position.z);
-            
-            // Get the last added actor
-            const actor = actors[actors.length - 1];
+            // Create the actor directly so saved positions are not nudged by placement collision checks
+            const actor = createActorObject(data.id);
             
             // Restore properties
             actor.position.set(data.position.x, data.position.y, data.position.z);
             actor.rotation.set(data.rotation.x, data.rotation.y, data.rotation.z);
             actor.visible = data.visible;
             actor.userData.hidden = data.hidden;
-            actor.userData.id = data.id;
             actor.userData.name = data.name;
+            
+            scene.add(actor);
+            actors.push(actor);
+            updatePropRelationships(actor);
+            created.push(actor);
         });
+        
+        return created;
     }
 
     // Deserialize props
     deserializeProps(propData) {
-        if (!propData) return;
+        const created = [];
+        if (!propData) return created;
         
         propData.forEach(data => {
             // Extract ID number for proper ordering
             const idNum = parseInt(data.id.split('_')[1]);
             if (idNum >= nextPropId) nextPropId = idNum + 1;
             
-            // Set the prop type and create it
-            selectedPropType = data.type;
-            addPropAt(data.position.x, data.position.z);
-            
-            // Get the last added prop
-            const prop = props[props.length - 1];
+            const prop = createPropObject(data.type, data.id);
+            if (!prop) {
+                console.warn(`Skipping ${data.id}: unknown prop type "${data.type}"`);
+                return;
+            }
             
             // Restore properties
             prop.position.set(data.position.x, data.position.y, data.position.z);
             prop.rotation.set(data.rotation.x, data.rotation.y, data.rotation.z);
             prop.visible = data.visible;
             prop.userData.hidden = data.hidden;
-            prop.userData.id = data.id;
             prop.userData.name = data.name;
+            
+            // Restore toggle/open state and its visuals
+            if (data.state !== undefined && propStates.has(prop)) {
+                propStates.get(prop).currentState = data.state;
+                applyPropStateVisuals(prop);
+            }
+            
+            scene.add(prop);
+            props.push(prop);
+            updatePropRelationships(prop);
+            created.push(prop);
+        });
+        
+        return created;
+    }
+
+    // Restore held/sitting relationships and motion once all objects exist
+    deserializeInteractions(actorData, propData) {
+        const findActor = id => actors.find(actor => actor.userData.id === id);
+        const findProp = id => props.find(prop => prop.userData.id === id);
+        
+        (actorData || []).forEach(data => {
+            const actor = findActor(data.id);
+            if (!actor) return;
+            
+            if (data.holding) {
+                const prop = findProp(data.holding);
+                if (prop) {
+                    actorHeldProps.set(actor, prop);
+                    prop.userData.heldBy = actor;
+                } else {
+                    console.warn(`${data.id} was holding missing prop ${data.holding}`);
+                }
+            }
+            
+            if (data.sittingOn) {
+                const prop = findProp(data.sittingOn);
+                if (prop) {
+                    actorSittingOn.set(actor, prop);
+                } else {
+                    console.warn(`${data.id} was sitting on missing prop ${data.sittingOn}`);
+                }
+            }
+            
+            if (data.velocity) {
+                objectVelocities.set(actor, { x: data.velocity.x, z: data.velocity.z });
+            }
+        });
+        
+        (propData || []).forEach(data => {
+            const prop = findProp(data.id);
+            if (!prop) return;
+            
+            if (data.thrown) {
+                throwingProps.set(prop, {
+                    velocity: { ...data.thrown.velocity },
+                    thrownBy: data.thrown.thrownBy ? findActor(data.thrown.thrownBy) || null : null,
+                    gravity: data.thrown.gravity
+                });
+            }
+            
+            if (data.velocity) {
+                objectVelocities.set(prop, { x: data.velocity.x, z: data.velocity.z });
+            }
         });
     }
 
     // Deserialize lighting
     deserializeLighting(lightingData) {
+        // Actors are already loaded, so the followspot can find its actor
+        followspot.load(lightingData && lightingData.followspot);
         if (!lightingData) return;
+        lightingDesk.load(lightingData.looks || [], lightingData.effects || {});
         applyLightingPreset(lightingData.preset);
+        if (lightingData.customSettings && lightingData.customSettings.fixtures) {
+            applyLightingState(lightingData.customSettings);
+            if (window.refreshLightingDesk) {
+                window.refreshLightingDesk();
+            }
+        }
     }
 
     // Deserialize camera
@@ -282,6 +546,9 @@ class SceneSerializer {
     deserializeStageElements(elementsData) {
         if (!elementsData) return;
         
+        // Build the scene's machinery before restoring its state
+        stageMachinery.load(machineryLayoutFrom(elementsData));
+        
         // Platforms
         if (elementsData.platforms) {
             elementsData.platforms.forEach(platData => {
@@ -289,6 +556,8 @@ class SceneSerializer {
                     const platform = moveablePlatforms[platData.index];
                     platform.position.y = platData.height;
                     platform.userData.targetY = platData.height;
+                    platform.userData.moving = false;
+                    platform.userData.speed = platData.speed || PLATFORM_DEFAULT_SPEED;
                     platform.visible = platData.visible;
                 }
             });
@@ -296,15 +565,19 @@ class SceneSerializer {
         
         // Curtains
         if (elementsData.curtains) {
-            curtainState = elementsData.curtains;
-            updateCurtainPositions();
+            mainCurtain.load(elementsData.curtains);
         }
         
         // Rotating stage
-        if (elementsData.rotatingStage) {
+        if (elementsData.rotatingStage && rotatingStage) {
             rotatingStage.visible = elementsData.rotatingStage.visible;
             rotatingStage.userData.rotating = elementsData.rotatingStage.rotating;
             rotatingStage.rotation.y = elementsData.rotatingStage.rotation;
+            rotatingStage.userData.speed = elementsData.rotatingStage.speed || REVOLVE_DEFAULT_SPEED;
+            rotatingStage.userData.direction = elementsData.rotatingStage.direction || 'ccw';
+            if (elementsData.rotatingStage.acceleration !== undefined) {
+                rotatingStage.userData.acceleration = elementsData.rotatingStage.acceleration;
+            }
         }
         
         // Trap doors
@@ -313,18 +586,34 @@ class SceneSerializer {
                 if (trapData.index < trapDoors.length) {
                     const trapDoor = trapDoors[trapData.index];
                     trapDoor.visible = trapData.visible;
-                    trapDoor.userData.open = trapData.open;
-                    trapDoor.userData.targetRotation = trapData.open ? Math.PI / 2 : 0;
+                    trapDoor.userData.mode = trapData.mode || 'drop';
+                    trapDoor.userData.liftSpeed = trapData.liftSpeed || TRAP_LIFT_SPEED;
+                    openTrapDoor(trapDoor, trapData.open);
+                    settleTrapDoor(trapDoor);
                 }
             });
         }
         
-        // Scenery
+        // Wagons
+        if (elementsData.wagons) {
+            elementsData.wagons.forEach(wagonData => {
+                if (wagonData.index < wagons.length) {
+                    const wagon = wagons[wagonData.index];
+                    wagon.userData.travel = Math.min(wagonData.travel || 0, wagon.userData.track);
+                    wagon.userData.targetTravel = wagon.userData.travel;
+                    wagon.userData.moving = false;
+                    wagon.userData.speed = wagonData.speed || WAGON_DEFAULT_SPEED;
+                    wagon.visible = wagonData.visible !== false;
+                    placeWagon(wagon);
+                }
+            });
+        }
+        
+        // Scenery, hung at its stops
+        sceneryManager.load(sceneryLayoutFrom(elementsData));
         if (elementsData.scenery) {
             elementsData.scenery.forEach(sceneryData => {
                 if (sceneryData.index < sceneryPanels.length) {
-                    moveSceneryPanel(sceneryData.index, sceneryData.position);
-                    
                     // Restore textures
                     if (sceneryData.defaultTexture) {
                         const texture = textureManager.getDefaultTexture(sceneryData.defaultTexture);
@@ -354,23 +643,20 @@ class SceneSerializer {
                 marker.visible = elementsData.markers.visible;
             });
         }
+
+        // Rebuilding the machinery dropped every relationship, and hidden objects are
+        // skipped by the periodic update; put them back on the trap that took them
+        [...actors, ...props].forEach(obj => {
+            if (obj.userData.hidden) {
+                updatePropRelationships(obj);
+            }
+        });
     }
 }
 
 // Create global serializer instance
 const sceneSerializer = new SceneSerializer();
 
-// Helper function to update curtain positions immediately
-function updateCurtainPositions() {
-    if (curtainState === 'open') {
-        curtainLeft.position.x = -10;
-        curtainRight.position.x = 10;
-    } else {
-        curtainLeft.position.x = -2;
-        curtainRight.position.x = 2;
-    }
-}
-
 function init() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x001122);
@@ -388,12 +674,16 @@ function init() {
 
     createStage();
     createLighting();
+    venue.attach(scene);
+    venue.load(DEFAULT_VENUE);
     createStageMarkers();
-    createMoveablePlatforms();
-    createRotatingStage();
-    createTrapDoors();
-    createSceneryPanels();
-    updateCurtains();
+    stageMachinery.attach(scene);
+    stageMachinery.load(DEFAULT_MACHINERY);
+    flySystem.attach(scene);
+    flySystem.load(DEFAULT_FLY_RAIL);
+    sceneryManager.attach(scene);
+    sceneryManager.load(DEFAULT_SCENERY);
+    mainCurtain.attach(scene);
     createPlacementMarker();
     addControls();
     setupUI();
@@ -404,41 +694,24 @@ function init() {
     window.addEventListener('keydown', onKeyDown, false);
 }
 
+// The house floor and the main curtain; the deck and walls are built for
+// the venue by js/venue.js
 function createStage() {
-    const stageGeometry = new THREE.BoxGeometry(20, 1, 15);
-    const stageMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0x8B4513,
-        shininess: 30
-    });
-    stage = new THREE.Mesh(stageGeometry, stageMaterial);
-    stage.position.y = -0.5;
-    stage.receiveShadow = true;
-    scene.add(stage);
-
     const floorGeometry = new THREE.PlaneGeometry(100, 100);
     const floorMaterial = new THREE.MeshPhongMaterial({ 
         color: 0x202020,
         side: THREE.DoubleSide
     });
     const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+    floor.name = 'Floor';
     floor.rotation.x = -Math.PI / 2;
     floor.position.y = -1;
     floor.receiveShadow = true;
     scene.add(floor);
 
-    const backWallGeometry = new THREE.PlaneGeometry(20, 15);
-    const backWallMaterial = new THREE.MeshPhongMaterial({ 
-        color: 0x1a1a2e,
-        side: THREE.DoubleSide
-    });
-    const backWall = new THREE.Mesh(backWallGeometry, backWallMaterial);
-    backWall.position.z = -7.5;
-    backWall.position.y = 6.5;
-    backWall.receiveShadow = true;
-    scene.add(backWall);
-
     // Create curtain group for proper layering
     const curtainGroup = new THREE.Group();
+    curtainGroup.name = 'Main Curtain';
     
     // Curtain material with rich theater red and velvet-like appearance
     const curtainMaterial = new THREE.MeshPhongMaterial({ 
@@ -478,11 +751,13 @@ function createStage() {
     
     // Left curtain (opens to left) - start closed
     curtainLeft = createCurtainSide(true);
+    curtainLeft.name = 'Curtain Left';
     curtainLeft.position.set(-2, 12, 8);
     curtainGroup.add(curtainLeft);
     
     // Right curtain (opens to right) - start closed
     curtainRight = createCurtainSide(false);
+    curtainRight.name = 'Curtain Right';
     curtainRight.position.set(2, 12, 8);
     curtainGroup.add(curtainRight);
 
@@ -503,6 +778,7 @@ function createStage() {
     }
     
     curtainTop = valanceGroup;
+    curtainTop.name = 'Valance';
     curtainTop.position.set(0, 20, 8);
     curtainGroup.add(curtainTop);
     
@@ -511,68 +787,24 @@ function createStage() {
 
 function createLighting() {
     const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
+    ambientLight.name = 'Ambient';
     scene.add(ambientLight);
 
-    const spotLight1 = new THREE.SpotLight(0xffffff, 1);
-    spotLight1.position.set(-10, 15, 10);
-    spotLight1.target.position.set(-5, 0, 0);
-    spotLight1.angle = Math.PI / 6;
-    spotLight1.penumbra = 0.3;
-    spotLight1.castShadow = true;
-    spotLight1.shadow.mapSize.width = 1024;
-    spotLight1.shadow.mapSize.height = 1024;
-    scene.add(spotLight1);
-    scene.add(spotLight1.target);
-
-    const spotLight2 = new THREE.SpotLight(0xffffff, 1);
-    spotLight2.position.set(10, 15, 10);
-    spotLight2.target.position.set(5, 0, 0);
-    spotLight2.angle = Math.PI / 6;
-    spotLight2.penumbra = 0.3;
-    spotLight2.castShadow = true;
-    spotLight2.shadow.mapSize.width = 1024;
-    spotLight2.shadow.mapSize.height = 1024;
-    scene.add(spotLight2);
-    scene.add(spotLight2.target);
-
-    const centerSpotLight = new THREE.SpotLight(0xffd700, 0.8);
-    centerSpotLight.position.set(0, 15, 10);
-    centerSpotLight.target.position.set(0, 0, 0);
-    centerSpotLight.angle = Math.PI / 4;
-    centerSpotLight.penumbra = 0.5;
-    centerSpotLight.castShadow = true;
-    scene.add(centerSpotLight);
-    scene.add(centerSpotLight.target);
-
-    const footLight1 = new THREE.PointLight(0x4169e1, 0.5, 10);
-    footLight1.position.set(-8, 0.5, 7);
-    scene.add(footLight1);
-
-    const footLight2 = new THREE.PointLight(0x4169e1, 0.5, 10);
-    footLight2.position.set(0, 0.5, 7);
-    scene.add(footLight2);
-
-    const footLight3 = new THREE.PointLight(0x4169e1, 0.5, 10);
-    footLight3.position.set(8, 0.5, 7);
-    scene.add(footLight3);
-
-    lights.push(spotLight1, spotLight2, centerSpotLight);
+    ambientLight.userData.fixtureId = 'ambient';
+    lightingFixtures.push(ambientLight);
+
+    // Spots, washes, footlights and the rest are hung by js/lighting-rig.js
+    lightingRig.attach(scene);
+    lightingRig.load(DEFAULT_RIG);
+    dmxPatch.load();
+
+    // Front-of-house followspot, run by js/followspot.js rather than the lighting desk
+    followspot.attach(scene);
 }
 
 function createStageMarkers() {
-    const markerPositions = [
-        { x: -8, z: -3, label: 'USL' },  // Upstage Left
-        { x: 0, z: -3, label: 'USC' },   // Upstage Center
-        { x: 8, z: -3, label: 'USR' },   // Upstage Right
-        { x: -8, z: 0, label: 'SL' },    // Stage Left
-        { x: 0, z: 0, label: 'C' },      // Center
-        { x: 8, z: 0, label: 'SR' },     // Stage Right
-        { x: -8, z: 3, label: 'DSL' },   // Downstage Left
-        { x: 0, z: 3, label: 'DSC' },    // Downstage Center
-        { x: 8, z: 3, label: 'DSR' }     // Downstage Right
-    ];
-
-    markerPositions.forEach(pos => {
+    // The grid spreads over the venue's acting area, and moves when the venue changes
+    venue.markerPositions().forEach(pos => {
         const markerGroup = new THREE.Group();
         
         const markerGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.1, 16);
@@ -605,248 +837,6 @@ function createStageMarkers() {
     });
 }
 
-function createMoveablePlatforms() {
-    const platformPositions = [
-        { x: -9, z: -6.5, width: 2, depth: 1.5 },  // Far back left (moved further out)
-        { x: 9, z: -6.5, width: 2, depth: 1.5 },   // Far back right (moved further out)
-        { x: -8, z: 5, width: 3, depth: 2 },       // Front left
-        { x: 8, z: 5, width: 3, depth: 2 }         // Front right
-    ];
-
-    platformPositions.forEach((pos, index) => {
-        const platformGroup = new THREE.Group();
-        
-        const geometry = new THREE.BoxGeometry(pos.width, 0.5, pos.depth);
-        const material = new THREE.MeshPhongMaterial({ 
-            color: 0x654321,
-            shininess: 30
-        });
-        const platform = new THREE.Mesh(geometry, material);
-        platform.castShadow = true;
-        platform.receiveShadow = true;
-        platformGroup.add(platform);
-        
-        platformGroup.position.set(pos.x, 0.25, pos.z);
-        platformGroup.userData = { 
-            type: 'platform',
-            index: index,
-            baseY: 0.25,
-            moving: false,
-            targetY: 0.25
-        };
-        
-        scene.add(platformGroup);
-        moveablePlatforms.push(platformGroup);
-    });
-}
-
-function createRotatingStage() {
-    const rotatingGroup = new THREE.Group();
-    
-    const geometry = new THREE.CylinderGeometry(5, 5, 1, 32);
-    const material = new THREE.MeshPhongMaterial({ 
-        color: 0x8B4513,
-        shininess: 30
-    });
-    const centerStage = new THREE.Mesh(geometry, material);
-    centerStage.position.y = -0.5;
-    centerStage.castShadow = true;
-    centerStage.receiveShadow = true;
-    rotatingGroup.add(centerStage);
-    
-    const lineGeometry = new THREE.RingGeometry(4.8, 5, 32);
-    const lineMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0x000000,
-        side: THREE.DoubleSide
-    });
-    const line = new THREE.Mesh(lineGeometry, lineMaterial);
-    line.rotation.x = -Math.PI / 2;
-    line.position.y = 0.01;
-    rotatingGroup.add(line);
-    
-    rotatingGroup.position.set(0, 0, 0);
-    rotatingGroup.userData = { 
-        type: 'rotatingStage',
-        rotating: false,
-        rotationSpeed: 0.01
-    };
-    rotatingGroup.visible = false; // Hidden by default
-    
-    scene.add(rotatingGroup);
-    rotatingStage = rotatingGroup;
-}
-
-function createTrapDoors() {
-    const trapDoorPositions = [
-        { x: -7, z: 0 },   // Left side middle
-        { x: 7, z: 0 },    // Right side middle
-        { x: 0, z: 6 },    // Front center
-        { x: 0, z: -6 }    // Back center
-    ];
-
-    trapDoorPositions.forEach((pos, index) => {
-        const trapDoorGroup = new THREE.Group();
-        
-        const geometry = new THREE.BoxGeometry(2, 0.1, 2);
-        const material = new THREE.MeshPhongMaterial({ 
-            color: 0x654321,
-            shininess: 30
-        });
-        const door = new THREE.Mesh(geometry, material);
-        door.castShadow = true;
-        door.receiveShadow = true;
-        trapDoorGroup.add(door);
-        
-        const frameGeometry = new THREE.BoxGeometry(2.2, 0.05, 2.2);
-        const frameMaterial = new THREE.MeshPhongMaterial({ 
-            color: 0x000000
-        });
-        const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-        frame.position.y = -0.025;
-        trapDoorGroup.add(frame);
-        
-        trapDoorGroup.position.set(pos.x, 0.05, pos.z);
-        trapDoorGroup.userData = { 
-            type: 'trapDoor',
-            index: index,
-            open: false,
-            targetRotation: 0
-        };
-        trapDoorGroup.visible = false; // Hidden by default
-        
-        scene.add(trapDoorGroup);
-        trapDoors.push(trapDoorGroup);
-    });
-}
-
-function createSceneryPanels() {
-    // Create two scenery panels - backdrop and midstage
-    const panelData = [
-        { 
-            name: 'backdrop',
-            width: 24,
-            height: 15,
-            defaultZ: -7.3,  // Just in front of back wall
-            hasPassthrough: false
-        },
-        { 
-            name: 'midstage',
-            width: 20,
-            height: 15,
-            defaultZ: 0,     // Center of stage
-            hasPassthrough: true,
-            passthroughWidth: 6,
-            passthroughHeight: 8,
-            passthroughY: 2
-        }
-    ];
-
-    panelData.forEach((data, index) => {
-        const panelGroup = new THREE.Group();
-        
-        // Main panel geometry
-        const geometry = new THREE.PlaneGeometry(data.width, data.height);
-        
-        // Default material (can be changed later)
-        const material = new THREE.MeshPhongMaterial({
-            color: index === 0 ? 0x4169e1 : 0x228b22,  // Blue for backdrop, green for midstage
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.9
-        });
-        
-        const panel = new THREE.Mesh(geometry, material);
-        panel.position.y = data.height / 2 - 0.5;
-        panel.castShadow = true;
-        panel.receiveShadow = true;
-        panelGroup.add(panel);
-        
-        // Add passthrough cutout for midstage panel
-        if (data.hasPassthrough) {
-            const cutoutGeometry = new THREE.PlaneGeometry(
-                data.passthroughWidth, 
-                data.passthroughHeight
-            );
-            const cutoutMaterial = new THREE.MeshBasicMaterial({
-                color: 0x000000,
-                opacity: 0,
-                transparent: true
-            });
-            const cutout = new THREE.Mesh(cutoutGeometry, cutoutMaterial);
-            cutout.position.y = data.passthroughY;
-            panelGroup.add(cutout);
-            
-            // Visual frame around cutout
-            const frameThickness = 0.2;
-            const frameMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
-            
-            // Frame pieces
-            const frameTop = new THREE.Mesh(
-                new THREE.BoxGeometry(data.passthroughWidth + frameThickness*2, frameThickness, 0.1),
-                frameMaterial
-            );
-            frameTop.position.y = data.passthroughY + data.passthroughHeight/2;
-            panelGroup.add(frameTop);
-            
-            const frameBottom = new THREE.Mesh(
-                new THREE.BoxGeometry(data.passthroughWidth + frameThickness*2, frameThickness, 0.1),
-                frameMaterial
-            );
-            frameBottom.position.y = data.passthroughY - data.passthroughHeight/2;
-            panelGroup.add(frameBottom);
-            
-            const frameLeft = new THREE.Mesh(
-                new THREE.BoxGeometry(frameThickness, data.passthroughHeight, 0.1),
-                frameMaterial
-            );
-            frameLeft.position.x = -data.passthroughWidth/2;
-            frameLeft.position.y = data.passthroughY;
-            panelGroup.add(frameLeft);
-            
-            const frameRight = new THREE.Mesh(
-                new THREE.BoxGeometry(frameThickness, data.passthroughHeight, 0.1),
-                frameMaterial
-            );
-            frameRight.position.x = data.passthroughWidth/2;
-            frameRight.position.y = data.passthroughY;
-            panelGroup.add(frameRight);
-        }
-        
-        // Position and properties
-        const isBackdrop = index === 0;
-        panelGroup.position.x = isBackdrop ? -30 : 30; // Backdrop from left, midstage from right
-        panelGroup.position.z = data.defaultZ;
-        panelGroup.userData = {
-            type: 'scenery',
-            name: data.name,
-            currentPosition: 0, // 0 = off, 0.25 = 1/4, 0.5 = 1/2, 0.75 = 3/4, 1 = full
-            targetPosition: 0,
-            moving: false,
-            isBackdrop: isBackdrop,
-            hasPassthrough: data.hasPassthrough,
-            passthroughBounds: data.hasPassthrough ? {
-                minX: -data.passthroughWidth/2,
-                maxX: data.passthroughWidth/2,
-                minY: data.passthroughY - data.passthroughHeight/2,
-                maxY: data.passthroughY + data.passthroughHeight/2
-            } : null,
-            panelBounds: {
-                minX: -data.width/2,
-                maxX: data.width/2,
-                minY: -0.5,
-                maxY: data.height - 0.5
-            }
-        };
-        
-        scene.add(panelGroup);
-        sceneryPanels.push(panelGroup);
-    });
-}
-
-function updateCurtains() {
-    // Curtains are already created in createStage
-}
-
 function createPlacementMarker() {
     const markerGroup = new THREE.Group();
     
@@ -877,6 +867,7 @@ function createPlacementMarker() {
     markerGroup.add(crosshair);
     
     markerGroup.visible = false;
+    markerGroup.userData = { exportable: false }; // Editor helper, left out of 3D exports
     scene.add(markerGroup);
     placementMarker = markerGroup;
 }
@@ -893,7 +884,8 @@ function onStageClick(event) {
     const raycaster = new THREE.Raycaster();
     raycaster.setFromCamera(mouse, camera);
     
-    if (placementMode === 'select-actor') {
+    // 'followspot-actor' is the followspot's Assign Actor; any other mode cancels it
+    if (placementMode === 'select-actor' || placementMode === 'followspot-actor') {
         // Check intersection with actors
         const intersects = raycaster.intersectObjects(actors, true);
         
@@ -906,6 +898,9 @@ function onStageClick(event) {
             
             if (targetActor.userData.type === 'actor') {
                 window.setSelectedActor(targetActor);
+                if (placementMode === 'followspot-actor') {
+                    followspot.assign(targetActor);
+                }
                 alert(`Selected: ${targetActor.userData.name}`);
             }
         }
@@ -974,7 +969,7 @@ function onStageClick(event) {
     }
     
     // Check intersection with stage for placement
-    const intersects = raycaster.intersectObject(stage);
+    const intersects = raycaster.intersectObject(stage, true);
     if (intersects.length > 0) {
         const point = intersects[0].point;
         
@@ -992,6 +987,12 @@ function onStageClick(event) {
             );
             commandManager.executeCommand(command);
             window.updateUndoRedoButtons();
+        } else if (placementMode === 'merge' && pendingMergeData) {
+            applySceneMerge(pendingMergeData, { placeAt: { x: point.x, z: point.z } });
+            pendingMergeData = null;
+        } else if (placementMode === 'machinery' && pendingMachineryPlacement) {
+            placeMachinery(pendingMachineryPlacement, point);
+            pendingMachineryPlacement = null;
         }
         
         // Exit placement mode
@@ -1013,7 +1014,7 @@ function onMouseMove(event) {
     raycaster.setFromCamera(mouse, camera);
     
     // Check intersection with stage
-    const intersects = raycaster.intersectObject(stage);
+    const intersects = raycaster.intersectObject(stage, true);
     if (intersects.length > 0) {
         const point = intersects[0].point;
         placementMarker.position.set(point.x, 0.1, point.z);
@@ -1028,6 +1029,9 @@ function addControls() {
     controls.minDistance = 5;
     controls.maxDistance = 50;
     controls.maxPolarAngle = Math.PI / 2;
+    controls.addEventListener('start', () => {
+        currentCameraPreset = null;
+    });
 }
 
 function onKeyDown(event) {
@@ -1083,6 +1087,8 @@ function setupUI() {
         border-radius: 5px;
         color: white;
         font-family: Arial, sans-serif;
+        max-height: calc(100vh - 80px);
+        overflow-y: auto;
         transition: transform 0.3s ease;
     `;
     
@@ -1093,47 +1099,77 @@ function setupUI() {
             uiContainer.style.transform = 'translateX(0)';
             toggleButton.textContent = '☰';
         } else {
-            uiContainer.style.transform = 'translateX(-350px)';
+            // Slide past the left edge however wide the sections make the panel
+            uiContainer.style.transform = 'translateX(calc(-100% - 10px))';
             toggleButton.textContent = '→';
         }
     });
 
     const lightingSelect = document.createElement('select');
     lightingSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
-    lightingSelect.innerHTML = `
-        <option value="default">Default</option>
-        <option value="day">Day</option>
-        <option value="night">Night</option>
-        <option value="sunset">Sunset</option>
-        <option value="dramatic">Dramatic</option>
-    `;
-    lightingSelect.addEventListener('change', (e) => applyLightingPreset(e.target.value));
+    
+    // Built-in presets, then the looks saved on the lighting desk
+    function buildLightingOptions() {
+        lightingSelect.innerHTML = `
+            <option value="default">Default</option>
+            <option value="day">Day</option>
+            <option value="night">Night</option>
+            <option value="sunset">Sunset</option>
+            <option value="dramatic">Dramatic</option>
+        `;
+        if (lightingDesk.looks.size > 0) {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = 'Custom Looks';
+            lightingDesk.looks.forEach((look, name) => {
+                const option = document.createElement('option');
+                option.value = LIGHTING_LOOK_PREFIX + name;
+                option.textContent = name;
+                optgroup.appendChild(option);
+            });
+            lightingSelect.appendChild(optgroup);
+        }
+        lightingSelect.value = currentLightingPreset;
+    }
+    buildLightingOptions();
+    
+    // Rebuild when looks are saved, deleted or loaded
+    window.refreshLightingPresetUI = buildLightingOptions;
+    
+    lightingSelect.addEventListener('change', (e) => applyLightingPreset(e.target.value, lightingDesk.fadeTimes));
 
     // Prop selector
     const propSelect = document.createElement('select');
     propSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
     
     // Group props by category
-    const categories = {};
-    Object.entries(PROP_CATALOG).forEach(([key, prop]) => {
-        if (!categories[prop.category]) {
-            categories[prop.category] = [];
-        }
-        categories[prop.category].push({ key, ...prop });
-    });
-    
-    // Build options
-    Object.entries(categories).forEach(([category, props]) => {
-        const optgroup = document.createElement('optgroup');
-        optgroup.label = category.charAt(0).toUpperCase() + category.slice(1);
-        props.forEach(prop => {
-            const option = document.createElement('option');
-            option.value = prop.key;
-            option.textContent = prop.name;
-            optgroup.appendChild(option);
+    function buildPropOptions() {
+        const categories = {};
+        Object.entries(PROP_CATALOG).forEach(([key, prop]) => {
+            if (!categories[prop.category]) {
+                categories[prop.category] = [];
+            }
+            categories[prop.category].push({ key, ...prop });
         });
-        propSelect.appendChild(optgroup);
-    });
+        
+        // Build options
+        propSelect.innerHTML = '';
+        Object.entries(categories).forEach(([category, props]) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = category.charAt(0).toUpperCase() + category.slice(1);
+            props.forEach(prop => {
+                const option = document.createElement('option');
+                option.value = prop.key;
+                option.textContent = prop.name;
+                optgroup.appendChild(option);
+            });
+            propSelect.appendChild(optgroup);
+        });
+        propSelect.value = selectedPropType;
+    }
+    buildPropOptions();
+    
+    // Rebuild when models are imported into the catalog
+    window.refreshPropCatalogUI = buildPropOptions;
     
     propSelect.addEventListener('change', (e) => {
         selectedPropType = e.target.value;
@@ -1147,6 +1183,18 @@ function setupUI() {
         placementMarker.visible = true;
     });
     
+    const propPackButton = document.createElement('button');
+    propPackButton.textContent = 'Load Prop Pack';
+    propPackButton.title = 'Add the props from a JSON prop pack to the catalog';
+    propPackButton.style.cssText = 'margin: 5px 0; padding: 5px 10px; cursor: pointer;';
+    propPackButton.addEventListener('click', loadPropPackFromFile);
+    
+    const importModelButton = document.createElement('button');
+    importModelButton.textContent = 'Import Model';
+    importModelButton.title = 'Add a glTF/GLB or OBJ model to the prop catalog';
+    importModelButton.style.cssText = 'margin: 5px 0; padding: 5px 10px; cursor: pointer;';
+    importModelButton.addEventListener('click', importCustomPropModel);
+    
     const actorButton = document.createElement('button');
     actorButton.textContent = 'Place Actor';
     actorButton.style.cssText = 'margin: 5px 0; padding: 5px 10px; cursor: pointer;';
@@ -1190,33 +1238,6 @@ function setupUI() {
     showTrapDoorsButton.style.cssText = 'margin: 5px 0; padding: 5px 10px; cursor: pointer;';
     showTrapDoorsButton.addEventListener('click', toggleTrapDoorsVisibility);
 
-    // Scenery controls
-    const sceneryLabel = document.createElement('div');
-    sceneryLabel.innerHTML = '<strong>Scenery Panels</strong>';
-    sceneryLabel.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
-    
-    const backdropSelect = document.createElement('select');
-    backdropSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
-    backdropSelect.innerHTML = `
-        <option value="0">Backdrop: Off</option>
-        <option value="0.25">Backdrop: 1/4</option>
-        <option value="0.5">Backdrop: 1/2</option>
-        <option value="0.75">Backdrop: 3/4</option>
-        <option value="1">Backdrop: Full</option>
-    `;
-    backdropSelect.addEventListener('change', (e) => moveSceneryPanel(0, parseFloat(e.target.value)));
-    
-    const midstageSelect = document.createElement('select');
-    midstageSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
-    midstageSelect.innerHTML = `
-        <option value="0">Midstage: Off</option>
-        <option value="0.25">Midstage: 1/4</option>
-        <option value="0.5">Midstage: 1/2</option>
-        <option value="0.75">Midstage: 3/4</option>
-        <option value="1">Midstage: Full</option>
-    `;
-    midstageSelect.addEventListener('change', (e) => moveSceneryPanel(1, parseFloat(e.target.value)));
-
     // Texture controls
     const textureLabel = document.createElement('div');
     textureLabel.innerHTML = '<strong>Scenery Textures</strong>';
@@ -1224,10 +1245,17 @@ function setupUI() {
     
     const panelSelect = document.createElement('select');
     panelSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
-    panelSelect.innerHTML = `
-        <option value="0">Backdrop Panel</option>
-        <option value="1">Midstage Panel</option>
-    `;
+    // One option per panel, kept in step as panels are added and struck
+    function fillPanelSelect() {
+        const chosen = panelSelect.value;
+        panelSelect.innerHTML = sceneryPanels
+            .map((panel, index) => `<option value="${index}">${panel.userData.name} Panel</option>`).join('');
+        if (chosen && parseInt(chosen) < sceneryPanels.length) {
+            panelSelect.value = chosen;
+        }
+    }
+    fillPanelSelect();
+    sceneryManager.onChange(fillPanelSelect);
     
     const defaultTextureSelect = document.createElement('select');
     defaultTextureSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
@@ -1308,6 +1336,11 @@ function setupUI() {
     loadButton.style.cssText = 'margin: 5px 0; padding: 5px 10px; cursor: pointer;';
     loadButton.addEventListener('click', loadScene);
     
+    const mergeButton = document.createElement('button');
+    mergeButton.textContent = 'Import as Layer';
+    mergeButton.style.cssText = 'margin: 5px 0; padding: 5px 10px; cursor: pointer;';
+    mergeButton.addEventListener('click', mergeScene);
+    
     // Physics test button
     const physicsLabel = document.createElement('div');
     physicsLabel.innerHTML = '<strong>Physics Test</strong>';
@@ -1498,12 +1531,16 @@ function setupUI() {
     uiContainer.appendChild(document.createTextNode(' '));
     uiContainer.appendChild(actorButton);
     uiContainer.appendChild(document.createElement('br'));
-    uiContainer.appendChild(markerToggle);
+    uiContainer.appendChild(importModelButton);
+    uiContainer.appendChild(document.createTextNode(' '));
+    uiContainer.appendChild(propPackButton);
     uiContainer.appendChild(document.createElement('br'));
+    uiContainer.appendChild(markerToggle);
+    uiContainer.appendChild(createVenueUI());
     uiContainer.appendChild(curtainButton);
     uiContainer.appendChild(document.createTextNode(' '));
     uiContainer.appendChild(platformButton);
-    uiContainer.appendChild(document.createElement('br'));
+    uiContainer.appendChild(createCurtainControlsUI());
     uiContainer.appendChild(rotateButton);
     uiContainer.appendChild(document.createTextNode(' '));
     uiContainer.appendChild(trapButton);
@@ -1511,10 +1548,12 @@ function setupUI() {
     uiContainer.appendChild(showRotatingButton);
     uiContainer.appendChild(document.createElement('br'));
     uiContainer.appendChild(showTrapDoorsButton);
-    uiContainer.appendChild(sceneryLabel);
-    uiContainer.appendChild(backdropSelect);
-    uiContainer.appendChild(document.createElement('br'));
-    uiContainer.appendChild(midstageSelect);
+    uiContainer.appendChild(createPlatformControlsUI());
+    uiContainer.appendChild(createRevolveControlsUI());
+    uiContainer.appendChild(createTrapControlsUI());
+    uiContainer.appendChild(createStageMachineryUI());
+    uiContainer.appendChild(createFlySystemUI());
+    uiContainer.appendChild(createSceneryUI());
     uiContainer.appendChild(textureLabel);
     uiContainer.appendChild(panelSelect);
     uiContainer.appendChild(document.createElement('br'));
@@ -1523,10 +1562,21 @@ function setupUI() {
     uiContainer.appendChild(uploadButton);
     uiContainer.appendChild(textureScaleLabel);
     uiContainer.appendChild(scaleSlider);
+    uiContainer.appendChild(createLightingRigUI());
+    uiContainer.appendChild(createLightingDeskUI());
+    uiContainer.appendChild(createFollowspotUI());
+    uiContainer.appendChild(createDmxUI());
+    uiContainer.appendChild(createCueListUI());
+    uiContainer.appendChild(createBlockingUI());
     uiContainer.appendChild(saveLoadLabel);
     uiContainer.appendChild(saveButton);
     uiContainer.appendChild(document.createTextNode(' '));
     uiContainer.appendChild(loadButton);
+    uiContainer.appendChild(document.createElement('br'));
+    uiContainer.appendChild(mergeButton);
+    uiContainer.appendChild(createSceneLibraryUI());
+    uiContainer.appendChild(createPresetGalleryUI());
+    uiContainer.appendChild(createStageExportUI());
     uiContainer.appendChild(physicsLabel);
     uiContainer.appendChild(pushButton);
     uiContainer.appendChild(interactionLabel);
@@ -1555,317 +1605,93 @@ function setupUI() {
     document.body.appendChild(uiContainer);
 }
 
-function applyLightingPreset(preset) {
-    currentLightingPreset = preset;
-    
-    switch(preset) {
-        case 'day':
-            scene.background = new THREE.Color(0x87CEEB);
-            scene.fog = new THREE.Fog(0x87CEEB, 20, 100);
-            lights.forEach(light => light.intensity = 0.6);
-            break;
-        case 'night':
-            scene.background = new THREE.Color(0x000033);
-            scene.fog = new THREE.Fog(0x000033, 10, 80);
-            lights.forEach(light => light.intensity = 1.2);
-            break;
-        case 'sunset':
-            scene.background = new THREE.Color(0xFF6B35);
-            scene.fog = new THREE.Fog(0xFF6B35, 15, 90);
-            lights[0].color.setHex(0xFFB700);
-            lights[1].color.setHex(0xFFB700);
-            break;
-        case 'dramatic':
-            scene.background = new THREE.Color(0x000000);
-            scene.fog = new THREE.Fog(0x000000, 5, 50);
-            lights.forEach((light, i) => {
-                light.intensity = i === 2 ? 1.5 : 0.3;
-            });
-            break;
-        default:
-            scene.background = new THREE.Color(0x001122);
-            scene.fog = new THREE.Fog(0x001122, 10, 100);
-            lights.forEach(light => {
-                light.intensity = 1;
-                light.color.setHex(0xffffff);
-            });
-    }
-}
-
-// Prop catalog definitions
-const PROP_CATALOG = {
-    // Basic shapes
-    cube: {
-        name: 'Cube',
-        category: 'basic',
-        create: () => new THREE.BoxGeometry(1, 1, 1),
-        color: 0x808080,
-        y: 0.5,
-        interactions: {
-            grabbable: true,
-            throwable: true
-        }
-    },
-    sphere: {
-        name: 'Sphere',
-        category: 'basic',
-        create: () => new THREE.SphereGeometry(0.5, 16, 16),
-        color: 0x808080,
-        y: 0.5,
-        interactions: {
-            grabbable: true,
-            throwable: true
-        }
-    },
-    cylinder: {
-        name: 'Cylinder',
-        category: 'basic',
-        create: () => new THREE.CylinderGeometry(0.5, 0.5, 1, 16),
-        color: 0x808080,
-        y: 0.5,
-        interactions: {
-            grabbable: true,
-            throwable: true
-        }
-    },
-    // Furniture
-    chair: {
-        name: 'Chair',
-        category: 'furniture',
-        create: () => {
-            const group = new THREE.Group();
-            // Seat
-            const seat = new THREE.Mesh(
-                new THREE.BoxGeometry(1, 0.1, 1),
-                new THREE.MeshPhongMaterial({ color: 0x8B4513 })
-            );
-            seat.position.y = 0.5;
-            group.add(seat);
-            // Back
-            const back = new THREE.Mesh(
-                new THREE.BoxGeometry(1, 1, 0.1),
-                new THREE.MeshPhongMaterial({ color: 0x8B4513 })
-            );
-            back.position.set(0, 1, -0.45);
-            group.add(back);
-            // Legs
-            const legGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.5);
-            const legMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
-            for (let x of [-0.4, 0.4]) {
-                for (let z of [-0.4, 0.4]) {
-                    const leg = new THREE.Mesh(legGeometry, legMaterial);
-                    leg.position.set(x, 0.25, z);
-                    group.add(leg);
-                }
-            }
-            return group;
-        },
-        y: 0,
-        interactions: {
-            sittable: true,
-            seatHeight: 0.5
-        }
-    },
-    table: {
-        name: 'Table',
-        category: 'furniture',
-        create: () => {
-            const group = new THREE.Group();
-            // Top
-            const top = new THREE.Mesh(
-                new THREE.BoxGeometry(2, 0.1, 1.5),
-                new THREE.MeshPhongMaterial({ color: 0x8B4513 })
-            );
-            top.position.y = 1;
-            group.add(top);
-            // Legs
-            const legGeometry = new THREE.CylinderGeometry(0.05, 0.05, 1);
-            const legMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
-            for (let x of [-0.9, 0.9]) {
-                for (let z of [-0.65, 0.65]) {
-                    const leg = new THREE.Mesh(legGeometry, legMaterial);
-                    leg.position.set(x, 0.5, z);
-                    group.add(leg);
-                }
-            }
-            return group;
-        },
-        y: 0,
-        interactions: {}
+// Built-in lighting presets as changes to the current lighting state.
+// `spots` applies to every spotlight in `lights`, or per spotlight when it is a list;
+// anything a preset leaves out keeps its current value.
+const LIGHTING_PRESETS = {
+    default: {
+        background: '#001122',
+        fog: { color: '#001122', near: 10, far: 100 },
+        spots: { intensity: 1, color: '#ffffff', gel: null }
     },
-    // Stage props
-    box: {
-        name: 'Crate',
-        category: 'stage',
-        create: () => {
-            const group = new THREE.Group();
-            const box = new THREE.Mesh(
-                new THREE.BoxGeometry(1.2, 1.2, 1.2),
-                new THREE.MeshPhongMaterial({ color: 0xD2691E })
-            );
-            box.position.y = 0.6;
-            group.add(box);
-            // Add detail lines
-            const lineMaterial = new THREE.MeshBasicMaterial({ color: 0x654321 });
-            for (let i = 0; i < 3; i++) {
-                const line = new THREE.Mesh(
-                    new THREE.BoxGeometry(1.21, 0.02, 1.21),
-                    lineMaterial
-                );
-                line.position.y = 0.2 + i * 0.4;
-                group.add(line);
-            }
-            return group;
-        },
-        y: 0,
-        interactions: {
-            grabbable: true,
-            throwable: false
-        }
+    day: {
+        background: '#87ceeb',
+        fog: { color: '#87ceeb', near: 20, far: 100 },
+        spots: { intensity: 0.6 }
     },
-    barrel: {
-        name: 'Barrel',
-        category: 'stage',
-        create: () => {
-            const group = new THREE.Group();
-            const barrel = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.5, 0.5, 1.2, 12),
-                new THREE.MeshPhongMaterial({ color: 0x8B4513 })
-            );
-            barrel.position.y = 0.6;
-            group.add(barrel);
-            // Metal bands
-            const bandMaterial = new THREE.MeshPhongMaterial({ color: 0x444444 });
-            for (let y of [0.2, 0.6, 1.0]) {
-                const band = new THREE.Mesh(
-                    new THREE.CylinderGeometry(0.52, 0.52, 0.05, 12),
-                    bandMaterial
-                );
-                band.position.y = y;
-                group.add(band);
-            }
-            return group;
-        },
-        y: 0,
-        interactions: {
-            grabbable: true,
-            throwable: false
-        }
-    },
-    // Decorative
-    plant: {
-        name: 'Potted Plant',
-        category: 'decorative',
-        create: () => {
-            const group = new THREE.Group();
-            // Pot
-            const pot = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.3, 0.25, 0.4, 8),
-                new THREE.MeshPhongMaterial({ color: 0x8B4513 })
-            );
-            pot.position.y = 0.2;
-            group.add(pot);
-            // Plant
-            const plantGeometry = new THREE.ConeGeometry(0.4, 0.8, 6);
-            const plantMaterial = new THREE.MeshPhongMaterial({ color: 0x228B22 });
-            const plant = new THREE.Mesh(plantGeometry, plantMaterial);
-            plant.position.y = 0.8;
-            group.add(plant);
-            return group;
-        },
-        y: 0,
-        interactions: {
-            grabbable: true,
-            throwable: false
-        }
+    night: {
+        background: '#000033',
+        fog: { color: '#000033', near: 10, far: 80 },
+        spots: { intensity: 1.2 }
     },
-    lamp: {
-        name: 'Stage Lamp',
-        category: 'decorative',
-        create: () => {
-            const group = new THREE.Group();
-            // Base
-            const base = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.3, 0.3, 0.1, 8),
-                new THREE.MeshPhongMaterial({ color: 0x444444 })
-            );
-            base.position.y = 0.05;
-            group.add(base);
-            // Pole
-            const pole = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.05, 0.05, 1.5),
-                new THREE.MeshPhongMaterial({ color: 0x666666 })
-            );
-            pole.position.y = 0.75;
-            group.add(pole);
-            // Shade
-            const shade = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.4, 0.2, 0.3, 8),
-                new THREE.MeshPhongMaterial({ color: 0xFFFFE0 })
-            );
-            shade.position.y = 1.4;
-            group.add(shade);
-            return group;
-        },
-        y: 0,
-        interactions: {
-            toggleable: true,
-            states: ['off', 'on']
-        }
+    sunset: {
+        background: '#ff6b35',
+        fog: { color: '#ff6b35', near: 15, far: 90 },
+        spots: [{ gel: 'L179', color: gelColor('L179') }, { gel: 'L179', color: gelColor('L179') }]
     },
-    door: {
-        name: 'Door',
-        category: 'furniture',
-        create: () => {
-            const group = new THREE.Group();
-            // Door frame
-            const frameMaterial = new THREE.MeshPhongMaterial({ color: 0x654321 });
-            const leftPost = new THREE.Mesh(
-                new THREE.BoxGeometry(0.1, 2.5, 0.1),
-                frameMaterial
-            );
-            leftPost.position.set(-1, 1.25, 0);
-            group.add(leftPost);
-            const rightPost = new THREE.Mesh(
-                new THREE.BoxGeometry(0.1, 2.5, 0.1),
-                frameMaterial
-            );
-            rightPost.position.set(1, 1.25, 0);
-            group.add(rightPost);
-            const topPost = new THREE.Mesh(
-                new THREE.BoxGeometry(2.2, 0.1, 0.1),
-                frameMaterial
-            );
-            topPost.position.set(0, 2.5, 0);
-            group.add(topPost);
-            // Door panel (will rotate)
-            const door = new THREE.Mesh(
-                new THREE.BoxGeometry(1.8, 2.3, 0.1),
-                new THREE.MeshPhongMaterial({ color: 0x8B4513 })
-            );
-            door.position.set(0, 1.15, 0);
-            door.userData.isDoorPanel = true;
-            group.add(door);
-            // Door knob
-            const knob = new THREE.Mesh(
-                new THREE.SphereGeometry(0.08, 8, 8),
-                new THREE.MeshPhongMaterial({ color: 0xFFD700 })
-            );
-            knob.position.set(0.7, 1.15, 0.1);
-            group.add(knob);
-            return group;
-        },
-        y: 0,
-        interactions: {
-            openable: true,
-            states: ['closed', 'open']
-        }
+    dramatic: {
+        background: '#000000',
+        fog: { color: '#000000', near: 5, far: 50 },
+        spots: [{ intensity: 0.3 }, { intensity: 0.3 }, { intensity: 1.5 }]
     }
 };
 
-function addPropAt(x, z) {
-    const propDef = PROP_CATALOG[selectedPropType];
-    if (!propDef) return;
+// Lighting state a preset or saved look leads to from the current state
+function getPresetLightingState(preset) {
+    if (preset.startsWith(LIGHTING_LOOK_PREFIX)) {
+        return lightingDesk.looks.get(preset.slice(LIGHTING_LOOK_PREFIX.length)) || null;
+    }
+    
+    const presetDef = LIGHTING_PRESETS[preset] || LIGHTING_PRESETS.default;
+    const state = captureLightingState();
+    state.background = presetDef.background;
+    state.fog = { ...presetDef.fog };
+    lights.forEach((light, i) => {
+        const changes = Array.isArray(presetDef.spots) ? presetDef.spots[i] : presetDef.spots;
+        Object.assign(state.fixtures[light.userData.fixtureId], changes || {});
+    });
+    return state;
+}
+
+// Switch to a built-in preset or a saved look ("look:<name>")
+// timing { up, down } crossfades in seconds: intensities rising take the up time,
+// falling ones the down time, and colors, beams, focus, fog and background the longer
+// of the two. Without timing the change is instant.
+function applyLightingPreset(preset, timing = null) {
+    // Unsaved desk settings stay as they are
+    if (preset === 'custom') {
+        currentLightingPreset = preset;
+        return;
+    }
+    
+    const target = getPresetLightingState(preset);
+    if (!target) {
+        console.warn(`No lighting look named ${preset.slice(LIGHTING_LOOK_PREFIX.length)}`);
+        return;
+    }
+    
+    currentLightingPreset = preset;
+    if (timing && (timing.up > 0 || timing.down > 0)) {
+        lightingDesk.crossfade(target, timing);
+    } else {
+        lightingDesk.cancelFade();
+        applyLightingState(target);
+    }
+    
+    if (window.refreshLightingDesk) {
+        window.refreshLightingDesk();
+    }
+}
+
+// Prop catalog definitions, compiled from prop packs by the prop registry
+// (js/prop-registry.js; built-in props are in js/core-props.js)
+const PROP_CATALOG = propRegistry.catalog;
+
+// Build a prop object of the given catalog type without adding it to the scene
+function createPropObject(propType, propId = `prop_${nextPropId++}`) {
+    propType = propRegistry.resolveType(propType);
+    const propDef = PROP_CATALOG[propType];
+    if (!propDef) return null;
     
     let propObject;
     const result = propDef.create();
@@ -1880,14 +1706,13 @@ function addPropAt(x, z) {
         propObject = new THREE.Mesh(result, material);
     }
     
-    propObject.position.set(x, propDef.y, z);
+    propObject.position.y = propDef.y;
     propObject.castShadow = true;
     propObject.receiveShadow = true;
     
-    const propId = `prop_${nextPropId++}`;
     propObject.userData = { 
         type: 'prop',
-        propType: selectedPropType,
+        propType: propType,
         id: propId,
         name: `${propDef.name} (${propId})`,
         draggable: true,
@@ -1905,6 +1730,16 @@ function addPropAt(x, z) {
         }
     }
     
+    return propObject;
+}
+
+function addPropAt(x, z) {
+    const propDef = PROP_CATALOG[selectedPropType];
+    const propObject = createPropObject(selectedPropType);
+    if (!propObject) return;
+    
+    propObject.position.set(x, propDef.y, z);
+    
     // Check if position is occupied before placing
     const tempProps = [...props];
     props.push(propObject); // Temporarily add to check collisions
@@ -1946,7 +1781,8 @@ function addPropAt(x, z) {
     updatePropRelationships(propObject);
 }
 
-function addActorAt(x, z) {
+// Build an actor figure without adding it to the scene
+function createActorObject(actorId = `actor_${nextActorId++}`) {
     // Create actor group
     const actorGroup = new THREE.Group();
     
@@ -1980,8 +1816,7 @@ function addActorAt(x, z) {
     rightEye.position.set(0.1, 2.3, 0.3);
     actorGroup.add(rightEye);
     
-    // Position and properties
-    actorGroup.position.set(x, 0, z);
+    // Shadow properties
     actorGroup.castShadow = true;
     actorGroup.receiveShadow = true;
     
@@ -1993,7 +1828,6 @@ function addActorAt(x, z) {
     nose.rotation.x = Math.PI / 2;
     actorGroup.add(nose);
     
-    const actorId = `actor_${nextActorId++}`;
     actorGroup.userData = { 
         type: 'actor',
         id: actorId,
@@ -2003,6 +1837,13 @@ function addActorAt(x, z) {
         name: `Actor ${actorId}`
     };
     
+    return actorGroup;
+}
+
+function addActorAt(x, z) {
+    const actorGroup = createActorObject();
+    actorGroup.position.set(x, 0, z);
+    
     // Check if position is occupied before placing
     actors.push(actorGroup); // Temporarily add to check collisions
     
@@ -2210,6 +2051,17 @@ function togglePropState(prop) {
     const nextIndex = (currentIndex + 1) % states.length;
     state.currentState = states[nextIndex];
     
+    applyPropStateVisuals(prop);
+    
+    console.log(`${prop.userData.name} toggled to ${state.currentState}`);
+    return true;
+}
+
+// Update a prop's appearance to match its entry in propStates
+function applyPropStateVisuals(prop) {
+    const state = propStates.get(prop);
+    if (!state) return;
+    
     // Apply visual changes based on prop type
     if (prop.userData.propType === 'lamp') {
         // Find shade and update color
@@ -2228,8 +2080,37 @@ function togglePropState(prop) {
         });
     }
     
-    console.log(`${prop.userData.name} toggled to ${state.currentState}`);
-    return true;
+    // Imported toggleable models glow when on
+    if (PROP_CATALOG[prop.userData.propType] && PROP_CATALOG[prop.userData.propType].custom) {
+        const on = state.currentState === 'on';
+        prop.traverse(child => {
+            if (child instanceof THREE.Mesh) {
+                (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+                    if (material.emissive) {
+                        material.emissive.setHex(on ? 0xFFFF66 : 0x000000);
+                        material.emissiveIntensity = on ? 0.5 : 0;
+                    }
+                });
+            }
+        });
+    }
+    
+    // Apply visual changes - rotate door panel
+    if (prop.userData.propType === 'door') {
+        prop.traverse(child => {
+            if (child.userData.isDoorPanel) {
+                if (state.currentState === 'open') {
+                    // Rotate door 90 degrees
+                    child.rotation.y = Math.PI / 2;
+                    child.position.x = 0.9; // Pivot adjustment
+                } else {
+                    // Close door
+                    child.rotation.y = 0;
+                    child.position.x = 0;
+                }
+            }
+        });
+    }
 }
 
 // Open/close door
@@ -2251,22 +2132,7 @@ function toggleDoorState(prop) {
     const nextIndex = (currentIndex + 1) % states.length;
     state.currentState = states[nextIndex];
     
-    // Apply visual changes - rotate door panel
-    if (prop.userData.propType === 'door') {
-        prop.traverse(child => {
-            if (child.userData.isDoorPanel) {
-                if (state.currentState === 'open') {
-                    // Rotate door 90 degrees
-                    child.rotation.y = Math.PI / 2;
-                    child.position.x = 0.9; // Pivot adjustment
-                } else {
-                    // Close door
-                    child.rotation.y = 0;
-                    child.position.x = 0;
-                }
-            }
-        });
-    }
+    applyPropStateVisuals(prop);
     
     console.log(`${prop.userData.name} ${state.currentState}`);
     return true;
@@ -2278,40 +2144,51 @@ function toggleMarkers() {
     });
 }
 
-function setCameraPreset(preset) {
-    const duration = 1000; // 1 second transition
+// Camera positions for the view presets (also baked into 3D exports as cameras);
+// fitCameraPresets() moves them to frame the venue's stage
+const CAMERA_PRESETS = {
+    'audience': { name: 'Audience', position: { x: 0, y: 5, z: 20 }, target: { x: 0, y: 0, z: 0 } },
+    'overhead': { name: 'Overhead', position: { x: 0, y: 25, z: 0 }, target: { x: 0, y: 0, z: 0 } },
+    'stage-left': { name: 'Stage Left', position: { x: -20, y: 8, z: 0 }, target: { x: 0, y: 0, z: 0 } },
+    'stage-right': { name: 'Stage Right', position: { x: 20, y: 8, z: 0 }, target: { x: 0, y: 0, z: 0 } },
+    'close-up': { name: 'Close Up', position: { x: 0, y: 3, z: 10 }, target: { x: 0, y: 1, z: 0 } }
+};
+
+/**
+ * Move the camera presets to frame a stage, keeping their distances from its
+ * edges; the default 20 × 15 stage gives the positions above
+ * @param {Object} bounds - { minX, maxX, minZ, maxZ } of the deck
+ */
+function fitCameraPresets(bounds) {
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+    const span = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ);
+    const target = { x: centerX, y: 0, z: centerZ };
+    Object.assign(CAMERA_PRESETS.audience, { position: { x: centerX, y: 5, z: bounds.maxZ + 12.5 }, target });
+    Object.assign(CAMERA_PRESETS.overhead, { position: { x: centerX, y: span * 1.25, z: centerZ }, target });
+    Object.assign(CAMERA_PRESETS['stage-left'], { position: { x: bounds.minX - 10, y: 8, z: centerZ }, target });
+    Object.assign(CAMERA_PRESETS['stage-right'], { position: { x: bounds.maxX + 10, y: 8, z: centerZ }, target });
+    Object.assign(CAMERA_PRESETS['close-up'], {
+        position: { x: centerX, y: 3, z: bounds.maxZ + 2.5 },
+        target: { x: centerX, y: 1, z: centerZ }
+    });
+}
+
+function setCameraPreset(preset, duration = 1000) {
     const startTime = Date.now();
     const startPos = camera.position.clone();
     const startTarget = controls.target.clone();
     
-    let endPos, endTarget;
-    
-    switch(preset) {
-        case 'audience':
-            endPos = new THREE.Vector3(0, 5, 20);
-            endTarget = new THREE.Vector3(0, 0, 0);
-            break;
-        case 'overhead':
-            endPos = new THREE.Vector3(0, 25, 0);
-            endTarget = new THREE.Vector3(0, 0, 0);
-            break;
-        case 'stage-left':
-            endPos = new THREE.Vector3(-20, 8, 0);
-            endTarget = new THREE.Vector3(0, 0, 0);
-            break;
-        case 'stage-right':
-            endPos = new THREE.Vector3(20, 8, 0);
-            endTarget = new THREE.Vector3(0, 0, 0);
-            break;
-        case 'close-up':
-            endPos = new THREE.Vector3(0, 3, 10);
-            endTarget = new THREE.Vector3(0, 1, 0);
-            break;
-    }
+    const presetDef = CAMERA_PRESETS[preset];
+    if (!presetDef) return;
+    currentCameraPreset = preset;
+    
+    const endPos = new THREE.Vector3(presetDef.position.x, presetDef.position.y, presetDef.position.z);
+    const endTarget = new THREE.Vector3(presetDef.target.x, presetDef.target.y, presetDef.target.z);
     
     function animateCamera() {
         const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
+        const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
         const eased = 1 - Math.pow(1 - progress, 3); // ease-out cubic
         
         camera.position.lerpVectors(startPos, endPos, eased);
@@ -2327,48 +2204,7 @@ function setCameraPreset(preset) {
 }
 
 function toggleCurtains() {
-    const duration = 2500;
-    const startTime = Date.now();
-    
-    if (curtainState === 'closed') {
-        curtainState = 'opening';
-        
-        function openCurtains() {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const eased = 1 - Math.pow(1 - progress, 3);
-            
-            // Open: move curtains far apart
-            curtainLeft.position.x = -2 - (18 * eased);  // Move left curtain far left
-            curtainRight.position.x = 2 + (18 * eased);  // Move right curtain far right
-            
-            if (progress < 1) {
-                requestAnimationFrame(openCurtains);
-            } else {
-                curtainState = 'open';
-            }
-        }
-        openCurtains();
-    } else {
-        curtainState = 'closing';
-        
-        function closeCurtains() {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const eased = 1 - Math.pow(1 - progress, 3);
-            
-            // Close: move curtains together to center
-            curtainLeft.position.x = -20 + (18 * eased);  // Move from far left to center
-            curtainRight.position.x = 20 - (18 * eased);   // Move from far right to center
-            
-            if (progress < 1) {
-                requestAnimationFrame(closeCurtains);
-            } else {
-                curtainState = 'closed';
-            }
-        }
-        closeCurtains();
-    }
+    setCurtains({ open: mainCurtain.isOpen() ? 0 : 100 });
 }
 
 function movePlatforms() {
@@ -2383,18 +2219,19 @@ function rotateCenter() {
     if (rotatingStage && rotatingStage.visible) {
         const userData = rotatingStage.userData;
         userData.rotating = !userData.rotating;
+        userData.move = null;
         console.log(`Rotating stage is now ${userData.rotating ? 'rotating' : 'stopped'}`);
     } else {
-        alert('Please show the rotating stage first using "Show/Hide Rotating Stage" button');
+        alert(rotatingStage
+            ? 'Please show the rotating stage first using "Show/Hide Rotating Stage" button'
+            : 'The stage has no revolve; add one with Edit Machinery');
     }
 }
 
 function toggleTrapDoors() {
     trapDoors.forEach(trapDoor => {
         if (trapDoor.visible) {
-            const userData = trapDoor.userData;
-            userData.open = !userData.open;
-            userData.targetRotation = userData.open ? Math.PI / 2 : 0;
+            openTrapDoor(trapDoor, !trapDoor.userData.open);
         }
     });
 }
@@ -2404,6 +2241,7 @@ function toggleRotatingStageVisibility() {
         rotatingStage.visible = !rotatingStage.visible;
         if (!rotatingStage.visible) {
             rotatingStage.userData.rotating = false;
+            rotatingStage.userData.move = null;
         }
     }
 }
@@ -2412,11 +2250,8 @@ function toggleTrapDoorsVisibility() {
     trapDoors.forEach(trapDoor => {
         trapDoor.visible = !trapDoor.visible;
         if (!trapDoor.visible) {
-            trapDoor.userData.open = false;
-            trapDoor.userData.targetRotation = 0;
-            trapDoor.children[0].rotation.x = 0;
-            trapDoor.children[0].position.z = 0;
-            trapDoor.children[0].position.y = 0;
+            openTrapDoor(trapDoor, false);
+            settleTrapDoor(trapDoor);
         }
     });
 }
@@ -2428,15 +2263,12 @@ function updatePropRelationships(prop) {
     propPlatformRelations.delete(prop);
     propRotatingStageRelations.delete(prop);
     propTrapDoorRelations.delete(prop);
+    propWagonRelations.delete(prop);
     
     // Check platform relationships
-    moveablePlatforms.forEach((platform, index) => {
-        const platPos = platform.position;
-        const platData = platform.userData;
-        
-        // Check if prop is on this platform (within bounds)
-        if (Math.abs(propPos.x - platPos.x) < 1.5 && 
-            Math.abs(propPos.z - platPos.z) < 1) {
+    moveablePlatforms.forEach(platform => {
+        // Check if prop is on this platform (within its footprint)
+        if (platform.visible && isOverMachinery(platform, propPos.x, propPos.z)) {
             propPlatformRelations.set(prop, platform);
         }
     });
@@ -2449,21 +2281,23 @@ function updatePropRelationships(prop) {
             Math.pow(propPos.z - stagePos.z, 2)
         );
         
-        if (distance < 5) { // Within rotating stage radius
+        if (distance < rotatingStage.userData.radius) { // Within rotating stage radius
             propRotatingStageRelations.add(prop);
         }
     }
     
     // Check trap door relationships
-    trapDoors.forEach((trapDoor, index) => {
-        if (trapDoor.visible) {
-            const trapPos = trapDoor.position;
-            
-            // Check if prop is on this trap door
-            if (Math.abs(propPos.x - trapPos.x) < 1 && 
-                Math.abs(propPos.z - trapPos.z) < 1) {
-                propTrapDoorRelations.set(prop, trapDoor);
-            }
+    trapDoors.forEach(trapDoor => {
+        // Check if prop is on this trap door
+        if (trapDoor.visible && isOverMachinery(trapDoor, propPos.x, propPos.z)) {
+            propTrapDoorRelations.set(prop, trapDoor);
+        }
+    });
+    
+    // Check wagon relationships
+    wagons.forEach(wagon => {
+        if (wagon.visible && isOverMachinery(wagon, propPos.x, propPos.z)) {
+            propWagonRelations.set(prop, wagon);
         }
     });
 }
@@ -2484,26 +2318,10 @@ function updateAllPropRelationships() {
     });
 }
 
-function moveSceneryPanel(index, position) {
-    if (index < sceneryPanels.length) {
-        const panel = sceneryPanels[index];
-        panel.userData.targetPosition = position;
-        panel.userData.moving = true;
-    }
-}
-
 // Physics properties for objects
 const OBJECT_PHYSICS = {
-    actor: { mass: 70, friction: 0.8 }, // ~70kg human
-    table: { mass: 30, friction: 0.9 }, // Heavy, high friction
-    chair: { mass: 8, friction: 0.7 },  // Lighter, can slide
-    barrel: { mass: 50, friction: 0.6 }, // Heavy but can roll
-    box: { mass: 20, friction: 0.8 },   // Medium weight
-    plant: { mass: 5, friction: 0.7 },  // Light
-    lamp: { mass: 3, friction: 0.9 },   // Very light
-    cube: { mass: 10, friction: 0.7 },  // Default
-    sphere: { mass: 8, friction: 0.4 }, // Low friction (rolls)
-    cylinder: { mass: 12, friction: 0.6 }
+    actor: { mass: 70, friction: 0.8 } // ~70kg human
+    // Prop mass and friction come from the prop registry
 };
 
 // Velocity tracking for momentum
@@ -2518,14 +2336,19 @@ class TextureManager {
     }
     
     createDefaultTextures() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 256;
-        canvas.height = 256;
-        const ctx = canvas.getContext('2d');
+        // Each texture needs its own canvas; CanvasTexture reads the canvas when it is uploaded
+        function createCanvas() {
+            const canvas = document.createElement('canvas');
+            canvas.width = 256;
+            canvas.height = 256;
+            return canvas;
+        }
         
         const textures = {};
         
         // Create brick texture
+        let canvas = createCanvas();
+        let ctx = canvas.getContext('2d');
         ctx.fillStyle = '#8B4513';
         ctx.fillRect(0, 0, 256, 256);
         ctx.fillStyle = '#654321';
@@ -2539,6 +2362,8 @@ class TextureManager {
         textures.brick.wrapS = textures.brick.wrapT = THREE.RepeatWrapping;
         
         // Create wood texture
+        canvas = createCanvas();
+        ctx = canvas.getContext('2d');
         ctx.fillStyle = '#DEB887';
         ctx.fillRect(0, 0, 256, 256);
         ctx.fillStyle = '#CD853F';
@@ -2549,6 +2374,8 @@ class TextureManager {
         textures.wood.wrapS = textures.wood.wrapT = THREE.RepeatWrapping;
         
         // Create sky texture
+        canvas = createCanvas();
+        ctx = canvas.getContext('2d');
         const gradient = ctx.createLinearGradient(0, 0, 0, 256);
         gradient.addColorStop(0, '#87CEEB');
         gradient.addColorStop(1, '#98FB98');
@@ -2576,9 +2403,9 @@ class TextureManager {
     }
     
     applyTextureToPanel(panelIndex, texture, scale = { x: 1, y: 1 }) {
-        if (panelIndex >= sceneryPanels.length) return false;
-        
         const panel = sceneryPanels[panelIndex];
+        if (!panel) return false;
+        
         const mesh = panel.children[0]; // Main panel mesh
         
         // Clone texture to avoid sharing references
@@ -2692,25 +2519,108 @@ class StageElementCommand extends Command {
     applyState(state) {
         switch(this.elementType) {
             case 'curtains':
-                curtainState = state;
-                // Don't call updateCurtainPositions here - let the animation handle it
+                mainCurtain.set(state);
                 break;
             case 'platform':
-                const platform = moveablePlatforms[this.elementData.index];
-                if (platform) {
-                    platform.position.y = state.height;
+                // Platforms travel to the state's height rather than jumping there.
+                // The command holds the platform itself, as striking machinery
+                // renumbers the rest; a struck platform is left alone
+                const platform = this.elementData.platform;
+                if (moveablePlatforms.includes(platform)) {
                     platform.userData.targetY = state.height;
+                    if (state.speed) {
+                        platform.userData.speed = state.speed;
+                    }
+                    platform.userData.moving = true;
                 }
                 break;
             case 'rotatingStage':
-                rotatingStage.visible = state.visible;
-                rotatingStage.userData.rotating = state.rotating;
+                if (rotatingStage) {
+                    rotatingStage.visible = state.visible;
+                    rotatingStage.userData.rotating = state.rotating;
+                    // A state with an angle (or a number of degrees) turns the revolve there
+                    if (state.angle !== undefined || state.by !== undefined) {
+                        startRevolveMove(state);
+                    } else {
+                        rotatingStage.userData.move = null;
+                    }
+                }
                 break;
             case 'scenery':
                 moveSceneryPanel(this.elementData.index, state.position);
                 break;
+            case 'trapDoor':
+                if (trapDoors.includes(this.elementData.trapDoor)) {
+                    openTrapDoor(this.elementData.trapDoor, state.open);
+                }
+                break;
+            case 'lineset':
+                // The rail renumbers by depth, so the command holds the lineset itself
+                if (flySystem.linesets.includes(this.elementData.lineset)) {
+                    flySystem.fly(this.elementData.lineset, state.trim);
+                }
+                break;
+        }
+    }
+}
+
+// Adds a merged scene layer in one step; undo removes every object it added
+class MergeSceneCommand extends Command {
+    constructor(layer) {
+        super();
+        this.layer = layer; // Remapped actor/prop data from SceneSerializer.prepareMergeLayer
+        this.objects = null;
+    }
+    
+    execute() {
+        if (!this.objects) {
+            const newActors = sceneSerializer.deserializeActors(this.layer.actors);
+            const newProps = sceneSerializer.deserializeProps(this.layer.props);
+            this.objects = [...newActors, ...newProps];
+        } else {
+            // Redo restores the same objects so later commands still refer to them
+            this.objects.forEach(obj => {
+                scene.add(obj);
+                (obj.userData.type === 'actor' ? actors : props).push(obj);
+                updatePropRelationships(obj);
+            });
         }
+        sceneSerializer.deserializeInteractions(this.layer.actors, this.layer.props);
+    }
+    
+    undo() {
+        if (!this.objects) return;
+        this.objects.forEach(obj => removeStageObject(obj));
+    }
+}
+
+// Take an actor or prop off the stage and drop any relationships that refer to it
+function removeStageObject(obj) {
+    scene.remove(obj);
+    
+    const list = obj.userData.type === 'actor' ? actors : props;
+    const index = list.indexOf(obj);
+    if (index > -1) list.splice(index, 1);
+    
+    propPlatformRelations.delete(obj);
+    propRotatingStageRelations.delete(obj);
+    propTrapDoorRelations.delete(obj);
+    throwingProps.delete(obj);
+    objectVelocities.delete(obj);
+    
+    if (actorHeldProps.has(obj)) {
+        delete actorHeldProps.get(obj).userData.heldBy;
+        actorHeldProps.delete(obj);
+    }
+    actorSittingOn.delete(obj);
+    
+    for (let [actor, heldProp] of actorHeldProps) {
+        if (heldProp === obj) actorHeldProps.delete(actor);
     }
+    for (let [actor, seat] of actorSittingOn) {
+        if (seat === obj) actorSittingOn.delete(actor);
+    }
+    delete obj.userData.heldBy;
 }
 
 class CommandManager {
@@ -2794,30 +2704,8 @@ function getObjectBounds(obj) {
     
     if (obj.userData.type === 'actor') {
         bounds = { width: 1, depth: 1, height: 2.5 };
-    } else if (obj.userData.propType) {
-        // Specific bounds for different prop types
-        switch (obj.userData.propType) {
-            case 'table':
-                bounds = { width: 2, depth: 1.5, height: 1 };
-                break;
-            case 'chair':
-                bounds = { width: 1, depth: 1, height: 1.5 };
-                break;
-            case 'barrel':
-                bounds = { width: 1, depth: 1, height: 1.2 };
-                break;
-            case 'box':
-                bounds = { width: 1.2, depth: 1.2, height: 1.2 };
-                break;
-            case 'plant':
-                bounds = { width: 0.8, depth: 0.8, height: 1.2 };
-                break;
-            case 'lamp':
-                bounds = { width: 0.8, depth: 0.8, height: 1.5 };
-                break;
-            default:
-                bounds = { width: 1, depth: 1, height: 1 };
-        }
+    } else if (obj.userData.propType && propRegistry.get(obj.userData.propType)) {
+        bounds = { ...propRegistry.get(obj.userData.propType).bounds };
     }
     
     return bounds;
@@ -2827,8 +2715,8 @@ function getObjectBounds(obj) {
 function getObjectMass(obj) {
     if (obj.userData.type === 'actor') {
         return OBJECT_PHYSICS.actor.mass;
-    } else if (obj.userData.propType && OBJECT_PHYSICS[obj.userData.propType]) {
-        return OBJECT_PHYSICS[obj.userData.propType].mass;
+    } else if (obj.userData.propType && propRegistry.get(obj.userData.propType)) {
+        return propRegistry.get(obj.userData.propType).mass;
     }
     return 10; // Default mass
 }
@@ -2837,8 +2725,8 @@ function getObjectMass(obj) {
 function getObjectFriction(obj) {
     if (obj.userData.type === 'actor') {
         return OBJECT_PHYSICS.actor.friction;
-    } else if (obj.userData.propType && OBJECT_PHYSICS[obj.userData.propType]) {
-        return OBJECT_PHYSICS[obj.userData.propType].friction;
+    } else if (obj.userData.propType && propRegistry.get(obj.userData.propType)) {
+        return propRegistry.get(obj.userData.propType).friction;
     }
     return 0.7; // Default friction
 }
@@ -2957,42 +2845,45 @@ function checkAllCollisions(movingObj, newX, newZ, velocity = 0) {
         return true;
     }
     
+    // Stop at the edge of the venue's deck
+    if (!venue.contains(newX, newZ)) {
+        return true;
+    }
+    
     return false; // No collision
 }
 
 function checkPropSceneryCollision(prop, newX, newZ) {
     const bounds = getObjectBounds(prop);
     const propRadius = Math.max(bounds.width, bounds.depth) / 2;
+    const propY = prop.position.y;
     
-    // Check collision with each scenery panel
+    // Check collision with each scenery panel, wherever it has travelled to
     for (let panel of sceneryPanels) {
-        if (panel.userData.currentPosition > 0) { // Panel is on stage
-            const panelX = panel.position.x;
-            const panelZ = panel.position.z;
-            const panelBounds = panel.userData.panelBounds;
+        const userData = panel.userData;
+        const panelX = panel.position.x;
+        const panelBottom = panel.position.y;
+        
+        // Check if prop would collide with panel
+        if (Math.abs(newZ - panel.position.z) < propRadius && 
+            newX + propRadius > panelX - userData.width / 2 && 
+            newX - propRadius < panelX + userData.width / 2 &&
+            propY + bounds.height > panelBottom &&
+            propY < panelBottom + userData.height) {
             
-            // Check if prop would collide with panel
-            if (Math.abs(newZ - panelZ) < propRadius && 
-                newX + propRadius > panelX + panelBounds.minX && 
-                newX - propRadius < panelX + panelBounds.maxX) {
-                
-                // Check if prop can pass through cutout
-                if (panel.userData.hasPassthrough) {
-                    const passthrough = panel.userData.passthroughBounds;
-                    const propY = prop.position.y;
-                    
-                    if (newX > panelX + passthrough.minX && 
-                        newX < panelX + passthrough.maxX &&
-                        propY > passthrough.minY && 
-                        propY < passthrough.maxY) {
-                        // Prop can pass through cutout
-                        continue;
-                    }
-                }
-                
-                // Collision detected - prevent movement
-                return true;
+            // Check if prop can pass through a door or window
+            const throughCutout = userData.cutouts.some(cutout =>
+                newX > panelX + cutout.x - cutout.width / 2 &&
+                newX < panelX + cutout.x + cutout.width / 2 &&
+                propY >= panelBottom + cutout.y &&
+                propY < panelBottom + cutout.y + cutout.height
+            );
+            if (throughCutout) {
+                continue;
             }
+            
+            // Collision detected - prevent movement
+            return true;
         }
     }
     return false;
@@ -3001,10 +2892,23 @@ function checkPropSceneryCollision(prop, newX, newZ) {
 function animate() {
     requestAnimationFrame(animate);
     
-    if (currentLightingPreset === 'default' || currentLightingPreset === 'dramatic') {
-        lights.forEach((light, index) => {
-            light.intensity = 0.8 + Math.sin(Date.now() * 0.001 + index) * 0.2;
-        });
+    // Seconds since the last frame, capped so a backgrounded tab does not jump
+    const now = performance.now();
+    const delta = lastAnimateTime === null ? 0 : Math.min((now - lastAnimateTime) / 1000, 0.1);
+    lastAnimateTime = now;
+    
+    // Advance running cue fades, lighting crossfades, effects and gobos, DMX output and the blocking playhead
+    cueList.update();
+    lightingDesk.update();
+    lightingRig.updateProjections();
+    dmxLink.update();
+    followspot.update();
+    blockingTimeline.update();
+    
+    // Run the main curtain and light the scrim
+    mainCurtain.update(delta);
+    if (window.refreshCurtainReadout) {
+        window.refreshCurtainReadout();
     }
     
     stageMarkers.forEach((marker, i) => {
@@ -3017,76 +2921,47 @@ function animate() {
     moveablePlatforms.forEach(platform => {
         const userData = platform.userData;
         if (userData.moving) {
+            // Constant travel speed, like a real stage lift
             const diff = userData.targetY - platform.position.y;
-            if (Math.abs(diff) > 0.01) {
-                platform.position.y += diff * 0.05;
+            const step = userData.speed * delta;
+            if (Math.abs(diff) > step) {
+                platform.position.y += Math.sign(diff) * step;
             } else {
                 platform.position.y = userData.targetY;
                 userData.moving = false;
             }
         }
     });
+    if (window.refreshPlatformReadout) {
+        window.refreshPlatformReadout();
+    }
+    
+    // Roll wagons, carrying whatever stands on them
+    stageMachinery.updateWagons(delta);
+    
+    // Fly linesets in and out, stopping above anything in the way
+    flySystem.updateFlying(delta);
+    if (window.refreshFlyReadout) {
+        window.refreshFlyReadout();
+    }
     
     // Animate rotating stage
-    if (rotatingStage && rotatingStage.userData.rotating && rotatingStage.visible) {
-        rotatingStage.rotation.y += rotatingStage.userData.rotationSpeed;
+    const revolveStep = updateRevolve(delta);
+    if (window.refreshRevolveReadout) {
+        window.refreshRevolveReadout();
     }
     
     // Animate scenery panels
-    sceneryPanels.forEach(panel => {
-        const userData = panel.userData;
-        if (userData.moving) {
-            let targetX;
-            
-            if (userData.isBackdrop) {
-                // Backdrop slides from left (-30 to 0)
-                // Positions: off=-30, 1/4=-18, 1/2=-10, 3/4=-5, full=0
-                const positions = {
-                    0: -30,
-                    0.25: -18,
-                    0.5: -10,
-                    0.75: -5,
-                    1: 0
-                };
-                targetX = positions[userData.targetPosition];
-            } else {
-                // Midstage slides from right (30 to 0)
-                // Positions: off=30, 1/4=18, 1/2=10, 3/4=5, full=0
-                const positions = {
-                    0: 30,
-                    0.25: 18,
-                    0.5: 10,
-                    0.75: 5,
-                    1: 0
-                };
-                targetX = positions[userData.targetPosition];
-            }
-            
-            const diff = targetX - panel.position.x;
-            if (Math.abs(diff) > 0.1) {
-                panel.position.x += diff * 0.05;
-            } else {
-                panel.position.x = targetX;
-                userData.currentPosition = userData.targetPosition;
-                userData.moving = false;
-            }
-        }
-    });
+    sceneryManager.updateSliding();
+    if (window.refreshSceneryStop) {
+        window.refreshSceneryStop();
+    }
     
-    // Animate trap doors
-    trapDoors.forEach(trapDoor => {
-        const userData = trapDoor.userData;
-        const door = trapDoor.children[0];
-        const currentRotation = door.rotation.x;
-        const diff = userData.targetRotation - currentRotation;
-        if (Math.abs(diff) > 0.01) {
-            door.rotation.x += diff * 0.1;
-            door.position.z = Math.sin(door.rotation.x) * 1;
-            door.position.y = -Math.abs(Math.sin(door.rotation.x)) * 0.5;
-        } else {
-            door.rotation.x = userData.targetRotation;
-        }
-    });
+    // Animate trap doors and lifts
+    updateTrapDoors(delta);
+    if (window.refreshTrapReadout) {
+        window.refreshTrapReadout();
+    }
 
     // Update prop relationships periodically
     if (Date.now() % 100 < 16) { // Every ~100ms
@@ -3096,26 +2971,9 @@ function animate() {
     // Apply physics to props and actors
     const allObjects = [...props, ...actors];
     allObjects.forEach(prop => {
-        // Check if prop should be hidden by trap door first
-        if (propTrapDoorRelations.has(prop)) {
-            const trapDoor = propTrapDoorRelations.get(prop);
-            if (trapDoor.userData.open && trapDoor.visible) {
-                prop.visible = false;
-                prop.userData.hidden = true;
-                return; // Skip other physics if hidden
-            }
-        }
-        
-        // Restore hidden props if conditions change
-        if (prop.userData.hidden) {
-            const stillOverTrapDoor = propTrapDoorRelations.has(prop) && 
-                                     propTrapDoorRelations.get(prop).userData.open;
-            if (!stillOverTrapDoor) {
-                prop.visible = true;
-                prop.userData.hidden = false;
-            } else {
-                return; // Still hidden, skip other physics
-            }
+        // Trap doors drop or lower what stands on them first, and bring it back
+        if (updateTrapDoorRider(prop)) {
+            return; // Skip other physics while the trap has it
         }
         
         // Handle props being held by actors
@@ -3172,8 +3030,10 @@ function animate() {
         let baseY = prop.userData.originalY;
         if (propPlatformRelations.has(prop)) {
             const platform = propPlatformRelations.get(prop);
-            // Platform is 0.5 units tall, positioned at y=0.25, so top is at 0.5
-            baseY = platform.position.y + 0.25 + prop.userData.originalY;
+            // The platform's position is the middle of its deck
+            baseY = platform.position.y + PLATFORM_THICKNESS / 2 + prop.userData.originalY;
+        } else if (propWagonRelations.has(prop)) {
+            baseY = propWagonRelations.get(prop).userData.height + prop.userData.originalY;
         }
         
         // Apply elevation smoothly
@@ -3182,6 +3042,11 @@ function animate() {
             prop.position.y += yDiff * 0.1;
         }
         
+        // Blocking playback places the object; skip momentum and the revolve
+        if (blockingTimeline.isDriving(prop)) {
+            return;
+        }
+        
         // Apply velocity if object has momentum
         if (objectVelocities.has(prop)) {
             const vel = objectVelocities.get(prop);
@@ -3213,22 +3078,20 @@ function animate() {
         }
         
         // Rotating stage physics - rotation (works even on platforms)
-        if (propRotatingStageRelations.has(prop) && 
-            rotatingStage.userData.rotating && 
-            rotatingStage.visible) {
+        if (propRotatingStageRelations.has(prop) && revolveStep !== 0) {
             const stageCenter = rotatingStage.position;
-            const angle = rotatingStage.userData.rotationSpeed;
+            const angle = revolveStep;
             
-            // Calculate new position after rotation
+            // Calculate new position after rotation, turning the same way as the revolve
             const dx = prop.position.x - stageCenter.x;
             const dz = prop.position.z - stageCenter.z;
             const radius = Math.sqrt(dx*dx + dz*dz);
             
-            const newX = stageCenter.x + (dx * Math.cos(angle) - dz * Math.sin(angle));
-            const newZ = stageCenter.z + (dx * Math.sin(angle) + dz * Math.cos(angle));
+            const newX = stageCenter.x + (dx * Math.cos(angle) + dz * Math.sin(angle));
+            const newZ = stageCenter.z + (-dx * Math.sin(angle) + dz * Math.cos(angle));
             
             // Calculate velocity from rotation
-            const rotationalVelocity = radius * angle;
+            const rotationalVelocity = radius * Math.abs(angle);
             
             // Check for collision with all objects before moving
             if (!checkAllCollisions(prop, newX, newZ, rotationalVelocity)) {
@@ -3240,6 +3103,7 @@ function animate() {
             } else {
                 // Stop rotating stage if collision detected
                 rotatingStage.userData.rotating = false;
+                rotatingStage.userData.move = null;
                 console.log('Rotation stopped due to collision');
             }
         }
@@ -3252,8 +3116,8 @@ function animate() {
     renderer.render(scene, camera);
 }
 
-// Note: saveScene() and loadScene() functions are defined in stage-save-load.js
-// which provides enhanced error handling and user feedback
+// Note: saveScene(), loadScene() and mergeScene() are defined in stage-save-load.js,
+// which index.html loads before this file so setupUI() can reference them
 
 init();
 animate();
\ No newline at end of file
@@ -0,0 +1,305 @@
+/**
+ * Trap Controls
+ *
+ * Opens each trap door on its own. A trap works in one of two modes:
+ *
+ *   drop - a hinged door that swings down; whatever stands on it drops out
+ *          of sight while it is open
+ *   lift - an elevator: "open" lowers the trap's deck below the stage,
+ *          carrying whatever stands on it out of sight, and closing raises
+ *          it back up for an appearance
+ *
+ * Opening and closing from the control panel goes through the command
+ * manager as StageElementCommand('trapDoor', { trapDoor }, ...) so it can be
+ * undone. An object the trap has taken out of sight has userData.hidden set,
+ * is saved that way, and comes back when the trap closes or the lift is up.
+ */
+
+/**
+ * How far a lift goes below the stage, far enough to hide an actor
+ */
+const TRAP_LIFT_DEPTH = 2.5;
+
+/**
+ * Travel speed of a lift unless set otherwise, in units per second
+ */
+const TRAP_LIFT_SPEED = 1;
+
+/**
+ * Trap door modes
+ */
+const TRAP_MODES = {
+    drop: 'Drop',
+    lift: 'Lift'
+};
+
+/**
+ * Open or close a trap door straight away (the door or lift then travels)
+ * @param {THREE.Group} trapDoor
+ * @param {boolean} open - Door open, or lift down
+ */
+function openTrapDoor(trapDoor, open) {
+    const userData = trapDoor.userData;
+    userData.open = open;
+    userData.targetRotation = open && userData.mode !== 'lift' ? Math.PI / 2 : 0;
+}
+
+/**
+ * Put a trap door's door and lift where its state says, without travelling;
+ * used when a scene is loaded or the trap is hidden
+ * @param {THREE.Group} trapDoor
+ */
+function settleTrapDoor(trapDoor) {
+    const userData = trapDoor.userData;
+    const door = trapDoor.children[0];
+    userData.liftDepth = userData.open && userData.mode === 'lift' ? TRAP_LIFT_DEPTH : 0;
+    door.rotation.x = userData.targetRotation;
+    door.position.z = Math.sin(door.rotation.x) * userData.depth / 2;
+    door.position.y = -Math.abs(Math.sin(door.rotation.x)) * 0.5 - userData.liftDepth;
+}
+
+/**
+ * Open or close one trap door as an undoable command
+ * @param {number} index - Trap door index in trapDoors
+ * @param {boolean} open - Door open, or lift down
+ */
+function switchTrapDoor(index, open) {
+    const trapDoor = trapDoors[index];
+    if (!trapDoor) {
+        throw new Error(`There is no trap door ${index + 1}`);
+    }
+    if (!trapDoor.visible) {
+        throw new Error(`${trapDoor.name} is hidden`);
+    }
+    if (trapDoor.userData.open === open) return;
+
+    commandManager.executeCommand(new StageElementCommand('trapDoor', { trapDoor }, { open }, { open: !open }));
+    if (window.updateUndoRedoButtons) {
+        window.updateUndoRedoButtons();
+    }
+}
+
+/**
+ * Change how a trap door works
+ * @param {number} index - Trap door index in trapDoors
+ * @param {string} mode - A key of TRAP_MODES
+ * @param {number} [liftSpeed] - Units per second; keeps the current speed if omitted
+ */
+function setTrapDoorMode(index, mode, liftSpeed) {
+    const trapDoor = trapDoors[index];
+    if (!trapDoor) {
+        throw new Error(`There is no trap door ${index + 1}`);
+    }
+    if (!TRAP_MODES[mode]) {
+        throw new Error(`Unknown trap door mode ${mode}`);
+    }
+    if (liftSpeed !== undefined && (!Number.isFinite(liftSpeed) || liftSpeed <= 0)) {
+        throw new Error('Lift speed must be more than 0');
+    }
+    const userData = trapDoor.userData;
+    // Switching with the trap open would leave whatever it took stranded
+    if (mode !== userData.mode && (userData.open || userData.liftDepth > 0)) {
+        throw new Error(`Close ${trapDoor.name} first`);
+    }
+    userData.mode = mode;
+    if (liftSpeed !== undefined) {
+        userData.liftSpeed = liftSpeed;
+    }
+}
+
+/**
+ * Swing the doors and run the lifts; called every frame
+ * @param {number} delta - Seconds since the last frame
+ */
+function updateTrapDoors(delta) {
+    trapDoors.forEach(trapDoor => {
+        const userData = trapDoor.userData;
+        const door = trapDoor.children[0];
+
+        const targetDepth = userData.open && userData.mode === 'lift' ? TRAP_LIFT_DEPTH : 0;
+        const step = userData.liftSpeed * delta;
+        if (Math.abs(targetDepth - userData.liftDepth) <= step) {
+            userData.liftDepth = targetDepth;
+        } else {
+            userData.liftDepth += Math.sign(targetDepth - userData.liftDepth) * step;
+        }
+
+        const diff = userData.targetRotation - door.rotation.x;
+        if (Math.abs(diff) > 0.01) {
+            door.rotation.x += diff * 0.1;
+        } else {
+            door.rotation.x = userData.targetRotation;
+        }
+        door.position.z = Math.sin(door.rotation.x) * userData.depth / 2;
+        door.position.y = -Math.abs(Math.sin(door.rotation.x)) * 0.5 - userData.liftDepth;
+    });
+}
+
+/**
+ * Drop or lower an object standing on an open trap; called every frame
+ * before the object's other physics
+ * @param {THREE.Object3D} object - Actor or prop
+ * @returns {boolean} True if the trap has the object, so it skips its other physics
+ */
+function updateTrapDoorRider(object) {
+    const trapDoor = propTrapDoorRelations.get(object);
+    const userData = object.userData;
+
+    if (trapDoor && trapDoor.visible) {
+        const trap = trapDoor.userData;
+        if (trap.mode === 'lift' && trap.liftDepth > 0) {
+            // Ride the lift down, out of sight once it is all the way below the stage
+            object.position.y = userData.originalY - trap.liftDepth;
+            userData.hidden = trap.liftDepth >= TRAP_LIFT_DEPTH;
+            object.visible = !userData.hidden;
+            return true;
+        }
+        if (trap.mode !== 'lift' && trap.open) {
+            object.visible = false;
+            userData.hidden = true;
+            return true;
+        }
+    }
+
+    // Back in sight once the trap has closed or the lift is up
+    if (userData.hidden) {
+        object.visible = true;
+        userData.hidden = false;
+    }
+    return false;
+}
+
+/**
+ * Build the Trap Doors section of the control panel
+ * @returns {HTMLElement}
+ */
+function createTrapControlsUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Trap Doors</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const trapSelect = document.createElement('select');
+    trapSelect.style.cssText = 'margin: 5px 0; padding: 5px; width: 150px;';
+    container.appendChild(trapSelect);
+
+    const rowStyle = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+    function addRow(text, control) {
+        const row = document.createElement('div');
+        row.style.cssText = rowStyle;
+        const caption = document.createElement('span');
+        caption.style.cssText = 'width: 70px;';
+        caption.textContent = text;
+        row.appendChild(caption);
+        row.appendChild(control);
+        container.appendChild(row);
+        return control;
+    }
+
+    const modeSelect = document.createElement('select');
+    modeSelect.style.cssText = 'padding: 3px; width: 150px;';
+    modeSelect.innerHTML = Object.entries(TRAP_MODES)
+        .map(([key, name]) => `<option value="${key}">${name}</option>`).join('');
+    addRow('Mode', modeSelect);
+
+    const speedInput = document.createElement('input');
+    speedInput.type = 'number';
+    speedInput.min = '0.1';
+    speedInput.max = '10';
+    speedInput.step = '0.1';
+    speedInput.style.cssText = 'width: 60px;';
+    const speedRow = addRow('Lift (/s)', speedInput).parentElement;
+
+    function selectedIndex() {
+        return parseInt(trapSelect.value, 10);
+    }
+
+    function applyMode() {
+        try {
+            setTrapDoorMode(selectedIndex(), modeSelect.value, parseFloat(speedInput.value));
+        } catch (error) {
+            alert(error.message);
+            showSelected();
+        }
+        speedRow.style.display = modeSelect.value === 'lift' ? 'flex' : 'none';
+    }
+    modeSelect.addEventListener('change', applyMode);
+    speedInput.addEventListener('change', applyMode);
+
+    const switchButton = document.createElement('button');
+    switchButton.title = 'Open or close the selected trap door (undoable)';
+    switchButton.style.cssText = 'margin: 5px 5px 5px 0; padding: 5px 10px; cursor: pointer;';
+    switchButton.addEventListener('click', () => {
+        const trapDoor = trapDoors[selectedIndex()];
+        try {
+            switchTrapDoor(selectedIndex(), !(trapDoor && trapDoor.userData.open));
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+    container.appendChild(switchButton);
+
+    // Where every trap door is
+    const readout = document.createElement('div');
+    readout.style.cssText = 'font-size: 11px; margin: 5px 0; color: #aaa; font-family: monospace; white-space: pre;';
+    container.appendChild(readout);
+
+    function buildOptions() {
+        const selected = trapSelect.value;
+        trapSelect.innerHTML = trapDoors
+            .map((trapDoor, index) => `<option value="${index}">${trapDoor.name}</option>`).join('');
+        if (selected && trapDoors[parseInt(selected, 10)]) {
+            trapSelect.value = selected;
+        }
+    }
+
+    // Show the selected trap door's mode and lift speed in the inputs
+    function showSelected() {
+        const trapDoor = trapDoors[selectedIndex()];
+        if (!trapDoor) return;
+        modeSelect.value = trapDoor.userData.mode;
+        speedInput.value = String(trapDoor.userData.liftSpeed);
+        speedRow.style.display = trapDoor.userData.mode === 'lift' ? 'flex' : 'none';
+    }
+    trapSelect.addEventListener('change', showSelected);
+
+    function describe(trapDoor) {
+        const userData = trapDoor.userData;
+        if (!trapDoor.visible) return 'hidden';
+        if (userData.mode !== 'lift') return userData.open ? 'open' : 'closed';
+        if (userData.liftDepth === (userData.open ? TRAP_LIFT_DEPTH : 0)) {
+            return userData.open ? 'lift down' : 'lift up';
+        }
+        return `lift ${userData.open ? 'lowering' : 'raising'} ${userData.liftDepth.toFixed(2)}`;
+    }
+
+    let lastReadout = '';
+    window.refreshTrapReadout = () => {
+        if (trapSelect.options.length !== trapDoors.length) {
+            buildOptions();
+            showSelected();
+        }
+        const trapDoor = trapDoors[selectedIndex()];
+        const action = !trapDoor ? 'Open'
+            : trapDoor.userData.mode === 'lift' ? (trapDoor.userData.open ? 'Raise' : 'Lower')
+            : (trapDoor.userData.open ? 'Close' : 'Open');
+        if (switchButton.textContent !== action) {
+            switchButton.textContent = action;
+        }
+
+        const text = trapDoors.map(trapDoor => `${trapDoor.name}: ${describe(trapDoor)}`).join('\n');
+        // Only touch the DOM when something changed; this runs every frame
+        if (text !== lastReadout) {
+            readout.textContent = text;
+            lastReadout = text;
+        }
+    };
+
+    buildOptions();
+    showSelected();
+    window.refreshTrapReadout();
+
+    return container;
+}
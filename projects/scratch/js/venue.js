@@ -0,0 +1,543 @@
+/**
+ * Venue
+ *
+ * The space the show plays in: the shape and size of the stage deck, its
+ * apron or thrust, the wing space either side, the walls and where the
+ * audience sits. A company touring to different houses sets the venue once
+ * and the rest of the stage follows it:
+ *
+ *   - the deck, walls and house are rebuilt (the deck is the `stage` object
+ *     placement and gobos raycast against)
+ *   - the marker grid spreads over the acting area
+ *   - the camera presets frame the new stage
+ *   - machinery and scenery may be placed anywhere on the deck, and moving
+ *     objects stop at its edge
+ *   - only a proscenium house hangs the main curtain and scrim
+ *
+ * The deck's top is always at y = 0 and its main acting area is centred on
+ * x = 0, running from z = -depth/2 upstage to the plaster line at z = depth/2.
+ * An apron or thrust sticks out downstage of the plaster line; wings widen
+ * the deck either side. The venue is saved in the scene file as stage.venue.
+ */
+
+/**
+ * Kinds of venue: which values apply, the walls built, where the audience
+ * sits and the venue a new one of the kind starts as
+ */
+const VENUE_TYPES = {
+    proscenium: {
+        name: 'Proscenium',
+        fields: ['width', 'depth', 'apron', 'apronWidth', 'wings', 'backWall'],
+        walls: ['back'],
+        house: ['front'],
+        curtain: true,
+        defaults: { width: 20, depth: 15, apron: 0, apronWidth: 20, wings: 0, backWall: 0, sideWalls: 0 }
+    },
+    thrust: {
+        name: 'Thrust',
+        fields: ['width', 'depth', 'apron', 'apronWidth', 'wings', 'backWall'],
+        walls: ['back'],
+        house: ['front', 'sides'],
+        curtain: false,
+        defaults: { width: 20, depth: 10, apron: 8, apronWidth: 10, wings: 2, backWall: 0, sideWalls: 0 }
+    },
+    traverse: {
+        name: 'Traverse',
+        fields: ['width', 'depth', 'wings', 'sideWalls'],
+        walls: ['left', 'right'],
+        house: ['front', 'back'],
+        curtain: false,
+        defaults: { width: 30, depth: 8, apron: 0, apronWidth: 0, wings: 3, backWall: 0, sideWalls: 1 }
+    },
+    'in-the-round': {
+        name: 'In the Round',
+        fields: ['width'],
+        walls: [],
+        house: ['round'],
+        curtain: false,
+        defaults: { width: 16, depth: 16, apron: 0, apronWidth: 0, wings: 0, backWall: 0, sideWalls: 0 }
+    },
+    'black-box': {
+        name: 'Black Box',
+        fields: ['width', 'depth', 'wings', 'backWall', 'sideWalls'],
+        walls: ['back', 'left', 'right'],
+        house: ['front'],
+        curtain: false,
+        defaults: { width: 16, depth: 12, apron: 0, apronWidth: 0, wings: 2, backWall: 1, sideWalls: 1 }
+    }
+};
+
+/**
+ * Allowed venue values. The width of an in-the-round stage is its diameter.
+ */
+const VENUE_LIMITS = {
+    width: { min: 6, max: 60 },
+    depth: { min: 4, max: 40 },
+    apron: { min: 0, max: 15 },
+    apronWidth: { min: 0, max: 60 },
+    wings: { min: 0, max: 15 },
+    backWall: { min: 0, max: 10 },
+    sideWalls: { min: 0, max: 10 }
+};
+
+/**
+ * The venue every stage starts in, and that scenes saved before venues
+ * existed load with: a 20 × 15 proscenium stage
+ */
+const DEFAULT_VENUE = { type: 'proscenium', ...VENUE_TYPES.proscenium.defaults };
+
+/**
+ * The marker grid, as fractions of the acting area's half width and half depth
+ */
+const VENUE_MARKER_GRID = [
+    { label: 'USL', x: -1, z: -1 },  // Upstage Left
+    { label: 'USC', x: 0, z: -1 },   // Upstage Center
+    { label: 'USR', x: 1, z: -1 },   // Upstage Right
+    { label: 'SL', x: -1, z: 0 },    // Stage Left
+    { label: 'C', x: 0, z: 0 },      // Center
+    { label: 'SR', x: 1, z: 0 },     // Stage Right
+    { label: 'DSL', x: -1, z: 1 },   // Downstage Left
+    { label: 'DSC', x: 0, z: 1 },    // Downstage Center
+    { label: 'DSR', x: 1, z: 1 }     // Downstage Right
+];
+
+// Height of the walls, and how far the audience's seating reaches from the deck
+const VENUE_WALL_HEIGHT = 15;
+const VENUE_HOUSE_GAP = 1.5;
+const VENUE_HOUSE_DEPTH = 8;
+
+class Venue {
+    constructor() {
+        this.scene = null;
+        this.group = null; // Walls and house; the deck is the global `stage`
+        Object.assign(this, DEFAULT_VENUE);
+        this.listeners = [];
+    }
+
+    attach(targetScene) {
+        this.scene = targetScene;
+    }
+
+    /**
+     * Change the venue; machinery and anything standing off the new deck are
+     * moved to fit it
+     * @param {Object} changes - Any of type, width, depth, apron, apronWidth, wings, backWall, sideWalls
+     * @throws {Error} If a value is out of range; the venue is left as it was
+     */
+    set(changes) {
+        const before = { width: this.width, depth: this.depth };
+        this.apply({ ...this.serialize(), ...changes });
+
+        stageMachinery.refit(this.width / before.width, this.depth / before.depth);
+        sceneryPanels.forEach(panel => {
+            const z = Math.min(Math.max(panel.userData.z, SCENERY_LIMITS.z.min), SCENERY_LIMITS.z.max);
+            if (z !== panel.userData.z) {
+                sceneryManager.update(panel, { z });
+            }
+        });
+        [...actors, ...props].forEach(obj => {
+            if (obj.userData.hidden || obj.userData.heldBy) return;
+            const spot = this.clampPoint(obj.position.x, obj.position.z);
+            obj.position.x = spot.x;
+            obj.position.z = spot.z;
+        });
+        updateAllPropRelationships();
+    }
+
+    /**
+     * Replace the venue, e.g. when a scene is loaded; whatever is loaded next
+     * is placed for it
+     * @param {Object} data - As saved in stage.venue
+     * @throws {Error} If a value is out of range
+     */
+    load(data) {
+        this.apply({ ...DEFAULT_VENUE, ...data });
+    }
+
+    /**
+     * Check a venue, then rebuild the stage for it
+     */
+    apply(data) {
+        const kind = VENUE_TYPES[data.type];
+        if (!kind) {
+            throw new Error(`Unknown venue type ${data.type}`);
+        }
+        Object.entries(VENUE_LIMITS).forEach(([key, limits]) => {
+            const value = data[key];
+            if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+                throw new Error(`Venue ${key} must be ${limits.min} to ${limits.max}`);
+            }
+        });
+        if (kind.fields.includes('apronWidth') && data.apron > 0 && (data.apronWidth < 2 || data.apronWidth > data.width + data.wings * 2)) {
+            throw new Error(`The ${data.type === 'thrust' ? 'thrust' : 'apron'} must be 2 to ${data.width + data.wings * 2} wide`);
+        }
+
+        this.type = data.type;
+        Object.keys(VENUE_LIMITS).forEach(key => {
+            this[key] = data[key];
+        });
+        // A round stage is as deep as it is wide
+        if (this.type === 'in-the-round') {
+            this.depth = this.width;
+        }
+
+        this.build();
+        this.fitStage();
+        this.notifyChange();
+    }
+
+    /**
+     * Whether the venue has an apron or thrust downstage of the plaster line
+     */
+    hasApron() {
+        return VENUE_TYPES[this.type].fields.includes('apron') && this.apron > 0;
+    }
+
+    /**
+     * Wing space either side, where the venue has wings
+     */
+    wingSpace() {
+        return VENUE_TYPES[this.type].fields.includes('wings') ? this.wings : 0;
+    }
+
+    /**
+     * The deck as pieces: rectangles { minX, maxX, minZ, maxZ } or a circle { radius }
+     */
+    pieces() {
+        if (this.type === 'in-the-round') {
+            return [{ radius: this.width / 2 }];
+        }
+        const halfWidth = this.width / 2 + this.wingSpace();
+        const pieces = [{ minX: -halfWidth, maxX: halfWidth, minZ: -this.depth / 2, maxZ: this.depth / 2 }];
+        if (this.hasApron()) {
+            pieces.push({ minX: -this.apronWidth / 2, maxX: this.apronWidth / 2, minZ: this.depth / 2, maxZ: this.depth / 2 + this.apron });
+        }
+        return pieces;
+    }
+
+    /**
+     * Box around the whole deck
+     */
+    bounds() {
+        const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+        this.pieces().forEach(piece => {
+            const box = piece.radius !== undefined
+                ? { minX: -piece.radius, maxX: piece.radius, minZ: -piece.radius, maxZ: piece.radius }
+                : piece;
+            bounds.minX = Math.min(bounds.minX, box.minX);
+            bounds.maxX = Math.max(bounds.maxX, box.maxX);
+            bounds.minZ = Math.min(bounds.minZ, box.minZ);
+            bounds.maxZ = Math.max(bounds.maxZ, box.maxZ);
+        });
+        return bounds;
+    }
+
+    /**
+     * Whether a point is on the deck
+     */
+    contains(x, z) {
+        return this.pieces().some(piece => piece.radius !== undefined
+            ? x * x + z * z <= piece.radius * piece.radius
+            : x >= piece.minX && x <= piece.maxX && z >= piece.minZ && z <= piece.maxZ);
+    }
+
+    /**
+     * The nearest point on the deck to a point
+     * @returns {{x: number, z: number}}
+     */
+    clampPoint(x, z) {
+        if (this.contains(x, z)) {
+            return { x, z };
+        }
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.pieces().forEach(piece => {
+            let spot;
+            if (piece.radius !== undefined) {
+                const scale = piece.radius / Math.sqrt(x * x + z * z);
+                spot = { x: x * scale, z: z * scale };
+            } else {
+                spot = {
+                    x: Math.min(Math.max(x, piece.minX), piece.maxX),
+                    z: Math.min(Math.max(z, piece.minZ), piece.maxZ)
+                };
+            }
+            const distance = Math.hypot(spot.x - x, spot.z - z);
+            if (distance < nearestDistance) {
+                nearest = spot;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * z of the plaster line, the downstage edge of the main acting area
+     */
+    plasterLineZ() {
+        return this.depth / 2;
+    }
+
+    /**
+     * Where each marker of the grid sits: spread over the acting area, off the wings
+     */
+    markerPositions() {
+        return VENUE_MARKER_GRID.map(spot => ({
+            label: spot.label,
+            x: spot.x * this.width * 0.4,
+            z: spot.z * this.depth * 0.2
+        }));
+    }
+
+    /**
+     * (Re)build the deck, walls and house
+     */
+    build() {
+        if (stage) {
+            this.scene.remove(stage);
+        }
+        if (this.group) {
+            this.scene.remove(this.group);
+        }
+
+        // The deck, 1 unit thick with its top at y = 0
+        const deckMaterial = new THREE.MeshPhongMaterial({
+            color: this.type === 'black-box' ? 0x1c1c1c : 0x8B4513,
+            shininess: 30
+        });
+        stage = new THREE.Group();
+        stage.name = 'Stage';
+        this.pieces().forEach((piece, index) => {
+            const geometry = piece.radius !== undefined
+                ? new THREE.CylinderGeometry(piece.radius, piece.radius, 1, 64)
+                : new THREE.BoxGeometry(piece.maxX - piece.minX, 1, piece.maxZ - piece.minZ);
+            const deck = new THREE.Mesh(geometry, deckMaterial);
+            deck.name = index === 0 ? 'Deck' : (this.type === 'thrust' ? 'Thrust' : 'Apron');
+            if (piece.radius === undefined) {
+                deck.position.set((piece.minX + piece.maxX) / 2, 0, (piece.minZ + piece.maxZ) / 2);
+            }
+            deck.position.y = -0.5;
+            deck.receiveShadow = true;
+            stage.add(deck);
+        });
+        this.scene.add(stage);
+
+        this.group = new THREE.Group();
+        this.group.name = 'Venue';
+        this.buildWalls();
+        this.buildHouse();
+        this.scene.add(this.group);
+    }
+
+    buildWalls() {
+        const kind = VENUE_TYPES[this.type];
+        const material = new THREE.MeshPhongMaterial({
+            color: this.type === 'black-box' ? 0x111111 : 0x1a1a2e,
+            side: THREE.DoubleSide
+        });
+        const halfWidth = this.width / 2 + this.wingSpace();
+        const sideX = halfWidth + (kind.fields.includes('sideWalls') ? this.sideWalls : 0);
+        const backZ = -this.depth / 2 - (kind.fields.includes('backWall') ? this.backWall : 0);
+        const wallY = VENUE_WALL_HEIGHT / 2 - 1; // From the house floor up
+
+        const addWall = (name, width, x, z, turned) => {
+            const wall = new THREE.Mesh(new THREE.PlaneGeometry(width, VENUE_WALL_HEIGHT), material);
+            wall.name = name;
+            wall.position.set(x, wallY, z);
+            if (turned) {
+                wall.rotation.y = Math.PI / 2;
+            }
+            wall.receiveShadow = true;
+            this.group.add(wall);
+        };
+        if (kind.walls.includes('back')) {
+            addWall('Back Wall', sideX * 2, 0, backZ, false);
+        }
+        // Side walls run from the back wall (or the upstage edge) to the plaster line
+        const sideDepth = this.depth / 2 - backZ;
+        const sideZ = (this.depth / 2 + backZ) / 2;
+        if (kind.walls.includes('left')) {
+            addWall('Left Wall', sideDepth, -sideX, sideZ, true);
+        }
+        if (kind.walls.includes('right')) {
+            addWall('Right Wall', sideDepth, sideX, sideZ, true);
+        }
+    }
+
+    // Where the audience sits, drawn on the house floor
+    buildHouse() {
+        const material = new THREE.MeshPhongMaterial({ color: 0x3a1f1f, side: THREE.DoubleSide });
+        const addSeating = (geometry, x, z) => {
+            const seating = new THREE.Mesh(geometry, material);
+            seating.name = 'House';
+            seating.rotation.x = -Math.PI / 2;
+            seating.position.set(x, -0.98, z);
+            this.group.add(seating);
+        };
+        const addBlock = (minX, maxX, minZ, maxZ) => {
+            addSeating(new THREE.PlaneGeometry(maxX - minX, maxZ - minZ), (minX + maxX) / 2, (minZ + maxZ) / 2);
+        };
+
+        const bounds = this.bounds();
+        const house = VENUE_TYPES[this.type].house;
+        if (house.includes('round')) {
+            const radius = this.width / 2;
+            addSeating(new THREE.RingGeometry(radius + VENUE_HOUSE_GAP, radius + VENUE_HOUSE_GAP + VENUE_HOUSE_DEPTH, 64), 0, 0);
+        }
+        if (house.includes('front')) {
+            const frontZ = bounds.maxZ + VENUE_HOUSE_GAP;
+            addBlock(bounds.minX, bounds.maxX, frontZ, frontZ + VENUE_HOUSE_DEPTH);
+        }
+        if (house.includes('back')) {
+            const backZ = bounds.minZ - VENUE_HOUSE_GAP;
+            addBlock(bounds.minX, bounds.maxX, backZ - VENUE_HOUSE_DEPTH, backZ);
+        }
+        // Either side of a thrust
+        if (house.includes('sides') && this.hasApron() && this.apron > VENUE_HOUSE_GAP) {
+            const sideX = this.apronWidth / 2 + VENUE_HOUSE_GAP;
+            const minZ = this.depth / 2 + VENUE_HOUSE_GAP;
+            addBlock(-sideX - VENUE_HOUSE_DEPTH, -sideX, minZ, bounds.maxZ);
+            addBlock(sideX, sideX + VENUE_HOUSE_DEPTH, minZ, bounds.maxZ);
+        }
+    }
+
+    /**
+     * Fit the rest of the stage to the venue: markers, the limits of where
+     * machinery and scenery go, the fly rail, the main curtain and the camera presets
+     */
+    fitStage() {
+        const bounds = this.bounds();
+
+        this.markerPositions().forEach(spot => {
+            const marker = stageMarkers.find(other => other.userData.label === spot.label);
+            if (marker) {
+                marker.position.set(spot.x, 0, spot.z);
+            }
+        });
+
+        Object.assign(MACHINERY_LIMITS, {
+            x: { min: bounds.minX, max: bounds.maxX },
+            z: { min: bounds.minZ, max: bounds.maxZ },
+            width: { min: 0.5, max: bounds.maxX - bounds.minX },
+            depth: { min: 0.5, max: bounds.maxZ - bounds.minZ },
+            radius: { min: 1, max: Math.min(this.width, this.depth) / 2 }
+        });
+        SCENERY_LIMITS.z = { min: bounds.minZ + 0.05, max: bounds.maxZ - 0.05 };
+
+        flySystem.linesets.forEach(lineset => {
+            lineset.group.position.z = flyLinesetZ(lineset);
+        });
+        mainCurtain.fit({ hung: VENUE_TYPES[this.type].curtain, width: this.width, z: this.plasterLineZ() });
+        fitCameraPresets(bounds);
+    }
+
+    serialize() {
+        return {
+            type: this.type,
+            width: this.width,
+            depth: this.depth,
+            apron: this.apron,
+            apronWidth: this.apronWidth,
+            wings: this.wings,
+            backWall: this.backWall,
+            sideWalls: this.sideWalls
+        };
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+const venue = new Venue();
+
+/**
+ * Build the Venue section of the control panel
+ * @returns {HTMLElement}
+ */
+function createVenueUI() {
+    const container = document.createElement('div');
+
+    const label = document.createElement('div');
+    label.innerHTML = '<strong>Venue</strong>';
+    label.style.cssText = 'margin-top: 10px; margin-bottom: 5px;';
+    container.appendChild(label);
+
+    const rowStyle = 'display: flex; align-items: center; gap: 6px; font-size: 12px; margin: 3px 0;';
+    function addRow(text, control) {
+        const row = document.createElement('div');
+        row.style.cssText = rowStyle;
+        const caption = document.createElement('span');
+        caption.style.cssText = 'width: 70px;';
+        caption.textContent = text;
+        row.appendChild(caption);
+        row.appendChild(control);
+        container.appendChild(row);
+        return row;
+    }
+
+    function apply(changes) {
+        try {
+            venue.set(changes);
+        } catch (error) {
+            alert(error.message);
+            refresh();
+        }
+    }
+
+    // A new type starts from that type's default dimensions
+    const typeSelect = document.createElement('select');
+    typeSelect.style.cssText = 'padding: 3px; width: 150px;';
+    typeSelect.innerHTML = Object.entries(VENUE_TYPES)
+        .map(([key, kind]) => `<option value="${key}">${kind.name}</option>`).join('');
+    typeSelect.addEventListener('change', () => {
+        apply({ type: typeSelect.value, ...VENUE_TYPES[typeSelect.value].defaults });
+    });
+    addRow('Type', typeSelect);
+
+    const fieldCaptions = {
+        width: 'Width', depth: 'Depth', apron: 'Apron', apronWidth: 'Apron width',
+        wings: 'Wings', backWall: 'Back wall', sideWalls: 'Side walls'
+    };
+    const fieldTitles = {
+        width: 'Width of the acting area; the diameter of a round stage',
+        depth: 'Depth from the back of the acting area to the plaster line',
+        apron: 'How far the apron or thrust reaches past the plaster line',
+        apronWidth: 'Width of the apron or thrust',
+        wings: 'Offstage deck either side of the acting area',
+        backWall: 'Gap between the back of the deck and the back wall',
+        sideWalls: 'Gap between the side of the deck and the side walls'
+    };
+    const fields = {};
+    Object.entries(fieldCaptions).forEach(([key, caption]) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = String(VENUE_LIMITS[key].min);
+        input.max = String(VENUE_LIMITS[key].max);
+        input.step = '0.5';
+        input.title = fieldTitles[key];
+        input.style.cssText = 'width: 60px;';
+        input.addEventListener('change', () => apply({ [key]: parseFloat(input.value) }));
+        fields[key] = { row: addRow(caption, input), input };
+    });
+
+    function refresh() {
+        const kind = VENUE_TYPES[venue.type];
+        typeSelect.value = venue.type;
+        fields.apron.row.firstChild.textContent = venue.type === 'thrust' ? 'Thrust' : 'Apron';
+        fields.apronWidth.row.firstChild.textContent = venue.type === 'thrust' ? 'Thrust width' : 'Apron width';
+        Object.entries(fields).forEach(([key, field]) => {
+            field.row.style.display = kind.fields.includes(key) ? 'flex' : 'none';
+            field.input.value = String(venue[key]);
+        });
+    }
+
+    venue.onChange(refresh);
+    refresh();
+
+    return container;
+}
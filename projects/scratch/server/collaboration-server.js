@@ -1,12 +1,22 @@
 const WebSocket = require('ws');
+const dgram = require('dgram');
 const { v4: uuidv4 } = require('uuid');
+const { decodeOsc, encodeOsc } = require('./osc');
+
+// How long to wait for a stage to answer an OSC command before replying with an error
+const OSC_REPLY_TIMEOUT = 1000;
 
 class CollaborationServer {
-    constructor(port = 8080) {
+    constructor(port = 8080, oscPort = 0, oscRoom = 'default-room', oscHost = '127.0.0.1') {
         this.port = port;
         this.wss = null;
         this.rooms = new Map(); // roomId -> Room
         this.clients = new Map(); // ws -> Client
+        this.oscPort = oscPort; // 0 leaves OSC off
+        this.oscRoom = oscRoom; // The room OSC controls
+        this.oscHost = oscHost; // Interface the OSC endpoint listens on
+        this.oscSocket = null;
+        this.oscRequests = new Map(); // requestId -> { address, rinfo, stageId, timeout }
     }
 
     start() {
@@ -29,6 +39,90 @@ class CollaborationServer {
         });
         
         console.log(`Collaboration server running on port ${this.port}`);
+        
+        if (this.oscPort) {
+            this.startOsc();
+        }
+    }
+
+    // OSC endpoint: commands arrive over UDP and are run by every stage in the room,
+    // so they all stay in step. One editing stage answers the sender with its state
+    // as /reply<address>.
+    startOsc() {
+        this.oscSocket = dgram.createSocket('udp4');
+        
+        this.oscSocket.on('message', (packet, rinfo) => {
+            this.handleOscPacket(packet, rinfo);
+        });
+        
+        this.oscSocket.on('error', (error) => {
+            console.error('OSC error:', error);
+        });
+        
+        this.oscSocket.bind(this.oscPort, this.oscHost, () => {
+            console.log(`OSC endpoint listening on UDP ${this.oscHost}:${this.oscPort} for room ${this.oscRoom}`);
+        });
+    }
+
+    handleOscPacket(packet, rinfo) {
+        let messages;
+        try {
+            messages = decodeOsc(packet);
+        } catch (error) {
+            console.warn(`Ignoring invalid OSC packet from ${rinfo.address}:`, error.message);
+            return;
+        }
+        
+        messages.forEach(({ address, args }) => {
+            const stage = this.findOscStage();
+            if (!stage) {
+                this.sendOscReply(rinfo, address, ['error', 'No stage connected']);
+                return;
+            }
+            
+            const requestId = uuidv4();
+            const timeout = setTimeout(() => {
+                this.oscRequests.delete(requestId);
+                this.sendOscReply(rinfo, address, ['error', 'No reply from stage']);
+            }, OSC_REPLY_TIMEOUT);
+            this.oscRequests.set(requestId, { address, rinfo, stageId: stage.id, timeout });
+            
+            // Blobs cannot go through JSON; no stage address uses them
+            const command = {
+                type: 'osc_command',
+                requestId,
+                address,
+                args: args.filter(arg => !Buffer.isBuffer(arg))
+            };
+            this.rooms.get(this.oscRoom).clients.forEach(client => {
+                if (client.ws.readyState === WebSocket.OPEN) {
+                    client.ws.send(JSON.stringify({ ...command, reply: client === stage }));
+                }
+            });
+        });
+    }
+
+    // The stage that answers OSC commands: the first Director or Actor in the OSC room
+    findOscStage() {
+        const room = this.rooms.get(this.oscRoom);
+        if (!room) return null;
+        return Array.from(room.clients.values())
+            .find(client => this.canEdit(client) && client.ws.readyState === WebSocket.OPEN) || null;
+    }
+
+    handleOscReply(ws, data) {
+        const request = this.oscRequests.get(data.requestId);
+        if (!request) return; // Timed out
+        const client = this.clients.get(ws);
+        if (!client || client.id !== request.stageId) return;
+        
+        clearTimeout(request.timeout);
+        this.oscRequests.delete(data.requestId);
+        this.sendOscReply(request.rinfo, request.address, Array.isArray(data.args) ? data.args : []);
+    }
+
+    sendOscReply(rinfo, address, args) {
+        this.oscSocket.send(encodeOsc(`/reply${address}`, args), rinfo.port, rinfo.address);
     }
 
     handleMessage(ws, message) {
@@ -54,6 +148,9 @@ class CollaborationServer {
                 case 'unlock_object':
                     this.handleUnlockObject(ws, data);
                     break;
+                case 'osc_reply':
+                    this.handleOscReply(ws, data);
+                    break;
                 default:
                     console.warn('Unknown message type:', data.type);
             }
@@ -330,5 +427,8 @@ class Room {
 }
 
 // Start server
-const server = new CollaborationServer(8080);
+// OSC_PORT turns OSC on at that UDP port; OSC_ROOM is the room it controls and
+// OSC_HOST the interface it listens on (localhost unless set)
+const oscPort = process.env.OSC_PORT ? parseInt(process.env.OSC_PORT, 10) : 0;
+const server = new CollaborationServer(8080, oscPort, process.env.OSC_ROOM || 'default-room', process.env.OSC_HOST || '127.0.0.1');
 server.start();
@@ -0,0 +1,278 @@
+const WebSocket = require('ws');
+const dgram = require('dgram');
+const crypto = require('crypto');
+const os = require('os');
+
+// DMX bridge between the stage in the browser and Art-Net or sACN (E1.31) on the network.
+//
+// The browser connects over WebSocket and sends the universes of its DMX patch:
+//   { type: 'dmx_frame', universes: { "1": [512 values], ... } }
+// which go out as Art-Net (ArtDmx) or sACN data packets. Universes are numbered from 1
+// like on a console; Art-Net port-address 0 is universe 1. The last levels are resent
+// every second until the stage sends { type: 'dmx_release' }.
+//
+// With --input, DMX received from a console is passed to every connected browser:
+//   { type: 'dmx_input', universe: 1, data: [512 values] }
+//
+// Usage: node server/dmx-bridge.js [--protocol artnet|sacn] [--host address] [--port port]
+//                                  [--ws-port 8081] [--input] [--input-port port] [--universes 1,2]
+
+const ARTNET_PORT = 6454;
+const SACN_PORT = 5568;
+const ARTNET_ID = Buffer.from('Art-Net\0', 'ascii');
+const ACN_PACKET_ID = Buffer.from([0x41, 0x53, 0x43, 0x2d, 0x45, 0x31, 0x2e, 0x31, 0x37, 0x00, 0x00, 0x00]);
+const KEEPALIVE_INTERVAL = 1000; // Receivers drop a universe they have not heard from in a few seconds
+
+function buildArtDmxPacket(universe, data, sequence) {
+    const packet = Buffer.alloc(18 + 512);
+    ARTNET_ID.copy(packet, 0);
+    packet.writeUInt16LE(0x5000, 8);            // OpDmx
+    packet.writeUInt16BE(14, 10);               // Protocol version
+    packet[12] = sequence;
+    packet[13] = 0;                             // Physical port
+    packet.writeUInt16LE(universe - 1, 14);     // SubUni and Net
+    packet.writeUInt16BE(512, 16);
+    Buffer.from(data).copy(packet, 18, 0, 512);
+    return packet;
+}
+
+function parseArtDmxPacket(packet) {
+    if (packet.length < 20 || !packet.subarray(0, 8).equals(ARTNET_ID) || packet.readUInt16LE(8) !== 0x5000) {
+        return null;
+    }
+    const length = Math.min(packet.readUInt16BE(16), packet.length - 18, 512);
+    const data = new Array(512).fill(0);
+    for (let i = 0; i < length; i++) {
+        data[i] = packet[18 + i];
+    }
+    return { universe: (packet.readUInt16LE(14) & 0x7fff) + 1, data };
+}
+
+function buildSacnPacket(universe, data, sequence, cid, sourceName) {
+    const packet = Buffer.alloc(638);
+    // Root layer
+    packet.writeUInt16BE(0x0010, 0);
+    packet.writeUInt16BE(0x0000, 2);
+    ACN_PACKET_ID.copy(packet, 4);
+    packet.writeUInt16BE(0x7000 | (638 - 16), 16);
+    packet.writeUInt32BE(0x00000004, 18);       // VECTOR_ROOT_E131_DATA
+    cid.copy(packet, 22);
+    // Framing layer
+    packet.writeUInt16BE(0x7000 | (638 - 38), 38);
+    packet.writeUInt32BE(0x00000002, 40);       // VECTOR_E131_DATA_PACKET
+    packet.write(sourceName.slice(0, 63), 44, 'utf8');
+    packet[108] = 100;                          // Priority
+    packet.writeUInt16BE(0, 109);               // Sync address
+    packet[111] = sequence;
+    packet[112] = 0;                            // Options
+    packet.writeUInt16BE(universe, 113);
+    // DMP layer
+    packet.writeUInt16BE(0x7000 | (638 - 115), 115);
+    packet[117] = 0x02;                         // VECTOR_DMP_SET_PROPERTY
+    packet[118] = 0xa1;                         // Address and data type
+    packet.writeUInt16BE(0x0000, 119);          // First property address
+    packet.writeUInt16BE(0x0001, 121);          // Address increment
+    packet.writeUInt16BE(513, 123);             // Start code plus 512 slots
+    packet[125] = 0;                            // DMX start code
+    Buffer.from(data).copy(packet, 126, 0, 512);
+    return packet;
+}
+
+function parseSacnPacket(packet) {
+    if (packet.length < 126 || !packet.subarray(4, 16).equals(ACN_PACKET_ID) ||
+        packet.readUInt32BE(18) !== 0x00000004 || packet.readUInt32BE(40) !== 0x00000002 || packet[125] !== 0) {
+        return null;
+    }
+    const length = Math.min(packet.readUInt16BE(123) - 1, packet.length - 126, 512);
+    const data = new Array(512).fill(0);
+    for (let i = 0; i < length; i++) {
+        data[i] = packet[126 + i];
+    }
+    return { universe: packet.readUInt16BE(113), data, cid: packet.subarray(22, 38) };
+}
+
+// sACN universes are multicast to 239.255.<high byte>.<low byte>
+function sacnMulticastAddress(universe) {
+    return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+class DmxBridge {
+    constructor(options = {}) {
+        this.protocol = options.protocol === 'sacn' ? 'sacn' : 'artnet';
+        this.host = options.host || null; // null: broadcast (Art-Net) or multicast (sACN)
+        this.port = options.port || (this.protocol === 'sacn' ? SACN_PORT : ARTNET_PORT);
+        this.wsPort = options.wsPort || 8081;
+        this.input = Boolean(options.input);
+        this.inputPort = options.inputPort || (this.protocol === 'sacn' ? SACN_PORT : ARTNET_PORT);
+        this.inputUniverses = options.universes || [1];
+        this.cid = crypto.randomBytes(16);
+        this.sourceName = 'Theater Stage';
+        this.universes = new Map(); // universe -> last 512 values sent
+        this.sequences = new Map(); // universe -> sequence number
+        this.wss = null;
+        this.clients = new Set();
+        this.outputSocket = null;
+        this.outputPort = null; // Source port of our own packets
+        this.inputSocket = null;
+        this.keepalive = null;
+    }
+
+    start() {
+        this.outputSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        this.outputSocket.bind(() => {
+            this.outputSocket.setBroadcast(true);
+            this.outputPort = this.outputSocket.address().port;
+        });
+        this.outputSocket.on('error', (error) => {
+            console.error('DMX output error:', error);
+        });
+
+        if (this.input) {
+            this.startInput();
+        }
+
+        this.wss = new WebSocket.Server({ port: this.wsPort });
+        this.wss.on('connection', (ws) => {
+            console.log('Stage connected to DMX bridge');
+            this.clients.add(ws);
+
+            ws.on('message', (message) => {
+                this.handleMessage(ws, message);
+            });
+
+            ws.on('close', () => {
+                this.clients.delete(ws);
+            });
+
+            ws.on('error', (error) => {
+                console.error('WebSocket error:', error);
+            });
+
+            ws.send(JSON.stringify({ type: 'dmx_bridge', protocol: this.protocol, input: this.input }));
+        });
+
+        // Resend every universe regularly so receivers keep their levels
+        this.keepalive = setInterval(() => {
+            this.universes.forEach((data, universe) => this.sendUniverse(universe, data));
+        }, KEEPALIVE_INTERVAL);
+
+        const destination = this.host || (this.protocol === 'sacn' ? 'multicast' : 'broadcast');
+        console.log(`DMX bridge running on port ${this.wsPort}, sending ${this.protocol} to ${destination}:${this.port}`);
+    }
+
+    stop() {
+        clearInterval(this.keepalive);
+        if (this.wss) this.wss.close();
+        if (this.outputSocket) this.outputSocket.close();
+        if (this.inputSocket) this.inputSocket.close();
+    }
+
+    startInput() {
+        this.inputSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        this.inputSocket.on('message', (message, rinfo) => {
+            this.handleDmxInput(message, rinfo);
+        });
+        this.inputSocket.on('error', (error) => {
+            console.error('DMX input error:', error);
+        });
+        this.inputSocket.bind(this.inputPort, () => {
+            if (this.protocol === 'sacn') {
+                this.inputUniverses.forEach(universe => {
+                    try {
+                        this.inputSocket.addMembership(sacnMulticastAddress(universe));
+                    } catch (error) {
+                        console.warn(`Could not join sACN universe ${universe}:`, error.message);
+                    }
+                });
+            }
+            console.log(`Listening for ${this.protocol} input on port ${this.inputPort}`);
+        });
+    }
+
+    handleMessage(ws, message) {
+        try {
+            const data = JSON.parse(message);
+
+            switch (data.type) {
+                case 'dmx_frame':
+                    Object.entries(data.universes || {}).forEach(([universe, values]) => {
+                        const number = parseInt(universe, 10);
+                        if (number >= 1 && number <= 63999 && Array.isArray(values)) {
+                            const levels = Uint8Array.from(values.slice(0, 512));
+                            this.universes.set(number, levels);
+                            this.sendUniverse(number, levels);
+                        }
+                    });
+                    break;
+                case 'dmx_release':
+                    this.universes.clear();
+                    break;
+                default:
+                    console.warn('Unknown message type:', data.type);
+            }
+        } catch (error) {
+            console.error('Error handling message:', error);
+        }
+    }
+
+    sendUniverse(universe, data) {
+        const sequence = ((this.sequences.get(universe) || 0) % 255) + 1; // 0 means "not sequenced"
+        this.sequences.set(universe, sequence);
+
+        if (this.protocol === 'sacn') {
+            const packet = buildSacnPacket(universe, data, sequence, this.cid, this.sourceName);
+            this.outputSocket.send(packet, this.port, this.host || sacnMulticastAddress(universe));
+        } else {
+            const packet = buildArtDmxPacket(universe, data, sequence);
+            this.outputSocket.send(packet, this.port, this.host || '255.255.255.255');
+        }
+    }
+
+    handleDmxInput(message, rinfo) {
+        const frame = this.protocol === 'sacn' ? parseSacnPacket(message) : parseArtDmxPacket(message);
+        if (!frame) return;
+        // Our own sACN output looped back by multicast
+        if (frame.cid && frame.cid.equals(this.cid)) return;
+        // Our own Art-Net output, heard back through the broadcast; ArtDmx has no source ID
+        if (this.isOwnPacket(rinfo)) return;
+
+        const messageStr = JSON.stringify({ type: 'dmx_input', universe: frame.universe, data: frame.data });
+        for (const ws of this.clients) {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(messageStr);
+            }
+        }
+    }
+
+    // Sent from our output socket on one of this machine's addresses
+    isOwnPacket(rinfo) {
+        if (rinfo.port !== this.outputPort) return false;
+        return Object.values(os.networkInterfaces())
+            .some(addresses => (addresses || []).some(address => address.address === rinfo.address));
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--protocol': options.protocol = argv[++i]; break;
+            case '--host': options.host = argv[++i]; break;
+            case '--port': options.port = parseInt(argv[++i], 10); break;
+            case '--ws-port': options.wsPort = parseInt(argv[++i], 10); break;
+            case '--input': options.input = true; break;
+            case '--input-port': options.inputPort = parseInt(argv[++i], 10); break;
+            case '--universes': options.universes = argv[++i].split(',').map(Number); break;
+            default: console.warn('Unknown option:', argv[i]);
+        }
+    }
+    return options;
+}
+
+module.exports = { DmxBridge, buildArtDmxPacket, parseArtDmxPacket, buildSacnPacket, parseSacnPacket };
+
+// Start bridge
+if (require.main === module) {
+    const bridge = new DmxBridge(parseArgs(process.argv.slice(2)));
+    bridge.start();
+}
@@ -0,0 +1,117 @@
+// Minimal OSC 1.0 encoding and decoding for the collaboration server's OSC endpoint.
+// Supports the argument types show control tools send: int32 (i), float32 (f), string (s),
+// blob (b), int64 (h), double (d), true (T), false (F) and nil (N), plus bundles.
+
+function padLength(length) {
+    return (length + 3) & ~3;
+}
+
+function readString(buffer, offset) {
+    let end = offset;
+    while (end < buffer.length && buffer[end] !== 0) end++;
+    if (end >= buffer.length) {
+        throw new Error('Unterminated OSC string');
+    }
+    return { value: buffer.toString('utf8', offset, end), next: offset + padLength(end - offset + 1) };
+}
+
+function writeString(value) {
+    const bytes = Buffer.from(String(value), 'utf8');
+    const buffer = Buffer.alloc(padLength(bytes.length + 1));
+    bytes.copy(buffer);
+    return buffer;
+}
+
+function decodeMessage(buffer) {
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) {
+        throw new Error(`Invalid OSC address "${address.value}"`);
+    }
+
+    // Messages without a type tag string have no arguments
+    if (address.next >= buffer.length) {
+        return { address: address.value, args: [] };
+    }
+    const tags = readString(buffer, address.next);
+    if (!tags.value.startsWith(',')) {
+        throw new Error('Missing OSC type tags');
+    }
+
+    const args = [];
+    let offset = tags.next;
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i': args.push(buffer.readInt32BE(offset)); offset += 4; break;
+            case 'f': args.push(buffer.readFloatBE(offset)); offset += 4; break;
+            case 'h': args.push(Number(buffer.readBigInt64BE(offset))); offset += 8; break;
+            case 'd': args.push(buffer.readDoubleBE(offset)); offset += 8; break;
+            case 's': {
+                const string = readString(buffer, offset);
+                args.push(string.value);
+                offset = string.next;
+                break;
+            }
+            case 'b': {
+                const size = buffer.readInt32BE(offset);
+                args.push(buffer.subarray(offset + 4, offset + 4 + size));
+                offset += 4 + padLength(size);
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            default:
+                throw new Error(`Unsupported OSC type tag "${tag}"`);
+        }
+    }
+    return { address: address.value, args };
+}
+
+/**
+ * Decode an OSC packet into its messages; bundles are flattened and run immediately
+ * @returns {Array<{address: string, args: Array}>}
+ */
+function decodeOsc(buffer) {
+    if (buffer.length >= 16 && buffer.toString('ascii', 0, 8) === '#bundle\0') {
+        const messages = [];
+        let offset = 16; // Skip the time tag
+        while (offset + 4 <= buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            messages.push(...decodeOsc(buffer.subarray(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+        return messages;
+    }
+    return [decodeMessage(buffer)];
+}
+
+/**
+ * Encode an OSC message; whole numbers are sent as int32 and other numbers as float32
+ */
+function encodeOsc(address, args = []) {
+    let tags = ',';
+    const parts = [];
+    args.forEach(arg => {
+        if (typeof arg === 'number' && Number.isInteger(arg) && Math.abs(arg) <= 0x7fffffff) {
+            tags += 'i';
+            const part = Buffer.alloc(4);
+            part.writeInt32BE(arg);
+            parts.push(part);
+        } else if (typeof arg === 'number') {
+            tags += 'f';
+            const part = Buffer.alloc(4);
+            part.writeFloatBE(arg);
+            parts.push(part);
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (arg === null || arg === undefined) {
+            tags += 'N';
+        } else {
+            tags += 's';
+            parts.push(writeString(arg));
+        }
+    });
+    return Buffer.concat([writeString(address), writeString(tags), ...parts]);
+}
+
+module.exports = { decodeOsc, encodeOsc };